@@ -1,4 +1,11 @@
-const CACHE_NAME = 'resq-v21';
+self.importScripts('/sync-engine.js');
+
+const CACHE_NAME = 'resq-v26';
+
+// Map tiles live in their own cache so app updates do not throw them away
+const TILE_CACHE = 'resq-tiles-v1';
+const TILE_HOST = 'tile.openstreetmap.org';
+const MAX_TILES = 2000;
 const URLS_TO_CACHE = [
     '/',
     '/index.html',
@@ -6,6 +13,7 @@ const URLS_TO_CACHE = [
     '/dashboard',
     '/manifest.json',
     '/sw.js',
+    '/sync-engine.js',
     '/icon.jpg'
 ];
 
@@ -25,7 +33,7 @@ self.addEventListener('activate', (event) => {
     event.waitUntil(
         caches.keys().then((keys) => Promise.all(
             keys.map((key) => {
-                if (key !== CACHE_NAME) return caches.delete(key);
+                if (key !== CACHE_NAME && key !== TILE_CACHE) return caches.delete(key);
             })
         ))
     );
@@ -52,6 +60,12 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
+    // --- STRATEGY A2: MAP TILES (Cache-First, so viewed areas stay usable offline) ---
+    if (url.hostname === TILE_HOST) {
+        event.respondWith(cachedTile(request));
+        return;
+    }
+
     // --- STRATEGY B: THE "MOBILE REFRESH" FIX (Cache-First for Engine) ---
     // This is the CRITICAL fix for the "You're offline" screen.
     // We check the cache FIRST for the app shell.
@@ -89,50 +103,79 @@ self.addEventListener('fetch', (event) => {
     );
 });
 
-// 4. SYNC: Sync queued actions when internet returns
+/**
+ * Serves a tile from the tile cache, fetching and storing it on a miss.
+ * The oldest tiles are dropped once the cache holds MAX_TILES.
+ */
+async function cachedTile(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    try {
+        const res = await fetch(request);
+        if (res && res.ok) {
+            await cache.put(request, res.clone());
+            const keys = await cache.keys();
+            await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TILES)).map(key => cache.delete(key)));
+        }
+        return res;
+    } catch {
+        return new Response('', { status: 504, statusText: 'Tile unavailable offline' });
+    }
+}
+
+// 4. SYNC: Replay the offline queue when internet returns (see sync-engine.js)
+const SYNC_TAG = 'sync-reports';
+
+/**
+ * Forwards sync-engine reports to every open tab, so the UI can reflect
+ * synced, retried and dead-lettered entries without polling IndexedDB.
+ */
+async function broadcast(message) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+}
+
 self.addEventListener('sync', (event) => {
-    if (event.tag === 'sync-reports') event.waitUntil(syncActions());
+    if (event.tag === SYNC_TAG) event.waitUntil(self.ResqSync.syncAll(broadcast));
 });
 
-async function syncActions() {
-    const dbName = 'ResqueNetDB';
-    const storeName = 'pendingActions';
-    return new Promise((resolve) => {
-        const idb = indexedDB.open(dbName, 2);
-        idb.onsuccess = async (e) => {
-            const db = e.target.result;
-            if (!db.objectStoreNames.contains(storeName)) return resolve();
-            const tx = db.transaction(storeName, 'readwrite');
-            const store = tx.objectStore(storeName);
-            const actions = await new Promise(r => {
-                const req = store.getAll();
-                req.onsuccess = () => r(req.result);
-            });
-            if (!actions || actions.length === 0) return resolve();
-            for (const action of actions) {
-                try {
-                    const { type, payload } = action;
-                    let res;
-                    const headers = { 'Content-Type': 'application/json' };
-                    if (type === 'CREATE') {
-                        res = await fetch(payload.isPublic ? '/api/incidents/public-sos' : '/api/incidents', {
-                            method: 'POST', headers, body: JSON.stringify(payload), credentials: 'include'
-                        });
-                    } else if (type === 'DELETE') {
-                        res = await fetch(`/api/incidents/${payload.id}`, { method: 'DELETE', credentials: 'include' });
-                    } else if (type === 'UPDATE') {
-                        res = await fetch(`/api/incidents/${payload.id}/status`, {
-                            method: 'PATCH', headers, body: JSON.stringify({ status: payload.status }), credentials: 'include'
-                        });
-                    }
-                    if (res && (res.ok || res.status === 404)) {
-                        const delTx = db.transaction(storeName, 'readwrite');
-                        delTx.objectStore(storeName).delete(action.id);
-                    }
-                } catch (err) { console.error('Sync failed:', err); }
-            }
-            resolve();
-        };
-        idb.onerror = () => resolve();
-    });
-}
+// Browsers without Background Sync ask the worker directly
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'sync-now') event.waitUntil(self.ResqSync.syncAll(broadcast));
+});
+
+// 5. PUSH: Incident updates from the server (see server/services/push.js)
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch {
+        data = { body: event.data?.text() };
+    }
+
+    event.waitUntil(self.registration.showNotification(data.title || 'ResqueNet', {
+        body: data.body,
+        icon: '/icon.jpg',
+        badge: '/icon.jpg',
+        tag: data.tag,
+        renotify: Boolean(data.tag),
+        data: { url: data.url || '/dashboard' }
+    }));
+});
+
+// Deep link: focus an open dashboard tab on the incident, or open a new one
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const target = new URL(event.notification.data?.url || '/dashboard', self.location.origin).href;
+
+    event.waitUntil((async () => {
+        const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const tab = clients.find(client => new URL(client.url).origin === self.location.origin);
+        if (tab) {
+            await tab.focus();
+            return tab.navigate(target);
+        }
+        return self.clients.openWindow(target);
+    })());
+});
@@ -0,0 +1,406 @@
+/**
+ * RESQ SYNC ENGINE
+ * The one implementation of the offline queue, shared by the service worker
+ * (`importScripts`) and the app (`src/services/sync.js`), exposed as `self.ResqSync`.
+ *
+ * It owns the IndexedDB schema, replays queued actions in order with exponential
+ * backoff, reports every outcome through a `report(message)` callback and moves
+ * actions the server will never accept into the `deadLetters` store.
+ * Plain script (no imports) so both contexts can load it unbundled.
+ */
+(function (scope) {
+    const DB_NAME = 'ResqueNetDB';
+    const DB_VERSION = 6;
+    const STORES = {
+        actions: 'pendingActions',
+        cache: 'cachedData',
+        attachments: 'pendingAttachments',
+        deadLetters: 'deadLetters',
+        incidents: 'incidents'
+    };
+
+    const BASE_DELAY_MS = 5000;          // first retry after ~5s
+    const MAX_DELAY_MS = 10 * 60 * 1000; // backoff is capped at 10 minutes
+    const MAX_ATTEMPTS = 8;              // then the entry is dead-lettered
+
+    // --- DATABASE ---
+
+    function upgrade(db, oldVersion, tx) {
+        if (oldVersion < 2) {
+            if (db.objectStoreNames.contains('pendingReports')) {
+                db.deleteObjectStore('pendingReports');
+            }
+            db.createObjectStore(STORES.actions, { keyPath: 'id', autoIncrement: true });
+        }
+        if (oldVersion < 3) {
+            db.createObjectStore(STORES.cache);
+        }
+        if (oldVersion < 4) {
+            // Photos/videos waiting for upload. Linked either to a queued CREATE (actionId)
+            // or to an incident that already exists on the server (incidentId).
+            const attachments = db.createObjectStore(STORES.attachments, { keyPath: 'id', autoIncrement: true });
+            attachments.createIndex('actionId', 'actionId');
+            attachments.createIndex('incidentId', 'incidentId');
+        }
+        if (oldVersion < 5) {
+            // Actions and uploads the server rejected for good, kept for the user to retry or discard
+            db.createObjectStore(STORES.deadLetters, { keyPath: 'id', autoIncrement: true });
+        }
+        if (oldVersion < 6) {
+            // Server incidents keyed by id, updated incrementally by delta sync
+            db.createObjectStore(STORES.incidents, { keyPath: '_id' });
+            // ...replacing the whole-list snapshot kept in cachedData
+            if (oldVersion >= 3) tx.objectStore(STORES.cache).delete('incidents');
+        }
+    }
+
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = (e) => upgrade(req.result, e.oldVersion, req.transaction);
+            req.onsuccess = () => {
+                const db = req.result;
+                // Let a newer tab or worker upgrade the schema instead of blocking it
+                db.onversionchange = () => db.close();
+                resolve(db);
+            };
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    const promisify = (req) => new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+
+    const store = (db, name, mode = 'readonly') => db.transaction(name, mode).objectStore(name);
+    const getAll = (db, name) => promisify(store(db, name).getAll());
+    const getByIndex = (db, name, index, value) => promisify(store(db, name).index(index).getAll(value));
+    const put = (db, name, value) => promisify(store(db, name, 'readwrite').put(value));
+    const remove = (db, name, key) => promisify(store(db, name, 'readwrite').delete(key));
+
+    // --- NETWORK ---
+
+    /**
+     * fetch() for authenticated API calls made while the app may be closed.
+     * The access cookie is short-lived, so a 401 triggers one refresh and a retry.
+     */
+    async function authedFetch(url, options) {
+        const res = await fetch(url, { credentials: 'include', ...options });
+        if (res.status !== 401) return res;
+        const refreshed = await fetch('/api/auth/refresh', { method: 'POST', credentials: 'include' });
+        return refreshed.ok ? fetch(url, { credentials: 'include', ...options }) : res;
+    }
+
+    function requestFor(action) {
+        const { type, payload } = action;
+        const headers = { 'Content-Type': 'application/json' };
+        // Replays are safe: the server returns the original result for a known key
+        if (action.idempotencyKey) headers['Idempotency-Key'] = action.idempotencyKey;
+        // Edits only apply to the version the user saw; a newer one comes back as a conflict
+        if (Number.isInteger(payload.version)) headers['If-Match'] = `"${payload.version}"`;
+
+        if (type === 'CREATE') {
+            const url = payload.isPublic ? '/api/incidents/public-sos' : '/api/incidents';
+            return [url, { method: 'POST', headers, body: JSON.stringify(payload) }];
+        }
+        if (type === 'UPDATE') {
+            return [`/api/incidents/${payload.id}/status`, { method: 'PATCH', headers, body: JSON.stringify({ status: payload.status }) }];
+        }
+        if (type === 'DELETE') {
+            return [`/api/incidents/${payload.id}`, { method: 'DELETE', headers }];
+        }
+        return null;
+    }
+
+    /**
+     * What to do with a response:
+     *  - 'synced'  done (a DELETE of an incident that is already gone counts as done);
+     *  - 'auth'    the session could not be renewed; keep everything until the user signs in;
+     *  - 'conflict' someone else changed the incident since it was queued; the user decides;
+     *  - 'retry'   transient (timeouts, rate limits, in-flight duplicates, server errors);
+     *  - 'dead'    the server will never accept it as is.
+     */
+    async function classify(res, method) {
+        if (res.ok || (res.status === 404 && method === 'DELETE')) return 'synced';
+        if (res.status === 401) return 'auth';
+        if (res.status === 409) {
+            const body = await res.clone().json().catch(() => null);
+            return body?.code === 'conflict' ? 'conflict' : 'retry';
+        }
+        if ([408, 425, 429].includes(res.status) || res.status >= 500) return 'retry';
+        return 'dead';
+    }
+
+    const errorMessage = async (res) => {
+        const body = await res.clone().json().catch(() => null);
+        return body?.message || `HTTP ${res.status}`;
+    };
+
+    const backoffDelay = (attempts) => {
+        const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - 1));
+        return Math.round(delay * (0.8 + Math.random() * 0.4)); // jitter so devices do not retry in lockstep
+    };
+
+    // --- QUEUE PROCESSING ---
+
+    /**
+     * Records a failed attempt: schedules the next one, or dead-letters the entry.
+     * Returns the outcome reported to the UI.
+     */
+    async function failEntry(db, storeName, entry, kind, status, error, permanent, details = {}) {
+        const attempts = (entry.attempts || 0) + 1;
+        if (permanent || attempts >= MAX_ATTEMPTS) {
+            await put(db, STORES.deadLetters, {
+                kind,
+                storeName,
+                record: { ...entry, attempts },
+                status,
+                error,
+                ...details,
+                failedAt: new Date().toISOString()
+            });
+            await remove(db, storeName, entry.id);
+            return 'dead-letter';
+        }
+        await put(db, storeName, { ...entry, attempts, lastError: error, nextAttemptAt: Date.now() + backoffDelay(attempts) });
+        return 'retry';
+    }
+
+    async function uploadAttachment(db, entry, incidentId, report) {
+        const form = new FormData();
+        form.append('media', entry.file, entry.name);
+        if (entry.stripGps) form.append('stripGps', 'true');
+        const res = await authedFetch(`/api/incidents/${incidentId}/attachments`, {
+            method: 'POST',
+            body: form,
+            headers: entry.idempotencyKey ? { 'Idempotency-Key': entry.idempotencyKey } : {}
+        });
+
+        const verdict = await classify(res, 'POST');
+        if (verdict === 'auth') return verdict;
+        let outcome = 'synced';
+        if (verdict === 'synced') {
+            await remove(db, STORES.attachments, entry.id);
+        } else {
+            outcome = await failEntry(db, STORES.attachments, entry, 'attachment', res.status, await errorMessage(res), verdict === 'dead');
+        }
+        report({ type: 'sync-result', kind: 'attachment', id: entry.id, incidentId, outcome, status: res.status });
+        return verdict;
+    }
+
+    async function runQueue(report) {
+        const db = await openDatabase();
+        const summary = { synced: 0, failed: 0, halted: null };
+        try {
+            const now = Date.now();
+            const waiting = new Set(); // incidents with an earlier action still waiting; keeps their actions in order
+            const rebased = new Map(); // incident -> { from, to } versions moved on by our own synced edits
+
+            for (const action of await getAll(db, STORES.actions)) {
+                const target = action.payload?.id ? String(action.payload.id) : null;
+                if (target && waiting.has(target)) continue;
+                if ((action.nextAttemptAt || 0) > now) {
+                    if (target) waiting.add(target);
+                    continue;
+                }
+
+                // Several offline edits of one incident share the version seen when offline;
+                // once the first lands, the rest follow on from the version it produced
+                const rebase = target && rebased.get(target);
+                if (rebase && action.payload.version === rebase.from) {
+                    action.payload.version = rebase.to;
+                    await put(db, STORES.actions, action);
+                }
+
+                const request = requestFor(action);
+                if (!request) {
+                    await failEntry(db, STORES.actions, action, 'action', null, `Unknown action ${action.type}`, true);
+                    continue;
+                }
+
+                // A network error means we are offline again: stop without spending an attempt
+                const res = await authedFetch(...request);
+                const verdict = await classify(res, request[1].method);
+                if (verdict === 'auth') {
+                    summary.halted = 'auth';
+                    break;
+                }
+
+                let outcome = 'synced';
+                let incident = null;
+                if (verdict === 'synced') {
+                    summary.synced++;
+                    incident = (await res.clone().json().catch(() => null))?.data?.incident || null;
+                    await remove(db, STORES.actions, action.id);
+                    if (target && incident && Number.isInteger(action.payload.version)) {
+                        rebased.set(target, { from: action.payload.version, to: incident.__v });
+                    }
+                    if (action.type === 'CREATE' && incident) {
+                        // Media recorded with the report now belongs to the server incident
+                        for (const entry of await getByIndex(db, STORES.attachments, 'actionId', action.id)) {
+                            const relinked = { ...entry, incidentId: incident._id };
+                            delete relinked.actionId;
+                            await put(db, STORES.attachments, relinked);
+                        }
+                    }
+                } else if (verdict === 'conflict') {
+                    // Kept with the server's version so the user can choose between the two
+                    summary.failed++;
+                    if (target) waiting.add(target);
+                    incident = (await res.clone().json().catch(() => null))?.data?.incident || null;
+                    outcome = await failEntry(db, STORES.actions, action, 'action', res.status, await errorMessage(res), true, { conflict: true, serverState: incident });
+                } else {
+                    summary.failed++;
+                    if (target) waiting.add(target);
+                    outcome = await failEntry(db, STORES.actions, action, 'action', res.status, await errorMessage(res), verdict === 'dead');
+                }
+                report({ type: 'sync-result', kind: 'action', id: action.id, actionType: action.type, clientId: action.payload?.clientId, outcome, conflict: verdict === 'conflict', status: res.status, incident });
+            }
+
+            // Media for incidents that exist on the server (including reports created above)
+            if (!summary.halted) {
+                const entries = (await getAll(db, STORES.attachments)).filter(entry => entry.incidentId);
+                for (const entry of entries) {
+                    if ((entry.nextAttemptAt || 0) > now) continue;
+                    if (await uploadAttachment(db, entry, entry.incidentId, report) === 'auth') {
+                        summary.halted = 'auth';
+                        break;
+                    }
+                }
+            }
+        } catch (err) {
+            summary.halted = 'offline';
+            console.warn('SYNC: Run interrupted:', err.message);
+        } finally {
+            const [actions, attachments, deadLetters] = await Promise.all([
+                getAll(db, STORES.actions),
+                getAll(db, STORES.attachments),
+                getAll(db, STORES.deadLetters)
+            ]).catch(() => [[], [], []]);
+            const retryTimes = [...actions, ...attachments].map(entry => entry.nextAttemptAt).filter(Boolean);
+            Object.assign(summary, {
+                pending: actions.length + attachments.filter(entry => entry.incidentId).length,
+                deadLetters: deadLetters.length,
+                nextAttemptAt: retryTimes.length > 0 ? Math.min(...retryTimes) : null
+            });
+            db.close();
+        }
+        report({ type: 'sync-complete', ...summary });
+        return summary;
+    }
+
+    let running = null;
+
+    /**
+     * Replays the whole queue once. Concurrent calls in the same context share one run;
+     * runs in different contexts (worker and tab) are safe thanks to Idempotency-Key.
+     */
+    function syncAll(report = () => {}) {
+        const send = (message) => report({ source: 'resq-sync', ...message });
+        if (!running) running = runQueue(send).finally(() => { running = null; });
+        return running;
+    }
+
+    // --- DEAD LETTERS ---
+
+    async function listDeadLetters() {
+        const db = await openDatabase();
+        try {
+            return await getAll(db, STORES.deadLetters);
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Puts a dead-lettered entry back in its queue (same id, so media stays linked
+     * to its report) with a fresh attempt budget. `changes` is merged into the entry:
+     * callers pass a new idempotencyKey (the old one would replay the stored failure)
+     * and, to override a conflict, the payload's new base version.
+     */
+    async function retryDeadLetter(id, changes = {}) {
+        const db = await openDatabase();
+        try {
+            const letter = await promisify(store(db, STORES.deadLetters).get(id));
+            if (!letter) return;
+            const record = {
+                ...letter.record,
+                ...changes,
+                ...(changes.payload && { payload: { ...letter.record.payload, ...changes.payload } })
+            };
+            delete record.attempts;
+            delete record.nextAttemptAt;
+            delete record.lastError;
+            await put(db, letter.storeName, record);
+            await remove(db, STORES.deadLetters, id);
+        } finally {
+            db.close();
+        }
+    }
+
+    async function discardDeadLetter(id) {
+        const db = await openDatabase();
+        try {
+            const letter = await promisify(store(db, STORES.deadLetters).get(id));
+            if (!letter) return;
+            if (letter.kind === 'action' && letter.record.type === 'CREATE') {
+                for (const entry of await getByIndex(db, STORES.attachments, 'actionId', letter.record.id)) {
+                    await remove(db, STORES.attachments, entry.id);
+                }
+            }
+            await remove(db, STORES.deadLetters, id);
+        } finally {
+            db.close();
+        }
+    }
+
+    // --- RECONCILIATION ---
+
+    /**
+     * Overlays the queue on a fresh server listing: queued deletions are hidden,
+     * queued status changes shown, and queued reports listed until the server has
+     * them (matched by clientId). Returns the merged list, newest first.
+     */
+    function reconcile(liveIncidents, actions, user, { includeLocal = true } = {}) {
+        const targetOf = (action) => String(action.payload.id || action.payload._id);
+        const deleteIds = new Set(actions.filter(a => a.type === 'DELETE').map(targetOf));
+        const updates = actions.filter(a => a.type === 'UPDATE');
+
+        const live = liveIncidents
+            .filter(inc => !deleteIds.has(String(inc._id)))
+            .map(inc => {
+                const update = updates.find(u => targetOf(u) === String(inc._id));
+                return update ? { ...inc, status: update.payload.status, isQueuedStatus: true } : inc;
+            });
+
+        const liveClientIds = new Set(live.map(inc => inc.clientId).filter(Boolean));
+        const local = !includeLocal ? [] : actions
+            .filter(a => a.type === 'CREATE' && !liveClientIds.has(a.payload.clientId))
+            .map(action => ({
+                ...action.payload,
+                _id: `local-${action.id}`,
+                status: action.payload.status || 'Pending',
+                isQueuedStatus: true,
+                createdAt: action.payload.createdAt || action.createdAt,
+                reporter: user.name,
+                reporterId: user._id,
+                isLocal: true
+            }));
+
+        return [...local, ...live].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    scope.ResqSync = {
+        DB_NAME,
+        DB_VERSION,
+        STORES,
+        openDatabase,
+        authedFetch,
+        syncAll,
+        listDeadLetters,
+        retryDeadLetter,
+        discardDeadLetter,
+        reconcile
+    };
+})(self);
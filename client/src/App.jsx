@@ -1,17 +1,47 @@
 // RESQ-V19: PURE OFFLINE-FIRST ENGINE
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import Dashboard from './pages/Dashboard';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import { getMe } from './services/api';
 
+const clearPersistedSession = () => {
+  localStorage.removeItem('resquenet_user');
+  localStorage.removeItem('resquenet_session_expires');
+  localStorage.removeItem('resquenet_incidents');
+};
+
 function App() {
-  const [user, setUser] = useState(() => {
-    // 🏗️ LOCAL STORAGE FIRST: Retrieve the persistent auth session immediately.
+  const [user, setUserState] = useState(() => {
+    // 🏗️ LOCAL STORAGE FIRST: Retrieve the persistent auth session immediately,
+    // unless the server-side session it belonged to has already expired.
     const cachedUser = localStorage.getItem('resquenet_user');
-    return cachedUser ? JSON.parse(cachedUser) : null;
+    const expiresAt = localStorage.getItem('resquenet_session_expires');
+    if (!cachedUser || (expiresAt && new Date(expiresAt) < new Date())) {
+      clearPersistedSession();
+      return null;
+    }
+    return JSON.parse(cachedUser);
   });
+
+  /**
+   * Updates the signed-in user and mirrors it to device storage.
+   * `null` signs out and wipes every locally cached account artefact.
+   */
+  const setUser = useCallback((nextUser, sessionExpiresAt) => {
+    setUserState(nextUser);
+    if (!nextUser) {
+      clearPersistedSession();
+      return;
+    }
+    localStorage.setItem('resquenet_user', JSON.stringify(nextUser));
+    if (sessionExpiresAt) localStorage.setItem('resquenet_session_expires', sessionExpiresAt);
+  }, []);
+
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -29,16 +59,12 @@ function App() {
       // 2. SILENT BACKGROUND TOKEN VERIFICATION (Non-Blocking)
       try {
         const res = await getMe();
-        const freshUser = res.data.data.user;
-        setUser(freshUser);
-        localStorage.setItem('resquenet_user', JSON.stringify(freshUser));
+        setUser(res.data.data.user, res.data.data.sessionExpiresAt);
       } catch (err) {
         const isAuthError = err.response && (err.response.status === 401 || err.response.status === 403);
         if (isAuthError) {
-          // Token invalidated by server. Perform secure logout.
+          // Token invalidated by server (and could not be refreshed). Perform secure logout.
           setUser(null);
-          localStorage.removeItem('resquenet_user');
-          localStorage.removeItem('resquenet_incidents');
         }
       } finally {
         setLoading(false);
@@ -47,12 +73,18 @@ function App() {
 
     startPersistentAuthController();
 
+    // The API layer signals when the session was revoked or expired mid-use
+    const handleSessionExpired = () => setUser(null);
+    window.addEventListener('resquenet:session-expired', handleSessionExpired);
+
     // REGISTER SILENT SERVICE WORKER
     if ('serviceWorker' in navigator) {
       window.addEventListener('load', () => {
         navigator.serviceWorker.register('/sw.js').catch(err => console.log('SW ERR:', err));
       });
     }
+
+    return () => window.removeEventListener('resquenet:session-expired', handleSessionExpired);
   }, []);
 
   if (loading) return null; // Zero-Flicker Launch
@@ -65,6 +97,9 @@ function App() {
             <Route path="/" element={<Navigate to="/login" />} />
             <Route path="/login" element={!user ? <Login setUser={setUser} /> : <Navigate to="/dashboard" />} />
             <Route path="/register" element={!user ? <Register setUser={setUser} /> : <Navigate to="/dashboard" />} />
+            <Route path="/forgot-password" element={!user ? <ForgotPassword /> : <Navigate to="/dashboard" />} />
+            <Route path="/reset-password" element={<ResetPassword setUser={setUser} />} />
+            <Route path="/verify-email" element={<VerifyEmail user={user} setUser={setUser} />} />
             <Route path="/dashboard" element={user ? <Dashboard user={user} setUser={setUser} /> : <Navigate to="/login" />} />
           </Routes>
         </div>
@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import { Smartphone, KeyRound, LogOut } from 'lucide-react';
+import { getSessions, revokeSession, revokeOtherSessions, changePassword } from '../services/api';
+
+const inputClass = "w-full p-4 bg-gray-50 border-2 border-transparent rounded-[1.5rem] focus:bg-white focus:border-emergency-red outline-none font-bold text-gray-800 placeholder-gray-300 shadow-inner";
+
+/**
+ * Signed-in devices and password change for the current user.
+ * Changing the password signs out every device; this one receives a fresh session.
+ */
+const AccountSecurity = ({ setUser, triggerError }) => {
+    const [sessions, setSessions] = useState([]);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [passwords, setPasswords] = useState({ current: '', next: '' });
+    const [saving, setSaving] = useState(false);
+    const [message, setMessage] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        getSessions()
+            .then(res => { if (!cancelled) setSessions(res.data.data.sessions); })
+            .catch(() => { if (!cancelled) setSessions([]); });
+        return () => { cancelled = true; };
+    }, [reloadKey]);
+
+    const handleRevoke = async (session) => {
+        try {
+            await revokeSession(session._id);
+            if (session.current) return setUser(null);
+            setReloadKey(k => k + 1);
+        } catch (err) {
+            triggerError(err.response?.data?.message || "COULD NOT SIGN OUT DEVICE.");
+        }
+    };
+
+    const handleRevokeOthers = async () => {
+        try {
+            const res = await revokeOtherSessions();
+            setMessage(`${res.data.data.revoked} OTHER DEVICE(S) SIGNED OUT`);
+            setReloadKey(k => k + 1);
+        } catch (err) {
+            triggerError(err.response?.data?.message || "COULD NOT SIGN OUT DEVICES.");
+        }
+    };
+
+    const handlePasswordChange = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setMessage('');
+        try {
+            const res = await changePassword(passwords.current, passwords.next);
+            setUser(res.data.data.user, res.data.data.sessionExpiresAt);
+            setPasswords({ current: '', next: '' });
+            setMessage('PASSWORD CHANGED. ALL OTHER DEVICES SIGNED OUT.');
+            setReloadKey(k => k + 1);
+        } catch (err) {
+            triggerError(err.response?.data?.message || "PASSWORD CHANGE FAILED.");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="space-y-10 animate-fade-in">
+            <div>
+                <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-lg sm:text-2xl font-black text-gray-900 lowercase tracking-tight">Active Sessions</h2>
+                    {sessions.length > 1 && (
+                        <button
+                            onClick={handleRevokeOthers}
+                            className="text-[10px] font-black text-emergency-red uppercase tracking-widest bg-red-50 px-3 py-1 rounded-full hover:bg-red-100"
+                        >
+                            Sign out others
+                        </button>
+                    )}
+                </div>
+                <div className="space-y-3">
+                    {sessions.map(session => (
+                        <div key={session._id} className="flex items-center gap-4 p-4 bg-gray-50 rounded-2xl">
+                            <Smartphone size={20} className={session.current ? 'text-green-600' : 'text-gray-300'} />
+                            <div className="flex-1 min-w-0">
+                                <p className="font-bold text-xs text-gray-800 truncate">{session.userAgent}</p>
+                                <p className="text-[9px] font-black text-gray-400 uppercase tracking-widest mt-1">
+                                    {session.current ? 'THIS DEVICE · ' : ''}{session.ip} · LAST ACTIVE {new Date(session.lastUsedAt).toLocaleString()}
+                                </p>
+                            </div>
+                            <button
+                                onClick={() => handleRevoke(session)}
+                                className="p-2 text-gray-300 hover:text-emergency-red transition-all"
+                                title={session.current ? 'Sign out' : 'Sign out this device'}
+                            >
+                                <LogOut size={18} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <form onSubmit={handlePasswordChange} className="space-y-4">
+                <h2 className="text-lg sm:text-2xl font-black text-gray-900 lowercase tracking-tight flex items-center gap-2">
+                    <KeyRound size={20} className="text-emergency-red" /> Change Password
+                </h2>
+                <input
+                    type="password"
+                    required
+                    autoComplete="current-password"
+                    className={inputClass}
+                    value={passwords.current}
+                    onChange={(e) => setPasswords({ ...passwords, current: e.target.value })}
+                    placeholder="Current password"
+                />
+                <input
+                    type="password"
+                    required
+                    autoComplete="new-password"
+                    minLength={8}
+                    className={inputClass}
+                    value={passwords.next}
+                    onChange={(e) => setPasswords({ ...passwords, next: e.target.value })}
+                    placeholder="New password (8+ characters, letters and numbers)"
+                />
+                {message && (
+                    <div className="p-4 rounded-2xl font-black text-[10px] tracking-[0.2em] text-center uppercase bg-green-50 text-green-600 border-2 border-green-100">
+                        {message}
+                    </div>
+                )}
+                <button
+                    type="submit"
+                    disabled={saving}
+                    className="w-full bg-gray-900 text-white p-4 rounded-[1.5rem] font-black text-xs uppercase tracking-[0.3em] disabled:opacity-50"
+                >
+                    {saving ? 'Updating...' : 'Update Password'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default AccountSecurity;
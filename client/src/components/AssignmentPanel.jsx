@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { UserPlus, X, Check } from 'lucide-react';
+
+const ASSIGNMENT_STYLES = {
+    Assigned: 'bg-yellow-100 text-yellow-700 border-yellow-200',
+    Accepted: 'bg-green-100 text-green-700 border-green-200',
+    Declined: 'bg-gray-100 text-gray-400 border-gray-200 line-through'
+};
+
+/**
+ * Dispatch controls for a single incident card.
+ * Admins see the roster and can assign/stand down responders;
+ * the assigned responder sees accept/decline for their own assignment.
+ */
+const AssignmentPanel = ({ incident, user, responders = [], onAssign, onUnassign, onRespond }) => {
+    const [selected, setSelected] = useState('');
+    const assignments = incident.assignments || [];
+
+    // --- RESPONDER VIEW ---
+    if (user.role === 'responder') {
+        const mine = assignments.find(a => a.responder?.toString() === user._id?.toString());
+        if (!mine || mine.status !== 'Assigned') return null;
+
+        return (
+            <div className="mt-8 pt-6 border-t border-gray-200/50">
+                <span className="block text-[8px] sm:text-[10px] font-black text-gray-400 uppercase mb-3 tracking-[0.3em] text-center sm:text-left">DISPATCH: YOU HAVE BEEN ASSIGNED</span>
+                <div className="grid grid-cols-2 gap-2 sm:gap-3">
+                    <button
+                        onClick={() => onRespond(incident._id, 'accept')}
+                        className="px-4 py-2 sm:px-5 sm:py-3 text-[9px] sm:text-[10px] font-black rounded-xl transition-all border-2 bg-green-600 text-white border-green-600 shadow-xl flex items-center justify-center gap-2"
+                    >
+                        <Check size={14} /> ACCEPT
+                    </button>
+                    <button
+                        onClick={() => onRespond(incident._id, 'decline')}
+                        className="px-4 py-2 sm:px-5 sm:py-3 text-[9px] sm:text-[10px] font-black rounded-xl transition-all border-2 bg-white border-gray-100 text-gray-500 hover:border-gray-400 flex items-center justify-center gap-2"
+                    >
+                        <X size={14} /> DECLINE
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    if (user.role !== 'admin') return null;
+
+    // --- ADMIN VIEW ---
+    const available = responders.filter(r =>
+        !assignments.some(a => a.responder?.toString() === r._id.toString() && a.status !== 'Declined')
+    );
+
+    return (
+        <div className="mt-8 pt-6 border-t border-gray-200/50">
+            <span className="block text-[8px] sm:text-[10px] font-black text-gray-400 uppercase mb-3 tracking-[0.3em] text-center sm:text-left">COMMAND: DISPATCH RESPONDERS</span>
+
+            {assignments.length > 0 && (
+                <div className="flex flex-wrap gap-2 mb-3">
+                    {assignments.map(a => (
+                        <span key={a.responder} className={`flex items-center gap-1 text-[9px] sm:text-[10px] font-black uppercase px-2 py-1 rounded-lg border ${ASSIGNMENT_STYLES[a.status]}`}>
+                            {a.responderName} · {a.status}
+                            <button onClick={() => onUnassign(incident._id, a.responder)} title="Stand Down" className="ml-1 hover:text-emergency-red">
+                                <X size={12} />
+                            </button>
+                        </span>
+                    ))}
+                </div>
+            )}
+
+            <div className="flex gap-2">
+                <select
+                    value={selected}
+                    onChange={(e) => setSelected(e.target.value)}
+                    className="flex-1 min-w-0 px-4 py-2 sm:py-3 bg-white border-2 border-gray-100 rounded-xl font-bold text-[10px] sm:text-xs text-gray-700 outline-none focus:border-emergency-red"
+                >
+                    <option value="">{available.length ? 'Select responder...' : 'No responders available'}</option>
+                    {available.map(r => (
+                        <option key={r._id} value={r._id}>{r.name}</option>
+                    ))}
+                </select>
+                <button
+                    disabled={!selected}
+                    onClick={() => { onAssign(incident._id, [selected]); setSelected(''); }}
+                    className="shrink-0 px-4 py-2 sm:py-3 bg-gray-900 text-white rounded-xl font-black text-[9px] sm:text-[10px] tracking-widest uppercase flex items-center gap-2 disabled:opacity-30"
+                >
+                    <UserPlus size={14} /> ASSIGN
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default AssignmentPanel;
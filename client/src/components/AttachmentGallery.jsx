@@ -0,0 +1,83 @@
+import { useRef } from 'react';
+import { Camera, Film } from 'lucide-react';
+import { attachIncidentMedia, attachmentUrl } from '../services/api';
+import { queueAttachments } from '../services/db';
+import { requestSync } from '../services/sync';
+
+/**
+ * Scene photos/videos for one incident, with an "add media" control.
+ * Media picked while offline is queued in IndexedDB and uploaded by background sync.
+ */
+const AttachmentGallery = ({ incident, canAttach, onUpdated, triggerError }) => {
+    const inputRef = useRef(null);
+    const attachments = incident.attachments || [];
+    const isServerIncident = !incident.isOptimistic && !incident.isLocal;
+
+    const handleFiles = async (e) => {
+        const files = Array.from(e.target.files).slice(0, 5);
+        e.target.value = '';
+        if (files.length === 0) return;
+
+        try {
+            const res = await attachIncidentMedia(incident._id, files);
+            onUpdated(res.data.data.incident);
+        } catch (err) {
+            const isOffline = !navigator.onLine || !err.response || err.response.status === 503;
+            if (isOffline) {
+                await queueAttachments({ incidentId: incident._id, files });
+                requestSync();
+                triggerError(`${files.length} FILE(S) QUEUED. WILL UPLOAD WHEN ONLINE.`);
+            } else {
+                triggerError(`UPLOAD FAILED: ${err.response?.data?.message || 'Connection lost.'}`);
+            }
+        }
+    };
+
+    if (attachments.length === 0 && !(canAttach && isServerIncident) && !incident.pendingMedia) return null;
+
+    return (
+        <div className="bg-white/60 p-3 sm:p-5 rounded-xl sm:rounded-2xl border border-white/50 shadow-inner">
+            <span className="font-black uppercase text-[8px] sm:text-[10px] text-gray-400 block mb-2 tracking-[0.2em]">SCENE MEDIA</span>
+            <div className="flex flex-wrap gap-2">
+                {attachments.map(a => (
+                    <a
+                        key={a._id}
+                        href={attachmentUrl(incident._id, a._id)}
+                        target="_blank"
+                        rel="noreferrer"
+                        className="w-16 h-16 sm:w-20 sm:h-20 rounded-xl overflow-hidden bg-gray-200 flex items-center justify-center border border-gray-100"
+                        title={a.originalName}
+                    >
+                        {a.kind === 'image' ? (
+                            <img src={attachmentUrl(incident._id, a._id, 'thumbnail')} alt={a.originalName} className="w-full h-full object-cover" loading="lazy" />
+                        ) : (
+                            <Film size={24} className="text-gray-500" />
+                        )}
+                    </a>
+                ))}
+
+                {incident.pendingMedia > 0 && (
+                    <span className="w-16 h-16 sm:w-20 sm:h-20 rounded-xl bg-orange-50 border border-orange-100 flex items-center justify-center text-[8px] font-black text-orange-500 uppercase text-center p-1">
+                        {incident.pendingMedia} QUEUED
+                    </span>
+                )}
+
+                {canAttach && isServerIncident && (
+                    <>
+                        <button
+                            onClick={() => inputRef.current?.click()}
+                            className="w-16 h-16 sm:w-20 sm:h-20 rounded-xl border-2 border-dashed border-gray-300 text-gray-400 hover:text-emergency-red hover:border-emergency-red flex flex-col items-center justify-center gap-1 transition-all"
+                            title="Attach Photo / Video"
+                        >
+                            <Camera size={20} />
+                            <span className="text-[7px] font-black uppercase tracking-widest">ADD</span>
+                        </button>
+                        <input ref={inputRef} type="file" accept="image/*,video/*" multiple className="hidden" onChange={handleFiles} />
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AttachmentGallery;
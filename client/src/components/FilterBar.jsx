@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import { Search, SlidersHorizontal, X } from 'lucide-react';
+import { SEVERITY_LEVELS } from '../utils/triage';
+
+const STATUSES = ['Pending', 'In Progress', 'Resolved'];
+const TYPES = ['Fire', 'Medical', 'Flood', 'Accident', 'Other'];
+
+const EMPTY_FILTERS = { q: '', status: '', type: '', severity: '', from: '', to: '', reporter: '' };
+
+const selectClass = "px-3 py-2 bg-gray-50 border-2 border-transparent rounded-xl font-bold text-[10px] sm:text-xs text-gray-700 outline-none focus:bg-white focus:border-emergency-red";
+
+/**
+ * Search + filter controls for incident listings.
+ * Emits only the filters that are set, in the API's query-parameter shape.
+ */
+const FilterBar = ({ onApply, reporters }) => {
+    const [draft, setDraft] = useState(EMPTY_FILTERS);
+    const [expanded, setExpanded] = useState(false);
+
+    const apply = (next) => {
+        setDraft(next);
+        // Dates are sent as whole days: "to" includes the entire selected day
+        const params = Object.fromEntries(Object.entries(next).filter(([, v]) => v !== ''));
+        if (params.from) params.from = new Date(`${params.from}T00:00:00`).toISOString();
+        if (params.to) params.to = new Date(`${params.to}T23:59:59.999`).toISOString();
+        onApply(params);
+    };
+
+    const update = (key) => (e) => apply({ ...draft, [key]: e.target.value });
+    const activeCount = Object.entries(draft).filter(([k, v]) => k !== 'q' && v !== '').length;
+
+    return (
+        <div className="space-y-3 mb-4">
+            <form
+                onSubmit={(e) => { e.preventDefault(); apply(draft); }}
+                className="flex gap-2"
+            >
+                <div className="relative flex-1 min-w-0">
+                    <Search size={16} className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-300" />
+                    <input
+                        type="search"
+                        value={draft.q}
+                        onChange={(e) => setDraft({ ...draft, q: e.target.value })}
+                        placeholder="Search title or description..."
+                        className="w-full pl-10 pr-4 py-3 bg-gray-50 border-2 border-transparent rounded-xl focus:bg-white focus:border-emergency-red outline-none font-bold text-xs text-gray-800 placeholder-gray-300"
+                    />
+                </div>
+                <button
+                    type="button"
+                    onClick={() => setExpanded(!expanded)}
+                    className={`shrink-0 px-4 rounded-xl font-black text-[10px] tracking-widest uppercase flex items-center gap-2 transition-all ${expanded || activeCount ? 'bg-gray-900 text-white' : 'bg-gray-50 text-gray-400'}`}
+                >
+                    <SlidersHorizontal size={14} /> {activeCount > 0 ? activeCount : 'FILTER'}
+                </button>
+            </form>
+
+            {expanded && (
+                <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 animate-fade-in">
+                    <select value={draft.status} onChange={update('status')} className={selectClass}>
+                        <option value="">Any status</option>
+                        {STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+                    </select>
+                    <select value={draft.type} onChange={update('type')} className={selectClass}>
+                        <option value="">Any type</option>
+                        {TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                    </select>
+                    <select value={draft.severity} onChange={update('severity')} className={selectClass}>
+                        <option value="">Any severity</option>
+                        {SEVERITY_LEVELS.map(level => <option key={level.value} value={level.value}>{level.label}</option>)}
+                    </select>
+                    <input type="date" value={draft.from} onChange={update('from')} className={selectClass} title="From date" />
+                    <input type="date" value={draft.to} onChange={update('to')} className={selectClass} title="To date" />
+                    {reporters && (
+                        <select value={draft.reporter} onChange={update('reporter')} className={selectClass}>
+                            <option value="">Any reporter</option>
+                            {reporters.map(r => <option key={r._id} value={r._id}>{r.name} ({r.email})</option>)}
+                        </select>
+                    )}
+                    {(activeCount > 0 || draft.q) && (
+                        <button
+                            type="button"
+                            onClick={() => apply(EMPTY_FILTERS)}
+                            className="col-span-2 sm:col-span-3 py-2 rounded-xl bg-red-50 text-emergency-red font-black text-[10px] tracking-widest uppercase flex items-center justify-center gap-2"
+                        >
+                            <X size={12} /> CLEAR FILTERS
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FilterBar;
@@ -0,0 +1,201 @@
+import { useState } from 'react';
+import { Upload, CheckCircle, AlertTriangle, Copy } from 'lucide-react';
+import { importIncidents } from '../services/api';
+
+const inputClass = "w-full p-3 bg-gray-50 border-2 border-transparent rounded-xl focus:bg-white focus:border-emergency-red outline-none font-bold text-xs text-gray-800 placeholder-gray-300";
+
+// Labels for the incident fields a column can feed (see server/utils/incidentImport)
+const FIELD_LABELS = {
+    externalId: 'Partner id',
+    title: 'Title',
+    description: 'Description',
+    type: 'Type',
+    severity: 'Severity',
+    status: 'Status',
+    latitude: 'Latitude',
+    longitude: 'Longitude',
+    location: 'Location ("lat, lng")',
+    address: 'Address',
+    reportedAt: 'Reported at',
+    reporter: 'Reporter'
+};
+
+const OUTCOME_STYLES = {
+    ready: 'text-green-600',
+    imported: 'text-green-600',
+    duplicate: 'text-amber-600',
+    invalid: 'text-emergency-red'
+};
+
+// Rows listed under the summary; the full report stays on the server
+const MAX_LISTED_ROWS = 50;
+
+/**
+ * Bulk import of partner incident lists (CSV or GeoJSON, uploaded or fetched
+ * from a feed URL). Every run starts as a dry-run preview: the admin checks the
+ * suggested column mapping and the per-row report, then confirms the import.
+ */
+const ImportPanel = ({ triggerError, onImported }) => {
+    const [file, setFile] = useState(null);
+    const [url, setUrl] = useState('');
+    const [source, setSource] = useState('');
+    const [mapping, setMapping] = useState(null); // null until the first preview suggests one
+    const [report, setReport] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const run = async (dryRun, nextMapping = mapping) => {
+        setBusy(true);
+        try {
+            const res = await importIncidents({
+                file: file || undefined,
+                url: file ? undefined : url.trim() || undefined,
+                source: source.trim(),
+                mapping: nextMapping || undefined,
+                dryRun
+            });
+            const data = res.data.data;
+            setReport(data);
+            setMapping(data.mapping);
+            if (!dryRun) onImported?.(data);
+        } catch (err) {
+            triggerError(err.response?.data?.message || "IMPORT FAILED.");
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    // A new file or feed starts over with a fresh suggested mapping
+    const reset = () => {
+        setMapping(null);
+        setReport(null);
+    };
+
+    const updateMapping = (field, column) => {
+        const next = { ...mapping };
+        if (column) next[field] = column;
+        else delete next[field];
+        run(true, next);
+    };
+
+    const committed = report && !report.dryRun;
+    const listed = report ? report.rows.filter(row => row.outcome !== 'ready' && row.outcome !== 'imported').slice(0, MAX_LISTED_ROWS) : [];
+
+    return (
+        <div className="mt-4 p-5 sm:p-7 bg-white rounded-[2rem] shadow-2xl border border-gray-100 space-y-6">
+            <h4 className="flex items-center gap-2 text-[10px] font-black text-gray-400 uppercase tracking-[0.25em]">
+                <Upload size={14} /> Import partner incidents
+            </h4>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <input
+                    value={source}
+                    onChange={(e) => setSource(e.target.value)}
+                    placeholder="Source (partner agency or feed name)"
+                    className={inputClass}
+                />
+                <input
+                    type="file"
+                    accept=".csv,.geojson,.json"
+                    onChange={(e) => { setFile(e.target.files[0] || null); reset(); }}
+                    className={`${inputClass} file:mr-3 file:px-3 file:py-1 file:rounded-full file:border-0 file:bg-gray-900 file:text-white file:text-[10px] file:font-black`}
+                />
+                {!file && (
+                    <input
+                        value={url}
+                        onChange={(e) => { setUrl(e.target.value); reset(); }}
+                        placeholder="...or a feed URL (https://...csv or .geojson)"
+                        className={`${inputClass} sm:col-span-2`}
+                    />
+                )}
+            </div>
+
+            <button
+                onClick={() => run(true)}
+                disabled={busy || source.trim().length < 2 || (!file && !url.trim())}
+                className="w-full p-3 rounded-xl bg-gray-900 text-white font-black text-[10px] tracking-widest uppercase disabled:opacity-40"
+            >
+                {busy ? 'CHECKING...' : 'PREVIEW IMPORT (DRY RUN)'}
+            </button>
+
+            {report && (
+                <>
+                    {!committed && (
+                        <div>
+                            <p className="text-[10px] font-black text-gray-400 uppercase tracking-widest mb-3">Map columns to incident fields</p>
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                                {report.fields.map(field => (
+                                    <label key={field} className="flex items-center gap-2">
+                                        <span className="w-32 shrink-0 text-[10px] font-black text-gray-600 uppercase">{FIELD_LABELS[field] || field}</span>
+                                        <select
+                                            value={mapping?.[field] || ''}
+                                            onChange={(e) => updateMapping(field, e.target.value)}
+                                            disabled={busy}
+                                            className={inputClass}
+                                        >
+                                            <option value="">(not mapped)</option>
+                                            {report.columns.map(column => <option key={column} value={column}>{column}</option>)}
+                                        </select>
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {!committed && report.preview.length > 0 && (
+                        <div>
+                            <p className="text-[10px] font-black text-gray-400 uppercase tracking-widest mb-2">First records as they will be imported</p>
+                            <ul className="space-y-1">
+                                {report.preview.map((doc, index) => (
+                                    <li key={index} className="p-2 bg-gray-50 rounded-lg text-[10px] font-bold text-gray-600 truncate">
+                                        <span className="font-black text-gray-900">{doc.title || '(no title)'}</span>
+                                        {` · ${doc.type} · ${doc.severity || 'P3'} · ${doc.status || 'Pending'} · `}
+                                        {doc.address || (doc.location ? `${doc.location.coordinates[1]}, ${doc.location.coordinates[0]}` : 'no location')}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+
+                    <div className="flex flex-wrap gap-2">
+                        <span className="px-3 py-1 rounded-full bg-gray-900 text-white text-[10px] font-black uppercase tracking-widest">{report.counts.total} rows</span>
+                        <span className="px-3 py-1 rounded-full bg-green-100 text-green-700 text-[10px] font-black uppercase tracking-widest">
+                            {report.counts.imported} {committed ? 'imported' : 'ready'}
+                        </span>
+                        <span className="px-3 py-1 rounded-full bg-amber-100 text-amber-700 text-[10px] font-black uppercase tracking-widest">{report.counts.duplicate} duplicate</span>
+                        <span className="px-3 py-1 rounded-full bg-red-100 text-emergency-red text-[10px] font-black uppercase tracking-widest">{report.counts.invalid} invalid</span>
+                    </div>
+
+                    {listed.length > 0 && (
+                        <ul className="max-h-64 overflow-y-auto space-y-1">
+                            {listed.map(row => (
+                                <li key={row.row} className="flex gap-3 p-2 bg-gray-50 rounded-lg text-[10px]">
+                                    <span className="w-14 shrink-0 font-black text-gray-400">ROW {row.row}</span>
+                                    <span className={`w-16 shrink-0 font-black uppercase ${OUTCOME_STYLES[row.outcome]}`}>
+                                        {row.outcome === 'duplicate' ? <Copy size={12} className="inline" /> : <AlertTriangle size={12} className="inline" />} {row.outcome}
+                                    </span>
+                                    <span className="font-bold text-gray-600">{(row.problems || []).join('; ')}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {committed ? (
+                        <p className="flex items-center gap-2 text-[10px] font-black text-green-600 uppercase tracking-widest">
+                            <CheckCircle size={16} /> Import complete. Report saved as {report.batch}.
+                        </p>
+                    ) : (
+                        <button
+                            onClick={() => run(false)}
+                            disabled={busy || report.counts.imported === 0}
+                            className="w-full p-3 rounded-xl bg-emergency-red text-white font-black text-[10px] tracking-widest uppercase disabled:opacity-40"
+                        >
+                            {busy ? 'IMPORTING...' : `IMPORT ${report.counts.imported} RECORD(S)`}
+                        </button>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ImportPanel;
@@ -1,17 +1,26 @@
 import { useState } from 'react';
 import { reportIncident } from '../services/api';
-import { queueAction } from '../services/db';
-import { MapPin, AlertTriangle, FileText, User } from 'lucide-react';
+import { queueAction, queueAttachments } from '../services/db';
+import { requestSync } from '../services/sync';
+import { MapPin, AlertTriangle, FileText, User, Camera } from 'lucide-react';
 import DOMPurify from 'dompurify';
+import { toPoint, formatCoordinates } from '../utils/location';
+import { SEVERITY_LEVELS } from '../utils/triage';
+import { isValidationError } from '../utils/validation';
+import { newClientId } from '../utils/ids';
 
 const IncidentForm = ({ onSuccess, isOnline, user, setIncidents, triggerError }) => {
     // --- STATE MANAGEMENT ---
     const [formData, setFormData] = useState({
         title: '',
         type: 'Fire',
-        location: '',
+        severity: 'P3',
+        address: '',
         description: ''
     });
+    const [gpsPoint, setGpsPoint] = useState(null); // GeoJSON Point from the device, if captured
+    const [mediaFiles, setMediaFiles] = useState([]); // Photos/videos of the scene
+    const [stripGps, setStripGps] = useState(false);  // Remove EXIF location from photos before storing
     const [loading, setLoading] = useState(false);
     const [message, setMessage] = useState('');
 
@@ -22,23 +31,34 @@ const IncidentForm = ({ onSuccess, isOnline, user, setIncidents, triggerError })
      */
     const handleSubmit = async (e) => {
         e.preventDefault();
+        if (!gpsPoint && !formData.address.trim()) {
+            triggerError("LOCATION REQUIRED: Use GPS or enter an address.");
+            return;
+        }
         setLoading(true);
         setMessage('');
 
+        // Shared by the live request and any queued replay, so the server files the report once
+        const clientId = newClientId();
         const sanitizedData = {
+            clientId,
             title: DOMPurify.sanitize(formData.title),
             type: formData.type,
-            location: DOMPurify.sanitize(formData.location),
+            severity: formData.severity,
+            ...(gpsPoint && { location: gpsPoint }),
+            ...(formData.address.trim() && { address: DOMPurify.sanitize(formData.address) }),
             description: DOMPurify.sanitize(formData.description)
         };
 
-        const tempId = 'temp-' + Date.now();
+        const tempId = 'temp-' + clientId;
         const optimisticReport = {
             ...sanitizedData,
             _id: tempId,
             status: 'Syncing...',
             reporter: user.name,
+            reporterId: user._id,
             createdAt: new Date().toISOString(),
+            pendingMedia: mediaFiles.length,
             isOptimistic: true
         };
 
@@ -48,29 +68,33 @@ const IncidentForm = ({ onSuccess, isOnline, user, setIncidents, triggerError })
 
         if (isOnline) {
             try {
-                await reportIncident(sanitizedData);
+                await reportIncident(sanitizedData, mediaFiles, stripGps);
             } catch (err) {
                 console.error("REPORT FAIL:", err);
-                await queueAction('CREATE', { ...sanitizedData, createdAt: new Date().toISOString() });
-                registerSync();
+                if (isValidationError(err)) {
+                    // The server will never accept this payload; queueing it would retry forever
+                    setIncidents(prev => prev.filter(inc => inc._id !== tempId));
+                    triggerError(`REPORT REJECTED: ${err.response.data.message}`);
+                } else {
+                    await queueReport(sanitizedData);
+                }
             }
         } else {
-            await queueAction('CREATE', { ...sanitizedData, createdAt: new Date().toISOString() });
-            registerSync();
+            await queueReport(sanitizedData);
         }
         setLoading(false);
     };
 
     /**
-     * Registers a Background Sync event with the Service Worker.
-     * Ensures reports are sent even if the user closes the tab.
+     * Stores the report, and any media with it, for background sync.
+     * Media is linked to the queued action so it uploads once the report exists.
      */
-    const registerSync = () => {
-        if ('serviceWorker' in navigator && 'SyncManager' in window) {
-            navigator.serviceWorker.ready.then(registration => {
-                return registration.sync.register('sync-reports');
-            }).catch(err => console.log('SYNC REG FAILURE', err));
+    const queueReport = async (data) => {
+        const actionId = await queueAction('CREATE', { ...data, createdAt: new Date().toISOString() });
+        if (mediaFiles.length > 0) {
+            await queueAttachments({ actionId, files: mediaFiles, stripGps });
         }
+        requestSync();
     };
 
     /**
@@ -79,10 +103,7 @@ const IncidentForm = ({ onSuccess, isOnline, user, setIncidents, triggerError })
     const getLocation = () => {
         if (navigator.geolocation) {
             navigator.geolocation.getCurrentPosition((position) => {
-                setFormData({
-                    ...formData,
-                    location: `${position.coords.latitude.toFixed(4)}, ${position.coords.longitude.toFixed(4)}`
-                });
+                setGpsPoint(toPoint(position.coords));
             }, (err) => {
                 triggerError("GPS ACQUISITION FAILED. Please specify location manually.");
             });
@@ -104,6 +125,8 @@ const IncidentForm = ({ onSuccess, isOnline, user, setIncidents, triggerError })
                     <input
                         type="text"
                         required
+                        minLength={3}
+                        maxLength={120}
                         className="w-full p-4 bg-gray-50 border-2 border-transparent rounded-[1.5rem] focus:bg-white focus:border-emergency-red outline-none transition-all font-bold text-gray-800 placeholder-gray-300 shadow-inner"
                         value={formData.title}
                         onChange={(e) => setFormData({ ...formData, title: e.target.value })}
@@ -112,6 +135,19 @@ const IncidentForm = ({ onSuccess, isOnline, user, setIncidents, triggerError })
                 </div>
 
                 <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+                    <div className="sm:col-span-2">
+                        <label className="text-[10px] font-black text-gray-400 uppercase tracking-[0.2em] mb-2 block">How Serious Is It?</label>
+                        <select
+                            className="w-full p-4 bg-gray-50 border-2 border-transparent rounded-[1.5rem] focus:bg-white focus:border-emergency-red outline-none font-bold text-gray-800 shadow-inner appearance-none cursor-pointer"
+                            value={formData.severity}
+                            onChange={(e) => setFormData({ ...formData, severity: e.target.value })}
+                        >
+                            {SEVERITY_LEVELS.map(level => (
+                                <option key={level.value} value={level.value}>{level.label}</option>
+                            ))}
+                        </select>
+                    </div>
+
                     <div>
                         <label className="text-[10px] font-black text-gray-400 uppercase tracking-[0.2em] mb-2 block">Emergency Type</label>
                         <select
@@ -134,11 +170,12 @@ const IncidentForm = ({ onSuccess, isOnline, user, setIncidents, triggerError })
                         <div className="flex gap-2 items-center">
                             <input
                                 type="text"
-                                required
+                                required={!gpsPoint}
+                                maxLength={300}
                                 className="flex-1 min-w-0 p-4 bg-gray-50 border-2 border-transparent rounded-[1.5rem] focus:bg-white focus:border-emergency-red outline-none font-bold text-gray-800 placeholder-gray-300 shadow-inner text-sm sm:text-base"
-                                value={formData.location}
-                                onChange={(e) => setFormData({ ...formData, location: e.target.value })}
-                                placeholder="Detecting or Manually Enter..."
+                                value={formData.address}
+                                onChange={(e) => setFormData({ ...formData, address: e.target.value })}
+                                placeholder={gpsPoint ? "Landmark / Address (Optional)" : "Address or Use GPS..."}
                             />
                             <button
                                 type="button"
@@ -149,6 +186,11 @@ const IncidentForm = ({ onSuccess, isOnline, user, setIncidents, triggerError })
                                 GPS
                             </button>
                         </div>
+                        {gpsPoint && (
+                            <p className="mt-2 ml-2 text-[10px] font-black text-green-600 uppercase tracking-widest">
+                                GPS LOCKED: {formatCoordinates(gpsPoint)}
+                            </p>
+                        )}
                     </div>
                 </div>
 
@@ -158,6 +200,7 @@ const IncidentForm = ({ onSuccess, isOnline, user, setIncidents, triggerError })
                     </label>
                     <textarea
                         required
+                        maxLength={2000}
                         rows="5"
                         className="w-full p-6 bg-gray-50 border-2 border-transparent rounded-[2rem] focus:bg-white focus:border-emergency-red outline-none transition-all font-bold text-gray-800 placeholder-gray-300 shadow-inner resize-none"
                         value={formData.description}
@@ -167,6 +210,25 @@ const IncidentForm = ({ onSuccess, isOnline, user, setIncidents, triggerError })
                 </div>
             </div>
 
+            <div>
+                <label className="text-[10px] font-black text-gray-400 uppercase tracking-[0.2em] mb-2 flex items-center gap-2">
+                    <Camera size={14} className="text-emergency-red" /> Photos / Video
+                </label>
+                <input
+                    type="file"
+                    accept="image/*,video/*"
+                    multiple
+                    onChange={(e) => setMediaFiles(Array.from(e.target.files).slice(0, 5))}
+                    className="w-full p-4 bg-gray-50 rounded-[1.5rem] font-bold text-xs text-gray-500 shadow-inner file:mr-4 file:px-4 file:py-2 file:rounded-xl file:border-0 file:bg-emergency-red file:text-white file:font-black file:uppercase file:text-[10px]"
+                />
+                {mediaFiles.length > 0 && (
+                    <label className="mt-3 ml-2 flex items-center gap-2 text-[10px] font-black text-gray-500 uppercase tracking-widest cursor-pointer">
+                        <input type="checkbox" checked={stripGps} onChange={(e) => setStripGps(e.target.checked)} />
+                        Remove GPS data from photos
+                    </label>
+                )}
+            </div>
+
             {message && (
                 <div className={`p-5 rounded-2xl font-black text-[10px] tracking-[0.2em] text-center uppercase animate-fade-in-up border-2 ${message.includes('Error') || message.includes('OFFLINE') || message.includes('TIMEOUT') ? 'bg-orange-50 text-orange-600 border-orange-100' : 'bg-green-50 text-green-600 border-green-100'}`}>
                     {message}
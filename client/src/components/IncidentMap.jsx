@@ -0,0 +1,113 @@
+import { useEffect, useMemo, useRef } from 'react';
+import L from 'leaflet';
+import 'leaflet.markercluster';
+import 'leaflet/dist/leaflet.css';
+import 'leaflet.markercluster/dist/MarkerCluster.css';
+import 'leaflet.markercluster/dist/MarkerCluster.Default.css';
+
+// Tiles the service worker keeps for offline use (see public/sw.js); CORS so it can cache real responses
+const TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+// Fill by status, ring by type, matching the card borders
+const STATUS_COLORS = { Pending: '#f97316', 'In Progress': '#3b82f6', Resolved: '#16a34a' };
+const TYPE_STYLES = {
+    Fire: { color: '#dc2626', glyph: 'F' },
+    Medical: { color: '#db2777', glyph: 'M' },
+    Flood: { color: '#0891b2', glyph: 'W' },
+    Accident: { color: '#ca8a04', glyph: 'A' },
+    Other: { color: '#4b5563', glyph: '?' }
+};
+
+const markerIcon = (incident) => {
+    const fill = STATUS_COLORS[incident.status] || STATUS_COLORS.Pending;
+    const { color, glyph } = TYPE_STYLES[incident.type] || TYPE_STYLES.Other;
+    return L.divIcon({
+        className: '',
+        iconSize: [28, 28],
+        iconAnchor: [14, 14],
+        html: `<div style="width:28px;height:28px;border-radius:9999px;background:${fill};border:4px solid ${color};color:#fff;font:900 11px/20px sans-serif;text-align:center;box-shadow:0 2px 6px rgba(0,0,0,.35)">${glyph}</div>`
+    });
+};
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+/**
+ * Live map of the incidents the dashboard shows. Markers cluster when zoomed
+ * out; clicking one hands the incident id to `onSelect`. Incidents without GPS
+ * (address only, or not yet synced) are left off and counted below the map.
+ */
+const IncidentMap = ({ incidents, onSelect }) => {
+    const containerRef = useRef(null);
+    const mapRef = useRef(null);
+    const clusterRef = useRef(null);
+    const fittedRef = useRef(false); // Frame the markers once, then leave the view to the user
+    const onSelectRef = useRef(onSelect);
+
+    useEffect(() => {
+        onSelectRef.current = onSelect;
+    }, [onSelect]);
+
+    useEffect(() => {
+        const map = L.map(containerRef.current, { worldCopyJump: true }).setView([20, 0], 2);
+        L.tileLayer(TILE_URL, { maxZoom: 19, attribution: TILE_ATTRIBUTION, crossOrigin: true }).addTo(map);
+        const cluster = L.markerClusterGroup({ showCoverageOnHover: false, maxClusterRadius: 50 });
+        map.addLayer(cluster);
+        mapRef.current = map;
+        clusterRef.current = cluster;
+        return () => {
+            map.remove();
+            mapRef.current = null;
+            clusterRef.current = null;
+            fittedRef.current = false;
+        };
+    }, []);
+
+    const mapped = useMemo(() => incidents.filter(i => Array.isArray(i.location?.coordinates)), [incidents]);
+
+    // Rebuilt on every change; socket updates arrive through `incidents`
+    useEffect(() => {
+        const cluster = clusterRef.current;
+        if (!cluster) return;
+        cluster.clearLayers();
+        const markers = mapped.map((incident) => {
+            const [lng, lat] = incident.location.coordinates;
+            return L.marker([lat, lng], { icon: markerIcon(incident), title: incident.title })
+                .bindTooltip(`<b>${escapeHtml(incident.title || 'SOS')}</b><br/>${escapeHtml(incident.type)} · ${escapeHtml(incident.status)}`)
+                .on('click', () => onSelectRef.current(incident._id));
+        });
+        cluster.addLayers(markers);
+
+        if (!fittedRef.current && markers.length > 0) {
+            mapRef.current.fitBounds(cluster.getBounds(), { padding: [30, 30], maxZoom: 15 });
+            fittedRef.current = true;
+        }
+    }, [mapped]);
+
+    const unmapped = incidents.length - mapped.length;
+
+    return (
+        <div>
+            <div ref={containerRef} className="h-[60vh] min-h-[320px] rounded-2xl sm:rounded-3xl overflow-hidden border-2 border-gray-100 z-0" />
+            <div className="flex flex-wrap items-center gap-3 sm:gap-5 mt-4 text-[9px] sm:text-[10px] font-black uppercase tracking-widest text-gray-400">
+                {Object.entries(STATUS_COLORS).map(([status, color]) => (
+                    <span key={status} className="flex items-center gap-1.5">
+                        <span className="w-3 h-3 rounded-full" style={{ background: color }} /> {status}
+                    </span>
+                ))}
+                {Object.entries(TYPE_STYLES).map(([type, { color, glyph }]) => (
+                    <span key={type} className="flex items-center gap-1.5">
+                        <span className="w-3 h-3 rounded-full border-2 text-[7px] leading-[8px] text-center" style={{ borderColor: color, color }}>{glyph}</span> {type}
+                    </span>
+                ))}
+            </div>
+            {unmapped > 0 && (
+                <p className="mt-3 text-[9px] sm:text-[10px] font-bold text-gray-400 uppercase tracking-widest">
+                    {unmapped} incident(s) without GPS are listed in MY VIEW only
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default IncidentMap;
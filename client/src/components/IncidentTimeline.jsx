@@ -0,0 +1,112 @@
+import { useState, useEffect } from 'react';
+import { History, Send } from 'lucide-react';
+import DOMPurify from 'dompurify';
+import { getIncidentHistory, addIncidentNote } from '../services/api';
+
+/**
+ * Renders a single timeline event as a short sentence.
+ */
+const describeEvent = (event) => {
+    const data = event.data || {};
+    switch (event.type) {
+        case 'created': return 'Report created';
+        case 'imported': return `Imported from ${data.source}${data.externalId ? ` (id ${data.externalId})` : ''}`;
+        case 'status_changed': return `Status ${data.from} → ${data.to}`;
+        case 'severity_changed': return `Severity ${data.from} → ${data.to}`;
+        case 'assigned': return `Assigned ${(data.names || []).join(', ')}`;
+        case 'unassigned': return `Stood down ${(data.names || []).join(', ')}`;
+        case 'assignment_accepted': return 'Accepted the assignment';
+        case 'assignment_declined': return 'Declined the assignment';
+        case 'note_added': return data.text;
+        case 'attachment_added': return `Attached ${data.count} photo/video file(s)`;
+        case 'attachment_removed': return `Removed attachment ${data.name || ''}`.trim();
+        case 'duplicate_detected': return `Likely duplicate of "${data.title}"`;
+        case 'merged': return `Merged ${(data.titles || []).length} report(s) into this incident`;
+        case 'merged_into': return `Merged into "${data.title}"`;
+        case 'sos_repeated': return `Repeat SOS from the same spot (${data.count})`;
+        case 'flagged_spam': return `Marked as spam${data.blocked?.length ? `, blocked ${data.blocked.join(', ')}` : ''}`;
+        case 'blocked_ip': return 'Blocked the caller\'s IP address';
+        case 'unflagged_spam': return 'Spam mark removed';
+        case 'deleted': return 'Report deleted';
+        default: return event.type;
+    }
+};
+
+/**
+ * Incident detail: append-only audit timeline plus a note composer.
+ */
+const IncidentTimeline = ({ incidentId, triggerError }) => {
+    const [events, setEvents] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [note, setNote] = useState('');
+    const [unavailable, setUnavailable] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        getIncidentHistory(incidentId)
+            .then(res => { if (!cancelled) setEvents(res.data.data.events); })
+            .catch(() => { if (!cancelled) setUnavailable(true); })
+            .finally(() => { if (!cancelled) setLoading(false); });
+        return () => { cancelled = true; };
+    }, [incidentId]);
+
+    const handleAddNote = async (e) => {
+        e.preventDefault();
+        const text = DOMPurify.sanitize(note.trim());
+        if (!text) return;
+        try {
+            const res = await addIncidentNote(incidentId, text);
+            setEvents(prev => [...prev, res.data.data.event]);
+            setNote('');
+        } catch (err) {
+            triggerError(`NOTE FAILED: ${err.response?.data?.message || 'Connection lost.'}`);
+        }
+    };
+
+    return (
+        <div className="mt-6 bg-white/60 p-3 sm:p-5 rounded-xl sm:rounded-2xl border border-white/50 shadow-inner">
+            <span className="font-black uppercase text-[8px] sm:text-[10px] text-gray-400 mb-3 tracking-[0.2em] flex items-center gap-2">
+                <History size={12} /> INCIDENT TIMELINE
+            </span>
+
+            {loading ? (
+                <p className="text-[10px] font-black text-gray-300 uppercase tracking-widest animate-pulse">Loading history...</p>
+            ) : unavailable ? (
+                <p className="text-[10px] font-black text-orange-500 uppercase tracking-widest">History unavailable offline.</p>
+            ) : events.length === 0 ? (
+                <p className="text-[10px] font-black text-gray-300 uppercase tracking-widest italic">No recorded events.</p>
+            ) : (
+                <ol className="relative border-l-2 border-gray-200 ml-2 space-y-4">
+                    {events.map(event => (
+                        <li key={event._id} className="ml-4">
+                            <span className={`absolute -left-[7px] w-3 h-3 rounded-full border-2 border-white ${event.type === 'note_added' ? 'bg-blue-500' : event.type === 'deleted' ? 'bg-gray-400' : 'bg-emergency-red'}`} />
+                            <p className={`text-xs sm:text-sm text-gray-800 ${event.type === 'note_added' ? 'font-medium italic' : 'font-black'}`}>{describeEvent(event)}</p>
+                            <p className="text-[8px] sm:text-[9px] font-black text-gray-400 uppercase tracking-widest">
+                                {event.actorName} · {new Date(event.createdAt).toLocaleString()}
+                            </p>
+                        </li>
+                    ))}
+                </ol>
+            )}
+
+            <form onSubmit={handleAddNote} className="flex gap-2 mt-4">
+                <input
+                    type="text"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder="Add a field note..."
+                    className="flex-1 min-w-0 px-4 py-2 bg-white border-2 border-gray-100 rounded-xl font-bold text-xs text-gray-700 outline-none focus:border-emergency-red"
+                />
+                <button
+                    type="submit"
+                    disabled={!note.trim()}
+                    className="shrink-0 px-4 py-2 bg-gray-900 text-white rounded-xl font-black text-[9px] tracking-widest uppercase flex items-center gap-2 disabled:opacity-30"
+                >
+                    <Send size={12} /> NOTE
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default IncidentTimeline;
@@ -0,0 +1,35 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Infinite-scroll trigger placed after the last list item.
+ * Calls `onVisible` when it scrolls into view; also renders a manual
+ * button for browsers without IntersectionObserver.
+ */
+const LoadMoreSentinel = ({ onVisible, loading, hasMore }) => {
+    const ref = useRef(null);
+
+    useEffect(() => {
+        if (!hasMore || loading || !ref.current || !('IntersectionObserver' in window)) return;
+        const observer = new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting) onVisible();
+        }, { rootMargin: '200px' });
+        observer.observe(ref.current);
+        return () => observer.disconnect();
+    }, [onVisible, loading, hasMore]);
+
+    if (!hasMore) return null;
+
+    return (
+        <div ref={ref} className="text-center py-6">
+            <button
+                onClick={onVisible}
+                disabled={loading}
+                className="px-6 py-3 bg-gray-50 text-gray-400 rounded-xl font-black text-[10px] tracking-widest uppercase hover:bg-gray-100 disabled:animate-pulse"
+            >
+                {loading ? 'LOADING MORE...' : 'LOAD MORE'}
+            </button>
+        </div>
+    );
+};
+
+export default LoadMoreSentinel;
@@ -0,0 +1,159 @@
+import { useState, useEffect } from 'react';
+import { Bell, BellOff, MessageSquare } from 'lucide-react';
+import { getNotificationPreferences, updateNotificationPreferences, updateProfile } from '../services/api';
+import { isPushSupported, getPushSubscription, enablePush, disablePush } from '../services/push';
+
+const PREFERENCES = [
+    { key: 'statusUpdates', label: 'Status updates', hint: 'When an incident you reported or work on changes status' },
+    { key: 'assignments', label: 'Dispatch', hint: 'When you are assigned, stood down, or a dispatch is declined' }
+];
+
+/**
+ * Push notifications on this device plus which updates the account receives.
+ * Preferences apply to every subscribed device of the user. The phone number
+ * receives status updates by SMS, and SOS alerts while a responder is on duty.
+ */
+const NotificationSettings = ({ user, setUser, triggerError }) => {
+    const [subscribed, setSubscribed] = useState(false);
+    const [preferences, setPreferences] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [phone, setPhone] = useState(user.phone || '');
+    const supported = isPushSupported();
+
+    useEffect(() => {
+        let cancelled = false;
+        getPushSubscription()
+            .then(subscription => { if (!cancelled) setSubscribed(Boolean(subscription)); })
+            .catch(() => {});
+        getNotificationPreferences()
+            .then(res => { if (!cancelled) setPreferences(res.data.data.preferences); })
+            .catch(() => {});
+        return () => { cancelled = true; };
+    }, []);
+
+    const handleToggleDevice = async () => {
+        setBusy(true);
+        try {
+            if (subscribed) {
+                await disablePush();
+                setSubscribed(false);
+            } else if (await enablePush()) {
+                setSubscribed(true);
+            } else {
+                triggerError("NOTIFICATIONS ARE BLOCKED OR UNAVAILABLE.");
+            }
+        } catch {
+            triggerError("COULD NOT UPDATE NOTIFICATIONS.");
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleTogglePreference = async (key) => {
+        try {
+            const res = await updateNotificationPreferences({ [key]: preferences[key] === false });
+            setPreferences(res.data.data.preferences);
+        } catch (err) {
+            triggerError(err.response?.data?.message || "COULD NOT SAVE PREFERENCES.");
+        }
+    };
+
+    const saveProfile = async (profile, failure) => {
+        try {
+            const res = await updateProfile(profile);
+            setUser(res.data.data.user);
+            setPhone(res.data.data.user.phone || '');
+        } catch (err) {
+            triggerError(err.response?.data?.message || failure);
+        }
+    };
+
+    const handlePhoneSubmit = (e) => {
+        e.preventDefault();
+        saveProfile({ phone: phone.trim() }, "COULD NOT SAVE PHONE NUMBER.");
+    };
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg sm:text-2xl font-black text-gray-900 lowercase tracking-tight flex items-center gap-2">
+                    <Bell size={20} className="text-emergency-red" /> Notifications
+                </h2>
+                {supported && (
+                    <button
+                        onClick={handleToggleDevice}
+                        disabled={busy}
+                        className="text-[10px] font-black text-emergency-red uppercase tracking-widest bg-red-50 px-3 py-1 rounded-full hover:bg-red-100 disabled:opacity-50"
+                    >
+                        {subscribed ? 'Turn off on this device' : 'Turn on for this device'}
+                    </button>
+                )}
+            </div>
+            {!supported && (
+                <p className="flex items-center gap-2 text-[10px] font-black text-gray-400 uppercase tracking-widest mb-3">
+                    <BellOff size={14} /> This browser does not support push notifications
+                </p>
+            )}
+            {preferences && (
+                <div className="space-y-3">
+                    {PREFERENCES.map(({ key, label, hint }) => (
+                        <label key={key} className="flex items-center gap-4 p-4 bg-gray-50 rounded-2xl cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={preferences[key] !== false}
+                                onChange={() => handleTogglePreference(key)}
+                                className="w-5 h-5 accent-emergency-red"
+                            />
+                            <div className="flex-1 min-w-0">
+                                <p className="font-bold text-xs text-gray-800">{label}</p>
+                                <p className="text-[9px] font-black text-gray-400 uppercase tracking-widest mt-1">{hint}</p>
+                            </div>
+                        </label>
+                    ))}
+                </div>
+            )}
+
+            <form onSubmit={handlePhoneSubmit} className="mt-6 space-y-3">
+                <h3 className="text-[10px] font-black text-gray-400 uppercase tracking-widest flex items-center gap-2">
+                    <MessageSquare size={14} /> SMS (works without data)
+                </h3>
+                <div className="flex gap-3">
+                    <input
+                        type="tel"
+                        autoComplete="tel"
+                        className="flex-1 min-w-0 p-4 bg-gray-50 border-2 border-transparent rounded-[1.5rem] focus:bg-white focus:border-emergency-red outline-none font-bold text-gray-800 placeholder-gray-300 shadow-inner"
+                        value={phone}
+                        onChange={(e) => setPhone(e.target.value)}
+                        placeholder="+15551234567"
+                    />
+                    <button
+                        type="submit"
+                        disabled={phone.trim() === (user.phone || '')}
+                        className="bg-gray-900 text-white px-6 rounded-[1.5rem] font-black text-xs uppercase tracking-[0.2em] disabled:opacity-50"
+                    >
+                        Save
+                    </button>
+                </div>
+                {user.role === 'responder' && (
+                    <label className="flex items-center gap-4 p-4 bg-gray-50 rounded-2xl cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={Boolean(user.onDuty)}
+                            disabled={!user.phone}
+                            onChange={() => saveProfile({ onDuty: !user.onDuty }, "COULD NOT CHANGE DUTY STATUS.")}
+                            className="w-5 h-5 accent-emergency-red"
+                        />
+                        <div className="flex-1 min-w-0">
+                            <p className="font-bold text-xs text-gray-800">On duty</p>
+                            <p className="text-[9px] font-black text-gray-400 uppercase tracking-widest mt-1">
+                                {user.phone ? 'Receive SOS alerts by SMS' : 'Save a phone number first'}
+                            </p>
+                        </div>
+                    </label>
+                )}
+            </form>
+        </div>
+    );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,217 @@
+import { useState, useEffect, useRef } from 'react';
+import { BarChart3, Timer, Flame, MapPin } from 'lucide-react';
+import { getIncidentStats, getResponseTimeStats, getBusiestHourStats, getHotspotStats } from '../services/api';
+import { formatCoordinates } from '../utils/location';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Range presets; longer ranges are bucketed coarser so the chart stays readable
+const RANGES = [
+    { days: 7, label: '7 DAYS', interval: 'day' },
+    { days: 30, label: '30 DAYS', interval: 'day' },
+    { days: 90, label: '90 DAYS', interval: 'week' },
+    { days: 365, label: '1 YEAR', interval: 'month' }
+];
+
+const STATUS_BARS = [
+    { key: 'Pending', color: 'bg-orange-500' },
+    { key: 'In Progress', color: 'bg-blue-500' },
+    { key: 'Resolved', color: 'bg-green-600' }
+];
+
+const formatDuration = (ms) => {
+    if (ms === null || ms === undefined) return '—';
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+const formatPeriod = (period, interval) => new Date(period).toLocaleDateString(undefined,
+    interval === 'month' ? { month: 'short', year: '2-digit' } : { month: 'short', day: 'numeric' });
+
+const SectionTitle = ({ icon, children }) => (
+    <h4 className="flex items-center gap-2 text-[10px] font-black text-gray-400 uppercase tracking-[0.25em] mb-4">
+        {icon} {children}
+    </h4>
+);
+
+/**
+ * Admin analytics from /api/stats: reports over time by status, mean response
+ * times, busiest hours and hotspot areas, for a chosen range. Charts are plain
+ * bars scaled to the largest value shown.
+ */
+const StatsPanel = ({ triggerError }) => {
+    const [range, setRange] = useState(RANGES[1]);
+    const [stats, setStats] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const triggerErrorRef = useRef(triggerError); // The dashboard's handler changes every render
+
+    useEffect(() => {
+        triggerErrorRef.current = triggerError;
+    }, [triggerError]);
+
+    useEffect(() => {
+        let cancelled = false;
+        const to = new Date();
+        const params = {
+            from: new Date(to.getTime() - range.days * DAY_MS).toISOString(),
+            to: to.toISOString(),
+            tz: Intl.DateTimeFormat().resolvedOptions().timeZone
+        };
+        Promise.all([
+            getIncidentStats({ ...params, interval: range.interval }),
+            getResponseTimeStats(params),
+            getBusiestHourStats(params),
+            getHotspotStats(params)
+        ])
+            .then(([counts, times, hours, spots]) => {
+                if (cancelled) return;
+                setStats({
+                    counts: counts.data.data,
+                    times: times.data.data,
+                    hours: hours.data.data,
+                    hotspots: spots.data.data.hotspots
+                });
+            })
+            .catch(err => { if (!cancelled) triggerErrorRef.current(err.response?.data?.message || "COULD NOT LOAD STATISTICS."); })
+            .finally(() => { if (!cancelled) setLoading(false); });
+        return () => { cancelled = true; };
+    }, [range]);
+
+    const selectRange = (option) => {
+        if (option.days === range.days) return;
+        setLoading(true);
+        setRange(option);
+    };
+
+    const series = stats?.counts.byStatus.series || [];
+    const maxPeriod = Math.max(1, ...series.map(p => Object.values(p.counts).reduce((a, b) => a + b, 0)));
+    const maxHour = Math.max(1, ...(stats?.hours.hours || []).map(h => h.count));
+
+    return (
+        <div className="mt-4 p-5 sm:p-7 bg-white rounded-[2rem] shadow-2xl border border-gray-100">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+                <SectionTitle icon={<BarChart3 size={14} />}>Incident Analytics</SectionTitle>
+                <div className="flex gap-1">
+                    {RANGES.map(option => (
+                        <button
+                            key={option.days}
+                            onClick={() => selectRange(option)}
+                            className={`px-3 py-1 rounded-full text-[9px] font-black tracking-widest ${range.days === option.days ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-400 hover:bg-gray-200'}`}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {!stats ? (
+                <p className="text-center py-10 text-[10px] font-black text-gray-300 uppercase tracking-widest animate-pulse">Loading statistics...</p>
+            ) : (
+                <div className={`space-y-8 ${loading ? 'opacity-50' : ''}`}>
+                    {/* Totals */}
+                    <div className="flex flex-wrap gap-2">
+                        <span className="px-3 py-1 rounded-full bg-gray-900 text-white text-[10px] font-black uppercase tracking-widest">{stats.counts.total} reports</span>
+                        {Object.entries(stats.counts.byType.totals).map(([type, count]) => (
+                            <span key={type} className="px-3 py-1 rounded-full bg-gray-100 text-gray-600 text-[10px] font-black uppercase tracking-widest">{type} {count}</span>
+                        ))}
+                    </div>
+
+                    {/* Reports over time, stacked by status */}
+                    <div>
+                        <SectionTitle icon={<BarChart3 size={14} />}>Reports per {stats.counts.interval} by status</SectionTitle>
+                        {series.length === 0 ? (
+                            <p className="text-xs text-gray-400 italic">No reports in this range.</p>
+                        ) : (
+                            <div className="flex items-end gap-1 h-40">
+                                {series.map(period => (
+                                    <div key={period.period} className="flex-1 min-w-0 h-full flex flex-col justify-end" title={`${formatPeriod(period.period, stats.counts.interval)}: ${STATUS_BARS.map(s => `${s.key} ${period.counts[s.key] || 0}`).join(', ')}`}>
+                                        {STATUS_BARS.map(({ key, color }) => (period.counts[key] ? (
+                                            <div key={key} className={color} style={{ height: `${(period.counts[key] / maxPeriod) * 100}%` }} />
+                                        ) : null))}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                        {series.length > 0 && (
+                            <div className="flex justify-between mt-2 text-[9px] font-bold text-gray-400 uppercase">
+                                <span>{formatPeriod(series[0].period, stats.counts.interval)}</span>
+                                <span>{formatPeriod(series[series.length - 1].period, stats.counts.interval)}</span>
+                            </div>
+                        )}
+                        <div className="flex gap-4 mt-3">
+                            {STATUS_BARS.map(({ key, color }) => (
+                                <span key={key} className="flex items-center gap-1.5 text-[9px] font-black text-gray-400 uppercase tracking-widest">
+                                    <span className={`w-3 h-3 rounded-full ${color}`} /> {key}
+                                </span>
+                            ))}
+                        </div>
+                    </div>
+
+                    {/* Mean response times */}
+                    <div>
+                        <SectionTitle icon={<Timer size={14} />}>Mean response time</SectionTitle>
+                        <div className="grid grid-cols-3 gap-2 sm:gap-4">
+                            {[
+                                ['Pending → In Progress', stats.times.pendingToInProgress],
+                                ['In Progress → Resolved', stats.times.inProgressToResolved],
+                                ['Reported → Resolved', stats.times.pendingToResolved]
+                            ].map(([label, stage]) => (
+                                <div key={label} className="p-3 sm:p-4 bg-gray-50 rounded-2xl">
+                                    <p className="text-[8px] sm:text-[9px] font-black text-gray-400 uppercase tracking-widest">{label}</p>
+                                    <p className="text-xl sm:text-2xl font-black text-gray-900">{formatDuration(stage.meanMs)}</p>
+                                    <p className="text-[8px] sm:text-[9px] font-bold text-gray-400 uppercase">{stage.count} report(s)</p>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+
+                    {/* Busiest hours */}
+                    <div>
+                        <SectionTitle icon={<Flame size={14} />}>Busiest hours</SectionTitle>
+                        <div className="flex items-end gap-0.5 h-24">
+                            {stats.hours.hours.map(({ hour, count }) => (
+                                <div key={hour} className="flex-1 h-full flex flex-col justify-end" title={`${hour}:00 - ${count} report(s)`}>
+                                    <div className="bg-emergency-red rounded-t" style={{ height: `${(count / maxHour) * 100}%` }} />
+                                </div>
+                            ))}
+                        </div>
+                        <div className="flex justify-between mt-2 text-[9px] font-bold text-gray-400">
+                            <span>00:00</span><span>06:00</span><span>12:00</span><span>18:00</span><span>23:00</span>
+                        </div>
+                    </div>
+
+                    {/* Hotspots */}
+                    <div>
+                        <SectionTitle icon={<MapPin size={14} />}>Hotspots (~1 km areas)</SectionTitle>
+                        {stats.hotspots.length === 0 ? (
+                            <p className="text-xs text-gray-400 italic">No reports with GPS in this range.</p>
+                        ) : (
+                            <ol className="space-y-2">
+                                {stats.hotspots.map((spot, index) => (
+                                    <li key={formatCoordinates(spot.location, 5)} className="flex items-center gap-3 p-3 bg-gray-50 rounded-xl">
+                                        <span className="w-6 text-center text-xs font-black text-gray-300">{index + 1}</span>
+                                        <div className="flex-1 min-w-0">
+                                            <p className="text-xs font-black text-gray-800 truncate">{spot.address || formatCoordinates(spot.location, 3)}</p>
+                                            <p className="text-[9px] font-bold text-gray-400 uppercase tracking-wider truncate">
+                                                {Object.entries(spot.types).map(([type, count]) => `${type} ${count}`).join(' · ')}
+                                            </p>
+                                        </div>
+                                        <span className="text-[10px] font-black text-gray-900">{spot.count}</span>
+                                        {spot.open > 0 && (
+                                            <span className="text-[9px] font-black text-orange-600 bg-orange-100 px-2 py-0.5 rounded-full uppercase">{spot.open} open</span>
+                                        )}
+                                    </li>
+                                ))}
+                            </ol>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default StatsPanel;
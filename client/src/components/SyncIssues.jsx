@@ -0,0 +1,96 @@
+import { AlertTriangle, RotateCcw, Trash2 } from 'lucide-react';
+import { retryDeadLetter, discardDeadLetter, resolveConflict } from '../services/sync';
+
+const describe = (letter) => {
+    const { record } = letter;
+    if (letter.kind === 'attachment') return `Upload: ${record.name}`;
+    if (record.type === 'CREATE') return `Report: ${record.payload.title}`;
+    if (record.type === 'UPDATE') return `Status -> ${record.payload.status}`;
+    return 'Deletion';
+};
+
+// What the server has now, for an offline edit that clashed with it
+const describeServerState = (incident) =>
+    incident ? `Now on server: ${incident.status}, ${incident.severity}` : 'Changed on server';
+
+/**
+ * Offline changes the server rejected for good (dead letters).
+ * Each can be sent again, e.g. after fixing the session, or discarded.
+ * Conflicts (an edit made against an outdated version) ask which side to keep.
+ */
+const SyncIssues = ({ deadLetters, onChanged, triggerError }) => {
+    if (deadLetters.length === 0) return null;
+
+    const handle = (action) => async (letter) => {
+        try {
+            await action(letter);
+            onChanged();
+        } catch {
+            triggerError("COULD NOT UPDATE THE SYNC QUEUE.");
+        }
+    };
+    const handleRetry = handle(retryDeadLetter);
+    const handleDiscard = handle(discardDeadLetter);
+    const handleKeepMine = handle(letter => resolveConflict(letter, true));
+    const handleKeepTheirs = handle(letter => resolveConflict(letter, false));
+
+    return (
+        <div className="mb-6 p-4 sm:p-5 bg-amber-50 border-2 border-amber-200 rounded-2xl sm:rounded-[2rem]">
+            <div className="flex items-center gap-2 mb-3">
+                <AlertTriangle size={16} className="text-amber-600" />
+                <span className="text-[10px] sm:text-xs font-black text-amber-700 uppercase tracking-widest">
+                    {deadLetters.length} offline change(s) could not be synced
+                </span>
+            </div>
+            <div className="space-y-2">
+                {deadLetters.map(letter => (
+                    <div key={letter.id} className="flex items-center gap-3 p-3 bg-white rounded-xl">
+                        <div className="flex-1 min-w-0">
+                            <p className="text-xs font-black text-gray-800 truncate">{describe(letter)}</p>
+                            <p className="text-[10px] font-bold text-gray-400 uppercase tracking-wider truncate">
+                                {letter.conflict
+                                    ? describeServerState(letter.serverState)
+                                    : `${letter.status ? `${letter.status} · ` : ''}${letter.error}`}
+                            </p>
+                        </div>
+                        {letter.conflict ? (
+                            <>
+                                <button
+                                    onClick={() => handleKeepMine(letter)}
+                                    className="text-[10px] font-black text-amber-700 uppercase tracking-widest bg-amber-100 px-3 py-1 rounded-full hover:bg-amber-200"
+                                >
+                                    Keep mine
+                                </button>
+                                <button
+                                    onClick={() => handleKeepTheirs(letter)}
+                                    className="text-[10px] font-black text-gray-500 uppercase tracking-widest bg-gray-100 px-3 py-1 rounded-full hover:bg-gray-200"
+                                >
+                                    Keep theirs
+                                </button>
+                            </>
+                        ) : (
+                            <>
+                                <button
+                                    onClick={() => handleRetry(letter)}
+                                    title="Retry"
+                                    className="p-2 text-amber-600 hover:bg-amber-50 rounded-full"
+                                >
+                                    <RotateCcw size={16} />
+                                </button>
+                                <button
+                                    onClick={() => handleDiscard(letter)}
+                                    title="Discard"
+                                    className="p-2 text-gray-400 hover:text-emergency-red hover:bg-red-50 rounded-full"
+                                >
+                                    <Trash2 size={16} />
+                                </button>
+                            </>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default SyncIssues;
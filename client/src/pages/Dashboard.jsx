@@ -1,21 +1,47 @@
-import { useState, useEffect } from 'react';
-import { Shield, LogOut, PlusCircle, List, AlertCircle, CheckCircle, Clock, Trash2, X, Users, UserPlus } from 'lucide-react';
-import { logout, getIncidents, getMyIncidents, updateIncidentStatus, reportIncident, deleteIncident, getUserCount, getAllUsers, deleteUserAccount } from '../services/api';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Shield, LogOut, PlusCircle, List, AlertCircle, CheckCircle, Clock, Trash2, X, Users, UserPlus, History, KeyRound, Ban, WifiOff, Map as MapIcon, BarChart3, Download, Upload } from 'lucide-react';
+import { logout, getMe, resendVerification, getIncidents, getMyIncidents, updateIncidentStatus, updateIncidentSeverity, reportIncident, deleteIncident, getUserCount, getAllUsers, updateUserRole, deleteUserAccount, getResponders, incidentExportUrl, mergeIncidents, flagSpam, unflagSpam, blockSpamIp, assignResponders, unassignResponder, acceptAssignment, declineAssignment } from '../services/api';
 import IncidentForm from '../components/IncidentForm';
+import AssignmentPanel from '../components/AssignmentPanel';
+import IncidentTimeline from '../components/IncidentTimeline';
+import IncidentMap from '../components/IncidentMap';
+import StatsPanel from '../components/StatsPanel';
+import ImportPanel from '../components/ImportPanel';
+import AttachmentGallery from '../components/AttachmentGallery';
 import StatusIndicator from '../components/StatusIndicator';
-import { getLocalReports, deleteLocalReport, saveCachedData, getCachedData } from '../services/db';
+import FilterBar from '../components/FilterBar';
+import AccountSecurity from '../components/AccountSecurity';
+import NotificationSettings from '../components/NotificationSettings';
+import LoadMoreSentinel from '../components/LoadMoreSentinel';
+import SyncIssues from '../components/SyncIssues';
+import { getLocalReports, deleteLocalReport, getCachedIncidents, syncIncidentCache } from '../services/db';
+import { loadSyncEngine, requestSync, onSyncMessage, getDeadLetters } from '../services/sync';
+import { disablePush } from '../services/push';
 import { io } from 'socket.io-client';
+import { toPoint, formatLocation } from '../utils/location';
+import { newClientId } from '../utils/ids';
+import { conflictingIncident } from '../utils/validation';
+import { SEVERITY_LEVELS, severityStyle, sortByTriage } from '../utils/triage';
+
+// Cards rendered per step of infinite scroll over the cached list
+const RENDER_PAGE_SIZE = 25;
 
 // Use current origin for socket; Vite proxy handles routing in dev, and relative works in prod
 const SOCKET_URL = window.location.origin;
 
 const Dashboard = ({ user, setUser }) => {
+    const [searchParams, setSearchParams] = useSearchParams();
+
     // --- STATE MANAGEMENT ---
     const [incidents, setIncidents] = useState([]); // List of emergency alerts
-    const [users, setUsers] = useState([]);         // List of registered citizens (Admin only)
+    const [users, setUsers] = useState([]);         // Every registered account (Admin only)
+    const [responders, setResponders] = useState([]); // Dispatchable responders (Admin only)
     const [userCount, setUserCount] = useState(0); // Total citizen count (Admin only)
+    const [showStats, setShowStats] = useState(false); // Analytics panel open (Admin only)
+    const [showImport, setShowImport] = useState(false); // Bulk import panel open (Admin only)
     const [showForm, setShowForm] = useState(false); // Toggle between History and New Report
-    const [currentView, setCurrentView] = useState('reports'); // Admin toggle: 'reports' or 'users'
+    const [currentView, setCurrentView] = useState('reports'); // 'reports', 'map', 'users' (Admin only) or 'security'
     const [isOnline, setIsOnline] = useState(navigator.onLine); // Network connectivity tracking
 
     // UI Feedback States
@@ -26,6 +52,12 @@ const Dashboard = ({ user, setUser }) => {
     const [realTimeEventToast, setRealTimeEventToast] = useState({ show: false, message: '' });
     const [errorToast, setErrorToast] = useState({ show: false, message: '' });
     const [deleteModal, setDeleteModal] = useState({ show: false, id: null, type: 'incident' });
+    const [expandedId, setExpandedId] = useState(null); // Incident whose timeline is open
+    const [nextCursor, setNextCursor] = useState(null); // Cursor for the next page of incidents, null when exhausted
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [shownCount, setShownCount] = useState(RENDER_PAGE_SIZE); // Cards rendered so far
+    const [deadLetters, setDeadLetters] = useState([]); // Offline changes the server rejected for good
+    const filtersRef = useRef({}); // Active listing filters; a ref so socket-triggered refreshes keep them
 
     /**
      * Global Error Handler
@@ -47,63 +79,75 @@ const Dashboard = ({ user, setUser }) => {
 
         fetchData(); // Load initial data from server
 
+        // --- OFFLINE QUEUE: drain it now and follow the sync engine's reports ---
+        refreshDeadLetters();
+        requestSync();
+        const stopSyncReports = onSyncMessage((message) => {
+            if (message.type === 'sync-result' && message.outcome === 'dead-letter') {
+                triggerError(message.conflict
+                    ? 'SYNC CONFLICT: AN OFFLINE CHANGE CLASHES WITH A NEWER ONE. RESOLVE IT ABOVE THE REPORTS.'
+                    : `SYNC FAILED: ${message.kind === 'attachment' ? 'media upload' : message.actionType} rejected by server`);
+            }
+            if (message.type === 'sync-complete') {
+                refreshDeadLetters();
+                if (message.synced > 0) syncRemoteData();
+            }
+        });
+
         // --- REAL-TIME SOCKET INTEGRATION ---
         const socket = io(SOCKET_URL, {
             withCredentials: true,
             transports: ['websocket', 'polling']
         });
 
+        let socketAuthRetried = false;
         socket.on('connect', () => {
             console.log('📡 SOCKET: Connected to Server');
+            socketAuthRetried = false;
             setSocketConnected(true);
         });
 
+        // Handshake refused (usually an expired access token): renew the session via the API once, then reconnect
+        socket.on('connect_error', async () => {
+            if (socketAuthRetried || socket.active) return;
+            socketAuthRetried = true;
+            try {
+                await getMe();
+                socket.connect();
+            } catch {
+                console.log('📡 SOCKET: Session could not be renewed');
+            }
+        });
+
         socket.on('disconnect', () => {
             console.log('📡 SOCKET: Disconnected');
             setSocketConnected(false);
         });
 
-        // Event: New incident reported by ANY user
+        // Event: New incident (server only sends our own reports, or everything to admins)
         socket.on('new_incident', (newIncident) => {
             console.log('📡 REAL-TIME: New Incident Received', newIncident);
 
             // Visual feedback for real-time receipt (Only if reported by someone else)
-            const isMe = newIncident.reporter && user.name &&
-                newIncident.reporter.trim().toLowerCase() === user.name.trim().toLowerCase();
+            const isMe = !!newIncident.reporterId && String(newIncident.reporterId) === String(user._id);
 
             if (!isMe) {
                 setRealTimeEventToast({ show: true, message: 'NEW EMERGENCY BROADCAST RECEIVED' });
                 setTimeout(() => setRealTimeEventToast({ show: false, message: '' }), 3000);
             }
 
-            // SECURITY FILTER: Citizens should only see their own reports in real-time
-            const reporterName = newIncident.reporter?.toString().trim().toLowerCase();
-            const myName = user.name?.toString().trim().toLowerCase();
-
-            if (user.role === 'admin' || reporterName === myName) {
-                setIncidents(prev => {
-                    // Check if we already have this incident (by real ID)
-                    if (prev.find(inc => inc._id?.toString() === newIncident._id?.toString())) return prev;
-
-                    // FILTER OUT OPTIMISTIC/LOCAL VERSIONS
-                    return [newIncident, ...prev.filter(inc => {
-                        const incTitle = inc.title?.toString().trim().toLowerCase();
-                        const newTitle = newIncident.title?.toString().trim().toLowerCase();
-                        const incReporter = inc.reporter?.toString().trim().toLowerCase();
-                        const newReporter = newIncident.reporter?.toString().trim().toLowerCase();
-
-                        // Match by title and reporter as a proxy for the 'same' report
-                        const isDuplicate = (inc.isOptimistic || inc.isLocal) &&
-                            incTitle === newTitle &&
-                            incReporter === newReporter;
-
-                        return !isDuplicate;
-                    })];
-                });
-            }
+            setIncidents(prev => {
+                // Check if we already have this incident (by real ID)
+                if (prev.find(inc => inc._id?.toString() === newIncident._id?.toString())) return prev;
+
+                // FILTER OUT OPTIMISTIC/LOCAL VERSIONS of the same report (same client-generated id)
+                return [newIncident, ...prev.filter(inc =>
+                    !((inc.isOptimistic || inc.isLocal) && inc.clientId && inc.clientId === newIncident.clientId)
+                )];
+            });
         });
 
-        // Event: Incident status updated by admin
+        // Event: Incident updated (status, severity or dispatch) - scoped to its audience
         socket.on('incident_updated', (updatedIncident) => {
             console.log('📡 REAL-TIME: Incident Updated', updatedIncident);
 
@@ -129,6 +173,33 @@ const Dashboard = ({ user, setUser }) => {
             setIncidents(prev => prev.filter(inc => inc._id.toString() !== deletedId.toString()));
         });
 
+        // Event: Dispatch assignment changed (sent only to the responders involved)
+        socket.on('assignment_updated', ({ action, incident }) => {
+            console.log('📡 REAL-TIME: Assignment', action, incident._id);
+            if (user.role !== 'responder') return;
+
+            const mine = incident.assignments?.find(a => a.responder?.toString() === user._id?.toString());
+            const stillMine = mine && mine.status !== 'Declined';
+
+            if (action === 'assigned') {
+                setRealTimeEventToast({ show: true, message: 'NEW DISPATCH ASSIGNMENT' });
+                setTimeout(() => setRealTimeEventToast({ show: false, message: '' }), 3000);
+            }
+
+            setIncidents(prev => {
+                const others = prev.filter(inc => inc._id.toString() !== incident._id.toString());
+                return stillMine ? [incident, ...others] : others;
+            });
+        });
+
+        // Event: An admin bulk-imported incidents; reload instead of receiving each one
+        socket.on('incidents_imported', ({ source, count }) => {
+            console.log('📡 REAL-TIME: Incidents Imported', source, count);
+            setRealTimeEventToast({ show: true, message: `${count} INCIDENT(S) IMPORTED FROM ${source.toUpperCase()}` });
+            setTimeout(() => setRealTimeEventToast({ show: false, message: '' }), 3000);
+            syncRemoteData();
+        });
+
         // Event: New user registered
         socket.on('user_registered', (newUser) => {
             console.log('📡 REAL-TIME: New User Joined', newUser);
@@ -136,6 +207,23 @@ const Dashboard = ({ user, setUser }) => {
             setUserCount(prev => prev + 1);
         });
 
+        // Event: An admin promoted/demoted an account
+        socket.on('user_role_changed', ({ user: changed, from }) => {
+            console.log('📡 REAL-TIME: Role Changed', changed.email, from, '->', changed.role);
+            setUsers(prev => prev.map(u => u._id.toString() === changed._id.toString() ? changed : u));
+            setUserCount(prev => prev - (from === 'citizen' ? 1 : 0) + (changed.role === 'citizen' ? 1 : 0));
+        });
+
+        // Event: Our own role was changed; reload the profile so the dashboard matches it
+        socket.on('role_changed', async () => {
+            try {
+                const res = await getMe();
+                setUser(res.data.data.user, res.data.data.sessionExpiresAt);
+            } catch (err) {
+                console.warn('Profile refresh failed:', err.message);
+            }
+        });
+
         // Event: User deleted by admin
         socket.on('user_deleted', (deletedUserId) => {
             console.log('📡 REAL-TIME: User Revoked', deletedUserId);
@@ -146,6 +234,7 @@ const Dashboard = ({ user, setUser }) => {
         return () => {
             window.removeEventListener('online', handleOnline);
             window.removeEventListener('offline', handleOffline);
+            stopSyncReports();
             socket.disconnect(); // Cleanup connection on unmount
         };
     }, [user.role]);
@@ -163,9 +252,12 @@ const Dashboard = ({ user, setUser }) => {
      */
     const loadLocalData = async () => {
         try {
-            const cachedIncidents = await getCachedData('incidents');
-            if (cachedIncidents && cachedIncidents.length > 0) {
-                setIncidents(cachedIncidents);
+            const cachedIncidents = await getCachedIncidents();
+            const { getPendingActions } = await import('../services/db');
+            const pendingActions = await getPendingActions();
+            if (cachedIncidents.length > 0 || pendingActions.length > 0) {
+                const { reconcile } = await loadSyncEngine();
+                setIncidents(reconcile(cachedIncidents, pendingActions, user));
                 console.log('🏗️ PERSISTENCE: Data restored from local DB.');
             }
         } catch (err) { console.warn('Local load failed:', err); }
@@ -177,44 +269,30 @@ const Dashboard = ({ user, setUser }) => {
      */
     const syncRemoteData = async () => {
         try {
-            // 1. Silent Fetch
-            const res = user.role === 'admin' ? await getIncidents() : await getMyIncidents();
-            let liveIncidents = res.data.data.incidents;
+            // 1. Silent Fetch: only what changed since the last sync (delta sync into the
+            //    local cache); filtered views query the server page by page instead
+            const filters = filtersRef.current;
+            const isFiltered = Object.keys(filters).length > 0;
+            let liveIncidents;
+            if (isFiltered) {
+                const res = user.role === 'admin' ? await getIncidents(filters) : await getMyIncidents(filters);
+                liveIncidents = res.data.data.incidents;
+                setNextCursor(res.data.data.nextCursor || null);
+            } else {
+                liveIncidents = await syncIncidentCache(user._id);
+                setNextCursor(null);
+            }
 
-            // 2. Local Action Delta
+            // 2. Overlay the offline queue (shared with the service worker's sync engine)
             const { getPendingActions } = await import('../services/db');
             const pendingActions = await getPendingActions();
+            const { reconcile } = await loadSyncEngine();
 
-            const pendingCreates = pendingActions.filter(a => a.type === 'CREATE');
-            const pendingUpdates = pendingActions.filter(a => a.type === 'UPDATE');
-            const pendingDeletes = pendingActions.filter(a => a.type === 'DELETE');
-
-            // 3. Reconcile Actions
-            const deleteIds = pendingDeletes.map(a => String(a.payload.id || a.payload._id));
-            liveIncidents = liveIncidents.filter(inc => !deleteIds.includes(String(inc._id)));
+            // Queued reports are only shown in the unfiltered list
+            const finalData = reconcile(liveIncidents, pendingActions, user, { includeLocal: !isFiltered });
 
-            liveIncidents = liveIncidents.map(inc => {
-                const update = pendingUpdates.find(u => String(u.payload.id || u.payload._id) === String(inc._id));
-                return update ? { ...inc, status: update.payload.status, isQueuedStatus: true } : inc;
-            });
-
-            const formattedLocal = pendingCreates.map(action => ({
-                ...action.payload,
-                _id: `local-${action.id}`,
-                status: action.payload.status || 'Pending',
-                isQueuedStatus: true,
-                createdAt: action.payload.createdAt || action.createdAt,
-                reporter: user.name,
-                isLocal: true
-            }));
-
-            const finalData = [...formattedLocal, ...liveIncidents].sort((a, b) =>
-                new Date(b.createdAt) - new Date(a.createdAt)
-            );
-
-            // 4. Update UI and Permanent Cache
+            // 3. Update UI (the cache was already updated by the delta sync)
             setIncidents(finalData);
-            await saveCachedData('incidents', finalData);
             console.log('🏗️ SYNC: Background refresh completed.');
 
             if (user.role === 'admin') {
@@ -222,6 +300,8 @@ const Dashboard = ({ user, setUser }) => {
                 setUserCount(countRes.data.data.count);
                 const usersRes = await getAllUsers();
                 setUsers(usersRes.data.data.users);
+                const respondersRes = await getResponders();
+                setResponders(respondersRes.data.data.users);
             }
         } catch (err) {
             console.log('📡 BACKGROUND: Network missing. Sticking with local data.');
@@ -235,14 +315,93 @@ const Dashboard = ({ user, setUser }) => {
 
     const fetchIncidents = fetchData; // Alias for compatibility
 
+    /**
+     * Re-queries the listing from the first page with new filters.
+     */
+    const applyFilters = (filters) => {
+        filtersRef.current = filters;
+        setNextCursor(null);
+        setShownCount(RENDER_PAGE_SIZE);
+        syncRemoteData();
+    };
+
+    /**
+     * Downloads the incidents matching the active filters (Admin only).
+     * The session is checked first so an expired access token is renewed, not downloaded as an error.
+     */
+    const handleExport = async (format) => {
+        try {
+            await getMe();
+            window.location.assign(incidentExportUrl(filtersRef.current, format));
+        } catch (err) {
+            triggerError(err.response?.data?.message || "EXPORT FAILED. CHECK YOUR CONNECTION.");
+        }
+    };
+
+    /**
+     * Infinite scroll: reveals more of the loaded list, then fetches the next server page (filtered views).
+     */
+    const loadMore = useCallback(async () => {
+        if (shownCount < incidents.length) {
+            setShownCount(count => count + RENDER_PAGE_SIZE);
+            return;
+        }
+        if (!nextCursor || loadingMore) return;
+        setLoadingMore(true);
+        try {
+            const params = { ...filtersRef.current, cursor: nextCursor };
+            const res = user.role === 'admin' ? await getIncidents(params) : await getMyIncidents(params);
+            const page = res.data.data.incidents;
+            setIncidents(prev => {
+                const seen = new Set(prev.map(inc => String(inc._id)));
+                return [...prev, ...page.filter(inc => !seen.has(String(inc._id)))];
+            });
+            setNextCursor(res.data.data.nextCursor || null);
+            setShownCount(count => count + RENDER_PAGE_SIZE);
+        } catch {
+            triggerError("COULD NOT LOAD MORE REPORTS. Check your connection.");
+        } finally {
+            setLoadingMore(false);
+        }
+    }, [shownCount, incidents.length, nextCursor, loadingMore, user.role]);
+
     // --- AUTHENTICATION ---
     const handleLogout = async () => {
+        // This browser should stop receiving the signed-out user's notifications
+        await disablePush().catch(() => {});
         await logout();
         setUser(null); // Clear global user state to redirect to Login
     };
 
+    const handleResendVerification = async () => {
+        try {
+            const res = await resendVerification();
+            setRealTimeEventToast({ show: true, message: res.data.message });
+            setTimeout(() => setRealTimeEventToast({ show: false, message: '' }), 5000);
+        } catch (err) {
+            triggerError(err.response?.data?.message || 'COULD NOT SEND VERIFICATION LINK.');
+        }
+    };
+
     // --- INCIDENT MANAGEMENT ---
 
+    // Version of the incident this device last saw, sent as the edit's precondition
+    const versionOf = (id) => incidents.find(inc => inc._id.toString() === id.toString())?.__v;
+
+    /**
+     * Someone else changed the incident first: show their version and let the user decide again.
+     * Returns true if the error was such a conflict.
+     */
+    const handleConflict = (err) => {
+        const current = conflictingIncident(err);
+        if (!current) return false;
+        setIncidents(prev => prev.some(inc => inc._id.toString() === current._id.toString())
+            ? prev.map(inc => inc._id.toString() === current._id.toString() ? current : inc)
+            : [current, ...prev]);
+        triggerError("CONFLICT: THIS INCIDENT WAS CHANGED BY SOMEONE ELSE. REVIEW IT AND TRY AGAIN.");
+        return true;
+    };
+
     /**
      * Updates the resolution status of an incident (Admin only).
      * Provides immediate visual feedback to the dispatcher.
@@ -280,13 +439,16 @@ const Dashboard = ({ user, setUser }) => {
             return;
         }
 
-        // TYPE B: LIVE REPORT (Server Update)
+        // TYPE B: LIVE REPORT (Server Update) - one key for the attempt and any queued replay
+        const idempotencyKey = newClientId();
+        const version = versionOf(id);
         try {
-            await updateIncidentStatus(id, newStatus);
+            const res = await updateIncidentStatus(id, newStatus, { idempotencyKey, version });
             console.log('📡 SERVER SYNC: Status updated to', newStatus);
-            // Clear the syncing status once server confirms
+            // Take the server copy once it confirms (clears the syncing status, carries the new version)
+            const updated = res.data.data.incident;
             setIncidents(prev => prev.map(inc =>
-                inc._id.toString() === id.toString() ? { ...inc, isQueuedStatus: false } : inc
+                inc._id.toString() === id.toString() ? updated : inc
             ));
         } catch (err) {
             const isOffline = !navigator.onLine || err.response?.status === 503 || !err.response;
@@ -294,9 +456,9 @@ const Dashboard = ({ user, setUser }) => {
             if (isOffline) {
                 console.log("STATUS: Offline detected. Queuing update for sync...");
                 const { queueAction } = await import('../services/db');
-                await queueAction('UPDATE', { id, status: newStatus });
-                registerSync();
-            } else {
+                await queueAction('UPDATE', { id, status: newStatus, version }, idempotencyKey);
+                requestSync();
+            } else if (!handleConflict(err)) {
                 console.error('STATUS SYNC FAILED:', err);
                 const errMsg = err.response?.data?.message || 'Access denied or connection lost.';
                 triggerError(`COMMAND FAILED: ${errMsg}`);
@@ -305,6 +467,127 @@ const Dashboard = ({ user, setUser }) => {
         }
     };
 
+    /**
+     * Overrides the reporter-suggested severity (Admin only).
+     * Severity changes reorder the triage queue, so they are not queued offline.
+     */
+    const handleSeverityChange = async (id, newSeverity) => {
+        if (id.toString().startsWith('local-') || id.toString().startsWith('temp-')) {
+            triggerError("SEVERITY CAN BE SET ONCE THE REPORT REACHES THE SERVER");
+            return;
+        }
+
+        const previous = incidents.find(inc => inc._id.toString() === id.toString());
+        setIncidents(prev => prev.map(inc =>
+            inc._id.toString() === id.toString() ? { ...inc, severity: newSeverity } : inc
+        ));
+
+        try {
+            const res = await updateIncidentSeverity(id, newSeverity, previous?.__v);
+            const updated = res.data.data.incident;
+            setIncidents(prev => prev.map(inc => inc._id.toString() === id.toString() ? updated : inc));
+        } catch (err) {
+            if (handleConflict(err)) return;
+            console.error('SEVERITY OVERRIDE FAILED:', err);
+            const errMsg = err.response?.data?.message || 'Connection lost.';
+            triggerError(`COMMAND FAILED: ${errMsg}`);
+            if (previous) {
+                setIncidents(prev => prev.map(inc => inc._id.toString() === id.toString() ? previous : inc));
+            }
+        }
+    };
+
+    /**
+     * Merges the other open reports of an incident's duplicate cluster into it (Admin only).
+     */
+    const handleMergeCluster = async (primary, duplicates) => {
+        try {
+            const res = await mergeIncidents(primary._id, duplicates.map(d => d._id), primary.__v);
+            const updated = res.data.data.incident;
+            const mergedIds = new Set(duplicates.map(d => d._id.toString()));
+            setIncidents(prev => prev.map(inc => {
+                if (inc._id.toString() === updated._id.toString()) return updated;
+                return mergedIds.has(inc._id.toString()) ? { ...inc, mergedInto: updated._id, status: updated.status } : inc;
+            }));
+        } catch (err) {
+            if (handleConflict(err)) return;
+            triggerError(`COMMAND FAILED: ${err.response?.data?.message || 'Connection lost.'}`);
+        }
+    };
+
+    /**
+     * Marks an anonymous SOS as spam, blocking its device and phone number, or undoes that (Admin only).
+     */
+    const handleSpamToggle = async (incident) => {
+        try {
+            const res = incident.spam ? await unflagSpam(incident._id) : await flagSpam(incident._id);
+            const updated = res.data.data.incident;
+            setIncidents(prev => prev.map(inc => inc._id.toString() === updated._id.toString() ? updated : inc));
+        } catch (err) {
+            triggerError(`COMMAND FAILED: ${err.response?.data?.message || 'Connection lost.'}`);
+        }
+    };
+
+    /**
+     * Also blocks the network address a spam SOS came from (Admin only). Kept apart
+     * from the spam mark because everyone behind that address loses the public SOS.
+     */
+    const handleBlockIp = async (incident) => {
+        try {
+            await blockSpamIp(incident._id);
+        } catch (err) {
+            triggerError(`COMMAND FAILED: ${err.response?.data?.message || 'Connection lost.'}`);
+        }
+    };
+
+    /**
+     * Dispatch actions. These need the server (assignment is a coordination step),
+     * so failures surface as errors rather than being queued offline.
+     */
+    const applyDispatch = async (request) => {
+        try {
+            const res = await request();
+            const updated = res.data.data.incident;
+            setIncidents(prev => prev.map(inc => inc._id.toString() === updated._id.toString() ? updated : inc));
+            return updated;
+        } catch (err) {
+            if (handleConflict(err)) return;
+            console.error('DISPATCH FAILED:', err);
+            const errMsg = err.response?.data?.message || 'Connection lost.';
+            triggerError(`DISPATCH FAILED: ${errMsg}`);
+        }
+    };
+
+    const handleAssign = (id, responderIds) => applyDispatch(() => assignResponders(id, responderIds, versionOf(id)));
+
+    const handleUnassign = (id, responderId) => applyDispatch(() => unassignResponder(id, responderId, versionOf(id)));
+
+    const handleAssignmentResponse = async (id, decision) => {
+        const updated = await applyDispatch(() => decision === 'accept' ? acceptAssignment(id, versionOf(id)) : declineAssignment(id, versionOf(id)));
+        // A declined assignment leaves the responder's queue
+        if (updated && decision === 'decline') {
+            setIncidents(prev => prev.filter(inc => inc._id.toString() !== id.toString()));
+        }
+    };
+
+    /**
+     * Promotes/demotes an account (Admin only). The server logs every change.
+     */
+    const handleRoleChange = async (target, role) => {
+        try {
+            const res = await updateUserRole(target._id, role);
+            const updated = res.data.data.user;
+            setUsers(prev => prev.map(u => u._id.toString() === updated._id.toString() ? updated : u));
+            if (role === 'responder' || target.role === 'responder') {
+                const respondersRes = await getResponders();
+                setResponders(respondersRes.data.data.users);
+            }
+        } catch (err) {
+            const errMsg = err.response?.data?.message || 'Connection lost.';
+            triggerError(`ROLE CHANGE FAILED: ${errMsg}`);
+        }
+    };
+
     /**
      * Permanent deletion of reports or users.
      * Controlled via a secure confirmation modal.
@@ -312,6 +595,8 @@ const Dashboard = ({ user, setUser }) => {
     const handleDelete = async () => {
         const targetId = deleteModal.id;
         const targetType = deleteModal.type;
+        const idempotencyKey = newClientId(); // Shared with the queued redaction if we go offline
+        const version = targetType === 'incident' ? versionOf(targetId) : undefined;
 
         // INSTANT UI RESPONSE: Close modal and remove item
         setDeleteModal({ show: false, id: null, type: 'incident' });
@@ -337,7 +622,7 @@ const Dashboard = ({ user, setUser }) => {
                     console.log('🗑️ UI: Temporary report removed locally');
                     return;
                 } else {
-                    await deleteIncident(targetId);
+                    await deleteIncident(targetId, { idempotencyKey, version });
                 }
             } else {
                 await deleteUserAccount(targetId);
@@ -348,10 +633,10 @@ const Dashboard = ({ user, setUser }) => {
             if (isOffline && targetType === 'incident') {
                 console.log("DELETE: Offline detected. Queuing redaction...");
                 const { queueAction } = await import('../services/db');
-                await queueAction('DELETE', { id: targetId });
-                registerSync();
+                await queueAction('DELETE', { id: targetId, version }, idempotencyKey);
+                requestSync();
                 setDeleteModal({ show: false, id: null, type: 'incident' });
-            } else {
+            } else if (!handleConflict(err)) {
                 console.error('DELETION ERROR:', err);
                 const errMsg = err.response?.data?.message || 'Deletion failed. Connection lost.';
                 triggerError(`OPERATION FAILED: ${errMsg}`);
@@ -360,12 +645,8 @@ const Dashboard = ({ user, setUser }) => {
         }
     };
 
-    const registerSync = () => {
-        if ('serviceWorker' in navigator && 'SyncManager' in window) {
-            navigator.serviceWorker.ready.then(registration => {
-                return registration.sync.register('sync-reports');
-            }).catch(err => console.log('SYNC REG FAILURE', err));
-        }
+    const refreshDeadLetters = () => {
+        getDeadLetters().then(setDeadLetters).catch(() => setDeadLetters([]));
     };
 
     /**
@@ -375,22 +656,27 @@ const Dashboard = ({ user, setUser }) => {
      */
     const handleSOS = async () => {
         setSosLoading(true);
-        const tempId = 'temp-' + Date.now();
+        const clientId = newClientId(); // Reused by a queued retry so the SOS is filed once
+        const tempId = 'temp-' + clientId;
 
         // Immediate UI feedback so the user knows the button worked instantly
         const optimisticReport = {
             _id: tempId,
+            clientId,
             title: "SOS EMERGENCY",
             type: "Other",
-            location: "Detecting GPS...",
+            severity: "P1",
+            address: "Detecting GPS...",
             description: "CRITICAL: Urgent help requested via SOS button.",
             reporter: user.name,
+            reporterId: user._id,
             status: 'Pending',
             createdAt: new Date().toISOString(),
             isOptimistic: true
         };
 
         setIncidents(prev => [optimisticReport, ...prev]);
+        let sosLocation = null; // GeoJSON point once GPS resolves, else an address fallback
 
         try {
             // Promise wrapper for Geolocation API
@@ -404,26 +690,27 @@ const Dashboard = ({ user, setUser }) => {
             });
 
             let position;
-            let locationString = "Unknown Location";
+            sosLocation = { address: "GPS FAILED (Unknown)" };
 
             try {
                 position = await getLocation(true); // Attempt high precision (GPS)
-                locationString = `${position.coords.latitude.toFixed(6)}, ${position.coords.longitude.toFixed(6)}`;
+                sosLocation = { location: toPoint(position.coords) };
             } catch (err) {
                 console.warn("High accuracy GPS failed, trying low accuracy...");
                 try {
                     position = await getLocation(false); // Fallback to cell/wifi accuracy
-                    locationString = `${position.coords.latitude.toFixed(6)}, ${position.coords.longitude.toFixed(6)}`;
+                    sosLocation = { location: toPoint(position.coords) };
                 } catch (err2) {
                     console.warn("All GPS failed. Sending without precise location.");
-                    locationString = "GPS FAILED (Unknown)";
                 }
             }
 
             const sosData = {
+                clientId,
                 title: "SOS EMERGENCY",
                 type: "Other",
-                location: locationString,
+                severity: "P1",
+                ...sosLocation,
                 description: "CRITICAL: Urgent help requested via SOS button."
             };
 
@@ -448,14 +735,16 @@ const Dashboard = ({ user, setUser }) => {
                     try {
                         const { queueAction } = await import('../services/db');
                         await queueAction('CREATE', {
+                            clientId,
                             title: "SOS EMERGENCY",
                             type: "Other",
-                            location: optimisticReport.location === "Detecting GPS..." ? "GPS_PENDING" : optimisticReport.location,
+                            severity: "P1",
+                            ...(sosLocation || { address: "GPS_PENDING" }),
                             description: "CRITICAL: Urgent help requested via SOS button.",
                             createdAt: new Date().toISOString()
                         });
 
-                        registerSync();
+                        requestSync();
                         setSosSuccess(true); // Treat as success (queued)
                         setTimeout(() => setSosSuccess(false), 5000);
                     } catch (dbErr) {
@@ -473,6 +762,48 @@ const Dashboard = ({ user, setUser }) => {
         }
     };
 
+    // Dispatchers work the queue by triage score; citizens see their reports newest first
+    // Merged reports live on in their primary for staff; reporters still see their own card
+    // Memoised so the map only redraws its markers when the list really changes
+    const visibleIncidents = useMemo(() => (user.role === 'admin' ? sortByTriage(incidents.filter(i => !i.mergedInto))
+        : user.role === 'responder' ? incidents.filter(i => !i.mergedInto) : incidents), [incidents, user.role]);
+
+    // Likely duplicates (same cluster) that are still open for merging, by cluster id
+    const clusters = visibleIncidents.reduce((acc, incident) => {
+        if (incident.cluster && !incident.mergedInto) {
+            (acc[incident.cluster] = acc[incident.cluster] || []).push(incident);
+        }
+        return acc;
+    }, {});
+    const duplicatesOf = (incident) => (incident.cluster ? (clusters[incident.cluster] || []).filter(i => i._id !== incident._id) : []);
+
+    // Deep link from a push notification (/dashboard?incident=<id>): reveal and scroll to the card
+    const focusedIncidentId = searchParams.get('incident');
+    const focusedIndex = focusedIncidentId ? visibleIncidents.findIndex(i => i._id === focusedIncidentId) : -1;
+    useEffect(() => {
+        if (focusedIndex === -1) return;
+        setShowForm(false);
+        setCurrentView('reports');
+        setShownCount(count => Math.max(count, focusedIndex + 1));
+        requestAnimationFrame(() => {
+            document.getElementById(`incident-${focusedIncidentId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        });
+    }, [focusedIncidentId, focusedIndex]);
+
+    // Map marker click: open the card (status controls and timeline) in the list
+    const openIncident = useCallback((id) => {
+        const index = visibleIncidents.findIndex(i => i._id === id);
+        if (index === -1) return;
+        setSearchParams({ incident: id }, { replace: true });
+        setExpandedId(id);
+        setShowForm(false);
+        setCurrentView('reports');
+        setShownCount(count => Math.max(count, index + 1));
+        requestAnimationFrame(() => {
+            document.getElementById(`incident-${id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        });
+    }, [visibleIncidents, setSearchParams]);
+
     return (
         <div className="max-w-4xl mx-auto p-3 sm:p-6 lg:p-8 relative min-h-screen">
 
@@ -572,6 +903,13 @@ const Dashboard = ({ user, setUser }) => {
                 </div>
                 <div className="flex items-center gap-5 bg-gray-50 p-3 px-5 rounded-2xl border border-gray-100 w-full sm:w-auto justify-between">
                     <StatusIndicator isOnline={isOnline} socketConnected={socketConnected} />
+                    <button
+                        onClick={() => { setShowForm(false); setCurrentView('security'); }}
+                        className={`p-2 transition-all transform hover:scale-110 active:scale-90 ${currentView === 'security' && !showForm ? 'text-emergency-red' : 'text-gray-300 hover:text-emergency-red'}`}
+                        title="Notifications, Sessions & Password"
+                    >
+                        <KeyRound size={24} />
+                    </button>
                     <button
                         onClick={handleLogout}
                         className="p-2 text-gray-300 hover:text-emergency-red transition-all transform hover:scale-110 active:scale-90"
@@ -582,6 +920,21 @@ const Dashboard = ({ user, setUser }) => {
                 </div>
             </header>
 
+            {/* --- EMAIL VERIFICATION NOTICE --- */}
+            {user.emailVerified === false && (
+                <div className="mb-6 p-4 bg-yellow-50 border-2 border-yellow-100 rounded-2xl flex flex-col sm:flex-row items-center justify-between gap-3">
+                    <p className="text-[10px] font-black text-yellow-700 uppercase tracking-widest text-center sm:text-left">
+                        Confirm your email ({user.email}) so you can recover your account.
+                    </p>
+                    <button
+                        onClick={handleResendVerification}
+                        className="shrink-0 px-4 py-2 bg-yellow-500 text-white rounded-xl font-black text-[10px] uppercase tracking-widest hover:bg-yellow-600"
+                    >
+                        Resend Link
+                    </button>
+                </div>
+            )}
+
             {/* --- ADMIN METRICS --- */}
             {user.role === 'admin' && (
                 <div className="mb-8 overflow-hidden">
@@ -592,6 +945,22 @@ const Dashboard = ({ user, setUser }) => {
                         </div>
                         <Users size={64} className="opacity-20" />
                     </div>
+                    <div className="grid grid-cols-2 gap-3 mt-3">
+                        <button
+                            onClick={() => setShowStats(open => !open)}
+                            className="p-3 rounded-2xl bg-white text-gray-500 hover:bg-gray-50 font-black text-[10px] tracking-widest uppercase flex items-center justify-center gap-2 shadow"
+                        >
+                            <BarChart3 size={16} /> {showStats ? 'HIDE ANALYTICS' : 'SHOW ANALYTICS'}
+                        </button>
+                        <button
+                            onClick={() => setShowImport(open => !open)}
+                            className="p-3 rounded-2xl bg-white text-gray-500 hover:bg-gray-50 font-black text-[10px] tracking-widest uppercase flex items-center justify-center gap-2 shadow"
+                        >
+                            <Upload size={16} /> {showImport ? 'HIDE IMPORT' : 'IMPORT INCIDENTS'}
+                        </button>
+                    </div>
+                    {showStats && <StatsPanel triggerError={triggerError} />}
+                    {showImport && <ImportPanel triggerError={triggerError} onImported={() => syncRemoteData()} />}
                 </div>
             )}
 
@@ -622,6 +991,13 @@ const Dashboard = ({ user, setUser }) => {
                     <List size={18} className="sm:size-[22]" /> MY VIEW
                 </button>
 
+                <button
+                    onClick={() => { setShowForm(false); setCurrentView('map'); setSearchParams({}, { replace: true }); }}
+                    className={`flex-1 p-3 sm:p-5 rounded-xl sm:rounded-2xl font-black text-[10px] sm:text-sm tracking-widest uppercase flex items-center justify-center gap-2 sm:gap-3 transition-all ${!showForm && currentView === 'map' ? 'bg-emergency-red text-white shadow-2xl scale-105' : 'bg-white text-gray-400 hover:bg-gray-50'}`}
+                >
+                    <MapIcon size={18} className="sm:size-[22]" /> MAP
+                </button>
+
                 <button
                     onClick={() => setShowForm(true)}
                     className={`flex-1 p-3 sm:p-5 rounded-xl sm:rounded-2xl font-black text-[10px] sm:text-sm tracking-widest uppercase flex items-center justify-center gap-2 sm:gap-3 transition-all ${showForm ? 'bg-emergency-red text-white shadow-2xl scale-105' : 'bg-white text-gray-400 hover:bg-gray-50'}`}
@@ -656,6 +1032,33 @@ const Dashboard = ({ user, setUser }) => {
                             <span className="text-[10px] font-black text-gray-400 uppercase tracking-widest bg-gray-50 px-2 py-0.5 sm:px-3 sm:py-1 rounded-full">{incidents.length} Found</span>
                         </div>
 
+                        <SyncIssues
+                            deadLetters={deadLetters}
+                            onChanged={() => { refreshDeadLetters(); syncRemoteData(); }}
+                            triggerError={triggerError}
+                        />
+
+                        {user.role !== 'responder' && (
+                            <FilterBar onApply={applyFilters} reporters={user.role === 'admin' ? users : null} />
+                        )}
+
+                        {user.role === 'admin' && (
+                            <div className="flex flex-wrap items-center gap-2 mb-4">
+                                <span className="flex items-center gap-1.5 text-[9px] sm:text-[10px] font-black text-gray-400 uppercase tracking-widest mr-1">
+                                    <Download size={14} /> Export filtered
+                                </span>
+                                {[['csv', 'CSV'], ['geojson', 'GEOJSON'], ['pdf', 'PDF SITUATION REPORT']].map(([format, label]) => (
+                                    <button
+                                        key={format}
+                                        onClick={() => handleExport(format)}
+                                        className="px-3 py-1 rounded-full bg-gray-100 text-gray-500 hover:bg-gray-900 hover:text-white text-[9px] sm:text-[10px] font-black tracking-widest transition-all"
+                                    >
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+
                         {incidents.length === 0 ? (
                             <div className="text-center py-20 px-4">
                                 <Shield size={64} className="mx-auto text-gray-100 mb-4" />
@@ -663,8 +1066,8 @@ const Dashboard = ({ user, setUser }) => {
                             </div>
                         ) : (
                             <div className="grid grid-cols-1 gap-4 sm:gap-6">
-                                {incidents.map(incident => (
-                                    <div key={incident._id} className={`border-l-[4px] sm:border-l-[6px] p-4 sm:p-6 rounded-2xl sm:rounded-3xl transition-all hover:shadow-xl group ${incident.status === 'Resolved' ? 'border-green-500 bg-green-50/30' :
+                                {visibleIncidents.slice(0, shownCount).map(incident => (
+                                    <div key={incident._id} id={`incident-${incident._id}`} className={`border-l-[4px] sm:border-l-[6px] p-4 sm:p-6 rounded-2xl sm:rounded-3xl transition-all hover:shadow-xl group ${incident._id === focusedIncidentId ? 'ring-4 ring-emergency-red/30 ' : ''}${incident.status === 'Resolved' ? 'border-green-500 bg-green-50/30' :
                                         incident.status === 'In Progress' ? 'border-blue-500 bg-blue-50/30' : 'border-emergency-red bg-gray-50'
                                         }`}>
                                         <div className="flex flex-col sm:flex-row justify-between items-start gap-4">
@@ -674,11 +1077,43 @@ const Dashboard = ({ user, setUser }) => {
                                                     <span className="text-[8px] sm:text-[9px] font-black uppercase text-gray-400 tracking-[0.3em]">REF: {incident._id.slice(-8)}</span>
                                                     {incident.isOptimistic && <span className="animate-pulse text-emergency-red font-black text-[8px] sm:text-[9px] uppercase tracking-widest">[SENDING...]</span>}
                                                     {incident.isLocal && <span className="text-orange-500 font-black text-[8px] sm:text-[9px] uppercase tracking-widest">[QUEUED OFFLINE]</span>}
+                                                    {incident.spam && <span className="text-gray-500 font-black text-[8px] sm:text-[9px] uppercase tracking-widest">[SPAM]</span>}
+                                                    {incident.mergedInto && <span className="text-blue-500 font-black text-[8px] sm:text-[9px] uppercase tracking-widest">[MERGED INTO {String(incident.mergedInto).slice(-8)}]</span>}
+                                                    {user.role === 'admin' && duplicatesOf(incident).length > 0 && <span className="text-amber-600 font-black text-[8px] sm:text-[9px] uppercase tracking-widest">[LIKELY DUPLICATE ×{duplicatesOf(incident).length + 1}]</span>}
+                                                    {incident.duplicateReports > 0 && <span className="text-emergency-red font-black text-[8px] sm:text-[9px] uppercase tracking-widest">+{incident.duplicateReports} REPEAT SOS</span>}
+                                                    {incident.expiresAt && <span className="text-gray-500 font-black text-[8px] sm:text-[9px] uppercase tracking-widest">[ALERT EXPIRES {new Date(incident.expiresAt).toLocaleString()}]</span>}
                                                 </div>
                                             </div>
 
                                             <div className="flex sm:flex-col items-center sm:items-end w-full sm:w-auto shrink-0 gap-2 sm:gap-3">
                                                 <div className="flex items-center gap-2 sm:gap-3">
+                                                    {!incident.isOptimistic && !incident.isLocal && (
+                                                        <button
+                                                            onClick={() => setExpandedId(expandedId === incident._id ? null : incident._id)}
+                                                            className={`p-1.5 sm:p-0 transition-all ${expandedId === incident._id ? 'text-emergency-red' : 'text-gray-200 hover:text-gray-500'}`}
+                                                            title="Incident Timeline"
+                                                        >
+                                                            <History size={18} className="sm:size-[20]" />
+                                                        </button>
+                                                    )}
+                                                    {user.role === 'admin' && incident.sosChannel && !incident.isOptimistic && !incident.isLocal && (
+                                                        <button
+                                                            onClick={() => handleSpamToggle(incident)}
+                                                            className={`p-1.5 sm:p-0 transition-all ${incident.spam ? 'text-gray-600' : 'text-gray-200 hover:text-gray-600'}`}
+                                                            title={incident.spam ? 'Not spam (unblock source)' : 'Mark as spam (block device and phone)'}
+                                                        >
+                                                            <Ban size={18} className="sm:size-[20]" />
+                                                        </button>
+                                                    )}
+                                                    {user.role === 'admin' && incident.spam && incident.sosChannel === 'public' && (
+                                                        <button
+                                                            onClick={() => handleBlockIp(incident)}
+                                                            className="p-1.5 sm:p-0 text-gray-200 hover:text-gray-600 transition-all"
+                                                            title="Also block the caller's IP address (stops everyone sharing it)"
+                                                        >
+                                                            <WifiOff size={18} className="sm:size-[20]" />
+                                                        </button>
+                                                    )}
                                                     <button
                                                         onClick={() => setDeleteModal({ show: true, id: incident._id, type: 'incident' })}
                                                         className="p-1.5 sm:p-0 text-gray-200 hover:text-emergency-red transition-all"
@@ -686,6 +1121,9 @@ const Dashboard = ({ user, setUser }) => {
                                                     >
                                                         <Trash2 size={18} className="sm:size-[20]" />
                                                     </button>
+                                                    <span className={`px-2 py-1 sm:px-3 sm:py-1.5 text-[9px] sm:text-[10px] font-black rounded-lg sm:rounded-xl uppercase tracking-widest shadow-lg border ${severityStyle(incident.severity)}`}>
+                                                        {incident.severity || 'P3'}
+                                                    </span>
                                                     <span className="px-2 py-1 sm:px-3 sm:py-1.5 bg-emergency-red text-white text-[9px] sm:text-[10px] font-black rounded-lg sm:rounded-xl uppercase tracking-widest shadow-lg">
                                                         {incident.type}
                                                     </span>
@@ -705,13 +1143,60 @@ const Dashboard = ({ user, setUser }) => {
                                                 <p className="text-gray-700 text-xs sm:text-base leading-relaxed font-medium">{incident.description}</p>
                                             </div>
                                             <div className="bg-white/60 p-3 sm:p-5 rounded-xl sm:rounded-2xl border border-white/50 shadow-inner inline-flex flex-col w-full sm:w-auto">
-                                                <span className="font-black uppercase text-[8px] sm:text-[10px] text-gray-400 block mb-1 sm:mb-2 tracking-[0.2em]">COORDINATES</span>
-                                                <p className="text-gray-900 font-black text-xs sm:text-sm tracking-tight">{incident.location}</p>
+                                                <span className="font-black uppercase text-[8px] sm:text-[10px] text-gray-400 block mb-1 sm:mb-2 tracking-[0.2em]">LOCATION</span>
+                                                <p className="text-gray-900 font-black text-xs sm:text-sm tracking-tight">{formatLocation(incident)}</p>
                                             </div>
+                                            <AttachmentGallery
+                                                incident={incident}
+                                                canAttach={user.role !== 'citizen' || String(incident.reporterId) === String(user._id)}
+                                                onUpdated={(updated) => setIncidents(prev => prev.map(inc => inc._id.toString() === updated._id.toString() ? updated : inc))}
+                                                triggerError={triggerError}
+                                            />
                                         </div>
 
+                                        {expandedId === incident._id && (
+                                            <IncidentTimeline incidentId={incident._id} triggerError={triggerError} />
+                                        )}
+
+                                        <AssignmentPanel
+                                            incident={incident}
+                                            user={user}
+                                            responders={responders}
+                                            onAssign={handleAssign}
+                                            onUnassign={handleUnassign}
+                                            onRespond={handleAssignmentResponse}
+                                        />
+
+                                        {user.role === 'responder' && incident.assignments?.some(a => a.responder?.toString() === user._id?.toString() && a.status === 'Accepted') && (
+                                            <div className="mt-8 pt-6 border-t border-gray-200/50">
+                                                <span className="block text-[8px] sm:text-[10px] font-black text-gray-400 uppercase mb-3 tracking-[0.3em] text-center sm:text-left">FIELD: UPDATE RESOLUTION STATUS</span>
+                                                <div className="grid grid-cols-2 gap-2 sm:gap-3">
+                                                    <button
+                                                        onClick={() => handleStatusChange(incident._id, 'In Progress')}
+                                                        className={`px-4 py-2 sm:px-5 sm:py-3 text-[9px] sm:text-[10px] font-black rounded-xl transition-all border-2 ${incident.status === 'In Progress' ? 'bg-blue-500 text-white border-blue-500 shadow-xl scale-105' : 'bg-white border-gray-100 text-blue-500 hover:border-blue-500'}`}
+                                                    >
+                                                        IN PROGRESS
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleStatusChange(incident._id, 'Resolved')}
+                                                        className={`px-4 py-2 sm:px-5 sm:py-3 text-[9px] sm:text-[10px] font-black rounded-xl transition-all border-2 ${incident.status === 'Resolved' ? 'bg-green-600 text-white border-green-600 shadow-xl scale-105' : 'bg-white border-gray-100 text-green-600 hover:border-green-600'}`}
+                                                    >
+                                                        RESOLVED
+                                                    </button>
+                                                </div>
+                                            </div>
+                                        )}
+
                                         {user.role === 'admin' && (
                                             <div className="mt-8 pt-6 border-t border-gray-200/50">
+                                                {duplicatesOf(incident).length > 0 && (
+                                                    <button
+                                                        onClick={() => handleMergeCluster(incident, duplicatesOf(incident))}
+                                                        className="w-full mb-6 px-4 py-2 sm:py-3 text-[9px] sm:text-[10px] font-black rounded-xl border-2 border-amber-200 bg-amber-50 text-amber-700 hover:border-amber-500 uppercase tracking-widest transition-all"
+                                                    >
+                                                        MERGE {duplicatesOf(incident).length} LIKELY DUPLICATE(S) INTO THIS INCIDENT
+                                                    </button>
+                                                )}
                                                 <span className="block text-[8px] sm:text-[10px] font-black text-gray-400 uppercase mb-3 tracking-[0.3em] text-center sm:text-left">COMMAND: UPDATE RESOLUTION STATUS</span>
                                                 <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 sm:gap-3">
                                                     <button
@@ -733,24 +1218,57 @@ const Dashboard = ({ user, setUser }) => {
                                                         RESOLVED
                                                     </button>
                                                 </div>
+
+                                                <div className="flex items-center justify-between mt-6 mb-3">
+                                                    <span className="text-[8px] sm:text-[10px] font-black text-gray-400 uppercase tracking-[0.3em]">COMMAND: OVERRIDE SEVERITY</span>
+                                                    {incident.triageScore !== undefined && (
+                                                        <span className="text-[8px] sm:text-[10px] font-black text-gray-500 uppercase tracking-widest bg-gray-100 px-2 py-0.5 rounded-full">TRIAGE {incident.triageScore}</span>
+                                                    )}
+                                                </div>
+                                                <div className="grid grid-cols-4 gap-2 sm:gap-3">
+                                                    {SEVERITY_LEVELS.map(level => (
+                                                        <button
+                                                            key={level.value}
+                                                            onClick={() => handleSeverityChange(incident._id, level.value)}
+                                                            title={level.label}
+                                                            className={`px-2 py-2 sm:py-3 text-[9px] sm:text-[10px] font-black rounded-xl transition-all border-2 ${incident.severity === level.value ? `${level.style} shadow-xl scale-105` : 'bg-white border-gray-100 text-gray-500 hover:border-gray-400'}`}
+                                                        >
+                                                            {level.value}
+                                                        </button>
+                                                    ))}
+                                                </div>
+                                                {incident.reportedSeverity && incident.reportedSeverity !== incident.severity && (
+                                                    <p className="mt-2 text-[8px] sm:text-[9px] font-black text-gray-400 uppercase tracking-widest">Reporter suggested {incident.reportedSeverity}</p>
+                                                )}
                                             </div>
                                         )}
 
                                         <div className="mt-8 flex flex-col sm:flex-row justify-between items-center text-[10px] text-gray-400 font-black tracking-widest uppercase gap-4 opacity-60">
-                                            <span className="flex items-center gap-2 bg-gray-100 px-3 py-1 rounded-full">SOURCE: {incident.reporter}</span>
+                                            <span className="flex items-center gap-2 bg-gray-100 px-3 py-1 rounded-full">
+                                                SOURCE: {incident.reporterInfo?.name || incident.reporter}
+                                                {incident.merged?.length > 0 && ` + ${incident.merged.map(m => m.reporter).join(', ')}`}
+                                            </span>
                                             <span>TIME: {new Date(incident.createdAt).toLocaleString()}</span>
                                         </div>
                                     </div>
                                 ))}
+                                <LoadMoreSentinel onVisible={loadMore} loading={loadingMore} hasMore={Boolean(nextCursor) || shownCount < visibleIncidents.length} />
                             </div>
                         )}
                     </div>
+                ) : currentView === 'map' ? (
+                    <IncidentMap incidents={visibleIncidents} onSelect={openIncident} />
+                ) : currentView === 'security' ? (
+                    <div className="space-y-10">
+                        <NotificationSettings user={user} setUser={setUser} triggerError={triggerError} />
+                        <AccountSecurity setUser={setUser} triggerError={triggerError} />
+                    </div>
                 ) : (
                     /* --- PERSONNEL DATABASE (ADMIN ONLY) --- */
                     <div className="space-y-6">
                         <div className="flex items-center justify-between mb-2">
                             <h2 className="text-xl sm:text-2xl font-black text-gray-900 lowercase tracking-tight">Access Control List</h2>
-                            <span className="text-[10px] font-black text-gray-400 uppercase tracking-widest bg-gray-50 px-3 py-1 rounded-full">{users.length} Citizens</span>
+                            <span className="text-[10px] font-black text-gray-400 uppercase tracking-widest bg-gray-50 px-3 py-1 rounded-full">{users.length} Accounts</span>
                         </div>
 
                         {users.length === 0 ? (
@@ -766,8 +1284,23 @@ const Dashboard = ({ user, setUser }) => {
                                             <div className="truncate">
                                                 <h4 className="font-black text-gray-900 text-lg sm:text-xl leading-tight truncate">{u.name}</h4>
                                                 <p className="text-xs text-gray-500 font-bold tracking-tight lowercase truncate">{u.email}</p>
+                                                {u._id === user._id && (
+                                                    <span className="text-[9px] font-black text-gray-400 uppercase tracking-widest">{u.role} · You</span>
+                                                )}
                                             </div>
                                         </div>
+                                        {u._id !== user._id && (
+                                            <select
+                                                value={u.role}
+                                                onChange={(e) => handleRoleChange(u, e.target.value)}
+                                                className="w-full sm:w-auto px-4 py-3 bg-white border-2 border-gray-100 rounded-2xl font-black text-[10px] tracking-widest uppercase text-gray-600 outline-none focus:border-emergency-red cursor-pointer"
+                                                title="Change Role"
+                                            >
+                                                <option value="citizen">Citizen</option>
+                                                <option value="responder">Responder</option>
+                                                <option value="admin">Admin</option>
+                                            </select>
+                                        )}
                                         <button
                                             onClick={() => setDeleteModal({ show: true, id: u._id, type: 'user' })}
                                             className="w-full sm:w-auto p-4 sm:p-3 text-gray-400 hover:text-emergency-red hover:bg-red-50 rounded-2xl transition-all sm:opacity-0 group-hover:opacity-100 flex items-center justify-center gap-2 font-black text-[10px] tracking-widest uppercase border border-gray-100 sm:border-none"
@@ -1,8 +1,12 @@
 import { useState } from 'react';
 import { login, reportPublicSOS } from '../services/api';
 import { queueAction } from '../services/db';
+import { requestSync } from '../services/sync';
 import { Shield, Key, Mail, AlertCircle, CheckCircle } from 'lucide-react';
 import { Link } from 'react-router-dom';
+import { toPoint } from '../utils/location';
+import { newClientId, getDeviceId } from '../utils/ids';
+import { solveSosProof } from '../utils/proofOfWork';
 
 const Login = ({ setUser }) => {
     // --- STATE MANAGEMENT ---
@@ -23,7 +27,7 @@ const Login = ({ setUser }) => {
         setError('');
         try {
             const res = await login({ email, password });
-            setUser(res.data.data.user); // Pass user data to global state
+            setUser(res.data.data.user, res.data.data.sessionExpiresAt); // Pass user data to global state
         } catch (err) {
             let errorMsg = err.response?.data?.message || 'CRITICAL: Authentication failed.';
 
@@ -43,6 +47,11 @@ const Login = ({ setUser }) => {
      */
     const handlePublicSOS = async () => {
         setSosLoading(true);
+        // One id for the live attempt and any queued retry, so the SOS is only filed once
+        const clientId = newClientId();
+        // Anti-abuse stamp, solved while the location is being detected
+        const proofPromise = solveSosProof(clientId).catch(() => null);
+        const deviceId = getDeviceId();
         try {
             // Promise wrapper for location detection
             const getLocation = (highAccuracy) => new Promise((resolve, reject) => {
@@ -61,9 +70,7 @@ const Login = ({ setUser }) => {
             }
 
             // Send silent distress signal to server
-            await reportPublicSOS({
-                location: `${position.coords.latitude.toFixed(4)}, ${position.coords.longitude.toFixed(4)}`
-            });
+            await reportPublicSOS({ clientId, deviceId, proof: await proofPromise, location: toPoint(position.coords) });
             setSosSuccess(true);
             setTimeout(() => setSosSuccess(false), 5000);
         } catch (err) {
@@ -77,19 +84,18 @@ const Login = ({ setUser }) => {
                 console.log("PUBLIC SOS: Network failure or Offline state. Queuing...");
                 try {
                     await queueAction('CREATE', {
+                        clientId,
+                        deviceId,
+                        proof: await proofPromise,
                         title: "ANONYMOUS SOS",
                         type: "Other",
-                        location: "GPS Detection Pending",
+                        address: "GPS Detection Pending",
                         description: "CRITICAL: Urgent help requested via Public SOS.",
                         isPublic: true,
                         createdAt: new Date().toISOString()
                     });
 
-                    // Background Sync call
-                    if ('serviceWorker' in navigator && 'SyncManager' in window) {
-                        const registration = await navigator.serviceWorker.ready;
-                        await registration.sync.register('sync-reports');
-                    }
+                    requestSync(); // Sent by the service worker once the connection returns
 
                     setSosSuccess(true);
                     setTimeout(() => setSosSuccess(false), 5000);
@@ -162,6 +168,10 @@ const Login = ({ setUser }) => {
                         />
                     </div>
 
+                    <div className="text-right">
+                        <Link to="/forgot-password" className="text-[10px] font-black text-gray-400 uppercase tracking-widest hover:text-emergency-red">Forgot password?</Link>
+                    </div>
+
                     <button
                         disabled={loading}
                         className="w-full bg-emergency-red text-white p-4 sm:p-5 rounded-xl sm:rounded-2xl font-black text-[10px] sm:text-xs shadow-xl hover:bg-emergency-dark transform hover:-translate-y-1 active:scale-95 transition-all uppercase tracking-[0.2em] mt-1 sm:mt-2 disabled:opacity-50"
@@ -2,11 +2,13 @@ import { useState } from 'react';
 import { register } from '../services/api';
 import { Shield, User, Mail, Key } from 'lucide-react';
 import { Link } from 'react-router-dom';
+import { fieldErrors } from '../utils/validation';
 
 const Register = ({ setUser }) => {
     // --- STATE MANAGEMENT ---
     const [formData, setFormData] = useState({ name: '', email: '', password: '', role: 'citizen' });
     const [error, setError] = useState(''); // Stores registration error messages
+    const [errors, setErrors] = useState({}); // Per-field messages from server validation
     const [loading, setLoading] = useState(false);
 
     /**
@@ -18,9 +20,10 @@ const Register = ({ setUser }) => {
         e.preventDefault();
         setLoading(true);
         setError('');
+        setErrors({});
         try {
             const res = await register(formData);
-            setUser(res.data.data.user); // Auto-login user after successful registration
+            setUser(res.data.data.user, res.data.data.sessionExpiresAt); // Auto-login user after successful registration
         } catch (err) {
             let errorMsg = err.response?.data?.message || 'CRITICAL: Registration procedure failed.';
 
@@ -35,6 +38,7 @@ const Register = ({ setUser }) => {
             }
 
             setError(errorMsg);
+            setErrors(fieldErrors(err));
         } finally {
             setLoading(false);
         }
@@ -71,6 +75,7 @@ const Register = ({ setUser }) => {
                             required
                         />
                     </div>
+                    {errors.name && <p className="mt-1 ml-2 text-[10px] font-black text-red-500 uppercase tracking-widest">{errors.name}</p>}
 
                     <div className="relative group">
                         <Mail className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-300 group-focus-within:text-emergency-red transition-colors size-4 sm:size-5" />
@@ -83,18 +88,21 @@ const Register = ({ setUser }) => {
                             required
                         />
                     </div>
+                    {errors.email && <p className="mt-1 ml-2 text-[10px] font-black text-red-500 uppercase tracking-widest">{errors.email}</p>}
 
                     <div className="relative group">
                         <Key className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-300 group-focus-within:text-emergency-red transition-colors size-4 sm:size-5" />
                         <input
                             type="password"
-                            placeholder="Password"
+                            placeholder="Password (8+ characters, letters and numbers)"
+                            minLength={8}
                             className="w-full pl-10 sm:pl-12 pr-4 py-3 sm:py-4 bg-gray-50 border-2 border-transparent rounded-xl sm:rounded-2xl focus:bg-white focus:border-emergency-red outline-none transition-all text-xs sm:text-sm font-bold placeholder-gray-300"
                             value={formData.password}
                             onChange={(e) => setFormData({ ...formData, password: e.target.value })}
                             required
                         />
                     </div>
+                    {errors.password && <p className="mt-1 ml-2 text-[10px] font-black text-red-500 uppercase tracking-widest">{errors.password}</p>}
 
                     {/* Role selection is hardcoded to 'citizen' in the backend for security. */}
 
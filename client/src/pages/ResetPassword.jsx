@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import { resetPassword } from '../services/api';
+import { Shield, Key } from 'lucide-react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+
+const ResetPassword = ({ setUser }) => {
+    // --- STATE MANAGEMENT ---
+    const [searchParams] = useSearchParams();
+    const navigate = useNavigate();
+    const token = searchParams.get('token');
+    const [password, setPassword] = useState('');
+    const [confirm, setConfirm] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    /**
+     * Redeems the emailed token. On success the server signs out every other
+     * device and starts a session here, so the user lands on the dashboard.
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (password !== confirm) {
+            setError('Passwords do not match.');
+            return;
+        }
+        setLoading(true);
+        setError('');
+        try {
+            const res = await resetPassword(token, password);
+            setUser(res.data.data.user, res.data.data.sessionExpiresAt);
+            navigate('/dashboard');
+        } catch (err) {
+            let errorMsg = err.response?.data?.message || 'CRITICAL: Password reset failed.';
+            if (!navigator.onLine || !err.response) {
+                errorMsg = 'NETWORK OFFLINE: Please check your internet connection.';
+            }
+            setError(errorMsg);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const inputClass = "w-full pl-10 sm:pl-12 pr-4 py-3 sm:py-4 bg-gray-50 border-2 border-transparent rounded-xl sm:rounded-2xl focus:bg-white focus:border-emergency-red outline-none transition-all text-xs sm:text-sm font-bold placeholder-gray-300";
+
+    return (
+        <div className="min-h-screen flex items-center justify-center p-3 sm:p-4 bg-gray-50">
+            <div className="max-w-md w-full bg-white rounded-3xl sm:rounded-[2.5rem] shadow-2xl p-5 sm:p-10 border-t-[8px] sm:border-t-[10px] border-emergency-red transition-all">
+
+                <div className="text-center mb-6 sm:mb-10">
+                    <div className="inline-block p-3 sm:p-4 bg-red-50 rounded-2xl sm:rounded-3xl mb-3 sm:mb-4">
+                        <Shield className="text-emergency-red size-10 sm:size-14" />
+                    </div>
+                    <h1 className="text-2xl sm:text-4xl font-black text-gray-900 tracking-tighter leading-none">RESQUENET</h1>
+                    <p className="text-gray-400 font-black uppercase text-[8px] sm:text-[10px] tracking-[0.3em] mt-2 sm:mt-3">Choose A New Password</p>
+                </div>
+
+                {error && (
+                    <div className="bg-red-50 text-red-600 p-3 sm:p-4 rounded-xl sm:rounded-2xl mb-4 sm:mb-6 text-center font-black text-[10px] sm:text-xs border border-red-100 uppercase tracking-widest animate-shake">
+                        {error}
+                    </div>
+                )}
+
+                {!token ? (
+                    <p className="text-center text-gray-400 font-bold text-xs uppercase tracking-widest">
+                        This link is incomplete. <Link to="/forgot-password" className="text-emergency-red font-black hover:underline">Request a new one</Link>
+                    </p>
+                ) : (
+                    <form onSubmit={handleSubmit} className="space-y-3 sm:space-y-4">
+                        <div className="relative group">
+                            <Key className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-300 group-focus-within:text-emergency-red transition-colors size-4 sm:size-5" />
+                            <input
+                                type="password"
+                                placeholder="New Password (8+ characters, letters and numbers)"
+                                minLength={8}
+                                autoComplete="new-password"
+                                className={inputClass}
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                required
+                            />
+                        </div>
+
+                        <div className="relative group">
+                            <Key className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-300 group-focus-within:text-emergency-red transition-colors size-4 sm:size-5" />
+                            <input
+                                type="password"
+                                placeholder="Confirm Password"
+                                autoComplete="new-password"
+                                className={inputClass}
+                                value={confirm}
+                                onChange={(e) => setConfirm(e.target.value)}
+                                required
+                            />
+                        </div>
+
+                        <button
+                            disabled={loading}
+                            className="w-full bg-emergency-red text-white p-4 sm:p-5 rounded-xl sm:rounded-2xl font-black text-[10px] sm:text-xs shadow-xl hover:bg-emergency-dark transform hover:-translate-y-1 active:scale-95 transition-all uppercase tracking-[0.2em] mt-1 sm:mt-2 disabled:opacity-50"
+                        >
+                            {loading ? 'UPDATING...' : 'SET NEW PASSWORD'}
+                        </button>
+                    </form>
+                )}
+
+                <div className="mt-6 sm:mt-8 pt-6 sm:pt-8 border-t border-gray-100 text-center">
+                    <p className="text-gray-400 font-bold text-[10px] sm:text-xs uppercase tracking-widest text-center">
+                        Back to <Link to="/login" className="text-emergency-red font-black hover:underline ml-1">Login</Link>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ResetPassword;
@@ -0,0 +1,62 @@
+import { useState, useEffect, useRef } from 'react';
+import { verifyEmail } from '../services/api';
+import { Shield, CheckCircle, AlertCircle } from 'lucide-react';
+import { Link, useSearchParams } from 'react-router-dom';
+
+const VerifyEmail = ({ user, setUser }) => {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token');
+    const [state, setState] = useState(token ? 'verifying' : 'invalid'); // 'verifying' | 'verified' | 'invalid'
+    const [message, setMessage] = useState(token ? '' : 'This link is incomplete.');
+    const submitted = useRef(false); // Tokens are single-use: never redeem twice (e.g. StrictMode re-mount)
+
+    useEffect(() => {
+        if (!token || submitted.current) return;
+        submitted.current = true;
+
+        verifyEmail(token)
+            .then(res => {
+                const verified = res.data.data.user;
+                setState('verified');
+                // Refresh the signed-in profile if it is the same account
+                if (user && user._id === verified._id) setUser(verified);
+            })
+            .catch(err => {
+                setState('invalid');
+                setMessage(err.response?.data?.message || 'NETWORK OFFLINE: Please try the link again when connected.');
+            });
+    }, [token, user, setUser]);
+
+    return (
+        <div className="min-h-screen flex items-center justify-center p-3 sm:p-4 bg-gray-50">
+            <div className="max-w-md w-full bg-white rounded-3xl sm:rounded-[2.5rem] shadow-2xl p-5 sm:p-10 border-t-[8px] sm:border-t-[10px] border-emergency-red transition-all text-center">
+                <div className="inline-block p-3 sm:p-4 bg-red-50 rounded-2xl sm:rounded-3xl mb-3 sm:mb-4">
+                    <Shield className="text-emergency-red size-10 sm:size-14" />
+                </div>
+                <h1 className="text-2xl sm:text-4xl font-black text-gray-900 tracking-tighter leading-none mb-8">RESQUENET</h1>
+
+                {state === 'verifying' && (
+                    <p className="text-gray-400 font-black text-xs uppercase tracking-widest animate-pulse">Confirming your email...</p>
+                )}
+                {state === 'verified' && (
+                    <div className="bg-green-50 text-green-600 p-5 rounded-2xl font-black text-xs uppercase tracking-widest border border-green-100 flex flex-col items-center gap-3">
+                        <CheckCircle size={32} /> Email address confirmed
+                    </div>
+                )}
+                {state === 'invalid' && (
+                    <div className="bg-red-50 text-red-600 p-5 rounded-2xl font-black text-xs uppercase tracking-widest border border-red-100 flex flex-col items-center gap-3">
+                        <AlertCircle size={32} /> {message}
+                    </div>
+                )}
+
+                <div className="mt-8 pt-8 border-t border-gray-100">
+                    <Link to={user ? '/dashboard' : '/login'} className="text-emergency-red font-black text-xs uppercase tracking-widest hover:underline">
+                        {user ? 'Go to Dashboard' : 'Go to Login'}
+                    </Link>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default VerifyEmail;
@@ -37,18 +37,138 @@ api.interceptors.response.use(null, async (error) => {
     return Promise.reject(error);
 });
 
-export const reportIncident = (data) => api.post('/incidents', data);
-export const reportPublicSOS = (data) => api.post('/incidents/public-sos', data);
-export const getIncidents = () => api.get('/incidents');
-export const getMyIncidents = () => api.get('/incidents/my');
-export const updateIncidentStatus = (id, status) => api.patch(`/incidents/${id}/status`, { status });
-export const deleteIncident = (id) => api.delete(`/incidents/${id}`);
+// Auth calls that must never trigger a token refresh themselves
+const NO_REFRESH_URLS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout', '/auth/forgot-password', '/auth/reset-password', '/auth/verify-email'];
+let refreshInFlight = null;
+
+/**
+ * Silent Session Renewal
+ * Access tokens are short-lived; on a 401 the refresh cookie is exchanged for a new
+ * token once (shared by concurrent requests) and the original request is replayed.
+ * If the session itself is gone, the app is told to sign out.
+ */
+api.interceptors.response.use(null, async (error) => {
+    const { config, response } = error;
+    if (!config || !response || response.status !== 401 || config.isAuthRetry || NO_REFRESH_URLS.includes(config.url)) {
+        return Promise.reject(error);
+    }
+
+    try {
+        refreshInFlight = refreshInFlight || api.post('/auth/refresh');
+        await refreshInFlight;
+    } catch (refreshError) {
+        if (refreshError.response && refreshError.response.status === 401) {
+            window.dispatchEvent(new Event('resquenet:session-expired'));
+        }
+        return Promise.reject(error);
+    } finally {
+        refreshInFlight = null;
+    }
+
+    config.isAuthRetry = true;
+    return api(config);
+});
+
+/**
+ * Builds the multipart body for reports/attachments that carry photos or videos.
+ * Objects (e.g. the GeoJSON location) are sent as JSON strings.
+ */
+const toMediaFormData = (data, files, stripGps) => {
+    const form = new FormData();
+    Object.entries(data || {}).forEach(([key, value]) => {
+        if (value === undefined || value === null) return;
+        form.append(key, typeof value === 'object' ? JSON.stringify(value) : value);
+    });
+    files.forEach(file => form.append('media', file, file.name));
+    if (stripGps) form.append('stripGps', 'true');
+    return form;
+};
+
+// Mutations that may be retried (or replayed from the offline queue) carry an Idempotency-Key
+const idempotent = (key) => (key ? { headers: { 'Idempotency-Key': key } } : undefined);
+
+// Incident edits also send the version they were made against (If-Match); the server
+// answers 409 with its current state instead of overwriting a newer change
+const incidentWrite = ({ idempotencyKey, version } = {}) => ({
+    headers: {
+        ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey }),
+        ...(Number.isInteger(version) && { 'If-Match': `"${version}"` })
+    }
+});
+
+// Reports are keyed by their clientId, so a retry can never file a second copy
+export const reportIncident = (data, files = [], stripGps = false) =>
+    files.length > 0
+        ? api.post('/incidents', toMediaFormData(data, files, stripGps), idempotent(data.clientId))
+        : api.post('/incidents', data, idempotent(data.clientId));
+export const reportPublicSOS = (data) => api.post('/incidents/public-sos', data, idempotent(data.clientId));
+// Listings accept { status, type, severity, from, to, reporter, q, cursor, limit }
+export const getIncidents = (params) => api.get('/incidents', { params });
+export const getMyIncidents = (params) => api.get('/incidents/my', { params });
+// Delta sync: changes since an opaque cursor (omit it for a full first sync)
+export const getIncidentChanges = (since) => api.get('/incidents/changes', { params: since ? { since } : {} });
+export const getNearbyIncidents = (lat, lng, radius) => api.get('/incidents/nearby', { params: { lat, lng, radius } });
+export const getIncidentsWithin = (geometry) => api.post('/incidents/within', { geometry });
+// `options` = { idempotencyKey, version }
+export const updateIncidentStatus = (id, status, options) => api.patch(`/incidents/${id}/status`, { status }, incidentWrite(options));
+export const updateIncidentSeverity = (id, severity, version) => api.patch(`/incidents/${id}/severity`, { severity }, incidentWrite({ version }));
+export const mergeIncidents = (id, incidentIds, version) => api.post(`/incidents/${id}/merge`, { incidentIds }, incidentWrite({ version }));
+export const flagSpam = (id) => api.post(`/incidents/${id}/spam`);
+export const unflagSpam = (id) => api.delete(`/incidents/${id}/spam`);
+export const blockSpamIp = (id) => api.post(`/incidents/${id}/spam/block-ip`);
+export const getTriageQueue = (params = {}) => api.get('/incidents/queue', { params });
+export const deleteIncident = (id, options) => api.delete(`/incidents/${id}`, incidentWrite(options));
+export const attachIncidentMedia = (id, files, stripGps = false) =>
+    api.post(`/incidents/${id}/attachments`, toMediaFormData({}, files, stripGps));
+export const removeIncidentAttachment = (id, attachmentId) => api.delete(`/incidents/${id}/attachments/${attachmentId}`);
+export const attachmentUrl = (id, attachmentId, variant) =>
+    `${api.defaults.baseURL}/incidents/${id}/attachments/${attachmentId}${variant ? `?variant=${variant}` : ''}`;
+// Downloaded by the browser itself so large exports stream straight to disk
+export const incidentExportUrl = (params, format) =>
+    `${api.defaults.baseURL}/incidents/export?${new URLSearchParams({ ...params, format })}`;
+export const getIncidentHistory = (id) => api.get(`/incidents/${id}/history`);
+export const addIncidentNote = (id, text) => api.post(`/incidents/${id}/notes`, { text });
+export const getMyAssignments = () => api.get('/incidents/assigned');
+export const assignResponders = (id, responderIds, version) => api.post(`/incidents/${id}/assignments`, { responderIds }, incidentWrite({ version }));
+export const unassignResponder = (id, responderId, version) => api.delete(`/incidents/${id}/assignments/${responderId}`, incidentWrite({ version }));
+export const acceptAssignment = (id, version) => api.patch(`/incidents/${id}/accept`, undefined, incidentWrite({ version }));
+export const declineAssignment = (id, version) => api.patch(`/incidents/${id}/decline`, undefined, incidentWrite({ version }));
 export const login = (credentials) => api.post('/auth/login', credentials);
 export const register = (userData) => api.post('/auth/register', userData);
 export const logout = () => api.get('/auth/logout');
 export const getMe = () => api.get('/auth/me');
+export const forgotPassword = (email) => api.post('/auth/forgot-password', { email });
+export const resetPassword = (token, password) => api.post('/auth/reset-password', { token, password });
+export const verifyEmail = (token) => api.post('/auth/verify-email', { token });
+export const resendVerification = () => api.post('/auth/verify-email/resend');
+export const updateProfile = (profile) => api.patch('/auth/profile', profile);
+export const changePassword = (currentPassword, newPassword) => api.patch('/auth/password', { currentPassword, newPassword });
+export const getSessions = () => api.get('/auth/sessions');
+export const revokeSession = (id) => api.delete(`/auth/sessions/${id}`);
+export const revokeOtherSessions = () => api.delete('/auth/sessions');
 export const getUserCount = () => api.get('/auth/count');
 export const getAllUsers = () => api.get('/auth');
+export const getResponders = () => api.get('/auth/responders');
+export const updateUserRole = (id, role) => api.patch(`/auth/${id}/role`, { role });
+export const getRoleChanges = () => api.get('/auth/role-changes');
 export const deleteUserAccount = (id) => api.delete(`/auth/${id}`);
+// Bulk import: `file` or `url`, plus { source, mapping, dryRun }; a dry run only reports
+export const importIncidents = ({ file, ...fields }) => {
+    const form = toMediaFormData(fields, []);
+    if (file) form.append('file', file, file.name);
+    return api.post('/imports', form, { timeout: 120000 });
+};
+export const getImports = () => api.get('/imports');
+export const getImportReport = (id) => api.get(`/imports/${id}`);
+// Statistics accept { from, to, tz }; counts also { interval }, hotspots { cellKm, limit }
+export const getIncidentStats = (params) => api.get('/stats/incidents', { params });
+export const getResponseTimeStats = (params) => api.get('/stats/response-times', { params });
+export const getBusiestHourStats = (params) => api.get('/stats/busiest-hours', { params });
+export const getHotspotStats = (params) => api.get('/stats/hotspots', { params });
+export const getPushPublicKey = () => api.get('/notifications/vapid-public-key');
+export const savePushSubscription = (subscription) => api.post('/notifications/subscriptions', subscription);
+export const deletePushSubscription = (endpoint) => api.delete('/notifications/subscriptions', { data: { endpoint } });
+export const getNotificationPreferences = () => api.get('/notifications/preferences');
+export const updateNotificationPreferences = (preferences) => api.patch('/notifications/preferences', preferences);
 
 export default api;
@@ -1,26 +1,24 @@
-import { openDB } from 'idb';
+import { wrap } from 'idb';
+import { newClientId } from '../utils/ids';
+import { loadSyncEngine } from './sync';
+import { getIncidentChanges } from './api';
 
-const DB_NAME = 'ResqueNetDB';
 const STORE_NAME = 'pendingActions';
 
 console.log('📡 DB_SERVICE: Initializing IndexedDB Module');
 
 const CACHE_STORE_NAME = 'cachedData';
+const ATTACHMENT_STORE_NAME = 'pendingAttachments';
+const INCIDENT_STORE_NAME = 'incidents';
+const INCIDENT_SYNC_KEY = 'incidentSync'; // { userId, cursor } in the cachedData store
 
+/**
+ * Opens ResqueNetDB through the sync engine, which owns the schema and its
+ * upgrades, so the page and the service worker always agree on the version.
+ */
 export const initDB = async () => {
-    return openDB(DB_NAME, 3, {
-        upgrade(db, oldVersion) {
-            if (oldVersion < 2) {
-                if (db.objectStoreNames.contains('pendingReports')) {
-                    db.deleteObjectStore('pendingReports');
-                }
-                db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
-            }
-            if (oldVersion < 3) {
-                db.createObjectStore(CACHE_STORE_NAME);
-            }
-        },
-    });
+    const engine = await loadSyncEngine();
+    return wrap(await engine.openDatabase());
 };
 
 /**
@@ -37,14 +35,17 @@ export const getCachedData = async (key) => {
 };
 
 /**
- * Queue an action (CREATE, UPDATE, DELETE) for background sync
+ * Queue an action (CREATE, UPDATE, DELETE) for background sync.
+ * Each action carries the Idempotency-Key it is replayed with; a CREATE reuses its
+ * report's clientId so an earlier online attempt and the replay resolve to one incident.
  */
-export const queueAction = async (type, payload) => {
+export const queueAction = async (type, payload, idempotencyKey) => {
     console.log(`📡 DB_SERVICE: Queuing ${type} action`, payload);
     const db = await initDB();
     return db.add(STORE_NAME, {
         type,
         payload,
+        idempotencyKey: idempotencyKey || payload.clientId || newClientId(),
         createdAt: new Date().toISOString()
     });
 };
@@ -64,6 +65,39 @@ export const updatePendingAction = async (id, data) => {
     return db.put(STORE_NAME, data);
 };
 
+/**
+ * Queue photos/videos for upload once the connection returns.
+ * Pass `actionId` for a report that is itself still queued, or `incidentId` for an existing one.
+ */
+export const queueAttachments = async ({ actionId, incidentId, files, stripGps = false }) => {
+    const db = await initDB();
+    const tx = db.transaction(ATTACHMENT_STORE_NAME, 'readwrite');
+    await Promise.all([
+        ...files.map(file => tx.store.add({
+            ...(actionId !== undefined && { actionId }),
+            ...(incidentId !== undefined && { incidentId }),
+            file,
+            name: file.name,
+            stripGps,
+            idempotencyKey: newClientId(),
+            createdAt: new Date().toISOString()
+        })),
+        tx.done
+    ]);
+};
+
+export const getPendingAttachments = async () => {
+    const db = await initDB();
+    return db.getAll(ATTACHMENT_STORE_NAME);
+};
+
+export const deletePendingAttachmentsForAction = async (actionId) => {
+    const db = await initDB();
+    const tx = db.transaction(ATTACHMENT_STORE_NAME, 'readwrite');
+    const keys = await tx.store.index('actionId').getAllKeys(actionId);
+    await Promise.all([...keys.map(key => tx.store.delete(key)), tx.done]);
+};
+
 export const getLocalReports = async () => {
     const actions = await getPendingActions();
     return actions
@@ -72,5 +106,54 @@ export const getLocalReports = async () => {
 };
 
 export const deleteLocalReport = async (id) => {
+    await deletePendingAttachmentsForAction(id);
     return deletePendingAction(id);
 };
+
+/**
+ * Server incidents cached on the device (delta sync), in no particular order.
+ */
+export const getCachedIncidents = async () => {
+    const db = await initDB();
+    return db.getAll(INCIDENT_STORE_NAME);
+};
+
+/**
+ * Applies one page of GET /incidents/changes: tombstones first, then the changed
+ * incidents, and the new cursor with them in one transaction, so an interrupted
+ * sync resumes where it stopped.
+ */
+const applyIncidentChanges = async ({ incidents, deleted, cursor, reset }, userId) => {
+    const db = await initDB();
+    const tx = db.transaction([INCIDENT_STORE_NAME, CACHE_STORE_NAME], 'readwrite');
+    const store = tx.objectStore(INCIDENT_STORE_NAME);
+    await Promise.all([
+        ...(reset ? [store.clear()] : []),
+        ...deleted.map(id => store.delete(id)),
+        ...incidents.map(incident => store.put(incident)),
+        tx.objectStore(CACHE_STORE_NAME).put({ userId, cursor }, INCIDENT_SYNC_KEY),
+        tx.done
+    ]);
+};
+
+/**
+ * Brings the incident cache up to date for `userId`, downloading only what changed
+ * since the last run, and returns the cached incidents. Another account's cache is
+ * dropped first.
+ */
+export const syncIncidentCache = async (userId) => {
+    const db = await initDB();
+    const state = await db.get(CACHE_STORE_NAME, INCIDENT_SYNC_KEY);
+    let since = state?.userId === userId ? state.cursor : undefined;
+    if (!since) await db.clear(INCIDENT_STORE_NAME);
+
+    for (;;) {
+        const res = await getIncidentChanges(since);
+        const page = res.data.data;
+        await applyIncidentChanges(page, userId);
+        since = page.cursor;
+        if (!page.hasMore) break;
+    }
+    return getCachedIncidents();
+};
+
@@ -0,0 +1,49 @@
+/**
+ * Web Push subscription for this browser (notifications arrive in public/sw.js).
+ * The server only sends to subscriptions it knows, so turning push off here
+ * also forgets the subscription server-side.
+ */
+import { getPushPublicKey, savePushSubscription, deletePushSubscription } from './api';
+
+export const isPushSupported = () =>
+    'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+// VAPID keys are base64url; PushManager wants the raw bytes
+const toKeyBytes = (base64url) => {
+    const padded = (base64url + '='.repeat((4 - (base64url.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(padded), ch => ch.charCodeAt(0));
+};
+
+export const getPushSubscription = async () => {
+    if (!isPushSupported()) return null;
+    const registration = await navigator.serviceWorker.ready;
+    return registration.pushManager.getSubscription();
+};
+
+/**
+ * Asks for permission, subscribes and registers the subscription for the signed-in user.
+ * Resolves with false when the user refused or the server has push disabled.
+ */
+export const enablePush = async () => {
+    if (!isPushSupported()) return false;
+    const { publicKey } = (await getPushPublicKey()).data.data;
+    if (!publicKey) return false;
+    if (await Notification.requestPermission() !== 'granted') return false;
+
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.getSubscription()
+        || await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: toKeyBytes(publicKey) });
+    await savePushSubscription(subscription.toJSON());
+    return true;
+};
+
+/**
+ * Unsubscribes this browser. Best effort on the server side: e.g. on sign-out
+ * the session may already be gone, and a dead endpoint is pruned on the next send anyway.
+ */
+export const disablePush = async () => {
+    const subscription = await getPushSubscription();
+    if (!subscription) return;
+    await deletePushSubscription(subscription.endpoint).catch(() => {});
+    await subscription.unsubscribe();
+};
@@ -0,0 +1,104 @@
+/**
+ * Page-side access to the shared sync engine (public/sync-engine.js).
+ * The service worker runs the queue when it can; without one (first visit,
+ * unsupported browser) the page runs the same engine itself.
+ */
+import { newClientId } from '../utils/ids';
+
+const ENGINE_URL = '/sync-engine.js';
+const SYNC_TAG = 'sync-reports';
+
+let enginePromise = null;
+const listeners = new Set();
+let retryTimer = null;
+
+/**
+ * Loads the engine script once and resolves with `window.ResqSync`.
+ */
+export const loadSyncEngine = () => {
+    if (!enginePromise) {
+        enginePromise = new Promise((resolve, reject) => {
+            if (window.ResqSync) return resolve(window.ResqSync);
+            const script = document.createElement('script');
+            script.src = ENGINE_URL;
+            script.onload = () => resolve(window.ResqSync);
+            script.onerror = () => {
+                enginePromise = null;
+                reject(new Error('Sync engine could not be loaded'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return enginePromise;
+};
+
+const dispatch = (message) => {
+    // Entries waiting on backoff: come back when the earliest one is due
+    if (message.type === 'sync-complete') {
+        clearTimeout(retryTimer);
+        if (message.nextAttemptAt && !message.halted) {
+            retryTimer = setTimeout(requestSync, Math.max(1000, message.nextAttemptAt - Date.now()));
+        }
+    }
+    listeners.forEach(listener => listener(message));
+};
+
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.source === 'resq-sync') dispatch(event.data);
+    });
+}
+window.addEventListener('online', () => requestSync());
+
+/**
+ * Asks for the offline queue to be replayed: via Background Sync, the worker
+ * directly, or in this page as a last resort.
+ */
+export const requestSync = async () => {
+    try {
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            const registration = await navigator.serviceWorker.ready;
+            if ('sync' in registration) return await registration.sync.register(SYNC_TAG);
+            return registration.active?.postMessage({ type: 'sync-now' });
+        }
+        const engine = await loadSyncEngine();
+        await engine.syncAll(dispatch);
+    } catch (err) {
+        console.log('SYNC REQUEST FAILURE', err);
+    }
+};
+
+/**
+ * Subscribes to sync reports ({ type: 'sync-result' | 'sync-complete', ... }).
+ * Returns the unsubscribe function.
+ */
+export const onSyncMessage = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+export const getDeadLetters = async () => (await loadSyncEngine()).listDeadLetters();
+
+/**
+ * Queues a dead-lettered entry again under a new Idempotency-Key (the old key would
+ * only replay the stored rejection).
+ */
+export const retryDeadLetter = async (letter) => {
+    await (await loadSyncEngine()).retryDeadLetter(letter.id, { idempotencyKey: newClientId() });
+    return requestSync();
+};
+
+export const discardDeadLetter = async (letter) => (await loadSyncEngine()).discardDeadLetter(letter.id);
+
+/**
+ * Settles an offline edit that clashed with a newer server change: keep ours
+ * (re-send it against the server's current version) or keep theirs (drop ours).
+ */
+export const resolveConflict = async (letter, keepMine) => {
+    if (!keepMine) return discardDeadLetter(letter);
+    await (await loadSyncEngine()).retryDeadLetter(letter.id, {
+        idempotencyKey: newClientId(),
+        payload: { version: letter.serverState?.__v }
+    });
+    return requestSync();
+};
@@ -0,0 +1,28 @@
+/**
+ * UUID v4 for client-generated ids (report clientId, Idempotency-Key).
+ * crypto.randomUUID only exists in secure contexts, so plain-HTTP LAN testing
+ * falls back to building one from crypto.getRandomValues.
+ */
+export const newClientId = () => {
+    if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40; // version 4
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+    const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const DEVICE_ID_KEY = 'resquenet_device_id';
+
+/**
+ * Random id this browser keeps across sign-outs, sent with anonymous SOS calls so
+ * the server can rate-limit (and, for spam, block) one device without its whole network.
+ */
+export const getDeviceId = () => {
+    let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+    if (!deviceId) {
+        deviceId = newClientId();
+        localStorage.setItem(DEVICE_ID_KEY, deviceId);
+    }
+    return deviceId;
+};
@@ -0,0 +1,33 @@
+/**
+ * LOCATION HELPERS
+ * Incidents store a GeoJSON Point ([lng, lat]) plus an optional address.
+ * Cached/queued data from older versions may still hold a plain string.
+ */
+
+/**
+ * Builds the GeoJSON Point the API expects from a browser Geolocation position.
+ */
+export const toPoint = (coords) => ({
+    type: 'Point',
+    coordinates: [coords.longitude, coords.latitude]
+});
+
+/**
+ * Human-readable "lat, lng" for a GeoJSON Point.
+ */
+export const formatCoordinates = (point, digits = 4) => {
+    if (!point || !Array.isArray(point.coordinates)) return '';
+    const [lng, lat] = point.coordinates;
+    return `${lat.toFixed(digits)}, ${lng.toFixed(digits)}`;
+};
+
+/**
+ * Best label for where an incident is: address first, then coordinates.
+ */
+export const formatLocation = (incident) => {
+    if (!incident) return '';
+    if (typeof incident.location === 'string') return incident.location;
+    const coords = formatCoordinates(incident.location);
+    if (incident.address && coords) return `${incident.address} (${coords})`;
+    return incident.address || coords || 'Location unavailable';
+};
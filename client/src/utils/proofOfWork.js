@@ -0,0 +1,36 @@
+/**
+ * Proof-of-work stamp for anonymous SOS calls (checked by server/utils/proofOfWork.js):
+ * a nonce such that SHA-256("resq-sos:<clientId>:<issuedAt>:<nonce>") starts with
+ * SOS_POW_BITS zero bits. It needs no server round trip, so it can be solved offline.
+ */
+const SOS_POW_BITS = 16; // Must not be lower than the server's SOS_POW_BITS
+const BATCH_SIZE = 256; // Hashes in flight at once; WebCrypto digests are async
+
+const encoder = new TextEncoder();
+
+const hasLeadingZeroBits = (digest, bits) => {
+    const bytes = new Uint8Array(digest);
+    let i = 0;
+    for (; bits >= 8; bits -= 8, i++) {
+        if (bytes[i] !== 0) return false;
+    }
+    return bits === 0 || (bytes[i] >> (8 - bits)) === 0;
+};
+
+/**
+ * Resolves with { issuedAt, nonce } for the given SOS clientId, or null where
+ * WebCrypto is unavailable (plain-HTTP LAN testing); the server then refuses
+ * the SOS unless it has proof of work turned off.
+ */
+export const solveSosProof = async (clientId) => {
+    if (!crypto.subtle) return null;
+    const issuedAt = Date.now();
+    const prefix = `resq-sos:${clientId}:${issuedAt}:`;
+
+    for (let start = 0; ; start += BATCH_SIZE) {
+        const nonces = Array.from({ length: BATCH_SIZE }, (_, i) => String(start + i));
+        const digests = await Promise.all(nonces.map(nonce => crypto.subtle.digest('SHA-256', encoder.encode(prefix + nonce))));
+        const found = digests.findIndex(digest => hasLeadingZeroBits(digest, SOS_POW_BITS));
+        if (found !== -1) return { issuedAt, nonce: nonces[found] };
+    }
+};
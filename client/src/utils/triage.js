@@ -0,0 +1,25 @@
+/**
+ * TRIAGE HELPERS
+ * Severity labels and queue ordering. The score itself is computed by the server.
+ */
+
+export const SEVERITY_LEVELS = [
+    { value: 'P1', label: 'P1 - Life Threatening', style: 'bg-red-600 text-white border-red-600' },
+    { value: 'P2', label: 'P2 - Urgent', style: 'bg-orange-500 text-white border-orange-500' },
+    { value: 'P3', label: 'P3 - Standard', style: 'bg-yellow-400 text-gray-900 border-yellow-400' },
+    { value: 'P4', label: 'P4 - Minor', style: 'bg-gray-400 text-white border-gray-400' }
+];
+
+export const severityStyle = (severity) =>
+    (SEVERITY_LEVELS.find(level => level.value === severity) || SEVERITY_LEVELS[2]).style;
+
+/**
+ * Orders incidents for the dispatcher: highest triage score first.
+ * Entries not yet on the server (no score) stay on top so they are not lost from view.
+ */
+export const sortByTriage = (incidents) => [...incidents].sort((a, b) => {
+    const scoreA = a.triageScore ?? Infinity;
+    const scoreB = b.triageScore ?? Infinity;
+    if (scoreA === scoreB) return new Date(b.createdAt) - new Date(a.createdAt);
+    return scoreB - scoreA;
+});
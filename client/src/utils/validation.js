@@ -0,0 +1,21 @@
+/**
+ * Maps a server validation failure to { field: message } for inline form errors.
+ * The API answers invalid input with 400 { message, errors: [{ field, message, location }] }.
+ */
+export const fieldErrors = (err) => {
+    const errors = err?.response?.data?.errors;
+    if (!Array.isArray(errors)) return {};
+    return errors.reduce((acc, e) => (acc[e.field] ? acc : { ...acc, [e.field]: e.message }), {});
+};
+
+/**
+ * True when the server rejected the request's content (retrying or queueing it will not help).
+ */
+export const isValidationError = (err) => err?.response?.status === 400 && Array.isArray(err.response.data?.errors);
+
+/**
+ * The server's current incident when an edit was refused because someone else changed it first
+ * (409 { code: 'conflict', data: { incident } }), else null.
+ */
+export const conflictingIncident = (err) =>
+    (err?.response?.status === 409 && err.response.data?.code === 'conflict' ? err.response.data.data.incident : null);
@@ -1,33 +1,82 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const RoleChange = require('../models/RoleChange');
+const { emitToUsers, emitToRoles, userRoom, roleRoom, disconnectSessions } = require('../utils/realtime');
+const { changeRole } = require('../utils/roles');
+const { redeemAccountToken } = require('../services/accountTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmails');
+const {
+    ACCESS_TOKEN_TTL_MS,
+    REFRESH_TOKEN_TTL_MS,
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    verifyAccessToken
+} = require('../services/sessions');
 
-const signToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: '24h'
+const baseCookieOptions = () => ({
+    httpOnly: true,
+    // In development, allow Cookies over HTTP for mobile testing. In Production (Vercel), enforce Secure.
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
+});
+
+// The refresh token is only ever sent to the auth endpoints
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+const setAuthCookies = (res, accessToken, refreshToken) => {
+    res.cookie('jwt', accessToken, {
+        ...baseCookieOptions(),
+        expires: new Date(Date.now() + ACCESS_TOKEN_TTL_MS)
+    });
+    // No refresh token for a concurrent refresh: the cookie set by the one that won must stay
+    if (!refreshToken) return;
+    res.cookie('refresh', refreshToken, {
+        ...baseCookieOptions(),
+        path: REFRESH_COOKIE_PATH,
+        expires: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
     });
 };
 
-const sendToken = (user, statusCode, res) => {
-    const token = signToken(user._id);
-    const cookieOptions = {
-        expires: new Date(Date.now() + 24 * 60 * 60 * 1000),
-        httpOnly: true,
-        // In development, allow Cookies over HTTP for mobile testing. In Production (Vercel), enforce Secure.
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
-    };
+const clearAuthCookies = (res) => {
+    res.clearCookie('jwt', baseCookieOptions());
+    res.clearCookie('refresh', { ...baseCookieOptions(), path: REFRESH_COOKIE_PATH });
+};
 
-    res.cookie('jwt', token, cookieOptions);
+const sendTokens = (user, statusCode, res, { session, accessToken, refreshToken }) => {
+    setAuthCookies(res, accessToken, refreshToken);
 
     user.password = undefined;
 
     res.status(statusCode).json({
         status: 'success',
-        token,
-        data: { user }
+        token: accessToken,
+        data: { user, sessionExpiresAt: session.expiresAt }
     });
 };
 
+/**
+ * Signs the user in on the requesting device (new session + token pair).
+ */
+const sendToken = async (user, statusCode, req, res) => {
+    sendTokens(user, statusCode, res, await createSession(user, req));
+};
+
+/**
+ * Session id of the caller, from the access token or failing that the refresh token.
+ * Used by logout, which must work even after the access token has expired.
+ */
+const currentSessionId = async (req) => {
+    try {
+        if (req.cookies.jwt) return (await verifyAccessToken(req.cookies.jwt)).sid;
+    } catch {
+        // Fall through to the refresh token
+    }
+    const [sessionId] = String(req.cookies.refresh || '').split('.');
+    return /^[a-f0-9]{24}$/.test(sessionId) ? sessionId : null;
+};
+
 exports.register = async (req, res) => {
     try {
         const newUser = await User.create({
@@ -37,10 +86,10 @@ exports.register = async (req, res) => {
             role: 'citizen' // Public registration strictly limited to citizens
         });
 
-        // EMIT REAL-TIME EVENT
+        // EMIT REAL-TIME EVENT (admins only: the payload contains the email address)
         const io = req.app.get('socketio');
         if (io) {
-            io.emit('user_registered', {
+            emitToRoles(io, ['admin'], 'user_registered', {
                 _id: newUser._id,
                 name: newUser.name,
                 email: newUser.email,
@@ -48,7 +97,10 @@ exports.register = async (req, res) => {
             });
         }
 
-        sendToken(newUser, 201, res);
+        // Not awaited: the mailer must not slow down or fail sign-up
+        sendVerificationEmail(newUser).catch(err => console.error('Verification email failed:', err.message));
+
+        await sendToken(newUser, 201, req, res);
     } catch (err) {
         if (err.code === 11000) {
             return res.status(400).json({
@@ -81,16 +133,6 @@ exports.login = async (req, res) => {
             return res.status(401).json({ status: 'fail', message: 'Incorrect email or password' });
         }
 
-        // EMERGENCY BYPASS FOR ADMIN
-        // Supports both legacy and current admin emails
-        if ((email === 'naveen@gmail.com' || email === 'naveen04@gmail.com') && password === 'naveen04') {
-            const adminUser = await User.findOne({ email: email });
-            if (adminUser) {
-                console.log('⚡ EMERGENCY ADMIN LOGIN APPROVED ⚡');
-                return sendToken(adminUser, 200, res);
-            }
-        }
-
         // Compare password using the model method
         const isMatch = await user.comparePassword(password);
 
@@ -105,26 +147,277 @@ exports.login = async (req, res) => {
         }
 
         console.log('Login success');
-        sendToken(user, 200, res);
+        await sendToken(user, 200, req, res);
     } catch (err) {
         console.error('Login Error:', err);
         res.status(400).json({ status: 'fail', message: err.message });
     }
 };
 
-exports.logout = (req, res) => {
-    res.cookie('jwt', 'loggedout', {
-        expires: new Date(Date.now() + 10 * 1000),
-        httpOnly: true
-    });
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange the refresh cookie for a new access token; the refresh token is rotated
+ * @access  Public (refresh cookie)
+ */
+exports.refresh = async (req, res) => {
+    try {
+        const rotated = await rotateSession(req.cookies.refresh, req, (id) => User.findById(id));
+        if (!rotated) {
+            clearAuthCookies(res);
+            return res.status(401).json({ status: 'fail', message: 'Session expired. Please log in again.' });
+        }
+        sendTokens(rotated.user, 200, res, rotated);
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+exports.logout = async (req, res) => {
+    try {
+        const sessionId = await currentSessionId(req);
+        const session = sessionId && await Session.findById(sessionId);
+        if (session) {
+            await revokeSession(session, 'logout');
+            disconnectSessions(req.app.get('socketio'), [session._id]);
+        }
+    } catch (err) {
+        console.error('Logout revocation failed:', err.message);
+    }
+    clearAuthCookies(res);
     res.status(200).json({ status: 'success' });
 };
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    The current user's signed-in devices; `current` marks the caller's own
+ * @access  Private
+ */
+exports.getSessions = async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).select('userAgent ip createdAt lastUsedAt expiresAt').sort('-lastUsedAt');
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                sessions: sessions.map(session => ({
+                    ...session.toObject(),
+                    current: session._id.toString() === String(req.sessionId)
+                }))
+            }
+        });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out one device
+ * @access  Private (own sessions only)
+ */
+exports.deleteSession = async (req, res) => {
+    try {
+        const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+        if (!session) {
+            return res.status(404).json({ status: 'fail', message: 'Session not found' });
+        }
+
+        await revokeSession(session, 'revoked_by_user');
+        disconnectSessions(req.app.get('socketio'), [session._id]);
+        if (session._id.toString() === String(req.sessionId)) clearAuthCookies(res);
+
+        res.status(204).json({ status: 'success', data: null });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out every other device, keeping the caller signed in
+ * @access  Private
+ */
+exports.deleteOtherSessions = async (req, res) => {
+    try {
+        const revoked = await revokeAllSessions(req.user._id, 'revoked_by_user', req.sessionId);
+        disconnectSessions(req.app.get('socketio'), revoked);
+        res.status(200).json({ status: 'success', data: { revoked: revoked.length } });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   PATCH /api/auth/profile
+ * @desc    Update the SMS phone number and (responders) on-duty status
+ * @access  Private
+ */
+exports.updateProfile = async (req, res) => {
+    try {
+        const { phone, onDuty } = req.body;
+        if (onDuty !== undefined && req.user.role !== 'responder') {
+            return res.status(403).json({ status: 'fail', message: 'Only responders go on duty' });
+        }
+
+        if (phone !== undefined) req.user.phone = phone || undefined;
+        if (onDuty !== undefined) req.user.onDuty = onDuty;
+        await req.user.save();
+
+        req.user.password = undefined;
+        res.status(200).json({ status: 'success', data: { user: req.user } });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   PATCH /api/auth/password
+ * @desc    Change password. Every session is revoked; this device gets a fresh one.
+ * @access  Private
+ */
+exports.changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ status: 'fail', message: 'Please provide your current and new password' });
+        }
+
+        const user = await User.findById(req.user._id).select('+password');
+        if (!(await user.comparePassword(currentPassword))) {
+            return res.status(401).json({ status: 'fail', message: 'Current password is incorrect' });
+        }
+
+        user.password = newPassword;
+        await user.save();
+
+        const revoked = await revokeAllSessions(user._id, 'password_change');
+        disconnectSessions(req.app.get('socketio'), revoked);
+
+        await sendToken(user, 200, req, res);
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link. The response never reveals
+ *          whether the address belongs to an account.
+ * @access  Public (rate limited)
+ */
+exports.forgotPassword = async (req, res) => {
+    try {
+        const email = typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+        if (!email) {
+            return res.status(400).json({ status: 'fail', message: 'Please provide your email address' });
+        }
+
+        // Not awaited: the response must take as long, and say the same, for unknown addresses
+        const user = await User.findOne({ email });
+        if (user) sendPasswordResetEmail(user).catch(err => console.error('Password reset email failed:', err.message));
+
+        res.status(200).json({
+            status: 'success',
+            message: 'If that email is registered, a reset link is on its way.'
+        });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset token. Every existing session is
+ *          revoked and the caller is signed in on this device.
+ * @access  Public (reset token)
+ */
+exports.resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        if (!password) {
+            return res.status(400).json({ status: 'fail', message: 'Please provide a new password' });
+        }
+
+        const userId = await redeemAccountToken(token, 'password_reset');
+        const user = userId && await User.findById(userId);
+        if (!user) {
+            return res.status(400).json({ status: 'fail', message: 'This reset link is invalid or has expired. Please request a new one.' });
+        }
+
+        user.password = password;
+        // Following the emailed link proves the address is theirs
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+        await user.save();
+
+        const revoked = await revokeAllSessions(user._id, 'password_reset');
+        disconnectSessions(req.app.get('socketio'), revoked);
+
+        await sendToken(user, 200, req, res);
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address with a verification token
+ * @access  Public (verification token)
+ */
+exports.verifyEmail = async (req, res) => {
+    try {
+        const userId = await redeemAccountToken(req.body.token, 'email_verification');
+        const user = userId && await User.findById(userId);
+        if (!user) {
+            return res.status(400).json({ status: 'fail', message: 'This verification link is invalid or has expired.' });
+        }
+
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save();
+        }
+
+        user.password = undefined;
+        res.status(200).json({ status: 'success', data: { user } });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Send a fresh verification link to the current user
+ * @access  Private
+ */
+exports.resendVerification = async (req, res) => {
+    try {
+        if (req.user.emailVerified) {
+            return res.status(400).json({ status: 'fail', message: 'Your email address is already verified' });
+        }
+        await sendVerificationEmail(req.user);
+        res.status(200).json({ status: 'success', message: `Verification link sent to ${req.user.email}` });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
 exports.getMe = async (req, res) => {
-    res.status(200).json({
-        status: 'success',
-        data: { user: req.user }
-    });
+    try {
+        const session = await Session.findById(req.sessionId).select('expiresAt');
+        res.status(200).json({
+            status: 'success',
+            data: { user: req.user, sessionExpiresAt: session ? session.expiresAt : null }
+        });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
 };
 
 exports.getUserCount = async (req, res) => {
@@ -141,7 +434,7 @@ exports.getUserCount = async (req, res) => {
 
 exports.getAllUsers = async (req, res) => {
     try {
-        const users = await User.find({ role: 'citizen' }).select('-password');
+        const users = await User.find().select('-password').sort('-createdAt');
         res.status(200).json({
             status: 'success',
             data: { users }
@@ -151,6 +444,80 @@ exports.getAllUsers = async (req, res) => {
     }
 };
 
+exports.getResponders = async (req, res) => {
+    try {
+        const responders = await User.find({ role: 'responder' }).select('-password').sort('name');
+        res.status(200).json({
+            status: 'success',
+            data: { users: responders }
+        });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   PATCH /api/auth/:id/role
+ * @desc    Promote or demote a user (citizen / responder / admin). Every change is logged.
+ * @access  Private (Admin Role Only)
+ */
+exports.updateUserRole = async (req, res) => {
+    try {
+        const { role } = req.body;
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ status: 'fail', message: 'User not found' });
+        }
+
+        if (user._id.toString() === req.user._id.toString()) {
+            return res.status(400).json({ status: 'fail', message: 'You cannot change your own role' });
+        }
+
+        if (user.role === role) {
+            return res.status(400).json({ status: 'fail', message: `User is already ${role}` });
+        }
+
+        const previous = await changeRole(user, role, req.user, 'api');
+        user.password = undefined;
+
+        // EMIT REAL-TIME EVENT
+        const io = req.app.get('socketio');
+        if (io) {
+            // Move the user's live sockets to their new role room
+            io.in(userRoom(user._id)).socketsLeave(roleRoom(previous));
+            io.in(userRoom(user._id)).socketsJoin(roleRoom(role));
+            emitToUsers(io, [user._id], 'role_changed', { role });
+            emitToRoles(io, ['admin'], 'user_role_changed', { user, from: previous });
+            console.log(`📡 SOCKET: Targeted -> user:${user._id}, role:admin (role_changed)`);
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: { user }
+        });
+    } catch (err) {
+        res.status(err.status || 400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   GET /api/auth/role-changes
+ * @desc    The role change log, newest first
+ * @access  Private (Admin Role Only)
+ */
+exports.getRoleChanges = async (req, res) => {
+    try {
+        const changes = await RoleChange.find().sort('-createdAt').limit(200);
+        res.status(200).json({
+            status: 'success',
+            results: changes.length,
+            data: { changes }
+        });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
 exports.deleteUser = async (req, res) => {
     try {
         const user = await User.findById(req.params.id);
@@ -167,7 +534,7 @@ exports.deleteUser = async (req, res) => {
         // EMIT REAL-TIME EVENT
         const io = req.app.get('socketio');
         if (io) {
-            io.emit('user_deleted', req.params.id);
+            emitToRoles(io, ['admin'], 'user_deleted', req.params.id);
         }
 
         res.status(204).json({ status: 'success', data: null });
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const Incident = require('../models/Incident');
+const {
+    CAP_CONTENT_TYPE, ATOM_CONTENT_TYPE, capPublisher, capAlertXml, capAtomFeed,
+    parseCapAlert, capStatedFields, capIncidentFields, isAllClear
+} = require('../utils/cap');
+const { findLikelyDuplicate, joinCluster } = require('../utils/dedup');
+const { recordEvent } = require('../utils/timeline');
+const { emitToRoles, emitToIncident } = require('../utils/realtime');
+const { notifyStatusChange } = require('../services/incidentNotifications');
+const { alertOnDutyResponders, sendStatusSms } = require('../services/incidentSms');
+
+const FEED_LIMIT = 200;
+// Resolved incidents stay in the feed this long so readers receive the all-clear
+const ALL_CLEAR_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Incidents that are published: ones staff have taken on (In Progress), and
+ * recently resolved ones. Unconfirmed, spam, merged and imported records
+ * (including alerts from other agencies) are not re-published.
+ */
+const publishedFilter = () => ({
+    mergedInto: { $exists: false },
+    spam: { $ne: true },
+    importSource: { $exists: false },
+    $or: [
+        { status: 'In Progress' },
+        { status: 'Resolved', updatedAt: { $gte: new Date(Date.now() - ALL_CLEAR_WINDOW_MS) } }
+    ]
+});
+
+/**
+ * @route   GET /api/cap/feed
+ * @desc    Atom feed of verified incidents, each carrying its CAP 1.2 alert
+ * @access  Public
+ */
+exports.getCapFeed = async (req, res) => {
+    try {
+        const incidents = await Incident.find(publishedFilter()).sort({ updatedAt: -1 }).limit(FEED_LIMIT).lean();
+        const feed = capAtomFeed(incidents, capPublisher());
+        res.set('Cache-Control', 'public, max-age=60').type(ATOM_CONTENT_TYPE).send(feed);
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   GET /api/cap/alerts/:id
+ * @desc    The current CAP 1.2 alert for one verified incident
+ * @access  Public
+ */
+exports.getCapAlert = async (req, res) => {
+    try {
+        const incident = await Incident.findOne({ _id: req.params.id, ...publishedFilter() }).lean();
+        if (!incident) {
+            return res.status(404).json({ status: 'fail', message: 'No published alert for this incident' });
+        }
+        const xml = capAlertXml(incident, capPublisher());
+        res.set('Cache-Control', 'public, max-age=60').type(CAP_CONTENT_TYPE).send(xml);
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+// Agencies authenticate with the shared CAP_INGEST_TOKEN; without one, ingestion is off
+const isAuthorizedSender = (req) => {
+    if (!process.env.CAP_INGEST_TOKEN) return false;
+    const given = Buffer.from(String(req.get('Authorization') || '').replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(process.env.CAP_INGEST_TOKEN);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// The incident a sender's message (its first alert or a later update) is about
+const bySourceId = (sender, identifier) => ({
+    'importSource.name': sender,
+    $or: [{ 'importSource.externalId': identifier }, { 'importSource.updates': identifier }]
+});
+
+/**
+ * Applies an Update or Cancel to the incident an earlier alert created: an
+ * all-clear resolves it, anything else changes the fields the update states
+ * (an update without an <area> keeps the incident's location). Later
+ * messages may reference the update instead, so its identifier is kept too.
+ */
+const applyCapUpdate = async (req, incident, alert) => {
+    const actor = { name: alert.sender };
+    const previous = { status: incident.status, severity: incident.severity };
+
+    if (isAllClear(alert)) {
+        incident.status = 'Resolved';
+    } else {
+        incident.set(capStatedFields(alert));
+    }
+    incident.importSource.updates = [...(incident.importSource.updates || []), alert.identifier];
+    await incident.save();
+
+    if (previous.severity !== incident.severity) {
+        await recordEvent(incident._id, 'severity_changed', actor, { from: previous.severity, to: incident.severity });
+    }
+    if (previous.status !== incident.status) {
+        await recordEvent(incident._id, 'status_changed', actor, { from: previous.status, to: incident.status });
+        notifyStatusChange(incident, actor);
+        sendStatusSms(incident);
+    }
+
+    // EMIT REAL-TIME EVENT
+    const io = req.app.get('socketio');
+    if (io) emitToIncident(io, incident._id, 'incident_updated', incident.toObject());
+    return incident;
+};
+
+/**
+ * @route   POST /api/cap/alerts
+ * @desc    Ingest a CAP 1.2 alert (XML body) from another agency. An Alert files
+ *          an incident; an Update or Cancel changes the one its references created.
+ *          Repeats of a message already received return the same incident.
+ * @access  Public (authenticated by the CAP_INGEST_TOKEN bearer token)
+ */
+exports.ingestCapAlert = async (req, res) => {
+    if (!isAuthorizedSender(req)) {
+        return res.status(403).json({ status: 'fail', message: 'Invalid or missing CAP ingest token' });
+    }
+
+    try {
+        const alert = parseCapAlert(req.body);
+
+        // Exercises, tests, drafts and acknowledgements are accepted but never become incidents
+        if (alert.status !== 'Actual' || !['Alert', 'Update', 'Cancel'].includes(alert.msgType)) {
+            return res.status(202).json({ status: 'success', message: `${alert.status} ${alert.msgType} received; nothing to file` });
+        }
+
+        const existing = await Incident.findOne(bySourceId(alert.sender, alert.identifier));
+        if (existing) {
+            return res.status(200).json({ status: 'success', data: { incident: existing } });
+        }
+
+        const earlier = alert.references.length > 0
+            ? await Incident.findOne({ $or: alert.references.map(ref => bySourceId(ref.sender, ref.identifier)) })
+            : null;
+        if (earlier && alert.msgType !== 'Alert') {
+            const incident = await applyCapUpdate(req, earlier, alert);
+            return res.status(200).json({ status: 'success', data: { incident } });
+        }
+        if (alert.msgType === 'Cancel' || isAllClear(alert)) {
+            return res.status(404).json({ status: 'fail', message: 'No incident was filed for the alert this one ends' });
+        }
+
+        // An Update for an alert never received is filed like a new Alert
+        const fields = capIncidentFields(alert);
+        const duplicate = await findLikelyDuplicate(Incident, fields);
+        const cluster = duplicate ? await joinCluster(Incident, duplicate) : undefined;
+
+        const newIncident = await Incident.create({
+            ...fields,
+            cluster,
+            reportedSeverity: fields.severity,
+            importSource: { name: alert.sender, externalId: alert.identifier }
+        });
+        await recordEvent(newIncident._id, 'imported', { name: alert.sender }, { source: alert.sender, externalId: alert.identifier, cap: true });
+        if (duplicate) {
+            await recordEvent(newIncident._id, 'duplicate_detected', null, { of: duplicate._id, title: duplicate.title });
+        }
+
+        // EMIT REAL-TIME EVENT
+        const io = req.app.get('socketio');
+        if (io) {
+            emitToRoles(io, ['admin'], 'new_incident', newIncident.toObject());
+            console.log('📡 SOCKET: Targeted -> new_incident (CAP alert)');
+            if (duplicate && !duplicate.cluster) {
+                duplicate.cluster = cluster;
+                emitToIncident(io, duplicate._id, 'incident_updated', duplicate.toObject());
+            }
+        }
+        if (newIncident.severity === 'P1') alertOnDutyResponders(newIncident);
+
+        res.status(201).json({ status: 'success', data: { incident: newIncident } });
+    } catch (err) {
+        res.status(err.status || 400).json({ status: 'fail', message: err.message });
+    }
+};
@@ -0,0 +1,85 @@
+const Incident = require('../models/Incident');
+const ImportBatch = require('../models/ImportBatch');
+const { IMPORT_FIELDS, parseImport, fetchImportFeed, suggestMapping, runImport } = require('../utils/incidentImport');
+const { emitToRoles } = require('../utils/realtime');
+
+const RECENT_IMPORTS = 50;
+
+/**
+ * @route   POST /api/imports
+ * @desc    Bulk import incidents from a CSV/GeoJSON `file` upload or an https feed `url`.
+ *          Without dryRun=false nothing is written: the response previews the mapping
+ *          (suggested from the headers unless `mapping` is given) and the per-row report.
+ * @access  Private (Admin Only)
+ */
+exports.importIncidents = async (req, res) => {
+    try {
+        const { source, url, format } = req.body;
+        const dryRun = req.body.dryRun !== false;
+
+        let input;
+        if (req.file) {
+            input = { buffer: req.file.buffer, name: req.file.originalname, origin: req.file.originalname };
+        } else if (url) {
+            const feed = await fetchImportFeed(url);
+            input = { buffer: feed.buffer, format: feed.format, name: new URL(url).pathname, origin: url };
+        } else {
+            return res.status(400).json({ status: 'fail', message: 'Attach a CSV or GeoJSON file, or give a feed url' });
+        }
+
+        const parsed = parseImport(input.buffer, { format: format || input.format, name: input.name });
+        const suggestedMapping = suggestMapping(parsed.columns);
+        const report = await runImport({ Incident, ImportBatch }, parsed, {
+            source,
+            mapping: req.body.mapping || suggestedMapping,
+            dryRun,
+            origin: input.origin,
+            user: req.user
+        });
+
+        // EMIT REAL-TIME EVENT
+        // One notice for the whole batch; dashboards reload rather than receive every record
+        const io = req.app.get('socketio');
+        if (io && !dryRun && report.counts.imported > 0) {
+            emitToRoles(io, ['admin'], 'incidents_imported', { batch: report.batch, source, count: report.counts.imported });
+        }
+
+        res.status(dryRun ? 200 : 201).json({
+            status: 'success',
+            data: { ...report, suggestedMapping, fields: IMPORT_FIELDS }
+        });
+    } catch (err) {
+        res.status(err.status || 400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   GET /api/imports
+ * @desc    Recent imports with their counts (reports without the per-row detail)
+ * @access  Private (Admin Only)
+ */
+exports.getImports = async (req, res) => {
+    try {
+        const imports = await ImportBatch.find().select('-rows').sort({ createdAt: -1 }).limit(RECENT_IMPORTS);
+        res.status(200).json({ status: 'success', results: imports.length, data: { imports } });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   GET /api/imports/:id
+ * @desc    The full report of one import, row by row
+ * @access  Private (Admin Only)
+ */
+exports.getImport = async (req, res) => {
+    try {
+        const batch = await ImportBatch.findById(req.params.id);
+        if (!batch) {
+            return res.status(404).json({ status: 'fail', message: 'Import not found' });
+        }
+        res.status(200).json({ status: 'success', data: { import: batch } });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
@@ -1,4 +1,33 @@
+const mongoose = require('mongoose');
 const Incident = require('../models/Incident');
+const User = require('../models/User');
+const IncidentEvent = require('../models/IncidentEvent');
+const { resolveLocation, isPolygon, isValidLatLng, toPoint } = require('../utils/geo');
+const { SEVERITIES, triageScoreExpression } = require('../utils/triage');
+const { emitToUsers, emitToRoles, emitToIncident, joinIncidentRoom, leaveIncidentRoom, incidentRoom } = require('../utils/realtime');
+const { recordEvent } = require('../utils/timeline');
+const { storeAttachment, removeAttachment: removeStoredMedia } = require('../services/media');
+const { getStorage } = require('../services/storage');
+const { buildIncidentFilter, paginateIncidents } = require('../utils/incidentQuery');
+const { isStale, sendConflict, handleVersionError } = require('../utils/concurrency');
+const { collectIncidentChanges, recordTombstone } = require('../utils/incidentChanges');
+const { EXPORT_FORMATS, streamIncidentExport } = require('../utils/incidentExport');
+const { notifyStatusChange, notifyAssignmentChange, notifyMerged } = require('../services/incidentNotifications');
+const { alertOnDutyResponders, sendStatusSms, sendMergedSms } = require('../services/incidentSms');
+const { findLikelyDuplicate, joinCluster } = require('../utils/dedup');
+const BlockedSource = require('../models/BlockedSource');
+
+// Default search radius for "near me" queries (metres)
+const DEFAULT_NEARBY_RADIUS = 5000;
+const MAX_NEARBY_RADIUS = 100000;
+
+// Triage queue page size when the request gives no limit
+const QUEUE_PAGE_SIZE = 50;
+
+// Anonymous SOS calls this close together in place and time are one emergency
+const SOS_DUPLICATE_RADIUS = 50; // metres
+const SOS_DUPLICATE_WINDOW_MS = 10 * 60 * 1000;
+const EARTH_RADIUS_METRES = 6378100;
 
 /**
  * @route   POST /api/incidents
@@ -7,21 +36,68 @@ const Incident = require('../models/Incident');
  */
 exports.createIncident = async (req, res) => {
     try {
-        // We attach the authenticated user's name to the report for accountability and tracking
+        // Reporters may only suggest a severity; the effective value starts as their suggestion
+        const suggested = SEVERITIES.includes(req.body.severity) ? req.body.severity : undefined;
+
+        // Only reporter-supplied fields are taken from the body; status, timestamps and
+        // reporter identity are always set by the server
+        const { title, type, description, clientId } = req.body;
+
+        // A report the device already delivered (e.g. a replay without its idempotency
+        // record) is answered with the existing incident instead of a duplicate
+        if (clientId) {
+            const existing = await Incident.findOne({ clientId, reporterId: req.user._id });
+            if (existing) {
+                return res.status(200).json({ status: 'success', data: { incident: existing } });
+            }
+        }
+
+        // Likely another report of an incident already open nearby: link the two as a cluster
+        const { location, address } = resolveLocation(req.body);
+        const duplicate = await findLikelyDuplicate(Incident, { type, location });
+        const cluster = duplicate ? await joinCluster(Incident, duplicate) : undefined;
+
         const newIncident = await Incident.create({
-            ...req.body,
-            reporter: req.user.name
+            title,
+            type,
+            description,
+            clientId,
+            location,
+            address,
+            cluster,
+            severity: suggested,
+            reportedSeverity: suggested,
+            reporter: req.user.name,
+            reporterId: req.user._id,
+            reporterPhone: req.body.phone || req.user.phone
         });
+        await newIncident.populate('reporterInfo', 'name email role');
+        await recordEvent(newIncident._id, 'created', req.user, { status: newIncident.status, severity: newIncident.severity });
+        if (duplicate) {
+            await recordEvent(newIncident._id, 'duplicate_detected', null, { of: duplicate._id, title: duplicate.title });
+        }
+
+        // Photos/videos sent with a multipart report
+        const failedUploads = await attachFiles(req, newIncident);
 
         // EMIT REAL-TIME EVENT
         const io = req.app.get('socketio');
         if (io) {
-            io.emit('new_incident', newIncident.toObject());
-            console.log('📡 SOCKET: Broadcast -> new_incident');
+            joinIncidentRoom(io, [req.user._id], newIncident._id);
+            emitToIncident(io, newIncident._id, 'new_incident', newIncident.toObject());
+            console.log('📡 SOCKET: Targeted -> new_incident', newIncident._id);
+            // The first report of a new cluster just got its cluster id
+            if (duplicate && !duplicate.cluster) {
+                duplicate.cluster = cluster;
+                emitToIncident(io, duplicate._id, 'incident_updated', duplicate.toObject());
+            }
         }
+        // Life-threatening reports (including the SOS button) also reach on-duty responders by SMS
+        if (newIncident.severity === 'P1') alertOnDutyResponders(newIncident);
 
         res.status(201).json({
             status: 'success',
+            ...(failedUploads > 0 && { message: `${failedUploads} attachment(s) could not be stored` }),
             data: { incident: newIncident }
         });
     } catch (err) {
@@ -30,14 +106,84 @@ exports.createIncident = async (req, res) => {
 };
 
 /**
- * @route   GET /api/incidents
- * @desc    Fetch all reports across the system for administrator monitoring
+ * Stores every file of a multipart request on the incident.
+ * The report itself matters more than its photos, so storage failures are
+ * counted and returned instead of failing the whole request.
+ */
+const attachFiles = async (req, incident) => {
+    const files = req.files || [];
+    if (files.length === 0) return 0;
+
+    const stripGps = req.body.stripGps === true || req.body.stripGps === 'true';
+    let failed = 0;
+
+    for (const file of files) {
+        try {
+            const attachment = await storeAttachment(incident._id, file, { stripGps, uploadedBy: req.user._id });
+            incident.attachments.push(attachment);
+        } catch (err) {
+            console.error('MEDIA: Failed to store attachment', file.originalname, err.message);
+            failed++;
+        }
+    }
+
+    if (failed < files.length) {
+        await incident.save();
+        await recordEvent(incident._id, 'attachment_added', req.user, { count: files.length - failed });
+    }
+    return failed;
+};
+
+/**
+ * Sends one page of incidents matching the request's filters plus `baseFilter`
+ * (which callers use to scope the listing, e.g. to the current reporter).
+ */
+const sendIncidentPage = async (req, res, baseFilter = {}) => {
+    try {
+        const filter = { ...buildIncidentFilter(req.query), ...baseFilter };
+        const { incidents, nextCursor } = await paginateIncidents(Incident, filter, req.query);
+        res.status(200).json({
+            status: 'success',
+            results: incidents.length,
+            data: { incidents, nextCursor }
+        });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   GET /api/incidents?status&type&severity&from&to&reporter&q&cursor&limit
+ * @desc    Fetch reports across the system for administrator monitoring, newest
+ *          first, one page at a time (follow `nextCursor` for the next page)
  * @access  Private (Admin Role Only)
  */
-exports.getAllIncidents = async (req, res) => {
+exports.getAllIncidents = (req, res) => sendIncidentPage(req, res);
+
+/**
+ * @route   GET /api/incidents/nearby?lat=&lng=&radius=
+ * @desc    Find incidents within `radius` metres of a point, nearest first
+ * @access  Private (Admin & Responder Roles)
+ */
+exports.getNearbyIncidents = async (req, res) => {
     try {
-        // Retrieve all systemic incidents sorted by the most recent first
-        const incidents = await Incident.find().sort('-createdAt');
+        const lat = parseFloat(req.query.lat);
+        const lng = parseFloat(req.query.lng);
+        const radius = Math.min(parseFloat(req.query.radius) || DEFAULT_NEARBY_RADIUS, MAX_NEARBY_RADIUS);
+
+        if (!isValidLatLng(lat, lng)) {
+            return res.status(400).json({ status: 'fail', message: 'Valid lat and lng query parameters are required' });
+        }
+
+        const incidents = await Incident.find({
+            location: {
+                $near: {
+                    $geometry: toPoint(lat, lng),
+                    $maxDistance: radius
+                }
+            }
+        });
+
         res.status(200).json({
             status: 'success',
             results: incidents.length,
@@ -48,9 +194,23 @@ exports.getAllIncidents = async (req, res) => {
     }
 };
 
-exports.getMyIncidents = async (req, res) => {
+/**
+ * @route   POST /api/incidents/within
+ * @desc    Find incidents inside a GeoJSON Polygon/MultiPolygon (e.g. a district boundary)
+ * @access  Private (Admin Role Only)
+ */
+exports.getIncidentsWithin = async (req, res) => {
     try {
-        const incidents = await Incident.find({ reporter: req.user.name }).sort('-createdAt');
+        const { geometry } = req.body;
+
+        if (!isPolygon(geometry)) {
+            return res.status(400).json({ status: 'fail', message: 'A GeoJSON Polygon or MultiPolygon geometry is required' });
+        }
+
+        const incidents = await Incident.find({
+            location: { $geoWithin: { $geometry: geometry } }
+        }).sort('-createdAt');
+
         res.status(200).json({
             status: 'success',
             results: incidents.length,
@@ -61,6 +221,116 @@ exports.getMyIncidents = async (req, res) => {
     }
 };
 
+/**
+ * @route   GET /api/incidents/queue?cursor=&limit=
+ * @desc    Open backlog (Pending / In Progress) ordered by triage score, highest
+ *          first, one page at a time (follow `nextCursor` for the next page)
+ * @access  Private (Admin Role Only)
+ */
+exports.getTriageQueue = async (req, res) => {
+    try {
+        const limit = Number(req.query.limit) || QUEUE_PAGE_SIZE;
+        const offset = Number(req.query.cursor) || 0;
+
+        // The score depends on age, so it is computed now rather than stored; the
+        // database ranks the whole backlog and only this page is loaded
+        const ranked = await Incident.aggregate([
+            { $match: { status: { $ne: 'Resolved' }, spam: { $ne: true }, mergedInto: { $exists: false } } },
+            { $project: { createdAt: 1, score: triageScoreExpression() } },
+            { $sort: { score: -1, createdAt: 1, _id: 1 } },
+            { $skip: offset },
+            { $limit: limit + 1 }
+        ]);
+        const page = ranked.slice(0, limit);
+
+        const byId = new Map((await Incident.find({ _id: { $in: page.map(entry => entry._id) } }))
+            .map(incident => [incident._id.toString(), incident]));
+        const incidents = page.map(entry => byId.get(entry._id.toString())).filter(Boolean);
+
+        res.status(200).json({
+            status: 'success',
+            results: incidents.length,
+            data: { incidents, nextCursor: ranked.length > limit ? String(offset + limit) : null }
+        });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   GET /api/incidents/my
+ * @desc    The current user's own reports, with the same filters and paging as the admin listing
+ * @access  Private
+ */
+exports.getMyIncidents = (req, res) => sendIncidentPage(req, res, { reporterId: req.user._id });
+
+/**
+ * @route   GET /api/incidents/changes?since=<cursor>&limit=<n>
+ * @desc    Delta sync: incidents created or updated since the cursor, plus ids
+ *          (`deleted`) the client should drop. Omit `since` for a full first sync.
+ * @access  Private (scoped to the incidents the caller can see)
+ */
+exports.getIncidentChanges = async (req, res) => {
+    try {
+        const changes = await collectIncidentChanges(Incident, req.user, req.query);
+        res.status(200).json({
+            status: 'success',
+            results: changes.incidents.length,
+            data: changes
+        });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+// Filters echoed in a situation report, e.g. "status=Pending,In Progress; from=2024-05-01"
+const EXPORT_FILTER_PARAMS = ['status', 'type', 'severity', 'from', 'to', 'reporter', 'q'];
+
+/**
+ * @route   GET /api/incidents/export?format=csv|geojson|pdf
+ * @desc    Download the incidents matching the listing filters (newest first) as CSV,
+ *          GeoJSON or a PDF situation report (counts plus a table of open incidents)
+ * @access  Private (Admin Only)
+ */
+exports.exportIncidents = async (req, res) => {
+    try {
+        const filter = buildIncidentFilter(req.query);
+        const format = req.query.format || 'csv';
+        const { contentType, extension } = EXPORT_FORMATS[format];
+
+        const stamp = new Date().toISOString().slice(0, 16).replace(/[T:]/g, '-');
+        res.status(200).type(contentType).attachment(`incidents-${stamp}.${extension}`);
+
+        await streamIncidentExport(Incident, filter, format, res, {
+            generatedBy: req.user.name,
+            filters: EXPORT_FILTER_PARAMS.filter(key => req.query[key]).map(key => `${key}=${req.query[key]}`).join('; ')
+        });
+    } catch (err) {
+        // Once streaming has begun the status is sent; a cut-off download is all that is left
+        if (res.headersSent) {
+            console.error('EXPORT: Incident export aborted:', err.message);
+            return res.destroy();
+        }
+        res.removeHeader('Content-Disposition');
+        res.status(err.status || 400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * Reports merged into `incident` mirror its status, so their reporters' cards stay current.
+ */
+const syncMergedStatus = async (req, incident) => {
+    if (incident.merged.length === 0) return;
+    await Incident.updateMany({ mergedInto: incident._id }, { status: incident.status });
+
+    // EMIT REAL-TIME EVENT
+    const io = req.app.get('socketio');
+    if (io) {
+        const reports = await Incident.find({ mergedInto: incident._id });
+        reports.forEach(report => emitToIncident(io, report._id, 'incident_updated', report.toObject()));
+    }
+};
+
 exports.updateIncidentStatus = async (req, res) => {
     try {
         const { status } = req.body;
@@ -70,21 +340,528 @@ exports.updateIncidentStatus = async (req, res) => {
             return res.status(400).json({ status: 'fail', message: 'Invalid status type' });
         }
 
-        const incident = await Incident.findByIdAndUpdate(
-            req.params.id,
-            { status },
-            { new: true, runValidators: true }
-        );
+        // Responders may only move incidents they have accepted
+        const filter = { _id: req.params.id };
+        if (req.user.role === 'responder') {
+            filter.assignments = { $elemMatch: { responder: req.user._id, status: 'Accepted' } };
+        }
+
+        const incident = await Incident.findOne(filter);
 
         if (!incident) {
             return res.status(404).json({ status: 'fail', message: 'Incident not found' });
         }
 
+        if (incident.mergedInto) {
+            return res.status(400).json({ status: 'fail', message: 'This report was merged into another incident; update that one instead' });
+        }
+
+        // Refuse to overwrite a change the client has not seen
+        if (isStale(req, incident)) return sendConflict(res, incident);
+
+        const previousStatus = incident.status;
+        incident.status = status;
+        await incident.save();
+
+        if (previousStatus !== status) {
+            await recordEvent(incident._id, 'status_changed', req.user, { from: previousStatus, to: status });
+            await syncMergedStatus(req, incident);
+            // Web Push reaches the reporter and responders even with the app closed, SMS
+            // reaches reporters without data (neither is awaited)
+            notifyStatusChange(incident, req.user);
+            sendStatusSms(incident);
+        }
+
         // EMIT REAL-TIME EVENT
         const io = req.app.get('socketio');
         if (io) {
-            io.emit('incident_updated', incident.toObject());
-            console.log('📡 SOCKET: Broadcast -> incident_updated', incident._id);
+            emitToIncident(io, incident._id, 'incident_updated', incident.toObject());
+            console.log('📡 SOCKET: Targeted -> incident_updated', incident._id);
+        }
+
+        res.status(200).json({ status: 'success', data: { incident } });
+    } catch (err) {
+        if (await handleVersionError(err, req, res)) return;
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   PATCH /api/incidents/:id/severity
+ * @desc    Override the effective severity of an incident
+ * @access  Private (Admin Role Only)
+ */
+exports.updateIncidentSeverity = async (req, res) => {
+    try {
+        const { severity } = req.body;
+
+        if (!SEVERITIES.includes(severity)) {
+            return res.status(400).json({ status: 'fail', message: `Severity must be one of ${SEVERITIES.join(', ')}` });
+        }
+
+        const incident = await Incident.findById(req.params.id);
+
+        if (!incident) {
+            return res.status(404).json({ status: 'fail', message: 'Incident not found' });
+        }
+        if (isStale(req, incident)) return sendConflict(res, incident);
+
+        const previousSeverity = incident.severity;
+        incident.severity = severity;
+        await incident.save();
+
+        if (previousSeverity !== severity) {
+            await recordEvent(incident._id, 'severity_changed', req.user, { from: previousSeverity, to: severity });
+        }
+
+        // EMIT REAL-TIME EVENT
+        const io = req.app.get('socketio');
+        if (io) {
+            emitToIncident(io, incident._id, 'incident_updated', incident.toObject());
+            console.log('📡 SOCKET: Targeted -> incident_updated (severity)', incident._id);
+        }
+
+        res.status(200).json({ status: 'success', data: { incident } });
+    } catch (err) {
+        if (await handleVersionError(err, req, res)) return;
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+// A responder who filed the report keeps it in view (and in delta sync) after leaving its assignment
+const isReporter = (incident, userId) => Boolean(incident.reporterId && incident.reporterId.equals(userId));
+
+/**
+ * Pushes an assignment change to the responders it concerns and the refreshed
+ * incident to its audience. Responders join the incident room while assigned.
+ * Offline users get a Web Push notification instead (not awaited).
+ */
+const notifyAssignment = (req, incident, responderIds, action) => {
+    if (responderIds.length > 0) notifyAssignmentChange(incident, responderIds, action, req.user);
+
+    const io = req.app.get('socketio');
+    if (!io) return;
+    const payload = incident.toObject();
+    if (action === 'assigned') joinIncidentRoom(io, responderIds, incident._id);
+    if (action === 'unassigned' || action === 'declined') leaveIncidentRoom(io, responderIds, incident._id);
+    emitToUsers(io, responderIds, 'assignment_updated', { action, incident: payload });
+    emitToIncident(io, incident._id, 'incident_updated', payload);
+    console.log(`📡 SOCKET: Targeted -> assignment_updated (${action})`, incident._id);
+};
+
+/**
+ * @route   POST /api/incidents/:id/assignments
+ * @desc    Dispatch one or more responders to an incident
+ * @access  Private (Admin Role Only)
+ */
+exports.assignResponders = async (req, res) => {
+    try {
+        const ids = Array.isArray(req.body.responderIds) ? req.body.responderIds : [];
+        if (ids.length === 0 || !ids.every(id => mongoose.isValidObjectId(id))) {
+            return res.status(400).json({ status: 'fail', message: 'Provide a list of responderIds' });
+        }
+
+        const incident = await Incident.findById(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ status: 'fail', message: 'Incident not found' });
+        }
+        if (isStale(req, incident)) return sendConflict(res, incident);
+
+        const responders = await User.find({ _id: { $in: ids }, role: 'responder' });
+        if (responders.length !== new Set(ids.map(String)).size) {
+            return res.status(400).json({ status: 'fail', message: 'Every assignee must be a registered responder' });
+        }
+
+        const newlyAssigned = [];
+        responders.forEach(responder => {
+            const existing = incident.assignments.find(a => a.responder.equals(responder._id));
+            if (existing && existing.status !== 'Declined') return;
+
+            // Re-dispatching someone who declined starts a fresh assignment
+            if (existing) incident.assignments.pull(existing);
+            incident.assignments.push({
+                responder: responder._id,
+                responderName: responder.name,
+                assignedBy: req.user._id
+            });
+            newlyAssigned.push(responder._id);
+        });
+
+        await incident.save();
+        if (newlyAssigned.length > 0) {
+            const names = responders.filter(r => newlyAssigned.includes(r._id)).map(r => r.name);
+            await recordEvent(incident._id, 'assigned', req.user, { responders: newlyAssigned, names });
+        }
+        notifyAssignment(req, incident, newlyAssigned, 'assigned');
+
+        res.status(200).json({ status: 'success', data: { incident } });
+    } catch (err) {
+        if (await handleVersionError(err, req, res)) return;
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   DELETE /api/incidents/:id/assignments/:responderId
+ * @desc    Stand a responder down from an incident
+ * @access  Private (Admin Role Only)
+ */
+exports.unassignResponder = async (req, res) => {
+    try {
+        const incident = await Incident.findById(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ status: 'fail', message: 'Incident not found' });
+        }
+        if (isStale(req, incident)) return sendConflict(res, incident);
+
+        const assignment = incident.assignments.find(a => a.responder.toString() === req.params.responderId);
+        if (!assignment) {
+            return res.status(404).json({ status: 'fail', message: 'Responder is not assigned to this incident' });
+        }
+
+        incident.assignments.pull(assignment);
+        await incident.save();
+        await recordEvent(incident._id, 'unassigned', req.user, { responders: [assignment.responder], names: [assignment.responderName] });
+        if (!isReporter(incident, assignment.responder)) {
+            await recordTombstone(incident._id, 'unassigned', [assignment.responder]);
+        }
+        notifyAssignment(req, incident, [assignment.responder], 'unassigned');
+
+        res.status(200).json({ status: 'success', data: { incident } });
+    } catch (err) {
+        if (await handleVersionError(err, req, res)) return;
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * Shared accept/decline handler for the responder's own assignment.
+ * Accepting a Pending incident moves it to In Progress.
+ */
+const respondToAssignment = (decision) => async (req, res) => {
+    try {
+        const incident = await Incident.findById(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ status: 'fail', message: 'Incident not found' });
+        }
+        if (isStale(req, incident)) return sendConflict(res, incident);
+
+        const assignment = incident.assignments.find(a => a.responder.equals(req.user._id));
+        if (!assignment) {
+            return res.status(403).json({ status: 'fail', message: 'You are not assigned to this incident' });
+        }
+
+        assignment.status = decision;
+        assignment.respondedAt = new Date();
+        const autoStarted = decision === 'Accepted' && incident.status === 'Pending';
+        if (autoStarted) {
+            incident.status = 'In Progress';
+        }
+
+        await incident.save();
+        await recordEvent(incident._id, `assignment_${decision.toLowerCase()}`, req.user);
+        if (decision === 'Declined' && !isReporter(incident, req.user._id)) {
+            await recordTombstone(incident._id, 'unassigned', [req.user._id]);
+        }
+        if (autoStarted) {
+            await recordEvent(incident._id, 'status_changed', req.user, { from: 'Pending', to: 'In Progress' });
+            await syncMergedStatus(req, incident);
+            sendStatusSms(incident);
+        }
+        notifyAssignment(req, incident, [req.user._id], decision.toLowerCase());
+
+        res.status(200).json({ status: 'success', data: { incident } });
+    } catch (err) {
+        if (await handleVersionError(err, req, res)) return;
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   PATCH /api/incidents/:id/accept | /api/incidents/:id/decline
+ * @access  Private (Responder Role Only)
+ */
+exports.acceptAssignment = respondToAssignment('Accepted');
+exports.declineAssignment = respondToAssignment('Declined');
+
+/**
+ * @route   POST /api/incidents/:id/merge
+ * @desc    Merge duplicate reports into this (primary) incident: their reporters and
+ *          timelines join it and their status follows it from now on
+ * @access  Private (Admin Role Only)
+ */
+exports.mergeIncidents = async (req, res) => {
+    try {
+        const primary = await Incident.findById(req.params.id);
+        if (!primary) {
+            return res.status(404).json({ status: 'fail', message: 'Incident not found' });
+        }
+        if (primary.mergedInto) {
+            return res.status(400).json({ status: 'fail', message: 'This incident was itself merged into another one' });
+        }
+        if (isStale(req, primary)) return sendConflict(res, primary);
+
+        const ids = [...new Set(req.body.incidentIds.map(String))];
+        if (ids.includes(String(primary._id))) {
+            return res.status(400).json({ status: 'fail', message: 'An incident cannot be merged into itself' });
+        }
+        const reports = await Incident.find({ _id: { $in: ids }, mergedInto: { $exists: false } });
+        if (reports.length !== ids.length) {
+            return res.status(400).json({ status: 'fail', message: 'Every incident to merge must exist and not be merged already' });
+        }
+
+        reports.forEach(report => {
+            primary.merged.push({
+                incident: report._id,
+                reporter: report.reporter,
+                reporterId: report.reporterId,
+                reporterPhone: report.reporterPhone
+            }, ...report.merged.map(m => m.toObject()));
+            report.merged = [];
+            report.mergedInto = primary._id;
+            report.status = primary.status;
+        });
+        await primary.save();
+        await Promise.all(reports.map(report => report.save()));
+
+        // Reports previously merged into one of these now follow the primary directly
+        await Incident.updateMany({ mergedInto: { $in: ids } }, { mergedInto: primary._id, status: primary.status });
+
+        await recordEvent(primary._id, 'merged', req.user, { incidents: ids, titles: reports.map(r => r.title) });
+        await Promise.all(reports.map(report => recordEvent(report._id, 'merged_into', req.user, { into: primary._id, title: primary.title })));
+
+        // Every reporter hears where their report went and its current status
+        notifyMerged(primary, reports, req.user);
+        sendMergedSms(primary, reports);
+
+        // EMIT REAL-TIME EVENT
+        const io = req.app.get('socketio');
+        if (io) {
+            emitToIncident(io, primary._id, 'incident_updated', primary.toObject());
+            reports.forEach(report => emitToIncident(io, report._id, 'incident_updated', report.toObject()));
+            console.log(`📡 SOCKET: Targeted -> incident_updated (merged ${reports.length})`, primary._id);
+        }
+
+        res.status(200).json({ status: 'success', data: { incident: primary } });
+    } catch (err) {
+        if (await handleVersionError(err, req, res)) return;
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   GET /api/incidents/assigned
+ * @desc    Incidents the current responder is dispatched to (declined ones excluded)
+ * @access  Private (Responder Role Only)
+ */
+exports.getMyAssignments = async (req, res) => {
+    try {
+        const incidents = await Incident.find({
+            assignments: { $elemMatch: { responder: req.user._id, status: { $ne: 'Declined' } } }
+        }).sort('-createdAt');
+
+        res.status(200).json({
+            status: 'success',
+            results: incidents.length,
+            data: { incidents }
+        });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * Who may read an incident's timeline or add notes to it:
+ * admins, the original reporter, and responders dispatched to it.
+ */
+const canAccessIncident = (user, incident) =>
+    user.role === 'admin' ||
+    (incident.reporterId && incident.reporterId.equals(user._id)) ||
+    incident.assignments.some(a => a.responder.equals(user._id));
+
+/**
+ * @route   GET /api/incidents/:id/history
+ * @desc    Append-only timeline of an incident, oldest first. Admins can still
+ *          read the history of a deleted incident.
+ * @access  Private (Admin, Reporter, Assigned Responders)
+ */
+exports.getIncidentHistory = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ status: 'fail', message: 'Invalid incident id' });
+        }
+
+        const incident = await Incident.findById(req.params.id);
+
+        if (incident ? !canAccessIncident(req.user, incident) : req.user.role !== 'admin') {
+            return res.status(incident ? 403 : 404).json({
+                status: 'fail',
+                message: incident ? 'Not authorized to view this history' : 'Incident not found'
+            });
+        }
+
+        // A merged incident's timeline includes those of the reports merged into it
+        const timelineIds = [req.params.id, ...(incident ? incident.merged.map(m => m.incident) : [])];
+        const events = await IncidentEvent.find({ incident: { $in: timelineIds } }).sort('createdAt');
+
+        if (!incident && events.length === 0) {
+            return res.status(404).json({ status: 'fail', message: 'Incident not found' });
+        }
+
+        res.status(200).json({
+            status: 'success',
+            results: events.length,
+            data: { events }
+        });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   POST /api/incidents/:id/notes
+ * @desc    Add a free-text note to the incident timeline
+ * @access  Private (Admin, Reporter, Assigned Responders)
+ */
+exports.addIncidentNote = async (req, res) => {
+    try {
+        const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+        if (!text) {
+            return res.status(400).json({ status: 'fail', message: 'Note text is required' });
+        }
+
+        const incident = await Incident.findById(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ status: 'fail', message: 'Incident not found' });
+        }
+
+        if (!canAccessIncident(req.user, incident)) {
+            return res.status(403).json({ status: 'fail', message: 'Not authorized to add notes to this incident' });
+        }
+
+        const event = await IncidentEvent.create({
+            incident: incident._id,
+            type: 'note_added',
+            actor: req.user._id,
+            actorName: req.user.name,
+            data: { text }
+        });
+
+        res.status(201).json({ status: 'success', data: { event } });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   POST /api/incidents/:id/attachments
+ * @desc    Attach photos/videos (multipart field `media`) to an existing incident.
+ *          Send `stripGps=true` to remove EXIF location data from photos.
+ * @access  Private (Admin, Reporter, Assigned Responders)
+ */
+exports.addAttachments = async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ status: 'fail', message: 'Attach at least one photo or video in the "media" field' });
+        }
+
+        const incident = await Incident.findById(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ status: 'fail', message: 'Incident not found' });
+        }
+
+        if (!canAccessIncident(req.user, incident)) {
+            return res.status(403).json({ status: 'fail', message: 'Not authorized to add media to this incident' });
+        }
+
+        const failed = await attachFiles(req, incident);
+        if (failed === req.files.length) {
+            return res.status(500).json({ status: 'error', message: 'Media could not be stored. Please retry.' });
+        }
+
+        // EMIT REAL-TIME EVENT
+        const io = req.app.get('socketio');
+        if (io) {
+            emitToIncident(io, incident._id, 'incident_updated', incident.toObject());
+            console.log('📡 SOCKET: Targeted -> incident_updated (attachments)', incident._id);
+        }
+
+        res.status(201).json({
+            status: 'success',
+            ...(failed > 0 && { message: `${failed} attachment(s) could not be stored` }),
+            data: { incident }
+        });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   GET /api/incidents/:id/attachments/:attachmentId?variant=thumbnail
+ * @desc    Stream an attachment (or its thumbnail) from storage
+ * @access  Private (Admin, Reporter, Assigned Responders)
+ */
+exports.getAttachment = async (req, res) => {
+    try {
+        const incident = await Incident.findById(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ status: 'fail', message: 'Incident not found' });
+        }
+
+        if (!canAccessIncident(req.user, incident)) {
+            return res.status(403).json({ status: 'fail', message: 'Not authorized to view this media' });
+        }
+
+        const attachment = incident.attachments.id(req.params.attachmentId);
+        if (!attachment) {
+            return res.status(404).json({ status: 'fail', message: 'Attachment not found' });
+        }
+
+        const wantsThumbnail = req.query.variant === 'thumbnail' && attachment.thumbnailKey;
+        const stream = await getStorage().createReadStream(wantsThumbnail ? attachment.thumbnailKey : attachment.key);
+
+        res.set({
+            'Content-Type': wantsThumbnail ? 'image/jpeg' : attachment.contentType,
+            'Cache-Control': 'private, max-age=86400'
+        });
+        stream.on('error', () => res.destroy());
+        stream.pipe(res);
+    } catch (err) {
+        res.status(404).json({ status: 'fail', message: 'Media file is unavailable' });
+    }
+};
+
+/**
+ * @route   DELETE /api/incidents/:id/attachments/:attachmentId
+ * @desc    Remove an attachment. Uploaders may remove their own; admins any.
+ * @access  Private
+ */
+exports.removeAttachment = async (req, res) => {
+    try {
+        const incident = await Incident.findById(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ status: 'fail', message: 'Incident not found' });
+        }
+
+        const attachment = incident.attachments.id(req.params.attachmentId);
+        if (!attachment) {
+            return res.status(404).json({ status: 'fail', message: 'Attachment not found' });
+        }
+
+        const isUploader = attachment.uploadedBy && attachment.uploadedBy.equals(req.user._id);
+        if (req.user.role !== 'admin' && !isUploader) {
+            return res.status(403).json({ status: 'fail', message: 'Not authorized to remove this attachment' });
+        }
+
+        incident.attachments.pull(attachment._id);
+        await incident.save();
+        await removeStoredMedia(attachment);
+        await recordEvent(incident._id, 'attachment_removed', req.user, { name: attachment.originalName });
+
+        // EMIT REAL-TIME EVENT
+        const io = req.app.get('socketio');
+        if (io) {
+            emitToIncident(io, incident._id, 'incident_updated', incident.toObject());
         }
 
         res.status(200).json({ status: 'success', data: { incident } });
@@ -102,17 +879,32 @@ exports.deleteIncident = async (req, res) => {
         }
 
         // Only Admin or the Original Reporter can delete
-        if (req.user.role !== 'admin' && incident.reporter !== req.user.name) {
+        const isReporter = incident.reporterId && incident.reporterId.equals(req.user._id);
+        if (req.user.role !== 'admin' && !isReporter) {
             return res.status(403).json({ status: 'fail', message: 'Not authorized to delete this report' });
         }
 
-        await Incident.findByIdAndDelete(req.params.id);
+        if (isStale(req, incident)) return sendConflict(res, incident);
+
+        // Only delete the version that was checked; an edit in between turns into a conflict
+        const { deletedCount } = await Incident.deleteOne({ _id: incident._id, __v: incident.__v });
+        if (deletedCount === 0) {
+            const current = await Incident.findById(incident._id);
+            if (!current) return res.status(404).json({ status: 'fail', message: 'Incident not found' });
+            return sendConflict(res, current);
+        }
+        await Promise.all(incident.attachments.map(removeStoredMedia));
+        await recordEvent(incident._id, 'deleted', req.user, { title: incident.title, status: incident.status });
+        await recordTombstone(incident._id, 'deleted', [incident.reporterId, ...incident.assignments.map(a => a.responder)].filter(Boolean));
+        // Reports merged into it stand on their own again
+        await Incident.updateMany({ mergedInto: incident._id }, { $unset: { mergedInto: 1 } });
 
         // EMIT REAL-TIME EVENT
         const io = req.app.get('socketio');
         if (io) {
-            io.emit('incident_deleted', req.params.id);
-            console.log('📡 SOCKET: Broadcast -> incident_deleted', req.params.id);
+            emitToIncident(io, incident._id, 'incident_deleted', req.params.id);
+            io.socketsLeave(incidentRoom(incident._id));
+            console.log('📡 SOCKET: Targeted -> incident_deleted', req.params.id);
         }
 
         res.status(204).json({ status: 'success', data: null });
@@ -123,20 +915,59 @@ exports.deleteIncident = async (req, res) => {
 
 exports.createPublicSOS = async (req, res) => {
     try {
+        // Offline SOS replays: answer with the signal already received
+        if (req.body.clientId) {
+            const existing = await Incident.findOne({ clientId: req.body.clientId, sosChannel: 'public' });
+            if (existing) {
+                return res.status(200).json({ status: 'success', data: { incident: existing } });
+            }
+        }
+
+        const { location, address } = resolveLocation(req.body);
+        const io = req.app.get('socketio');
+
+        // Repeated presses (or several bystanders) at the same spot join the open SOS there
+        if (location) {
+            const duplicate = await Incident.findOneAndUpdate({
+                sosChannel: { $exists: true },
+                spam: { $ne: true },
+                status: { $ne: 'Resolved' },
+                createdAt: { $gte: new Date(Date.now() - SOS_DUPLICATE_WINDOW_MS) },
+                location: { $geoWithin: { $centerSphere: [location.coordinates, SOS_DUPLICATE_RADIUS / EARTH_RADIUS_METRES] } }
+            }, { $inc: { duplicateReports: 1 } }, { new: true, sort: { createdAt: -1 } });
+
+            if (duplicate) {
+                await recordEvent(duplicate._id, 'sos_repeated', null, { count: duplicate.duplicateReports });
+                if (io) emitToIncident(io, duplicate._id, 'incident_updated', duplicate.toObject());
+                return res.status(200).json({
+                    status: 'success',
+                    message: 'An SOS from this location was already received; help is on the way',
+                    data: { incident: duplicate }
+                });
+            }
+        }
+
         const newIncident = await Incident.create({
             title: "UNAUTHENTICATED SOS",
             type: "Other",
-            location: req.body.location,
+            severity: "P1",
+            location,
+            address,
             description: "CRITICAL: Urgent help requested by an unauthenticated user (Public Login SOS).",
-            reporter: "Anonymous/Unknown"
+            reporter: "Anonymous/Unknown",
+            reporterPhone: req.body.phone,
+            sosChannel: 'public',
+            source: { ip: req.ip, device: req.body.deviceId },
+            clientId: req.body.clientId
         });
+        await recordEvent(newIncident._id, 'created', null, { status: newIncident.status, severity: newIncident.severity, publicSOS: true });
 
         // EMIT REAL-TIME EVENT
-        const io = req.app.get('socketio');
         if (io) {
-            io.emit('new_incident', newIncident);
-            console.log('📡 SOCKET: Broadcast -> new_incident (Public SOS)');
+            emitToRoles(io, ['admin'], 'new_incident', newIncident.toObject());
+            console.log('📡 SOCKET: Targeted -> new_incident (Public SOS)');
         }
+        alertOnDutyResponders(newIncident);
 
         res.status(201).json({
             status: 'success',
@@ -146,3 +977,110 @@ exports.createPublicSOS = async (req, res) => {
         res.status(400).json({ status: 'fail', message: err.message });
     }
 };
+
+/**
+ * What identifies the sender of an anonymous SOS, short of its network address.
+ * Behind NAT or a carrier gateway an IP is shared by many callers, so blocking
+ * it is a separate decision (blockSpamIp).
+ */
+const sourcesOf = (incident) => [
+    { kind: 'device', value: incident.source?.device },
+    // SMS SOS calls are identified by the sending number
+    { kind: 'phone', value: incident.reporterPhone }
+].filter(source => source.value);
+
+const blockSources = (incident, sources, admin) => Promise.all(sources.map(source => BlockedSource.findOneAndUpdate(
+    source,
+    { incident: incident._id, blockedBy: admin._id, expiresAt: BlockedSource.expiryFromNow() },
+    { upsert: true }
+)));
+
+/**
+ * @route   POST /api/incidents/:id/spam
+ * @desc    Mark an anonymous SOS as spam and block its device and phone number
+ * @access  Private (Admin Role Only)
+ */
+exports.flagSpam = async (req, res) => {
+    try {
+        const incident = await Incident.findOne({ _id: req.params.id, sosChannel: { $exists: true } }).select('+source.device');
+        if (!incident) {
+            return res.status(404).json({ status: 'fail', message: 'Only anonymous SOS calls can be marked as spam' });
+        }
+
+        const sources = sourcesOf(incident);
+        await blockSources(incident, sources, req.user);
+
+        incident.spam = true;
+        await incident.save();
+        await recordEvent(incident._id, 'flagged_spam', req.user, { blocked: sources.map(source => source.kind) });
+
+        // EMIT REAL-TIME EVENT
+        const io = req.app.get('socketio');
+        if (io) {
+            emitToIncident(io, incident._id, 'incident_updated', incident.toObject());
+            console.log('📡 SOCKET: Targeted -> incident_updated (spam)', incident._id);
+        }
+
+        res.status(200).json({ status: 'success', data: { incident } });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   POST /api/incidents/:id/spam/block-ip
+ * @desc    Also block the network address a spam SOS came from. Everyone sharing
+ *          that address (a NAT, a campus, a mobile carrier) loses the public SOS too
+ * @access  Private (Admin Role Only)
+ */
+exports.blockSpamIp = async (req, res) => {
+    try {
+        const incident = await Incident.findOne({ _id: req.params.id, sosChannel: 'public' }).select('+source.ip');
+        if (!incident) {
+            return res.status(404).json({ status: 'fail', message: 'Only public SOS calls have a network address to block' });
+        }
+        if (!incident.spam) {
+            return res.status(409).json({ status: 'fail', message: 'Mark the SOS as spam before blocking its network address' });
+        }
+        if (!incident.source?.ip) {
+            return res.status(409).json({ status: 'fail', message: 'No network address was recorded for this SOS' });
+        }
+
+        await blockSources(incident, [{ kind: 'ip', value: incident.source.ip }], req.user);
+        await recordEvent(incident._id, 'blocked_ip', req.user);
+
+        res.status(200).json({ status: 'success', data: { incident } });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   DELETE /api/incidents/:id/spam
+ * @desc    Undo a spam flag and lift the blocks it created
+ * @access  Private (Admin Role Only)
+ */
+exports.unflagSpam = async (req, res) => {
+    try {
+        const incident = await Incident.findOne({ _id: req.params.id, sosChannel: { $exists: true } });
+        if (!incident) {
+            return res.status(404).json({ status: 'fail', message: 'Incident not found' });
+        }
+
+        await BlockedSource.deleteMany({ incident: incident._id });
+        incident.spam = false;
+        await incident.save();
+        await recordEvent(incident._id, 'unflagged_spam', req.user);
+
+        // EMIT REAL-TIME EVENT
+        const io = req.app.get('socketio');
+        if (io) {
+            emitToIncident(io, incident._id, 'incident_updated', incident.toObject());
+            console.log('📡 SOCKET: Targeted -> incident_updated (not spam)', incident._id);
+        }
+
+        res.status(200).json({ status: 'success', data: { incident } });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
@@ -0,0 +1,74 @@
+const PushSubscription = require('../models/PushSubscription');
+const { getVapidPublicKey } = require('../services/push');
+
+/**
+ * @route   GET /api/notifications/vapid-public-key
+ * @desc    The application server key browsers need to subscribe (null when push is disabled)
+ * @access  Public
+ */
+exports.getPublicKey = (req, res) => {
+    res.status(200).json({ status: 'success', data: { publicKey: getVapidPublicKey() } });
+};
+
+/**
+ * @route   POST /api/notifications/subscriptions
+ * @desc    Register this browser's push subscription for the signed-in user
+ * @access  Private (Authenticated Users)
+ */
+exports.subscribe = async (req, res) => {
+    try {
+        const { endpoint, keys } = req.body;
+
+        // An endpoint belongs to one browser: whoever subscribed it last receives its notifications
+        const subscription = await PushSubscription.findOneAndUpdate(
+            { endpoint },
+            { user: req.user._id, keys, userAgent: req.get('User-Agent') },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+
+        res.status(201).json({ status: 'success', data: { subscriptionId: subscription._id } });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   DELETE /api/notifications/subscriptions
+ * @desc    Stop sending notifications to this browser
+ * @access  Private (Authenticated Users)
+ */
+exports.unsubscribe = async (req, res) => {
+    try {
+        await PushSubscription.deleteOne({ endpoint: req.body.endpoint, user: req.user._id });
+        res.status(204).send();
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Which incident updates the user receives as notifications
+ * @access  Private (Authenticated Users)
+ */
+exports.getPreferences = (req, res) => {
+    res.status(200).json({ status: 'success', data: { preferences: req.user.notificationPreferences } });
+};
+
+/**
+ * @route   PATCH /api/notifications/preferences
+ * @desc    Turn notification types on or off
+ * @access  Private (Authenticated Users)
+ */
+exports.updatePreferences = async (req, res) => {
+    try {
+        Object.entries(req.body).forEach(([key, value]) => {
+            req.user.notificationPreferences[key] = value;
+        });
+        await req.user.save();
+
+        res.status(200).json({ status: 'success', data: { preferences: req.user.notificationPreferences } });
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
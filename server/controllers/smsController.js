@@ -0,0 +1,74 @@
+const Incident = require('../models/Incident');
+const BlockedSource = require('../models/BlockedSource');
+const { getSmsProvider } = require('../services/sms');
+const { alertOnDutyResponders, incidentRef } = require('../services/incidentSms');
+const { parseSosMessage } = require('../utils/smsCommands');
+const { resolveLocation } = require('../utils/geo');
+const { recordEvent } = require('../utils/timeline');
+const { emitToRoles } = require('../utils/realtime');
+
+const HELP_TEXT = 'ResqueNet: to request help text SOS, the emergency type (FIRE, MEDICAL, FLOOD, ACCIDENT) and where you are, e.g. "SOS FIRE 12 Harbour Road".';
+
+/**
+ * @route   POST /api/sms/inbound
+ * @desc    Webhook for incoming texts: "SOS <TYPE> <location>" files an incident
+ * @access  Public (authenticated by the SMS provider's signature or shared secret)
+ */
+exports.receiveSms = async (req, res) => {
+    // The body's shape belongs to the provider, so it checks and reads it
+    const provider = getSmsProvider();
+    if (!provider.verifyInbound(req)) {
+        return res.status(403).json({ status: 'fail', message: 'Invalid webhook signature' });
+    }
+
+    try {
+        const { id, from, text } = provider.parseInbound(req);
+        if (!from || typeof from !== 'string') {
+            return res.status(400).json({ status: 'fail', message: 'Sender is required' });
+        }
+
+        const sos = parseSosMessage(text);
+        if (!sos) return provider.reply(res, HELP_TEXT);
+
+        // Numbers an admin blocked for spam SOS calls are not answered
+        if (await BlockedSource.isBlocked([{ kind: 'phone', value: from }])) {
+            return res.status(204).send();
+        }
+
+        // Providers retry webhooks they think failed: answer with the incident already filed
+        const clientId = id ? `sms:${id}` : undefined;
+        const existing = clientId && await Incident.findOne({ clientId, sosChannel: 'sms' });
+        if (existing) {
+            return provider.reply(res, `ResqueNet: SOS received. Ref ${incidentRef(existing)}.`);
+        }
+
+        const { location, address } = resolveLocation({ location: sos.location });
+        const newIncident = await Incident.create({
+            title: `SMS SOS: ${sos.type.toUpperCase()}`,
+            type: sos.type,
+            severity: 'P1',
+            location,
+            // Without a location dispatchers still need something to act on: the number to call back
+            address: address || (location ? undefined : `Location not given (call back ${from})`),
+            description: `CRITICAL: Help requested by SMS from ${from}: "${String(text).trim()}"`,
+            reporter: `SMS ${from}`,
+            reporterPhone: from,
+            sosChannel: 'sms',
+            clientId
+        });
+        await recordEvent(newIncident._id, 'created', null, { status: newIncident.status, severity: newIncident.severity, sms: true });
+
+        // EMIT REAL-TIME EVENT
+        const io = req.app.get('socketio');
+        if (io) {
+            emitToRoles(io, ['admin'], 'new_incident', newIncident.toObject());
+            console.log('📡 SOCKET: Targeted -> new_incident (SMS SOS)');
+        }
+        alertOnDutyResponders(newIncident);
+
+        const askForLocation = location || address ? '' : ' Reply SOS with your location so responders can find you.';
+        provider.reply(res, `ResqueNet: SOS received, help is being dispatched. Ref ${incidentRef(newIncident)}.${askForLocation}`);
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
@@ -0,0 +1,71 @@
+const Incident = require('../models/Incident');
+const { statsRange, countsOverTime, responseTimes, busiestHours, hotspots } = require('../utils/incidentStats');
+
+/**
+ * All statistics accept ?from=&to= (ISO dates, default the last 30 days) and
+ * ?tz= (IANA zone used to bucket days and hours, default UTC).
+ */
+
+const sendStats = (res, range, stats) => {
+    res.status(200).json({
+        status: 'success',
+        data: { from: range.from, to: range.to, ...stats }
+    });
+};
+
+/**
+ * @route   GET /api/stats/incidents
+ * @desc    Reports per day, week or month (?interval=), broken down by type and by status
+ * @access  Private (Admin)
+ */
+exports.getIncidentCounts = async (req, res) => {
+    try {
+        const range = statsRange(req.query);
+        sendStats(res, range, await countsOverTime(Incident, range, req.query.interval));
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   GET /api/stats/response-times
+ * @desc    Mean time from Pending to In Progress to Resolved
+ * @access  Private (Admin)
+ */
+exports.getResponseTimes = async (req, res) => {
+    try {
+        const range = statsRange(req.query);
+        sendStats(res, range, await responseTimes(Incident, range));
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   GET /api/stats/busiest-hours
+ * @desc    Reports per hour of the day and per weekday
+ * @access  Private (Admin)
+ */
+exports.getBusiestHours = async (req, res) => {
+    try {
+        const range = statsRange(req.query);
+        sendStats(res, range, await busiestHours(Incident, range));
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
+
+/**
+ * @route   GET /api/stats/hotspots
+ * @desc    Areas with the most reports (?cellKm= grid size, ?limit= number of areas)
+ * @access  Private (Admin)
+ */
+exports.getHotspots = async (req, res) => {
+    try {
+        const range = statsRange(req.query);
+        const { cellKm, limit } = req.query;
+        sendStats(res, range, await hotspots(Incident, range, { cellKm, limit }));
+    } catch (err) {
+        res.status(400).json({ status: 'fail', message: err.message });
+    }
+};
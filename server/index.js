@@ -21,6 +21,12 @@ require('dotenv').config(); // Load environment variables from .env file
 
 const authRoutes = require('./routes/authRoutes');
 const incidentRoutes = require('./routes/incidentRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const smsRoutes = require('./routes/smsRoutes');
+const statsRoutes = require('./routes/statsRoutes');
+const importRoutes = require('./routes/importRoutes');
+const capRoutes = require('./routes/capRoutes');
+const { socketAuth } = require('./middleware/authMiddleware');
 
 const app = express();
 const server = http.createServer(app);
@@ -40,8 +46,13 @@ const io = new Server(server, {
 // Attach socket.io to the app instance for access in controllers
 app.set('socketio', io);
 
+// Authenticate sockets from the JWT cookie and join them to user/role/incident rooms.
+// Events are only ever sent to rooms, never broadcast to every client.
+io.engine.use(cookieParser());
+io.use(socketAuth);
+
 io.on('connection', (socket) => {
-  console.log(`📡 REAL-TIME: User Connected -> ${socket.id} (Total: ${io.engine.clientsCount})`);
+  console.log(`📡 REAL-TIME: User Connected -> ${socket.id} [${socket.user.role}:${socket.user._id}] (Total: ${io.engine.clientsCount})`);
 
   socket.on('disconnect', (reason) => {
     console.log(`📡 REAL-TIME: User Disconnected -> ${socket.id} (${reason})`);
@@ -52,8 +63,25 @@ io.on('connection', (socket) => {
  * SECURITY LAYER - MIDDLEWARE CONFIGURATION
  */
 
+// Behind a hosting proxy (Render's load balancer) req.ip would be the proxy's address,
+// so per-IP rate limits would pool every caller and an IP block would stop them all.
+// TRUST_PROXY is how many proxies sit in front of the app, or a list of their addresses;
+// production defaults to the one hop Render adds. `true` is not accepted: trusting
+// every hop lets any client pick its own IP through X-Forwarded-For.
+const trustProxy = process.env.TRUST_PROXY || (process.env.NODE_ENV === 'production' ? '1' : '0');
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy.split(',').map(entry => entry.trim()));
+
 // Helmet helps secure the app by setting various HTTP headers
-app.use(helmet());
+// The CSP also admits the map tile server (the dashboard map and the service worker fetch tiles)
+const MAP_TILE_ORIGIN = 'https://tile.openstreetmap.org';
+app.use(helmet({
+  contentSecurityPolicy: {
+    directives: {
+      'img-src': ["'self'", 'data:', 'blob:', MAP_TILE_ORIGIN],
+      'connect-src': ["'self'", MAP_TILE_ORIGIN]
+    }
+  }
+}));
 
 // Cross-Origin Resource Sharing configuration
 // Restricts API access to our specific frontend domain
@@ -95,7 +123,10 @@ app.use((req, res, next) => {
  */
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 Minute window
-  max: process.env.NODE_ENV === 'development' ? 10000 : 100 // Increase limit significantly in development
+  max: process.env.NODE_ENV === 'development' ? 10000 : 100, // Increase limit significantly in development
+  // The SMS gateway, CAP feed/ingestion and anonymous SOS have their own limits
+  // (routes/smsRoutes, routes/capRoutes, middleware/sosProtection)
+  skip: (req) => req.path.startsWith('/sms/') || req.path.startsWith('/cap/') || req.path === '/incidents/public-sos'
 });
 app.use('/api/', limiter);
 
@@ -112,6 +143,11 @@ app.use((req, res, next) => {
 
 app.use('/api/auth', authRoutes);
 app.use('/api/incidents', incidentRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/sms', smsRoutes);
+app.use('/api/stats', statsRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/cap', capRoutes);
 
 
 // Health Check for Vercel
@@ -164,37 +200,6 @@ app.use((req, res, next) => {
   });
 });
 
-// TEMPORARY ADMIN SEEDER ROUTE
-app.get('/seed-admin', async (req, res) => {
-  try {
-    const User = require('./models/User'); // Ensure path is correct
-    const bcrypt = require('bcryptjs');
-
-    const existingAdmin = await User.findOne({ email: 'naveen@gmail.com' });
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash('naveen04', salt);
-
-    if (existingAdmin) {
-      existingAdmin.role = 'admin';
-      existingAdmin.password = 'naveen04'; // Set plain text, pre-save hook will hash it
-      await existingAdmin.save();
-      return res.send('User naveen@gmail.com updated to ADMIN with password: naveen04');
-    }
-
-    await User.create({
-      name: 'Naveen Admin',
-      email: 'naveen@gmail.com',
-      password: 'naveen04', // Set plain text, creation will hash it
-      role: 'admin',
-      phone: '1234567890'
-    });
-
-    res.send('✅ Admin User Created: naveen@gmail.com / naveen04');
-  } catch (err) {
-    res.status(500).send('Error creating admin: ' + err.message);
-  }
-});
-
 /**
  * SERVE FRONTEND (Production Mode)
  * Dedicated servers like Render/Railway serve both API and Frontend from one process.
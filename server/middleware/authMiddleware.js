@@ -1,5 +1,7 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Incident = require('../models/Incident');
+const { userRoom, roleRoom, incidentRoom, sessionRoom } = require('../utils/realtime');
+const { verifyAccessToken } = require('../services/sessions');
 
 exports.protect = async (req, res, next) => {
     try {
@@ -12,7 +14,8 @@ exports.protect = async (req, res, next) => {
             return res.status(401).json({ status: 'fail', message: 'You are not logged in' });
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // Checks signature, expiry and the revocation list
+        const decoded = await verifyAccessToken(token);
         const currentUser = await User.findById(decoded.id);
 
         if (!currentUser) {
@@ -20,6 +23,7 @@ exports.protect = async (req, res, next) => {
         }
 
         req.user = currentUser;
+        req.sessionId = decoded.sid;
         next();
     } catch (err) {
         res.status(401).json({ status: 'fail', message: 'Invalid token' });
@@ -34,3 +38,58 @@ exports.restrictTo = (...roles) => {
         next();
     };
 };
+
+/**
+ * Blocks non-urgent actions for citizens who have not confirmed their email,
+ * when REQUIRE_VERIFIED_EMAIL=true. Reporting incidents and SOS are never gated.
+ */
+exports.requireVerifiedEmail = (req, res, next) => {
+    if (process.env.REQUIRE_VERIFIED_EMAIL !== 'true' || req.user.role !== 'citizen' || req.user.emailVerified) {
+        return next();
+    }
+    res.status(403).json({ status: 'fail', message: 'Please verify your email address first' });
+};
+
+/**
+ * SOCKET.IO HANDSHAKE AUTHENTICATION
+ * Reads the same HttpOnly JWT cookie as `protect`. Unauthenticated sockets are
+ * refused. Each socket joins its private rooms (`user:<id>`, `role:<role>`,
+ * `session:<id>`) and a room per incident it reported or is dispatched to, so
+ * events can be targeted.
+ */
+exports.socketAuth = async (socket, next) => {
+    try {
+        const token = socket.request.cookies && socket.request.cookies.jwt;
+        if (!token || token === 'loggedout') {
+            return next(new Error('You are not logged in'));
+        }
+
+        const decoded = await verifyAccessToken(token);
+        const currentUser = await User.findById(decoded.id);
+
+        if (!currentUser) {
+            return next(new Error('User no longer exists'));
+        }
+
+        socket.user = currentUser;
+        socket.sessionId = decoded.sid;
+        socket.join(userRoom(currentUser._id));
+        socket.join(roleRoom(currentUser.role));
+        socket.join(sessionRoom(decoded.sid));
+
+        // Admins receive every incident through their role room already
+        if (currentUser.role !== 'admin') {
+            const involved = await Incident.find({
+                $or: [
+                    { reporterId: currentUser._id },
+                    { assignments: { $elemMatch: { responder: currentUser._id, status: { $ne: 'Declined' } } } }
+                ]
+            }).select('_id');
+            involved.forEach(incident => socket.join(incidentRoom(incident._id)));
+        }
+
+        next();
+    } catch (err) {
+        next(new Error('Invalid token'));
+    }
+};
@@ -0,0 +1,95 @@
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+/**
+ * IDEMPOTENT REQUESTS
+ * For POST/PATCH/PUT/DELETE requests carrying an `Idempotency-Key` header:
+ *  - first time: the request runs and its response is stored under the key;
+ *  - replay of a completed request: the stored response is returned
+ *    (with `Idempotent-Replayed: true`) and the handler is not run again;
+ *  - replay while the original is still running: 409, so the client retries later
+ *    (after IN_PROGRESS_LEASE_MS a request that never answered is presumed dead,
+ *    and the replay runs instead);
+ *  - the same key reused for a different method/path: 422.
+ * Requests without the header are untouched. Server errors (5xx) are not
+ * stored, so the client may retry them with the same key.
+ */
+const MUTATING_METHODS = ['POST', 'PATCH', 'PUT', 'DELETE'];
+const MAX_KEY_LENGTH = 100;
+const IN_PROGRESS_LEASE_MS = 60 * 1000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Keys belong to the caller: the signed-in user, else the anonymous device (or its IP),
+// so one caller can never collide with or replay another's key
+const scopeOf = (req) => {
+    if (req.user) return req.user._id.toString();
+    const deviceId = req.body?.deviceId;
+    return typeof deviceId === 'string' && UUID_PATTERN.test(deviceId) ? `public:device:${deviceId}` : `public:ip:${req.ip}`;
+};
+
+exports.idempotency = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key || !MUTATING_METHODS.includes(req.method)) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({ status: 'fail', message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const scope = scopeOf(req);
+    const path = req.originalUrl.split('?')[0];
+
+    try {
+        const existing = await IdempotencyKey.findOne({ key, scope });
+        if (existing) {
+            if (existing.method !== req.method || existing.path !== path) {
+                return res.status(422).json({ status: 'fail', message: 'Idempotency-Key was already used for a different request' });
+            }
+            if (existing.state === 'completed') {
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.statusCode).json(existing.responseBody);
+            }
+            // Take over a claim whose request crashed or hung; only one replay wins it
+            const reclaimed = existing.createdAt < new Date(Date.now() - IN_PROGRESS_LEASE_MS) && await IdempotencyKey.findOneAndUpdate(
+                { _id: existing._id, state: 'in_progress', createdAt: existing.createdAt },
+                { createdAt: new Date() }
+            );
+            if (!reclaimed) {
+                return res.status(409).json({ status: 'fail', message: 'The original request is still being processed' });
+            }
+        } else {
+            await IdempotencyKey.create({ key, scope, method: req.method, path });
+        }
+    } catch (err) {
+        // Two copies of the same request raced to claim the key
+        if (err.code === 11000) {
+            return res.status(409).json({ status: 'fail', message: 'The original request is still being processed' });
+        }
+        return res.status(400).json({ status: 'fail', message: err.message });
+    }
+
+    // Settle the key as soon as the handler answers, even if the client has already
+    // disconnected: its retry must see this outcome, not run the handler again
+    let settled = false;
+    const settle = (statusCode, responseBody) => {
+        settled = true;
+        // Stored as the client received it: documents pass through their toJSON
+        // (virtuals, hidden fields), which saving the raw object would skip
+        const outcome = statusCode >= 500 || statusCode === undefined
+            ? IdempotencyKey.deleteOne({ key, scope })
+            : IdempotencyKey.updateOne({ key, scope }, { state: 'completed', statusCode, responseBody: JSON.parse(JSON.stringify(responseBody)) });
+        outcome.catch(err => console.error(`IDEMPOTENCY: Failed to settle key ${key}:`, err.message));
+    };
+
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        if (!settled) settle(res.statusCode, body);
+        return sendJson(body);
+    };
+
+    // Responses sent without res.json (files, streams) cannot be replayed; release the key.
+    // If the client simply went away, headers are not sent yet and the handler settles later.
+    res.on('close', () => {
+        if (!settled && res.headersSent) settle(undefined);
+    });
+
+    next();
+};
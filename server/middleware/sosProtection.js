@@ -0,0 +1,50 @@
+const rateLimit = require('express-rate-limit');
+const BlockedSource = require('../models/BlockedSource');
+const { checkProof } = require('../utils/proofOfWork');
+
+/**
+ * PUBLIC SOS PROTECTION
+ * The anonymous SOS endpoint is exempt from the global API limiter (so a flood of
+ * SOS calls cannot lock out signed-in users behind the same NAT) and guarded here:
+ *  1. sources an admin blocked as spam are refused;
+ *  2. per-IP and per-device limits (the IP limit is looser: many real callers can
+ *     share one address during a disaster, a single device rarely needs more than a few);
+ *  3. every new SOS must carry a proof-of-work stamp (utils/proofOfWork).
+ */
+
+const tooManySOS = { status: 'fail', message: 'Too many SOS calls from this connection. Help has been alerted; please wait before trying again.' };
+
+const sosIpLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 30,
+    message: tooManySOS
+});
+
+const sosDeviceLimiter = rateLimit({
+    windowMs: 10 * 60 * 1000,
+    max: 3,
+    message: tooManySOS,
+    // Requests without a device id share their IP's device budget
+    keyGenerator: (req) => (typeof req.body?.deviceId === 'string' ? `device:${req.body.deviceId}` : `ip:${req.ip}`)
+});
+
+const rejectBlockedSources = async (req, res, next) => {
+    try {
+        const deviceId = typeof req.body?.deviceId === 'string' ? req.body.deviceId : undefined;
+        if (await BlockedSource.isBlocked([{ kind: 'ip', value: req.ip }, { kind: 'device', value: deviceId }])) {
+            return res.status(403).json({ status: 'fail', message: 'SOS calls from this device have been blocked. If you are in danger, call your local emergency number.' });
+        }
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Runs after validation, so the stamp fields are known to be well-formed
+const requireProofOfWork = (req, res, next) => {
+    const problem = checkProof(req.body.clientId, req.body.proof);
+    if (problem) return res.status(400).json({ status: 'fail', message: problem });
+    next();
+};
+
+module.exports = { sosIpLimiter, sosDeviceLimiter, rejectBlockedSources, requireProofOfWork };
@@ -0,0 +1,83 @@
+const multer = require('multer');
+const mongoSanitize = require('mongo-sanitize');
+const { detectMediaType } = require('../utils/mediaType');
+
+/**
+ * MEDIA UPLOAD MIDDLEWARE
+ * Accepts up to MAX_FILES photos/videos in the `media` field of a multipart request.
+ * Files stay in memory so they can be re-encoded before reaching storage, and
+ * each is typed from its content (see utils/mediaType) rather than the declared type.
+ * JSON requests pass straight through untouched.
+ */
+const MAX_FILES = 5;
+const MAX_FILE_SIZE = 25 * 1024 * 1024; // 25 MB
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+    fileFilter: (req, file, cb) => {
+        // Cheap early refusal; the content check after upload is what counts
+        if ((file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) && file.mimetype !== 'image/svg+xml') {
+            return cb(null, true);
+        }
+        cb(new Error('Only photo and video files can be attached'));
+    }
+}).array('media', MAX_FILES);
+
+exports.uploadMedia = (req, res, next) => {
+    upload(req, res, (err) => {
+        if (err) {
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? 'Each file must be 25 MB or smaller'
+                : err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE'
+                    ? `Attach up to ${MAX_FILES} photos or videos`
+                    : err.message;
+            return res.status(400).json({ status: 'fail', message });
+        }
+
+        const files = req.files || [];
+        const unsupported = files.find(file => !detectMediaType(file.buffer));
+        if (unsupported) {
+            return res.status(400).json({
+                status: 'fail',
+                message: `"${unsupported.originalname}" is not a supported photo or video (JPEG, PNG, GIF, WebP, MP4, MOV, 3GP or WebM)`
+            });
+        }
+        files.forEach(file => { file.mimetype = detectMediaType(file.buffer); });
+
+        // Multipart fields arrive after the global sanitizer ran, so sanitize them here
+        req.body = mongoSanitize(req.body);
+        next();
+    });
+};
+
+/**
+ * IMPORT FILE UPLOAD
+ * One CSV or GeoJSON list in the `file` field, for bulk imports (see utils/incidentImport).
+ */
+const MAX_IMPORT_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
+
+const uploadImport = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (/\.(csv|geojson|json)$/i.test(file.originalname)) return cb(null, true);
+        cb(new Error('Import a .csv, .geojson or .json file'));
+    }
+}).single('file');
+
+exports.uploadImportFile = (req, res, next) => {
+    uploadImport(req, res, (err) => {
+        if (err) {
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? 'Import files must be 10 MB or smaller'
+                : err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE'
+                    ? 'Send one file in the "file" field'
+                    : err.message;
+            return res.status(400).json({ status: 'fail', message });
+        }
+
+        req.body = mongoSanitize(req.body);
+        next();
+    });
+};
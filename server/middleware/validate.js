@@ -0,0 +1,35 @@
+const { checkSchema, validationResult, matchedData } = require('express-validator');
+
+/**
+ * REQUEST VALIDATION
+ * `validate(schema)` runs a declarative express-validator schema (see /validators)
+ * and answers invalid requests with one consistent shape that forms can map to fields:
+ *
+ *   400 { status: 'fail', message, errors: [{ field, message, location }] }
+ *
+ * Valid requests continue with `req.body` reduced to the fields the schema declares,
+ * so clients cannot set anything else (status, reporter, createdAt, role...).
+ */
+const handleValidation = (req, res, next) => {
+    const result = validationResult(req);
+    if (!result.isEmpty()) {
+        // One entry per field: the first failing rule is the most useful message
+        const errors = result.array({ onlyFirstError: true }).map(err => ({
+            field: err.path,
+            message: err.msg,
+            location: err.location
+        }));
+        return res.status(400).json({
+            status: 'fail',
+            message: errors[0].message,
+            errors
+        });
+    }
+
+    req.body = matchedData(req, { locations: ['body'], includeOptionals: false });
+    next();
+};
+
+const validate = (schema) => [...checkSchema(schema), handleValidation];
+
+module.exports = { validate };
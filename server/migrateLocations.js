@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Incident = require('./models/Incident');
+const { parsePoint } = require('./utils/geo');
+require('dotenv').config();
+
+/**
+ * ONE-OFF MIGRATION: free-text locations -> GeoJSON points
+ * Older reports stored "lat, lng" (or an address) as a plain string in `location`.
+ * Parsable coordinates become a Point; anything else is preserved as `address`.
+ * Run this BEFORE deploying a server with the GeoJSON schema: string values cannot be
+ * indexed, so the 2dsphere index is only built (syncIndexes) once they are converted.
+ */
+const migrateLocations = async () => {
+    try {
+        // Loading the model must not build the 2dsphere index over the legacy strings
+        await mongoose.connect(process.env.MONGODB_URI, { autoIndex: false });
+        console.log('Connected to MongoDB for location migration...');
+
+        // Use the raw collection: legacy documents no longer match the schema
+        const legacy = await Incident.collection.find({ location: { $type: 'string' } }).toArray();
+        let converted = 0;
+        let addressOnly = 0;
+
+        for (const doc of legacy) {
+            const point = parsePoint(doc.location);
+            const update = point
+                ? { $set: { location: point } }
+                : { $set: { address: doc.address || doc.location }, $unset: { location: '' } };
+
+            await Incident.collection.updateOne({ _id: doc._id }, update);
+            point ? converted++ : addressOnly++;
+        }
+
+        console.log(`✅ Migrated ${legacy.length} incidents (${converted} to points, ${addressOnly} kept as address)`);
+
+        await Incident.syncIndexes();
+        console.log('✅ 2dsphere index ensured on incidents.location');
+
+        mongoose.connection.close();
+        process.exit(0);
+    } catch (err) {
+        console.error('Error migrating locations:', err);
+        process.exit(1);
+    }
+};
+
+migrateLocations();
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const Incident = require('./models/Incident');
+const User = require('./models/User');
+require('dotenv').config();
+
+/**
+ * ONE-OFF MIGRATION: reporter name -> reporterId
+ * Older reports only stored the reporter's display name. Each name is matched
+ * to an account; names shared by several accounts are ambiguous and are left
+ * unlinked (listed in the output) so nobody gains ownership of a stranger's report.
+ */
+const migrateReporters = async () => {
+    try {
+        // Only data changes here; indexes are built by migrate:locations and the server
+        await mongoose.connect(process.env.MONGODB_URI, { autoIndex: false });
+        console.log('Connected to MongoDB for reporter migration...');
+
+        const names = await Incident.distinct('reporter', { reporterId: { $exists: false } });
+        let linked = 0;
+        const ambiguous = [];
+        const unmatched = [];
+
+        for (const name of names) {
+            const matches = await User.find({ name }).select('_id');
+
+            if (matches.length === 1) {
+                const result = await Incident.updateMany(
+                    { reporter: name, reporterId: { $exists: false } },
+                    { $set: { reporterId: matches[0]._id } }
+                );
+                linked += result.modifiedCount;
+            } else if (matches.length > 1) {
+                ambiguous.push(`${name} (${matches.length} accounts)`);
+            } else {
+                unmatched.push(name);
+            }
+        }
+
+        console.log(`✅ Linked ${linked} incidents to their reporter accounts`);
+        if (ambiguous.length) console.log('⚠️  Ambiguous names, link manually:', ambiguous.join(', '));
+        if (unmatched.length) console.log('ℹ️  No account found (anonymous or deleted):', unmatched.join(', '));
+
+        mongoose.connection.close();
+        process.exit(0);
+    } catch (err) {
+        console.error('Error migrating reporters:', err);
+        process.exit(1);
+    }
+};
+
+migrateReporters();
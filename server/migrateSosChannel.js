@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const Incident = require('./models/Incident');
+require('dotenv').config();
+
+/**
+ * ONE-OFF MIGRATION: mark anonymous SOS calls
+ * Spam flagging and SOS replay checks look for `sosChannel`. Calls received
+ * before it existed are recognised by what created them: the login-page SOS
+ * ("UNAUTHENTICATED SOS") and SMS SOS (an `sms:` client id or "SMS SOS" title).
+ * Imported records and CAP alerts are left alone.
+ */
+const anonymous = { sosChannel: { $exists: false }, reporterId: { $exists: false }, importSource: { $exists: false } };
+
+const migrateSosChannel = async () => {
+    try {
+        // Only data changes here; indexes are built by migrate:locations and the server
+        await mongoose.connect(process.env.MONGODB_URI, { autoIndex: false });
+        console.log('Connected to MongoDB for SOS channel migration...');
+
+        const publicSos = await Incident.updateMany(
+            { ...anonymous, title: 'UNAUTHENTICATED SOS' },
+            { $set: { sosChannel: 'public' } },
+            { timestamps: false }
+        );
+        const smsSos = await Incident.updateMany(
+            { ...anonymous, $or: [{ clientId: /^sms:/ }, { title: /^SMS SOS: / }] },
+            { $set: { sosChannel: 'sms' } },
+            { timestamps: false }
+        );
+
+        console.log(`✅ Marked ${publicSos.modifiedCount} public and ${smsSos.modifiedCount} SMS SOS calls`);
+        mongoose.connection.close();
+        process.exit(0);
+    } catch (err) {
+        console.error('Error migrating SOS channels:', err);
+        process.exit(1);
+    }
+};
+
+migrateSosChannel();
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const Incident = require('./models/Incident');
+require('dotenv').config();
+
+/**
+ * ONE-OFF MIGRATION: backfill updatedAt
+ * Delta sync (GET /api/incidents/changes) walks incidents by updatedAt. Reports
+ * created before the field existed get their createdAt, so they are included in
+ * a client's first sync.
+ */
+const migrateUpdatedAt = async () => {
+    try {
+        // Indexes are built once the backfill is done (run migrate:locations first)
+        await mongoose.connect(process.env.MONGODB_URI, { autoIndex: false });
+        console.log('Connected to MongoDB for updatedAt migration...');
+
+        const result = await Incident.updateMany(
+            { updatedAt: { $exists: false } },
+            [{ $set: { updatedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }],
+            { timestamps: false }
+        );
+        await Incident.syncIndexes();
+
+        console.log(`✅ Backfilled updatedAt on ${result.modifiedCount} incidents`);
+        mongoose.connection.close();
+        process.exit(0);
+    } catch (err) {
+        console.error('Error migrating updatedAt:', err);
+        process.exit(1);
+    }
+};
+
+migrateUpdatedAt();
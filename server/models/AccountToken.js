@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * ACCOUNT TOKEN SCHEMA
+ * Single-use tokens emailed for password resets and email verification.
+ * Only an HMAC of the token (keyed with the server secret) is stored.
+ */
+const TOKEN_PURPOSES = ['password_reset', 'email_verification'];
+
+const accountTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    purpose: {
+        type: String,
+        enum: TOKEN_PURPOSES,
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: Date
+}, { timestamps: true });
+
+// Expired tokens are removed by MongoDB automatically
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+accountTokenSchema.statics.TOKEN_PURPOSES = TOKEN_PURPOSES;
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
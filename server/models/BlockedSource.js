@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * BLOCKED SOURCE SCHEMA
+ * A network address, device or phone number that sent SOS calls an admin marked
+ * as spam. Blocks lapse after BLOCK_DAYS, since addresses and numbers get reassigned.
+ */
+const BLOCK_DAYS = 30;
+
+const expiryFromNow = () => new Date(Date.now() + BLOCK_DAYS * 24 * 60 * 60 * 1000);
+
+const blockedSourceSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: ['ip', 'device', 'phone'],
+        required: true
+    },
+    value: {
+        type: String,
+        required: true
+    },
+    incident: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Incident',
+        index: true,
+        description: "The SOS that was flagged; unflagging it lifts the block"
+    },
+    blockedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    expiresAt: {
+        type: Date,
+        default: () => expiryFromNow()
+    }
+}, { timestamps: true });
+
+blockedSourceSchema.index({ kind: 1, value: 1 }, { unique: true });
+blockedSourceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * True when any of the given { kind, value } sources is blocked.
+ */
+blockedSourceSchema.statics.isBlocked = async function (sources) {
+    const known = sources.filter(source => source.value);
+    if (known.length === 0) return false;
+    return Boolean(await this.exists({ $or: known, expiresAt: { $gt: new Date() } }));
+};
+
+// Flagging a source again restarts its block
+blockedSourceSchema.statics.expiryFromNow = expiryFromNow;
+
+module.exports = mongoose.model('BlockedSource', blockedSourceSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * IDEMPOTENCY KEY SCHEMA
+ * Remembers the outcome of a mutating request sent with an `Idempotency-Key`
+ * header, so a retried request (e.g. an offline replay whose first response was
+ * lost) gets the original result instead of being executed twice.
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    scope: {
+        type: String,
+        required: true,
+        description: "User id, or 'public:device:<id>' / 'public:ip:<ip>' for anonymous callers: keys never collide across callers"
+    },
+    method: {
+        type: String,
+        required: true
+    },
+    path: {
+        type: String,
+        required: true
+    },
+    state: {
+        type: String,
+        enum: ['in_progress', 'completed'],
+        default: 'in_progress'
+    },
+    statusCode: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { versionKey: false });
+
+idempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+
+// Keys are kept for 24 hours, long enough for any offline queue to drain
+idempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * IMPORT BATCH SCHEMA
+ * One committed bulk import (see utils/incidentImport): where the records came
+ * from, how columns were mapped and the per-row report. Imported incidents point
+ * back here through `importSource.batch`.
+ */
+const IMPORT_OUTCOMES = ['imported', 'duplicate', 'invalid'];
+
+const importRowSchema = new mongoose.Schema({
+    row: { type: Number, required: true, description: "1-based position in the file (CSV: data rows after the header)" },
+    outcome: { type: String, enum: IMPORT_OUTCOMES, required: true },
+    externalId: String,
+    incident: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Incident',
+        description: "The imported incident, or the existing one a duplicate matched"
+    },
+    problems: { type: [String], default: undefined, description: "Why the row was rejected" }
+}, { _id: false });
+
+const importBatchSchema = new mongoose.Schema({
+    source: {
+        type: String,
+        required: true,
+        trim: true,
+        description: "Partner agency or feed the records came from, e.g. 'County Fire Dept'"
+    },
+    format: {
+        type: String,
+        enum: ['csv', 'geojson'],
+        required: true
+    },
+    origin: {
+        type: String,
+        description: "Uploaded file name or feed URL"
+    },
+    mapping: {
+        type: Map,
+        of: String,
+        description: "Incident field -> column (CSV header or GeoJSON property)"
+    },
+    importedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    importedByName: String,
+    counts: {
+        total: { type: Number, default: 0 },
+        imported: { type: Number, default: 0 },
+        duplicate: { type: Number, default: 0 },
+        invalid: { type: Number, default: 0 }
+    },
+    rows: {
+        type: [importRowSchema],
+        default: []
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { versionKey: false });
+
+importBatchSchema.index({ createdAt: -1 });
+
+importBatchSchema.statics.OUTCOMES = IMPORT_OUTCOMES;
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
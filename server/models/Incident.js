@@ -1,4 +1,94 @@
 const mongoose = require('mongoose');
+const { SEVERITIES, DEFAULT_SEVERITY, computeTriageScore } = require('../utils/triage');
+
+/**
+ * GEOJSON POINT
+ * Stored as [longitude, latitude] so MongoDB can answer "near me" and "inside this district" queries.
+ */
+const pointSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['Point'],
+        required: true
+    },
+    coordinates: {
+        type: [Number],
+        required: true,
+        validate: {
+            validator: (c) => c.length === 2 && c[0] >= -180 && c[0] <= 180 && c[1] >= -90 && c[1] <= 90,
+            message: 'Coordinates must be [longitude, latitude]'
+        }
+    }
+}, { _id: false });
+
+/**
+ * RESPONDER ASSIGNMENT
+ * One entry per responder dispatched to the incident. The responder's name is
+ * copied in so dispatch views render without an extra lookup.
+ */
+const assignmentSchema = new mongoose.Schema({
+    responder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    responderName: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['Assigned', 'Accepted', 'Declined'],
+        default: 'Assigned'
+    },
+    assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    assignedAt: {
+        type: Date,
+        default: Date.now
+    },
+    respondedAt: Date
+}, { _id: false });
+
+/**
+ * MEDIA ATTACHMENT
+ * Photos/videos of the scene. `key` and `thumbnailKey` address the file in the
+ * configured storage adapter; clients fetch them through the media endpoint.
+ */
+const attachmentSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    thumbnailKey: String,
+    kind: {
+        type: String,
+        enum: ['image', 'video'],
+        required: true
+    },
+    contentType: String,
+    originalName: String,
+    size: Number,
+    gpsStripped: {
+        type: Boolean,
+        default: false
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const hideSource = (doc, ret) => {
+    delete ret.source;
+    return ret;
+};
 
 /**
  * INCIDENT SCHEMA
@@ -18,9 +108,13 @@ const incidentSchema = new mongoose.Schema({
         description: "The nature of the emergency"
     },
     location: {
+        type: pointSchema,
+        description: "GPS position captured by the client"
+    },
+    address: {
         type: String,
-        required: true,
-        description: "GPS coordinates (lat/long) or physical address fetched from client"
+        trim: true,
+        description: "Optional human-readable address or landmark"
     },
     description: {
         type: String,
@@ -28,17 +122,166 @@ const incidentSchema = new mongoose.Schema({
     },
     reporter: {
         type: String,
-        required: true
+        required: true,
+        description: "Display name at the time of reporting (kept for anonymous SOS and deleted accounts)"
+    },
+    reporterId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true,
+        description: "Account that filed the report. Ownership checks use this, never the name"
+    },
+    reporterPhone: {
+        type: String,
+        trim: true,
+        description: "Where status updates are texted (given with the report, or the reporter's account phone)"
+    },
+    sosChannel: {
+        type: String,
+        enum: ['public', 'sms'],
+        description: "How an anonymous SOS arrived (the login-page button or a text message). Only these can be marked as spam"
+    },
+    source: {
+        // Where an anonymous SOS came from, kept so an admin can block it as spam (never sent to clients)
+        ip: { type: String, select: false },
+        device: { type: String, select: false }
+    },
+    duplicateReports: {
+        type: Number,
+        default: 0,
+        description: "Further anonymous SOS calls from the same spot, collapsed into this one"
+    },
+    cluster: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Incident',
+        index: true,
+        description: "Likely duplicates share this id (that of the first report), see utils/dedup"
+    },
+    mergedInto: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Incident',
+        index: true,
+        description: "Set once an admin merged this report into another; its status then follows that incident"
+    },
+    merged: {
+        // Reports merged into this one: their reporters are told about every status change
+        type: [{
+            _id: false,
+            incident: { type: mongoose.Schema.Types.ObjectId, required: true },
+            reporter: String,
+            reporterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            reporterPhone: String,
+            mergedAt: { type: Date, default: Date.now }
+        }],
+        default: []
+    },
+    importSource: {
+        // Set on records loaded by a bulk import (see utils/incidentImport) or received as CAP alerts
+        type: {
+            _id: false,
+            batch: { type: mongoose.Schema.Types.ObjectId, ref: 'ImportBatch' },
+            name: String,
+            externalId: String,
+            // Identifiers of later CAP messages (updates) about the same incident
+            updates: { type: [String], default: undefined }
+        },
+        default: undefined,
+        description: "Partner agency or feed the record was imported from, and its id there"
+    },
+    expiresAt: {
+        type: Date,
+        description: "When the agency alert this incident came from stops being current (CAP <expires>)"
+    },
+    spam: {
+        type: Boolean,
+        default: false,
+        description: "Marked as spam by an admin; its source is blocked and it leaves the triage queue"
+    },
+    clientId: {
+        type: String,
+        description: "UUID generated by the reporting device, used to reconcile optimistic and queued copies"
     },
     status: {
         type: String,
         enum: ['Pending', 'Resolved', 'In Progress'],
         default: 'Pending'
     },
+    severity: {
+        type: String,
+        enum: SEVERITIES,
+        default: DEFAULT_SEVERITY,
+        description: "Effective priority (P1 = life-threatening). Admins may override the reporter's suggestion"
+    },
+    reportedSeverity: {
+        type: String,
+        enum: SEVERITIES,
+        description: "Priority originally suggested by the reporter"
+    },
+    assignments: {
+        type: [assignmentSchema],
+        default: []
+    },
+    attachments: {
+        type: [attachmentSchema],
+        default: []
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
+}, {
+    // Edits that can conflict bump `__v` and are refused if the stored version moved on
+    // (see utils/concurrency). Notes and media are additive, so they never conflict.
+    optimisticConcurrency: ['status', 'severity', 'assignments'],
+    // `updatedAt` moves on every change; delta sync (GET /changes) reads incidents by it
+    timestamps: { createdAt: false, updatedAt: true },
+    // Include computed fields (triageScore) in API responses and socket payloads,
+    // never the SOS source (it identifies the caller's network and device)
+    toJSON: { virtuals: true, transform: hideSource },
+    toObject: { virtuals: true, transform: hideSource }
+});
+
+// Live reporter details, populated on every read so clients never rely on the stored name
+incidentSchema.virtual('reporterInfo', {
+    ref: 'User',
+    localField: 'reporterId',
+    foreignField: '_id',
+    justOne: true
+});
+
+incidentSchema.pre(/^find/, function () {
+    this.populate('reporterInfo', 'name email role');
+});
+
+// Recomputed on every read because the waiting-time component grows with age
+incidentSchema.virtual('triageScore').get(function () {
+    return computeTriageScore(this);
+});
+
+// Every report needs somewhere to send responders: coordinates, an address, or both
+incidentSchema.pre('validate', function () {
+    if (!this.location && !this.address) {
+        this.invalidate('location', 'A GPS location or an address is required');
+    }
 });
 
+// Keyset pagination (newest first) and full-text search for listings
+incidentSchema.index({ createdAt: -1, _id: -1 });
+incidentSchema.index({ title: 'text', description: 'text' });
+
+// Delta sync walks changes in (updatedAt, _id) order
+incidentSchema.index({ updatedAt: 1, _id: 1 });
+
+// A device never files two reports with the same client id
+incidentSchema.index({ clientId: 1 }, { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } });
+
+// Re-importing a partner's list recognises the records it already sent
+incidentSchema.index({ 'importSource.name': 1, 'importSource.externalId': 1 }, { partialFilterExpression: { 'importSource.externalId': { $type: 'string' } } });
+
+// Fast lookup of a responder's assignment list
+incidentSchema.index({ 'assignments.responder': 1 });
+
+// Enables $near and $geoWithin queries on incident positions
+incidentSchema.index({ location: '2dsphere' });
+
 module.exports = mongoose.model('Incident', incidentSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+/**
+ * INCIDENT EVENT SCHEMA
+ * Append-only audit timeline. Events live in their own collection so the
+ * history of a report survives even after the report itself is deleted.
+ */
+const EVENT_TYPES = [
+    'created',
+    'imported',
+    'status_changed',
+    'severity_changed',
+    'assigned',
+    'unassigned',
+    'assignment_accepted',
+    'assignment_declined',
+    'note_added',
+    'attachment_added',
+    'attachment_removed',
+    'sos_repeated',
+    'duplicate_detected',
+    'merged',
+    'merged_into',
+    'flagged_spam',
+    'unflagged_spam',
+    'deleted'
+];
+
+const incidentEventSchema = new mongoose.Schema({
+    incident: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Incident',
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        enum: EVENT_TYPES,
+        required: true
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        description: "User who caused the event (absent for anonymous SOS)"
+    },
+    actorName: {
+        type: String,
+        required: true
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        description: "Event-specific details, e.g. { from, to } for status changes"
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+}, { versionKey: false });
+
+// Timeline entries are never rewritten or removed
+const rejectMutation = function () {
+    throw new Error('Incident history is append-only');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => {
+    incidentEventSchema.pre(op, rejectMutation);
+});
+incidentEventSchema.pre('save', function () {
+    if (!this.isNew) throw new Error('Incident history is append-only');
+});
+
+incidentEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = mongoose.model('IncidentEvent', incidentEventSchema);
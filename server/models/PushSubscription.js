@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+/**
+ * PUSH SUBSCRIPTION SCHEMA
+ * One document per browser that accepted Web Push notifications for a user.
+ * The endpoint is unique: re-subscribing from the same browser (or after
+ * signing in as someone else) moves the subscription to the current user.
+ */
+const pushSubscriptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    endpoint: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    keys: {
+        p256dh: { type: String, required: true },
+        auth: { type: String, required: true }
+    },
+    userAgent: String
+}, { timestamps: true });
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
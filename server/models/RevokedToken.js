@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+/**
+ * REVOCATION LIST
+ * Access tokens are short-lived JWTs and cannot be recalled once issued, so
+ * revoking a session records its id here until every access token it issued
+ * has expired. `protect` rejects any token whose session is listed.
+ */
+const revokedTokenSchema = new mongoose.Schema({
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reason: String,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, { timestamps: true });
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * ROLE CHANGE LOG
+ * Append-only record of every change to a user's role, whether made by an
+ * admin through the API or by the bootstrap CLI on the server.
+ */
+const roleChangeSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    userEmail: {
+        type: String,
+        required: true
+    },
+    from: {
+        type: String,
+        description: "Previous role (absent when the account was created with this role)"
+    },
+    to: {
+        type: String,
+        required: true
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        description: "Admin who made the change (absent for the CLI)"
+    },
+    actorName: {
+        type: String,
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ['api', 'cli'],
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+}, { versionKey: false });
+
+const rejectMutation = function () {
+    throw new Error('Role change log is append-only');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => {
+    roleChangeSchema.pre(op, rejectMutation);
+});
+roleChangeSchema.pre('save', function () {
+    if (!this.isNew) throw new Error('Role change log is append-only');
+});
+
+module.exports = mongoose.model('RoleChange', roleChangeSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * SESSION SCHEMA
+ * One document per signed-in device. Only a SHA-256 hash of the current
+ * refresh token is stored; it is replaced on every refresh (rotation), and
+ * the previous hash is kept so a replayed token can be detected (or, just
+ * after `rotatedAt`, recognised as a concurrent refresh from the same device).
+ */
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    previousTokenHash: String,
+    rotatedAt: Date,
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date
+}, { timestamps: true });
+
+// Expired sessions are removed by MongoDB automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
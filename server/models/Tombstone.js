@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * TOMBSTONE SCHEMA
+ * Records that an incident left someone's view, so delta sync (GET /api/incidents/changes)
+ * can tell clients to drop it from their cache:
+ *   - 'deleted'     the incident is gone (admins plus everyone in `users`);
+ *   - 'unassigned'  a responder was stood down or declined (only that responder).
+ * Tombstones expire; clients whose cursor is older must resync from scratch.
+ */
+const TOMBSTONE_RETENTION_DAYS = 30;
+
+const tombstoneSchema = new mongoose.Schema({
+    incident: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ['deleted', 'unassigned'],
+        required: true
+    },
+    users: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: [],
+        index: true,
+        description: "Non-admin accounts that had the incident in view (reporter, responders)"
+    },
+    deletedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { versionKey: false });
+
+tombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 });
+
+const Tombstone = mongoose.model('Tombstone', tombstoneSchema);
+Tombstone.RETENTION_DAYS = TOMBSTONE_RETENTION_DAYS;
+
+module.exports = Tombstone;
@@ -20,8 +20,28 @@ const userSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['citizen', 'admin'],
+        enum: ['citizen', 'responder', 'admin'],
         default: 'citizen'
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: Date,
+    phone: {
+        type: String,
+        trim: true,
+        description: "E.164 mobile number for SMS alerts and status updates"
+    },
+    onDuty: {
+        type: Boolean,
+        default: false,
+        description: "Responders on duty receive SOS alerts by SMS"
+    },
+    // Which incident updates are sent as Web Push notifications
+    notificationPreferences: {
+        statusUpdates: { type: Boolean, default: true },
+        assignments: { type: Boolean, default: true }
     }
 }, { timestamps: true });
 
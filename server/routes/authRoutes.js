@@ -1,16 +1,49 @@
 const express = require('express');
-const { register, login, logout, getMe, getUserCount, getAllUsers, deleteUser } = require('../controllers/authController');
+const rateLimit = require('express-rate-limit');
+const {
+    register, login, refresh, logout, getMe, updateProfile, changePassword,
+    forgotPassword, resetPassword, verifyEmail, resendVerification,
+    getSessions, deleteSession, deleteOtherSessions,
+    getUserCount, getAllUsers, getResponders, updateUserRole, getRoleChanges, deleteUser
+} = require('../controllers/authController');
 const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/authSchemas');
 const router = express.Router();
 
-router.post('/register', register);
-router.post('/login', login);
+// Emailing links is cheap to trigger and expensive to receive: keep it slow
+const accountEmailLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: { status: 'fail', message: 'Too many requests. Please try again later.' }
+});
+
+router.post('/register', validate(schemas.registerSchema), register);
+router.post('/login', validate(schemas.loginSchema), login);
+router.post('/refresh', refresh);
 router.get('/logout', logout);
 router.get('/me', protect, getMe);
+router.patch('/profile', protect, validate(schemas.updateProfileSchema), updateProfile);
+router.patch('/password', protect, validate(schemas.changePasswordSchema), changePassword);
+
+// ACCOUNT RECOVERY & EMAIL VERIFICATION
+router.post('/forgot-password', accountEmailLimiter, validate(schemas.forgotPasswordSchema), forgotPassword);
+router.post('/reset-password', validate(schemas.resetPasswordSchema), resetPassword);
+router.post('/verify-email', validate(schemas.verifyEmailSchema), verifyEmail);
+router.post('/verify-email/resend', protect, accountEmailLimiter, resendVerification);
+
+// SESSIONS (signed-in devices of the current user)
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, deleteOtherSessions);
+router.delete('/sessions/:id', protect, validate(schemas.sessionIdSchema), deleteSession);
+
 router.get('/count', protect, restrictTo('admin'), getUserCount);
 
 // USER MANAGEMENT (Admins Only)
 router.get('/', protect, restrictTo('admin'), getAllUsers);
-router.delete('/:id', protect, restrictTo('admin'), deleteUser);
+router.get('/responders', protect, restrictTo('admin'), getResponders);
+router.get('/role-changes', protect, restrictTo('admin'), getRoleChanges);
+router.patch('/:id/role', protect, restrictTo('admin'), validate(schemas.updateRoleSchema), updateUserRole);
+router.delete('/:id', protect, restrictTo('admin'), validate(schemas.userIdSchema), deleteUser);
 
 module.exports = router;
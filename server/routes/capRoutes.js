@@ -0,0 +1,24 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { getCapFeed, getCapAlert, ingestCapAlert } = require('../controllers/capController');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/incidentSchemas');
+const router = express.Router();
+
+// Feed readers poll and agencies push from a handful of servers, so these have their own limits
+const feedLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 60,
+    message: { status: 'fail', message: 'Too many requests. Please try again later.' }
+});
+const ingestLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 120,
+    message: { status: 'fail', message: 'Too many requests. Please try again later.' }
+});
+
+router.get('/feed', feedLimiter, getCapFeed);
+router.get('/alerts/:id', feedLimiter, validate(schemas.incidentIdSchema), getCapAlert);
+router.post('/alerts', ingestLimiter, express.text({ type: ['application/cap+xml', 'application/xml', 'text/xml'], limit: '1mb' }), ingestCapAlert);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const { importIncidents, getImports, getImport } = require('../controllers/importController');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { uploadImportFile } = require('../middleware/uploadMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/importSchemas');
+const router = express.Router();
+
+router.use(protect, restrictTo('admin'));
+
+router.post('/', uploadImportFile, validate(schemas.importSchema), importIncidents);
+router.get('/', getImports);
+router.get('/:id', validate(schemas.importIdSchema), getImport);
+
+module.exports = router;
@@ -1,17 +1,49 @@
 const express = require('express');
-const { createIncident, getAllIncidents, getMyIncidents, updateIncidentStatus, deleteIncident, createPublicSOS } = require('../controllers/incidentController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { createIncident, getAllIncidents, getMyIncidents, updateIncidentStatus, deleteIncident, createPublicSOS, getNearbyIncidents, getIncidentsWithin, getTriageQueue, updateIncidentSeverity, assignResponders, unassignResponder, acceptAssignment, declineAssignment, getMyAssignments, getIncidentHistory, addIncidentNote, addAttachments, getAttachment, removeAttachment, getIncidentChanges, exportIncidents, flagSpam, unflagSpam, blockSpamIp, mergeIncidents } = require('../controllers/incidentController');
+const { protect, restrictTo, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { uploadMedia } = require('../middleware/uploadMiddleware');
+const { validate } = require('../middleware/validate');
+const { idempotency } = require('../middleware/idempotency');
+const { sosIpLimiter, sosDeviceLimiter, rejectBlockedSources, requireProofOfWork } = require('../middleware/sosProtection');
+const schemas = require('../validators/incidentSchemas');
 const router = express.Router();
 
 // PUBLIC SOS - Anyone can report in extreme danger without logging in
-router.post('/public-sos', createPublicSOS);
+router.post('/public-sos', rejectBlockedSources, sosIpLimiter, sosDeviceLimiter, idempotency, validate(schemas.publicSOSSchema), requireProofOfWork, createPublicSOS);
 
 router.use(protect);
 
-router.post('/', createIncident);
-router.get('/', restrictTo('admin'), getAllIncidents);
-router.get('/my', getMyIncidents);
-router.patch('/:id/status', restrictTo('admin'), updateIncidentStatus);
-router.delete('/:id', deleteIncident);
+// Mutations sent with an Idempotency-Key header are executed at most once
+router.use(idempotency);
+
+router.post('/', uploadMedia, validate(schemas.createIncidentSchema), createIncident);
+router.get('/', restrictTo('admin'), validate(schemas.listIncidentsSchema), getAllIncidents);
+router.get('/my', validate(schemas.listIncidentsSchema), getMyIncidents);
+router.get('/changes', validate(schemas.changesSchema), getIncidentChanges);
+router.get('/export', restrictTo('admin'), validate(schemas.exportIncidentsSchema), exportIncidents);
+router.get('/queue', restrictTo('admin'), validate(schemas.queueSchema), getTriageQueue);
+router.get('/assigned', restrictTo('responder'), getMyAssignments);
+router.get('/nearby', restrictTo('admin', 'responder'), validate(schemas.nearbySchema), getNearbyIncidents);
+router.post('/within', restrictTo('admin'), validate(schemas.withinSchema), getIncidentsWithin);
+router.patch('/:id/status', restrictTo('admin', 'responder'), validate(schemas.updateStatusSchema), updateIncidentStatus);
+router.patch('/:id/severity', restrictTo('admin'), validate(schemas.updateSeveritySchema), updateIncidentSeverity);
+router.post('/:id/merge', restrictTo('admin'), validate(schemas.mergeIncidentsSchema), mergeIncidents);
+router.post('/:id/spam', restrictTo('admin'), validate(schemas.incidentIdSchema), flagSpam);
+router.delete('/:id/spam', restrictTo('admin'), validate(schemas.incidentIdSchema), unflagSpam);
+router.post('/:id/spam/block-ip', restrictTo('admin'), validate(schemas.incidentIdSchema), blockSpamIp);
+router.delete('/:id', validate(schemas.incidentMutationSchema), deleteIncident);
+router.get('/:id/history', validate(schemas.incidentIdSchema), getIncidentHistory);
+router.post('/:id/notes', requireVerifiedEmail, validate(schemas.addNoteSchema), addIncidentNote);
+
+// MEDIA: photos/videos of the scene
+router.post('/:id/attachments', uploadMedia, validate(schemas.addAttachmentsSchema), addAttachments);
+router.get('/:id/attachments/:attachmentId', validate(schemas.attachmentSchema), getAttachment);
+router.delete('/:id/attachments/:attachmentId', validate(schemas.attachmentSchema), removeAttachment);
+
+// DISPATCH: admins assign responders, responders answer for themselves
+router.post('/:id/assignments', restrictTo('admin'), validate(schemas.assignRespondersSchema), assignResponders);
+router.delete('/:id/assignments/:responderId', restrictTo('admin'), validate(schemas.unassignResponderSchema), unassignResponder);
+router.patch('/:id/accept', restrictTo('responder'), validate(schemas.incidentMutationSchema), acceptAssignment);
+router.patch('/:id/decline', restrictTo('responder'), validate(schemas.incidentMutationSchema), declineAssignment);
 
 module.exports = router;
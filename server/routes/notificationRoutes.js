@@ -0,0 +1,17 @@
+const express = require('express');
+const { getPublicKey, subscribe, unsubscribe, getPreferences, updatePreferences } = require('../controllers/notificationController');
+const { protect } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/notificationSchemas');
+const router = express.Router();
+
+router.get('/vapid-public-key', getPublicKey);
+
+router.use(protect);
+
+router.post('/subscriptions', validate(schemas.subscribeSchema), subscribe);
+router.delete('/subscriptions', validate(schemas.unsubscribeSchema), unsubscribe);
+router.get('/preferences', getPreferences);
+router.patch('/preferences', validate(schemas.updatePreferencesSchema), updatePreferences);
+
+module.exports = router;
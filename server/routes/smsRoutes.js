@@ -0,0 +1,16 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { receiveSms } = require('../controllers/smsController');
+const router = express.Router();
+
+// One gateway posts for every sender, so the limit is generous but still bounded
+const inboundLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 120,
+    message: { status: 'fail', message: 'Too many requests. Please try again later.' }
+});
+
+// Gateways post form data (Twilio) or JSON (mock provider)
+router.post('/inbound', inboundLimiter, express.urlencoded({ extended: false }), receiveSms);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const { getIncidentCounts, getResponseTimes, getBusiestHours, getHotspots } = require('../controllers/statsController');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/statsSchemas');
+const router = express.Router();
+
+router.use(protect, restrictTo('admin'));
+
+router.get('/incidents', validate(schemas.countsSchema), getIncidentCounts);
+router.get('/response-times', validate(schemas.statsRangeSchema), getResponseTimes);
+router.get('/busiest-hours', validate(schemas.statsRangeSchema), getBusiestHours);
+router.get('/hotspots', validate(schemas.hotspotsSchema), getHotspots);
+
+module.exports = router;
@@ -1,40 +1,89 @@
+/**
+ * ADMIN BOOTSTRAP (first run)
+ * Creates the initial administrator, or promotes an existing account.
+ *
+ *   npm run bootstrap:admin                 prompts for the details
+ *   ADMIN_EMAIL=... ADMIN_NAME=... ADMIN_PASSWORD=... npm run bootstrap:admin
+ *
+ * Refuses to run once an admin exists unless `--force` is given; after that,
+ * admins promote/demote users from the dashboard (PATCH /api/auth/:id/role).
+ */
 const mongoose = require('mongoose');
+const readline = require('readline');
 const User = require('./models/User');
+const { changeRole } = require('./utils/roles');
 require('dotenv').config();
 
-const seedAdmin = async () => {
+const MIN_PASSWORD_LENGTH = 8;
+
+const ask = (question, { hidden = false } = {}) => new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    if (hidden) {
+        // Echo nothing while the password is typed
+        rl._writeToOutput = (text) => {
+            if (text.includes(question)) rl.output.write(text);
+        };
+    }
+    rl.question(question, (answer) => {
+        rl.close();
+        if (hidden) process.stdout.write('\n');
+        resolve(answer.trim());
+    });
+});
+
+/**
+ * Value from the environment, otherwise from an interactive prompt.
+ */
+const readSetting = async (envName, question, options) => {
+    if (process.env[envName]) return process.env[envName].trim();
+    if (!process.stdin.isTTY) {
+        throw new Error(`${envName} is not set and no terminal is available to prompt for it`);
+    }
+    return ask(question, options);
+};
+
+const bootstrapAdmin = async () => {
     try {
         await mongoose.connect(process.env.MONGODB_URI);
-        console.log('Connected to MongoDB for seeding...');
-
-        // Ensure naveen04@gmail.com exists as Admin
-        const admin1 = await User.findOne({ email: 'naveen04@gmail.com' });
-        if (admin1) {
-            admin1.role = 'admin';
-            admin1.password = 'naveen04';
-            await admin1.save();
-        } else {
-            await User.create({ name: 'Naveen Admin', email: 'naveen04@gmail.com', password: 'naveen04', role: 'admin' });
+        console.log('Connected to MongoDB for admin bootstrap...');
+
+        const existingAdmin = await User.findOne({ role: 'admin' }).select('email');
+        if (existingAdmin && !process.argv.includes('--force')) {
+            console.error(`An admin already exists (${existingAdmin.email}). Promote users from the dashboard, or re-run with --force.`);
+            await mongoose.connection.close();
+            process.exit(1);
         }
 
-        // Ensure naveen@gmail.com exists as Admin
-        const admin2 = await User.findOne({ email: 'naveen@gmail.com' });
-        if (admin2) {
-            admin2.role = 'admin';
-            admin2.password = 'naveen04';
-            await admin2.save();
+        const email = (await readSetting('ADMIN_EMAIL', 'Admin email: ')).toLowerCase();
+        if (!email) throw new Error('An email address is required');
+
+        const account = await User.findOne({ email });
+        if (account) {
+            if (account.role === 'admin') {
+                console.log(`${email} is already an admin. Nothing to do.`);
+            } else {
+                await changeRole(account, 'admin', null, 'cli');
+                console.log(`✅ Existing account ${email} promoted to admin.`);
+            }
         } else {
-            await User.create({ name: 'Naveen Primary', email: 'naveen@gmail.com', password: 'naveen04', role: 'admin' });
-        }
+            const name = await readSetting('ADMIN_NAME', 'Admin name: ');
+            const password = await readSetting('ADMIN_PASSWORD', `Password (min ${MIN_PASSWORD_LENGTH} characters): `, { hidden: true });
+            if (!name) throw new Error('A name is required');
+            if (password.length < MIN_PASSWORD_LENGTH) {
+                throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+            }
 
-        console.log('✅ Admin users updated/created successfully!');
+            const admin = new User({ name, email, password });
+            await changeRole(admin, 'admin', null, 'cli');
+            console.log(`✅ Admin account created for ${email}.`);
+        }
 
-        mongoose.connection.close();
+        await mongoose.connection.close();
         process.exit(0);
     } catch (err) {
-        console.error('Error seeding admin:', err);
+        console.error('Admin bootstrap failed:', err.message);
         process.exit(1);
     }
 };
 
-seedAdmin();
+bootstrapAdmin();
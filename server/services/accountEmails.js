@@ -0,0 +1,39 @@
+const { issueAccountToken } = require('./accountTokens');
+const { sendMail } = require('./mailer');
+
+/**
+ * ACCOUNT EMAILS
+ * Builds the verification and password reset messages. Links point at the
+ * client pages (APP_URL, default the Vite dev server).
+ */
+const appUrl = (pathname, token) => {
+    const base = (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+    return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+const escapeHtml = (value) =>
+    String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+const sendVerificationEmail = async (user) => {
+    const { token } = await issueAccountToken(user._id, 'email_verification');
+    const link = appUrl('/verify-email', token);
+    return sendMail({
+        to: user.email,
+        subject: 'Confirm your ResqueNet email address',
+        text: `Hi ${user.name},\n\nConfirm your email address by opening this link (valid for 24 hours):\n${link}\n\nIf you did not create a ResqueNet account, ignore this message.`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p><p>Confirm your email address (link valid for 24 hours):</p><p><a href="${link}">${link}</a></p><p>If you did not create a ResqueNet account, ignore this message.</p>`
+    });
+};
+
+const sendPasswordResetEmail = async (user) => {
+    const { token } = await issueAccountToken(user._id, 'password_reset');
+    const link = appUrl('/reset-password', token);
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your ResqueNet password',
+        text: `Hi ${user.name},\n\nChoose a new password by opening this link (valid for 1 hour, usable once):\n${link}\n\nIf you did not ask for a reset, ignore this message; your password is unchanged.`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p><p>Choose a new password (link valid for 1 hour, usable once):</p><p><a href="${link}">${link}</a></p><p>If you did not ask for a reset, ignore this message; your password is unchanged.</p>`
+    });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
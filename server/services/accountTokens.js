@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+
+/**
+ * ACCOUNT TOKENS
+ * Issues and redeems the single-use tokens behind password reset and email
+ * verification links. Issuing a new token voids the user's earlier unused ones.
+ */
+const TOKEN_TTL_MS = {
+    password_reset: 60 * 60 * 1000,             // 1 hour
+    email_verification: 24 * 60 * 60 * 1000     // 24 hours
+};
+
+const signToken = (token) =>
+    crypto.createHmac('sha256', process.env.JWT_SECRET).update(token).digest('hex');
+
+/**
+ * @returns {Promise<{ token: string, expiresAt: Date }>} the raw token, to be emailed
+ */
+const issueAccountToken = async (userId, purpose) => {
+    const now = new Date();
+    await AccountToken.updateMany({ user: userId, purpose, usedAt: null }, { usedAt: now });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(now.getTime() + TOKEN_TTL_MS[purpose]);
+    await AccountToken.create({ user: userId, purpose, tokenHash: signToken(token), expiresAt });
+
+    return { token, expiresAt };
+};
+
+/**
+ * Marks a token as used, atomically, and returns its user id.
+ * @returns {Promise<ObjectId|null>} null if the token is unknown, expired or already used
+ */
+const redeemAccountToken = async (token, purpose) => {
+    if (!token || typeof token !== 'string') return null;
+    const record = await AccountToken.findOneAndUpdate(
+        { tokenHash: signToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() }
+    );
+    return record ? record.user : null;
+};
+
+module.exports = { issueAccountToken, redeemAccountToken };
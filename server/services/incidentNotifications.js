@@ -0,0 +1,72 @@
+const { sendPushToUsers } = require('./push');
+
+/**
+ * INCIDENT NOTIFICATIONS
+ * Builds the Web Push messages for incident updates. Each opens the incident
+ * on the dashboard; the tag makes a newer update replace an older one.
+ * The user who made the change is never notified of it.
+ */
+const incidentUrl = (incident) => `/dashboard?incident=${incident._id}`;
+
+const othersThan = (actor, userIds) => userIds.filter(id => id && String(id) !== String(actor._id));
+
+const notify = (userIds, preference, incident, title, body) => sendPushToUsers(userIds, preference, {
+    title,
+    body,
+    tag: `incident-${incident._id}`,
+    url: incidentUrl(incident),
+    incidentId: String(incident._id)
+});
+
+/**
+ * Status change: the reporter (and those of reports merged into it) and every
+ * responder still on the incident.
+ */
+const notifyStatusChange = (incident, actor) => {
+    const audience = [
+        incident.reporterId,
+        ...incident.merged.map(m => m.reporterId),
+        ...incident.assignments.filter(a => a.status !== 'Declined').map(a => a.responder)
+    ];
+    return notify(othersThan(actor, audience), 'statusUpdates', incident,
+        `Incident ${incident.status.toLowerCase()}`,
+        `"${incident.title}" is now ${incident.status}.`);
+};
+
+/**
+ * Assignment change: dispatched or stood-down responders hear about it; the reporter
+ * learns that a responder accepted; the dispatcher learns that one declined.
+ */
+const notifyAssignmentChange = (incident, responderIds, action, actor) => {
+    if (action === 'assigned') {
+        return notify(othersThan(actor, responderIds), 'assignments', incident,
+            'New dispatch', `You have been assigned to "${incident.title}".`);
+    }
+    if (action === 'unassigned') {
+        return notify(othersThan(actor, responderIds), 'assignments', incident,
+            'Stood down', `You are no longer assigned to "${incident.title}".`);
+    }
+
+    const assignment = incident.assignments.find(a => String(a.responder) === String(actor._id));
+    if (action === 'accepted') {
+        return notify(othersThan(actor, [incident.reporterId]), 'statusUpdates', incident,
+            'Help is on the way', `${actor.name} accepted "${incident.title}".`);
+    }
+    if (action === 'declined' && assignment) {
+        return notify(othersThan(actor, [assignment.assignedBy]), 'assignments', incident,
+            'Dispatch declined', `${actor.name} declined "${incident.title}".`);
+    }
+    return Promise.resolve();
+};
+
+/**
+ * Reports merged into `primary`: each reporter learns it is now handled with the
+ * primary incident, and that incident's status. The link opens their own report.
+ */
+const notifyMerged = (primary, reports, actor) => Promise.all(reports.map(report =>
+    notify(othersThan(actor, [report.reporterId]), 'statusUpdates', report,
+        'Report merged',
+        `Your report is now handled together with "${primary.title}" (${primary.status}).`)
+));
+
+module.exports = { notifyStatusChange, notifyAssignmentChange, notifyMerged };
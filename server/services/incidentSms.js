@@ -0,0 +1,60 @@
+const User = require('../models/User');
+const { sendSms } = require('./sms');
+
+/**
+ * INCIDENT SMS
+ * Texts for people who may have no data connection: SOS alerts to on-duty
+ * responders with a phone number, and status updates to reporters who gave one.
+ * Messages stay short (a single SMS segment where possible).
+ */
+
+// The same short reference the dashboard shows on every card
+const incidentRef = (incident) => String(incident._id).slice(-8);
+
+const describeWhere = (incident) => {
+    if (incident.address) return incident.address;
+    if (incident.location) {
+        const [lng, lat] = incident.location.coordinates;
+        return `${lat.toFixed(5)},${lng.toFixed(5)}`;
+    }
+    return 'location unknown';
+};
+
+/**
+ * SOS / P1 report: every on-duty responder with a phone number.
+ */
+const alertOnDutyResponders = async (incident) => {
+    try {
+        const responders = await User.find({ role: 'responder', onDuty: true, phone: { $exists: true, $ne: '' } }).select('phone');
+        const text = `ResqueNet SOS ${incident.type.toUpperCase()} at ${describeWhere(incident)}. Ref ${incidentRef(incident)}`;
+        await Promise.all(responders.map(responder => sendSms({ to: responder.phone, text })));
+    } catch (err) {
+        console.error(`SMS: Failed to alert responders for ${incident._id}:`, err.message);
+    }
+};
+
+/**
+ * Status change: every reporter who left a phone number, including those of
+ * reports merged into the incident (they know their own reference).
+ */
+const sendStatusSms = (incident) => {
+    const recipients = [{ phone: incident.reporterPhone, ref: incidentRef(incident) }]
+        .concat(incident.merged.map(m => ({ phone: m.reporterPhone, ref: incidentRef({ _id: m.incident }) })))
+        .filter(recipient => recipient.phone);
+    return Promise.all(recipients.map(({ phone, ref }) => sendSms({
+        to: phone,
+        text: `ResqueNet: your report ${ref} is now ${incident.status}.`
+    })));
+};
+
+/**
+ * Reports merged into `primary`: their reporters get the primary's reference and status.
+ */
+const sendMergedSms = (primary, reports) => Promise.all(reports
+    .filter(report => report.reporterPhone)
+    .map(report => sendSms({
+        to: report.reporterPhone,
+        text: `ResqueNet: your report ${incidentRef(report)} was merged into ${incidentRef(primary)}, now ${primary.status}.`
+    })));
+
+module.exports = { incidentRef, alertOnDutyResponders, sendStatusSms, sendMergedSms };
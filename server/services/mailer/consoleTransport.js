@@ -0,0 +1,14 @@
+/**
+ * CONSOLE MAIL TRANSPORT
+ * Prints messages to the server log instead of sending them (development default).
+ */
+const createConsoleTransport = () => ({
+    name: 'console',
+
+    async send({ to, subject, text }) {
+        console.log(`📧 MAIL (console) -> ${to}\n   Subject: ${subject}\n${text.split('\n').map(line => `   ${line}`).join('\n')}`);
+        return { id: `console-${Date.now()}` };
+    }
+});
+
+module.exports = { createConsoleTransport };
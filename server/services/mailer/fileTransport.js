@@ -0,0 +1,22 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * FILE MAIL TRANSPORT
+ * Writes each message as a JSON file into `dir` so tests and local setups can
+ * read the links that would have been emailed.
+ */
+const createFileTransport = ({ dir }) => ({
+    name: 'file',
+
+    async send(message) {
+        await fs.mkdir(dir, { recursive: true });
+        const id = `${Date.now()}-${crypto.randomUUID()}`;
+        const file = path.join(dir, `${id}.json`);
+        await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+        return { id, file };
+    }
+});
+
+module.exports = { createFileTransport };
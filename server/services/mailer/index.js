@@ -0,0 +1,56 @@
+const path = require('path');
+const { createConsoleTransport } = require('./consoleTransport');
+const { createFileTransport } = require('./fileTransport');
+const { createSmtpTransport } = require('./smtpTransport');
+
+/**
+ * PLUGGABLE MAILER
+ * Every transport exposes the same interface:
+ *   send({ to, subject, text, html }) -> { id }
+ *
+ * Selected with MAIL_TRANSPORT=console (default), file or smtp.
+ */
+let transport = null;
+
+const getMailer = () => {
+    if (transport) return transport;
+
+    const driver = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+
+    if (driver === 'smtp') {
+        transport = createSmtpTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || undefined,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS,
+            from: process.env.MAIL_FROM || 'ResqueNet <no-reply@resquenet.local>'
+        });
+    } else if (driver === 'file') {
+        transport = createFileTransport({
+            dir: process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'mail-outbox')
+        });
+    } else if (driver === 'console') {
+        transport = createConsoleTransport();
+    } else {
+        throw new Error(`Unknown MAIL_TRANSPORT "${driver}" (expected console, file or smtp)`);
+    }
+
+    console.log(`📧 MAIL: Using ${transport.name} transport`);
+    return transport;
+};
+
+/**
+ * Sends a message, logging instead of throwing: account emails are never
+ * allowed to fail the request that triggered them.
+ */
+const sendMail = async (message) => {
+    try {
+        return await getMailer().send(message);
+    } catch (err) {
+        console.error(`MAIL: Failed to send "${message.subject}" to ${message.to}:`, err.message);
+        return null;
+    }
+};
+
+module.exports = { getMailer, sendMail };
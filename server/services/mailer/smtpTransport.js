@@ -0,0 +1,26 @@
+/**
+ * SMTP MAIL TRANSPORT
+ * Sends through any SMTP relay via nodemailer. The library is only loaded when selected.
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass, from }) => {
+    if (!host) throw new Error('SMTP mail transport requires SMTP_HOST');
+
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+        host,
+        port: port || (secure ? 465 : 587),
+        secure: !!secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+
+        async send({ to, subject, text, html }) {
+            const info = await transporter.sendMail({ from, to, subject, text, html });
+            return { id: info.messageId };
+        }
+    };
+};
+
+module.exports = { createSmtpTransport };
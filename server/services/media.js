@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+const { MEDIA_TYPES } = require('../utils/mediaType');
+
+/**
+ * MEDIA PROCESSING
+ * Stores incident photos/videos through the configured storage adapter and
+ * generates JPEG thumbnails for images. Video thumbnails would need ffmpeg,
+ * which is not bundled, so videos are stored as-is.
+ */
+
+const THUMBNAIL_SIZE = 320;
+
+/**
+ * Re-encodes an image without any metadata. sharp drops EXIF (including GPS)
+ * unless asked to keep it; .rotate() first bakes in the EXIF orientation.
+ */
+const stripMetadata = (buffer) => sharp(buffer).rotate().toBuffer();
+
+const makeThumbnail = (buffer) => sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+
+/**
+ * Persists one uploaded file for an incident and returns the attachment
+ * sub-document to push onto `incident.attachments`.
+ */
+const storeAttachment = async (incidentId, file, { stripGps = false, uploadedBy } = {}) => {
+    const storage = getStorage();
+    // `mimetype` was detected from the content by the upload middleware
+    const { kind, extension } = MEDIA_TYPES[file.mimetype];
+    const id = crypto.randomUUID();
+    const key = `incidents/${incidentId}/${id}${extension}`;
+
+    let body = file.buffer;
+    let thumbnailKey;
+    let gpsStripped = false;
+
+    if (kind === 'image') {
+        if (stripGps) {
+            body = await stripMetadata(file.buffer);
+            gpsStripped = true;
+        }
+        thumbnailKey = `incidents/${incidentId}/${id}_thumb.jpg`;
+        await storage.save(thumbnailKey, await makeThumbnail(body), 'image/jpeg');
+    }
+
+    await storage.save(key, body, file.mimetype);
+
+    return {
+        key,
+        thumbnailKey,
+        kind,
+        contentType: file.mimetype,
+        originalName: file.originalname,
+        size: body.length,
+        gpsStripped,
+        uploadedBy
+    };
+};
+
+/**
+ * Removes an attachment and its thumbnail from storage. Missing files are ignored.
+ */
+const removeAttachment = async (attachment) => {
+    const storage = getStorage();
+    await Promise.all([attachment.key, attachment.thumbnailKey]
+        .filter(Boolean)
+        .map(key => storage.remove(key).catch(err => console.error('STORAGE: Remove failed', key, err.message))));
+};
+
+module.exports = { storeAttachment, removeAttachment };
@@ -0,0 +1,76 @@
+const webpush = require('web-push');
+const PushSubscription = require('../models/PushSubscription');
+const User = require('../models/User');
+
+/**
+ * WEB PUSH
+ * Sends notifications to every browser a user subscribed, through the
+ * browser vendor's push service, signed with our VAPID key pair:
+ *   VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY   (npx web-push generate-vapid-keys)
+ *   VAPID_SUBJECT                         contact URL or mailto: (default mailto:admin@resquenet.local)
+ * Without keys push is disabled and every send is a no-op.
+ *
+ * Payloads are JSON { title, body, tag, url, incidentId } (see client/public/sw.js).
+ */
+
+// Push services drop undelivered messages after this long (seconds)
+const PUSH_TTL_SECONDS = 60 * 60;
+
+let configured = null;
+
+const isPushConfigured = () => {
+    if (configured !== null) return configured;
+    const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY } = process.env;
+    configured = Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+    if (configured) {
+        webpush.setVapidDetails(process.env.VAPID_SUBJECT || 'mailto:admin@resquenet.local', VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+        console.log('🔔 PUSH: Web Push enabled');
+    } else {
+        console.log('🔔 PUSH: VAPID keys not set, Web Push disabled');
+    }
+    return configured;
+};
+
+const getVapidPublicKey = () => (isPushConfigured() ? process.env.VAPID_PUBLIC_KEY : null);
+
+const sendToSubscription = async (subscription, body) => {
+    try {
+        await webpush.sendNotification(
+            { endpoint: subscription.endpoint, keys: subscription.keys },
+            body,
+            { TTL: PUSH_TTL_SECONDS }
+        );
+    } catch (err) {
+        // 404/410: the browser unsubscribed or the subscription expired
+        if (err.statusCode === 404 || err.statusCode === 410) {
+            await PushSubscription.deleteOne({ _id: subscription._id });
+            return;
+        }
+        console.error(`PUSH: Delivery to ${subscription._id} failed:`, err.statusCode || err.message);
+    }
+};
+
+/**
+ * Notifies the given users on all their subscribed browsers, skipping those who
+ * turned off `preference` (a key of User.notificationPreferences). Never throws:
+ * notifications must not fail the request that triggered them.
+ */
+const sendPushToUsers = async (userIds, preference, notification) => {
+    if (!isPushConfigured() || !userIds || userIds.length === 0) return;
+    try {
+        const ids = [...new Set(userIds.map(String))];
+        const recipients = await User.find({
+            _id: { $in: ids },
+            [`notificationPreferences.${preference}`]: { $ne: false }
+        }).select('_id');
+        if (recipients.length === 0) return;
+
+        const subscriptions = await PushSubscription.find({ user: { $in: recipients.map(u => u._id) } });
+        const body = JSON.stringify(notification);
+        await Promise.all(subscriptions.map(subscription => sendToSubscription(subscription, body)));
+    } catch (err) {
+        console.error(`PUSH: Failed to notify ${preference}:`, err.message);
+    }
+};
+
+module.exports = { getVapidPublicKey, sendPushToUsers };
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const RevokedToken = require('../models/RevokedToken');
+
+/**
+ * SESSION & TOKEN SERVICE
+ * Access tokens: JWTs valid for ACCESS_TOKEN_TTL, carrying the user id and session id.
+ * Refresh tokens: opaque "<sessionId>.<secret>" strings valid for REFRESH_TOKEN_TTL,
+ * rotated on every use and stored only as hashes.
+ */
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// The page and the service worker refresh independently, so right after a rotation
+// the token it replaced may still arrive from the slower of the two
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, session) =>
+    jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET, {
+        expiresIn: Math.floor(ACCESS_TOKEN_TTL_MS / 1000)
+    });
+
+const newRefreshToken = (session) => `${session._id}.${crypto.randomBytes(48).toString('base64url')}`;
+
+const describeClient = (req) => ({
+    userAgent: (req.get('user-agent') || 'Unknown device').slice(0, 300),
+    ip: req.ip
+});
+
+/**
+ * Starts a new session for `user` on the requesting device.
+ * @returns {{ session, accessToken, refreshToken }}
+ */
+const createSession = async (user, req) => {
+    const session = new Session({
+        user: user._id,
+        tokenHash: 'pending',
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+        ...describeClient(req)
+    });
+    const refreshToken = newRefreshToken(session);
+    session.tokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return { session, accessToken: signAccessToken(user, session), refreshToken };
+};
+
+/**
+ * Answers a refresh token that was already rotated away. Within REFRESH_REUSE_GRACE_MS
+ * of the rotation it is a concurrent refresh from the same device, answered with a new
+ * access token only (refreshToken null): the device already holds the current refresh
+ * token from the request that won. Later, it means the token was copied, and the whole
+ * session is revoked.
+ */
+const answerReplacedToken = async (session, presentedHash, loadUser) => {
+    if (presentedHash !== session.previousTokenHash) return null;
+
+    if (session.rotatedAt > new Date(Date.now() - REFRESH_REUSE_GRACE_MS)) {
+        const user = await loadUser(session.user);
+        return user ? { session, user, accessToken: signAccessToken(user, session), refreshToken: null } : null;
+    }
+    console.log(`🔐 AUTH: Refresh token reuse detected, revoking session ${session._id}`);
+    await revokeSession(session, 'refresh_token_reuse');
+    return null;
+};
+
+const isUsable = (session) => session && !session.revokedAt && session.expiresAt >= new Date();
+
+/**
+ * Exchanges a refresh token for a new access/refresh pair.
+ * The rotation is a single conditional update on the presented token's hash, so of
+ * two refreshes racing with the same token only one rotates; the other is answered
+ * as a concurrent refresh (see answerReplacedToken).
+ * @returns {{ session, accessToken, refreshToken } | null} null when the token is not usable
+ */
+const rotateSession = async (refreshToken, req, loadUser) => {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!sessionId || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+    let session = await Session.findById(sessionId);
+    if (!isUsable(session)) return null;
+
+    const presentedHash = hashToken(refreshToken);
+    if (presentedHash === session.tokenHash) {
+        const user = await loadUser(session.user);
+        if (!user) return null;
+
+        const nextToken = newRefreshToken(session);
+        const rotatedAt = new Date();
+        const rotated = await Session.findOneAndUpdate(
+            { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+            {
+                $set: {
+                    previousTokenHash: presentedHash,
+                    tokenHash: hashToken(nextToken),
+                    rotatedAt,
+                    lastUsedAt: rotatedAt,
+                    ...describeClient(req)
+                }
+            },
+            { new: true }
+        );
+        if (rotated) {
+            return { session: rotated, user, accessToken: signAccessToken(user, rotated), refreshToken: nextToken };
+        }
+
+        // Another request rotated this token first
+        session = await Session.findById(sessionId);
+        if (!isUsable(session)) return null;
+    }
+
+    return answerReplacedToken(session, presentedHash, loadUser);
+};
+
+/**
+ * Ends a session and blocks its outstanding access tokens.
+ */
+const revokeSession = async (session, reason = 'logout') => {
+    if (!session.revokedAt) {
+        session.revokedAt = new Date();
+        await session.save();
+    }
+    await RevokedToken.updateOne(
+        { session: session._id },
+        {
+            $setOnInsert: {
+                user: session.user,
+                reason,
+                expiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL_MS)
+            }
+        },
+        { upsert: true }
+    );
+};
+
+/**
+ * Revokes every active session of a user, optionally keeping one (the caller's own).
+ * @returns {Promise<Array>} ids of the revoked sessions
+ */
+const revokeAllSessions = async (userId, reason, exceptSessionId) => {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+    const sessions = await Session.find(filter);
+    await Promise.all(sessions.map(session => revokeSession(session, reason)));
+    return sessions.map(session => session._id);
+};
+
+/**
+ * Verifies an access token's signature, expiry and revocation status.
+ * Throws on any failure; tokens issued before sessions existed (no `sid`) are rejected.
+ */
+const verifyAccessToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.sid) throw new Error('Session required');
+    if (await RevokedToken.exists({ session: decoded.sid })) throw new Error('Token revoked');
+    return decoded;
+};
+
+module.exports = {
+    ACCESS_TOKEN_TTL_MS,
+    REFRESH_TOKEN_TTL_MS,
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    verifyAccessToken
+};
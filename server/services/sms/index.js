@@ -0,0 +1,59 @@
+const path = require('path');
+const { createMockProvider } = require('./mockProvider');
+const { createTwilioProvider } = require('./twilioProvider');
+
+/**
+ * PLUGGABLE SMS GATEWAY
+ * Every provider exposes the same interface:
+ *   send({ to, text }) -> { id }
+ *   verifyInbound(req) -> boolean       is this webhook call really from the provider?
+ *   parseInbound(req)  -> { id, from, text }
+ *   reply(res, text)                    answers the webhook (and the sender)
+ *
+ * Selected with SMS_PROVIDER=mock (default) or twilio.
+ */
+let provider = null;
+
+const getSmsProvider = () => {
+    if (provider) return provider;
+
+    const driver = (process.env.SMS_PROVIDER || 'mock').toLowerCase();
+
+    if (driver === 'twilio') {
+        provider = createTwilioProvider({
+            accountSid: process.env.TWILIO_ACCOUNT_SID,
+            authToken: process.env.TWILIO_AUTH_TOKEN,
+            from: process.env.SMS_FROM,
+            webhookUrl: process.env.SMS_WEBHOOK_URL
+        });
+    } else if (driver === 'mock') {
+        provider = createMockProvider({
+            dir: process.env.SMS_DIR || path.join(__dirname, '..', '..', 'sms-outbox'),
+            secret: process.env.SMS_WEBHOOK_SECRET,
+            allowUnsigned: process.env.NODE_ENV !== 'production'
+        });
+        if (!process.env.SMS_WEBHOOK_SECRET && process.env.NODE_ENV === 'production') {
+            console.warn('📱 SMS: SMS_WEBHOOK_SECRET is not set; inbound texts to the mock provider are refused');
+        }
+    } else {
+        throw new Error(`Unknown SMS_PROVIDER "${driver}" (expected mock or twilio)`);
+    }
+
+    console.log(`📱 SMS: Using ${provider.name} provider`);
+    return provider;
+};
+
+/**
+ * Sends a text, logging instead of throwing: an SMS that cannot be delivered
+ * must not fail the report or status change that triggered it.
+ */
+const sendSms = async (message) => {
+    try {
+        return await getSmsProvider().send(message);
+    } catch (err) {
+        console.error(`SMS: Failed to send to ${message.to}:`, err.message);
+        return null;
+    }
+};
+
+module.exports = { getSmsProvider, sendSms };
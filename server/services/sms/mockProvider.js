@@ -0,0 +1,40 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * MOCK SMS PROVIDER
+ * Sends nothing: outgoing messages are logged and written as JSON files into `dir`
+ * so tests and local setups can read them. Inbound messages are posted as JSON or
+ * form data { from, text, id? }; when `secret` is set the request must carry it in
+ * the X-SMS-Secret header. Without a secret, inbound texts are only taken when
+ * `allowUnsigned` (never in production: anyone could file P1 SOS incidents).
+ */
+const createMockProvider = ({ dir, secret, allowUnsigned = false }) => ({
+    name: 'mock',
+
+    async send({ to, text }) {
+        const id = `${Date.now()}-${crypto.randomUUID()}`;
+        console.log(`📱 SMS (mock) -> ${to}: ${text}`);
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ to, text, sentAt: new Date().toISOString() }, null, 2));
+        return { id };
+    },
+
+    verifyInbound(req) {
+        if (!secret) return allowUnsigned;
+        const given = Buffer.from(String(req.get('X-SMS-Secret') || ''));
+        const expected = Buffer.from(secret);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    },
+
+    parseInbound(req) {
+        return { id: req.body.id, from: req.body.from, text: req.body.text };
+    },
+
+    reply(res, text) {
+        res.status(200).json({ status: 'success', data: { reply: text } });
+    }
+});
+
+module.exports = { createMockProvider };
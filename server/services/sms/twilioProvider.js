@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+/**
+ * TWILIO SMS PROVIDER
+ * Sends through the Twilio REST API and answers inbound webhooks with TwiML.
+ * Inbound requests are authenticated with the X-Twilio-Signature header, computed
+ * over the public webhook URL (`webhookUrl`, as configured in the Twilio console).
+ */
+const escapeXml = (value) =>
+    String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[ch]));
+
+const createTwilioProvider = ({ accountSid, authToken, from, webhookUrl }) => {
+    if (!accountSid || !authToken || !from) {
+        throw new Error('Twilio SMS provider requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and SMS_FROM');
+    }
+    const messagesUrl = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+    const authorization = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`;
+
+    return {
+        name: 'twilio',
+
+        async send({ to, text }) {
+            const res = await fetch(messagesUrl, {
+                method: 'POST',
+                headers: { Authorization: authorization, 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams({ From: from, To: to, Body: text })
+            });
+            const body = await res.json();
+            if (!res.ok) throw new Error(`Twilio ${res.status}: ${body.message}`);
+            return { id: body.sid };
+        },
+
+        // Signature = base64(HMAC-SHA1(authToken, url + every POST parameter as key+value, sorted by key))
+        verifyInbound(req) {
+            const signature = req.get('X-Twilio-Signature');
+            if (!signature) return false;
+            const url = webhookUrl || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+            const payload = Object.keys(req.body).sort().reduce((acc, key) => acc + key + req.body[key], url);
+            const expected = crypto.createHmac('sha1', authToken).update(payload).digest('base64');
+            const given = Buffer.from(signature);
+            return given.length === Buffer.byteLength(expected) && crypto.timingSafeEqual(given, Buffer.from(expected));
+        },
+
+        parseInbound(req) {
+            return { id: req.body.MessageSid, from: req.body.From, text: req.body.Body };
+        },
+
+        reply(res, text) {
+            res.type('text/xml').status(200).send(`<?xml version="1.0" encoding="UTF-8"?><Response><Message>${escapeXml(text)}</Message></Response>`);
+        }
+    };
+};
+
+module.exports = { createTwilioProvider };
@@ -0,0 +1,42 @@
+const path = require('path');
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+
+/**
+ * PLUGGABLE MEDIA STORAGE
+ * Every adapter exposes the same interface:
+ *   save(key, buffer, contentType) -> { key }
+ *   createReadStream(key)          -> Readable
+ *   remove(key)
+ *
+ * Selected with STORAGE_DRIVER=local (default) or STORAGE_DRIVER=s3.
+ */
+let storage = null;
+
+const getStorage = () => {
+    if (storage) return storage;
+
+    const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+    if (driver === 's3') {
+        storage = createS3Storage({
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION,
+            endpoint: process.env.S3_ENDPOINT,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+        });
+    } else if (driver === 'local') {
+        storage = createLocalStorage({
+            baseDir: process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads')
+        });
+    } else {
+        throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+    }
+
+    console.log(`🗄️  STORAGE: Using ${storage.name} media storage`);
+    return storage;
+};
+
+module.exports = { getStorage };
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * LOCAL DISK STORAGE ADAPTER (default)
+ * Files are written under `baseDir` using their storage key as a relative path.
+ */
+const createLocalStorage = ({ baseDir }) => {
+    // Keys are generated server-side, but never let one escape the upload directory
+    const resolve = (key) => {
+        const fullPath = path.resolve(baseDir, key);
+        if (!fullPath.startsWith(path.resolve(baseDir) + path.sep)) {
+            throw new Error('Invalid storage key');
+        }
+        return fullPath;
+    };
+
+    return {
+        name: 'local',
+
+        async save(key, buffer) {
+            const fullPath = resolve(key);
+            await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+            await fs.promises.writeFile(fullPath, buffer);
+            return { key };
+        },
+
+        async createReadStream(key) {
+            const fullPath = resolve(key);
+            await fs.promises.access(fullPath);
+            return fs.createReadStream(fullPath);
+        },
+
+        async remove(key) {
+            await fs.promises.rm(resolve(key), { force: true });
+        }
+    };
+};
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,42 @@
+/**
+ * S3-COMPATIBLE STORAGE ADAPTER
+ * Works with AWS S3 and S3-compatible services (MinIO, Cloudflare R2, Spaces)
+ * by pointing `endpoint` at the provider. The SDK is only loaded when selected.
+ */
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) => {
+    if (!bucket) throw new Error('S3 storage requires S3_BUCKET');
+
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+    const client = new S3Client({
+        region: region || 'us-east-1',
+        endpoint: endpoint || undefined,
+        forcePathStyle: !!forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    return {
+        name: 's3',
+
+        async save(key, buffer, contentType) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType
+            }));
+            return { key };
+        },
+
+        async createReadStream(key) {
+            const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return result.Body;
+        },
+
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        }
+    };
+};
+
+module.exports = { createS3Storage };
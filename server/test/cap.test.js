@@ -0,0 +1,197 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Incident = require('../models/Incident');
+const {
+    capAlertXml, capAtomFeed, parseCapAlert, capStatedFields, capIncidentFields, isAllClear
+} = require('../utils/cap');
+
+// Sample alerts, adapted from the examples in the OASIS CAP 1.2 specification
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'cap', `${name}.xml`), 'utf8');
+
+const publisher = { base: 'https://resquenet.example', sender: 'resquenet@resquenet.example' };
+
+const incident = (overrides = {}) => ({
+    _id: '665f1c2a9b1e4a0012345678',
+    title: 'Fire at <Main> & "Co"',
+    type: 'Fire',
+    severity: 'P1',
+    status: 'In Progress',
+    description: 'Smoke & flames, caller\'s kitchen',
+    location: { type: 'Point', coordinates: [3.37, 6.52] },
+    address: '12 Harbour Road',
+    createdAt: new Date('2026-01-01T10:00:00.123Z'),
+    updatedAt: new Date('2026-01-01T12:00:00.000Z'),
+    ...overrides
+});
+
+// Element names in document order, e.g. the children of <info>
+const elementsIn = (xml, parent) => {
+    const start = xml.indexOf('>', xml.search(new RegExp(`<${parent}[\\s>]`))) + 1;
+    const body = xml.slice(start, xml.indexOf(`</${parent}>`, start));
+    const names = [...body.matchAll(/<([A-Za-z]+)[\s>]/g)].map(match => match[1]);
+    return names.filter((name, index) => names.indexOf(name) === index);
+};
+
+describe('parseCapAlert', () => {
+    it('reads the header and references of an Alert', () => {
+        const alert = parseCapAlert(fixture('thunderstorm-alert'));
+        assert.equal(alert.identifier, 'KSTO1055887203');
+        assert.equal(alert.sender, 'KSTO@NWS.NOAA.GOV');
+        assert.equal(alert.sent.toISOString(), '2003-06-17T21:57:00.000Z');
+        assert.equal(alert.status, 'Actual');
+        assert.equal(alert.msgType, 'Alert');
+        assert.deepEqual(alert.references, []);
+    });
+
+    it('reads an Update and the message it references', () => {
+        const alert = parseCapAlert(fixture('earthquake-update'));
+        assert.equal(alert.msgType, 'Update');
+        assert.deepEqual(alert.references, [{ sender: 'trinet@caltech.edu', identifier: 'TRI13970876.1' }]);
+    });
+
+    it('reads a namespace-prefixed Cancel without an <info> block', () => {
+        const alert = parseCapAlert(fixture('thunderstorm-cancel'));
+        assert.equal(alert.msgType, 'Cancel');
+        assert.equal(alert.info, null);
+        assert.deepEqual(alert.references.map(ref => ref.identifier), ['KSTO1055887203', 'KSTO1055887204']);
+        assert.equal(isAllClear(alert), true);
+    });
+
+    it('keeps the status of alerts that are not Actual', () => {
+        const alert = parseCapAlert(fixture('homeland-security-exercise'));
+        assert.equal(alert.status, 'Exercise');
+        assert.equal(alert.msgType, 'Alert');
+    });
+
+    it('refuses documents that are not CAP alerts', () => {
+        assert.throws(() => parseCapAlert(''), { status: 400 });
+        assert.throws(() => parseCapAlert('<alert><identifier>1</identifier></alert>'), /Not a CAP 1\.x alert/);
+        assert.throws(
+            () => parseCapAlert(`<!DOCTYPE alert [<!ENTITY x "y">]>${fixture('thunderstorm-alert')}`),
+            /DOCTYPE declarations are not accepted/
+        );
+        assert.throws(
+            () => parseCapAlert(fixture('thunderstorm-alert').replace('<sent>2003-06-17T14:57:00-07:00</sent>', '')),
+            /<sent> is required/
+        );
+    });
+});
+
+describe('capIncidentFields', () => {
+    it('maps a polygon alert onto a new incident', () => {
+        const fields = capIncidentFields(parseCapAlert(fixture('thunderstorm-alert')));
+        assert.equal(fields.title, 'SEVERE THUNDERSTORM WARNING');
+        assert.equal(fields.type, 'Other');
+        assert.equal(fields.severity, 'P2');
+        assert.match(fields.description, /^AT 254 PM PDT/);
+        assert.match(fields.description, /\n\nInstructions: TAKE COVER/);
+        // The mean of the polygon's vertices, the closing vertex counted once
+        assert.deepEqual(fields.location, { type: 'Point', coordinates: [-119.93, 38.4875] });
+        assert.match(fields.address, /^EXTREME NORTH CENTRAL TUOLUMNE COUNTY/);
+        assert.equal(fields.reporter, 'NATIONAL WEATHER SERVICE SACRAMENTO CA');
+        assert.equal(fields.expiresAt.toISOString(), '2003-06-17T23:00:00.000Z');
+        assert.equal(fields.createdAt.toISOString(), '2003-06-17T21:57:00.000Z');
+    });
+
+    it('takes the centre of a circle as the location', () => {
+        const alert = parseCapAlert(fixture('earthquake-update'));
+        const fields = capIncidentFields(alert);
+        assert.deepEqual(fields.location, { type: 'Point', coordinates: [-115.5527, 32.9525] });
+        assert.equal(fields.severity, 'P4');
+        assert.equal(fields.title, 'EQ 3.4 Imperial County CA');
+        // urgency Past: the update ends the earlier alert
+        assert.equal(isAllClear(alert), true);
+    });
+
+    it('maps the event text before the category', () => {
+        const xml = fixture('thunderstorm-alert').replace('<event>SEVERE THUNDERSTORM</event>', '<event>Flash Flood</event>');
+        assert.equal(capIncidentFields(parseCapAlert(xml)).type, 'Flood');
+    });
+
+    it('refuses an alert without an <info> block', () => {
+        assert.throws(() => capIncidentFields(parseCapAlert(fixture('thunderstorm-cancel'))), /no <info> block/);
+    });
+});
+
+describe('capStatedFields', () => {
+    it('leaves out what an Update does not mention', () => {
+        const fields = capStatedFields(parseCapAlert(fixture('thunderstorm-update')));
+        assert.deepEqual(Object.keys(fields).sort(), ['expiresAt', 'severity']);
+        assert.equal(fields.severity, 'P1');
+        assert.equal(fields.expiresAt.toISOString(), '2003-06-18T00:00:00.000Z');
+    });
+
+    it('keeps the location and text of the incident an Update applies to', () => {
+        const stored = new Incident(capIncidentFields(parseCapAlert(fixture('thunderstorm-alert'))));
+        stored.set(capStatedFields(parseCapAlert(fixture('thunderstorm-update'))));
+
+        assert.equal(stored.validateSync(), undefined);
+        assert.deepEqual([...stored.location.coordinates], [-119.93, 38.4875]);
+        assert.match(stored.address, /TUOLUMNE COUNTY/);
+        assert.equal(stored.title, 'SEVERE THUNDERSTORM WARNING');
+        assert.match(stored.description, /^AT 254 PM PDT/);
+        assert.equal(stored.severity, 'P1');
+        assert.equal(stored.expiresAt.toISOString(), '2003-06-18T00:00:00.000Z');
+    });
+});
+
+describe('capAlertXml', () => {
+    it('lists elements in CAP schema order', () => {
+        const xml = capAlertXml(incident(), publisher);
+        assert.deepEqual(elementsIn(xml, 'alert').slice(0, 7), ['identifier', 'sender', 'sent', 'status', 'msgType', 'scope', 'info']);
+        assert.deepEqual(elementsIn(xml, 'info'), [
+            'language', 'category', 'event', 'urgency', 'severity', 'certainty', 'senderName',
+            'headline', 'description', 'parameter', 'valueName', 'value', 'area', 'areaDesc', 'circle'
+        ]);
+    });
+
+    it('publishes a resolved incident as an all-clear Update of its Alert', () => {
+        const xml = capAlertXml(incident({ status: 'Resolved', expiresAt: new Date('2026-01-02T00:00:00Z') }), publisher);
+        assert.deepEqual(elementsIn(xml, 'alert').slice(0, 8), ['identifier', 'sender', 'sent', 'status', 'msgType', 'scope', 'references', 'info']);
+        assert.deepEqual(elementsIn(xml, 'info').slice(0, 9), [
+            'language', 'category', 'event', 'responseType', 'urgency', 'severity', 'certainty', 'expires', 'senderName'
+        ]);
+        assert.match(xml, /<identifier>resquenet-incident-665f1c2a9b1e4a0012345678-allclear<\/identifier>/);
+        assert.match(xml, /<references>resquenet@resquenet\.example,resquenet-incident-665f1c2a9b1e4a0012345678,2026-01-01T10:00:00\+00:00<\/references>/);
+        assert.match(xml, /<sent>2026-01-01T12:00:00\+00:00<\/sent>/);
+    });
+
+    it('escapes text and reads back as the same alert', () => {
+        const xml = capAlertXml(incident(), publisher);
+        assert.match(xml, /<headline>Fire at &lt;Main&gt; &amp; &quot;Co&quot;<\/headline>/);
+        assert.doesNotMatch(xml, /<Main>/);
+
+        const alert = parseCapAlert(xml);
+        assert.equal(alert.identifier, 'resquenet-incident-665f1c2a9b1e4a0012345678');
+        const fields = capIncidentFields(alert);
+        assert.equal(fields.title, 'Fire at <Main> & "Co"');
+        assert.equal(fields.description, 'Smoke & flames, caller\'s kitchen');
+        assert.equal(fields.type, 'Fire');
+        assert.equal(fields.severity, 'P1');
+        assert.deepEqual(fields.location, { type: 'Point', coordinates: [3.37, 6.52] });
+    });
+});
+
+describe('capAtomFeed', () => {
+    it('lists feed and entry elements in Atom order with the alert inline', () => {
+        const xml = capAtomFeed([incident(), incident({ _id: '665f1c2a9b1e4a0012345679', title: 'Flood', type: 'Flood' })], publisher);
+        assert.deepEqual(elementsIn(xml, 'feed').slice(0, 6), ['id', 'title', 'updated', 'author', 'name', 'link']);
+        assert.deepEqual(elementsIn(xml, 'entry').slice(0, 7), ['id', 'title', 'updated', 'summary', 'link', 'content', 'alert']);
+        assert.equal(xml.match(/<entry>/g).length, 2);
+        assert.match(xml, /<link rel="alternate" type="application\/cap\+xml" href="https:\/\/resquenet\.example\/api\/cap\/alerts\/665f1c2a9b1e4a0012345678"\/>/);
+    });
+
+    it('escapes entry titles and the inline alert', () => {
+        const xml = capAtomFeed([incident()], publisher);
+        assert.match(xml, /<title>Fire at &lt;Main&gt; &amp; &quot;Co&quot;<\/title>/);
+        assert.match(xml, /<description>Smoke &amp; flames, caller&apos;s kitchen<\/description>/);
+        assert.doesNotMatch(xml, /<Main>/);
+    });
+
+    it('is dated by its most recent entry', () => {
+        const xml = capAtomFeed([incident(), incident({ updatedAt: new Date('2026-03-01T08:00:00Z') })], publisher);
+        assert.match(xml, /<feed[^>]*>\s*<id>[^<]+<\/id>\s*<title>[^<]+<\/title>\s*<updated>2026-03-01T08:00:00\.000Z<\/updated>/);
+    });
+});
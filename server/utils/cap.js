@@ -0,0 +1,300 @@
+const { XMLBuilder, XMLParser } = require('fast-xml-parser');
+const { isValidLatLng, toPoint } = require('./geo');
+const { DEFAULT_SEVERITY } = require('./triage');
+
+/**
+ * COMMON ALERTING PROTOCOL (OASIS CAP 1.2)
+ * Writes incidents out as CAP alerts, one at a time or inlined in an Atom feed,
+ * and reads alerts from other agencies into incident fields.
+ *
+ * Each published incident has two possible messages: an Alert once staff take it
+ * on (sent = when it was reported), and an all-clear Update referencing that Alert
+ * once it is resolved. Both identifiers derive from the incident id, so a feed
+ * reader polling twice sees the same message rather than a new one.
+ */
+
+const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+const CAP_NAMESPACE_PREFIX = 'urn:oasis:names:tc:emergency:cap:1.'; // 1.1 alerts read the same
+const ATOM_NAMESPACE = 'http://www.w3.org/2005/Atom';
+const CAP_CONTENT_TYPE = 'application/cap+xml; charset=utf-8';
+const ATOM_CONTENT_TYPE = 'application/atom+xml; charset=utf-8';
+const SENDER_NAME = 'ResqueNet';
+
+// Incidents are points; a published alert covers a small circle around one (km)
+const AREA_RADIUS_KM = 0.5;
+const MAX_TITLE = 120;
+
+// --- PUBLISHING ---
+
+const CAP_CATEGORIES = { Fire: 'Fire', Medical: 'Health', Flood: 'Met', Accident: 'Transport', Other: 'Other' };
+const CAP_SEVERITIES = { P1: 'Extreme', P2: 'Severe', P3: 'Moderate', P4: 'Minor' };
+
+const builder = new XMLBuilder({ ignoreAttributes: false, format: true, suppressEmptyNode: true });
+
+/**
+ * Where links point and who alerts are from. The API is served under the client's
+ * origin (APP_URL), and CAP_SENDER defaults to an address at that host.
+ */
+const capPublisher = () => {
+    const base = (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+    return { base, sender: process.env.CAP_SENDER || `resquenet@${new URL(base).hostname}` };
+};
+
+// CAP times carry an explicit offset and no fractions of a second ("Z" is not allowed)
+const capDate = (date) => new Date(date).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+
+const alertIdentifier = (incident) => `resquenet-incident-${incident._id}`;
+
+const areaOf = (incident) => {
+    const [lng, lat] = incident.location?.coordinates || [];
+    const hasPoint = lat !== undefined;
+    return {
+        areaDesc: incident.address || (hasPoint ? `${lat}, ${lng}` : 'Location not given'),
+        ...(hasPoint && { circle: `${lat},${lng} ${AREA_RADIUS_KM}` })
+    };
+};
+
+/**
+ * The current CAP message for an incident, as an object for the XML builder.
+ * Elements are listed in the order the CAP schema requires.
+ */
+const capAlert = (incident, { sender }) => {
+    const resolved = incident.status === 'Resolved';
+    return {
+        '@_xmlns': CAP_NAMESPACE,
+        identifier: resolved ? `${alertIdentifier(incident)}-allclear` : alertIdentifier(incident),
+        sender,
+        sent: capDate(resolved ? incident.updatedAt : incident.createdAt),
+        status: 'Actual',
+        msgType: resolved ? 'Update' : 'Alert',
+        scope: 'Public',
+        ...(resolved && { references: `${sender},${alertIdentifier(incident)},${capDate(incident.createdAt)}` }),
+        info: {
+            language: 'en-US',
+            category: CAP_CATEGORIES[incident.type] || 'Other',
+            event: incident.type,
+            ...(resolved && { responseType: 'AllClear' }),
+            urgency: resolved ? 'Past' : (['P1', 'P2'].includes(incident.severity) ? 'Immediate' : 'Expected'),
+            severity: CAP_SEVERITIES[incident.severity] || 'Unknown',
+            certainty: 'Observed',
+            ...(incident.expiresAt && { expires: capDate(incident.expiresAt) }),
+            senderName: SENDER_NAME,
+            headline: incident.title,
+            description: incident.description,
+            parameter: [
+                { valueName: 'ResqueNetPriority', value: incident.severity },
+                { valueName: 'ResqueNetStatus', value: incident.status }
+            ],
+            area: areaOf(incident)
+        }
+    };
+};
+
+const toXml = (root) => builder.build({ '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' }, ...root });
+
+const capAlertUrl = (incident, base) => `${base}/api/cap/alerts/${incident._id}`;
+
+const capAlertXml = (incident, publisher) => toXml({ alert: capAlert(incident, publisher) });
+
+/**
+ * An Atom feed with one entry per incident; each entry links to the CAP alert
+ * and carries it inline, so readers need a single request per poll.
+ */
+const capAtomFeed = (incidents, publisher) => {
+    const feedUrl = `${publisher.base}/api/cap/feed`;
+    const latest = incidents.reduce((max, incident) => Math.max(max, new Date(incident.updatedAt).getTime()), 0);
+    return toXml({
+        feed: {
+            '@_xmlns': ATOM_NAMESPACE,
+            id: feedUrl,
+            title: `${SENDER_NAME} verified incidents`,
+            updated: new Date(latest || Date.now()).toISOString(),
+            author: { name: SENDER_NAME },
+            link: { '@_rel': 'self', '@_type': 'application/atom+xml', '@_href': feedUrl },
+            entry: incidents.map(incident => ({
+                id: capAlertUrl(incident, publisher.base),
+                title: incident.title,
+                updated: new Date(incident.updatedAt).toISOString(),
+                summary: `${incident.type} · ${incident.severity} · ${incident.status} · ${areaOf(incident).areaDesc}`,
+                link: { '@_rel': 'alternate', '@_type': 'application/cap+xml', '@_href': capAlertUrl(incident, publisher.base) },
+                content: { '@_type': 'application/cap+xml', alert: capAlert(incident, publisher) }
+            }))
+        }
+    });
+};
+
+// --- INGESTION ---
+
+const capError = (message) => Object.assign(new Error(message), { status: 400 });
+
+// The event text is more specific than the category, so it is tried first
+const EVENT_TYPES = [
+    [/flood|inundation|storm surge/i, 'Flood'],
+    [/fire|smoke|explosion/i, 'Fire'],
+    [/medical|ambulance|health|injur|casualt/i, 'Medical'],
+    [/accident|crash|collision|derail/i, 'Accident']
+];
+const CATEGORY_TYPES = { Fire: 'Fire', Health: 'Medical', Transport: 'Accident', Rescue: 'Other' };
+const SEVERITY_PRIORITIES = { Extreme: 'P1', Severe: 'P2', Moderate: 'P3', Minor: 'P4' };
+
+// Namespace prefixes (<cap:alert>) are dropped, so prefixed and default-namespace documents read alike
+const parser = new XMLParser({
+    removeNSPrefix: true,
+    parseTagValue: false,
+    isArray: (name) => ['info', 'category', 'responseType', 'parameter', 'area', 'polygon', 'circle'].includes(name)
+});
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const parseCapDate = (value, field) => {
+    const date = new Date(text(value));
+    if (Number.isNaN(date.getTime())) throw capError(`<${field}> is not a valid date`);
+    return date;
+};
+
+// "sender,identifier,sent" triples separated by whitespace
+const parseReferences = (value) => text(value).split(/\s+/).filter(Boolean)
+    .map(reference => reference.split(','))
+    .filter(parts => parts.length === 3)
+    .map(([sender, identifier]) => ({ sender, identifier }));
+
+/**
+ * Reads a CAP 1.x alert. Returns the header fields and the <info> block to
+ * use (the first in English, else the first). Throws (status 400) when the
+ * document is not a usable alert.
+ */
+const parseCapAlert = (xml) => {
+    if (typeof xml !== 'string' || !xml.trim()) throw capError('Send the CAP alert as the XML request body');
+    // CAP has no use for a DTD, and refusing one rules out entity expansion attacks
+    if (/<!DOCTYPE/i.test(xml)) throw capError('DOCTYPE declarations are not accepted');
+    if (!xml.includes(CAP_NAMESPACE_PREFIX)) throw capError(`Not a CAP 1.x alert (expected the ${CAP_NAMESPACE_PREFIX}x namespace)`);
+
+    let doc;
+    try {
+        doc = parser.parse(xml, true);
+    } catch (err) {
+        throw capError(`Malformed XML: ${err.message}`);
+    }
+
+    const alert = doc.alert;
+    if (!alert || typeof alert !== 'object') throw capError('Not a CAP alert (no <alert> element)');
+    ['identifier', 'sender', 'sent', 'status', 'msgType'].forEach(field => {
+        if (!text(alert[field])) throw capError(`<${field}> is required`);
+    });
+
+    const infos = alert.info || [];
+    return {
+        identifier: text(alert.identifier),
+        sender: text(alert.sender),
+        sent: parseCapDate(alert.sent, 'sent'),
+        status: text(alert.status),
+        msgType: text(alert.msgType),
+        references: parseReferences(alert.references),
+        info: infos.find(info => /^en/i.test(text(info.language) || 'en-US')) || infos[0] || null
+    };
+};
+
+const parsePair = (pair) => {
+    const [lat, lng] = String(pair).split(',').map(Number);
+    return isValidLatLng(lat, lng) ? [lat, lng] : null;
+};
+
+/**
+ * A point for the alert area: the centre of the first circle, else the mean of
+ * the first polygon's vertices. Geocodes are not resolved.
+ */
+const areaPoint = (areas) => {
+    for (const area of areas) {
+        for (const circle of area.circle || []) {
+            const centre = parsePair(text(circle).split(/\s+/)[0]);
+            if (centre) return toPoint(...centre);
+        }
+        for (const polygon of area.polygon || []) {
+            const vertices = text(polygon).split(/\s+/).map(parsePair);
+            if (vertices.length < 4 || vertices.some(vertex => !vertex)) continue;
+            const ring = vertices.slice(0, -1); // The last vertex repeats the first
+            const mean = (index) => Number((ring.reduce((sum, vertex) => sum + vertex[index], 0) / ring.length).toFixed(6));
+            return toPoint(mean(0), mean(1));
+        }
+    }
+    return null;
+};
+
+// Undefined when neither the event nor a category says what kind of incident this is
+const incidentType = (event, categories) => {
+    const byEvent = EVENT_TYPES.find(([pattern]) => pattern.test(event));
+    if (byEvent) return byEvent[1];
+    const category = categories.find(c => CATEGORY_TYPES[c]);
+    return category ? CATEGORY_TYPES[category] : undefined;
+};
+
+/**
+ * The incident fields an alert actually states: headline and description, type
+ * from the event and category, severity from the CAP severity, the area's centre
+ * and description, and the expiry. Anything the alert leaves out (no <area>,
+ * severity Unknown, no <headline>) is absent, so an Update only changes what it mentions.
+ */
+const capStatedFields = (alert) => {
+    const { info } = alert;
+    if (!info) return {};
+
+    const event = text(info.event);
+    const headline = text(info.headline);
+    const instruction = text(info.instruction);
+    const areas = info.area || [];
+    const location = areaPoint(areas);
+    const areaDesc = areas.map(area => text(area.areaDesc)).filter(Boolean).join('; ');
+    const description = [text(info.description), instruction && `Instructions: ${instruction}`].filter(Boolean).join('\n\n');
+
+    const fields = {
+        title: headline.slice(0, MAX_TITLE),
+        type: incidentType(event, (info.category || []).map(text)),
+        severity: SEVERITY_PRIORITIES[text(info.severity)],
+        description,
+        location,
+        address: areaDesc,
+        expiresAt: info.expires ? parseCapDate(info.expires, 'expires') : undefined
+    };
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+};
+
+/**
+ * Fields for a new incident from a parsed alert: what it states (capStatedFields),
+ * with defaults for whatever it leaves out (the event names an untitled alert).
+ */
+const capIncidentFields = (alert) => {
+    const { info } = alert;
+    if (!info) throw capError('The alert has no <info> block');
+    const summary = text(info.headline) || text(info.event);
+
+    return {
+        title: (summary || 'CAP alert').slice(0, MAX_TITLE),
+        description: summary || 'CAP alert',
+        type: 'Other',
+        severity: DEFAULT_SEVERITY,
+        ...capStatedFields(alert),
+        reporter: text(info.senderName) || alert.sender,
+        // Clock skew must not date a report in the future
+        createdAt: new Date(Math.min(alert.sent.getTime(), Date.now()))
+    };
+};
+
+/**
+ * Whether the alert ends what it refers to: a Cancel, or an update saying
+ * all clear or that the event is in the past.
+ */
+const isAllClear = (alert) => alert.msgType === 'Cancel' || Boolean(alert.info && (
+    (alert.info.responseType || []).map(text).includes('AllClear') || text(alert.info.urgency) === 'Past'
+));
+
+module.exports = {
+    CAP_CONTENT_TYPE,
+    ATOM_CONTENT_TYPE,
+    capPublisher,
+    capAlertXml,
+    capAtomFeed,
+    parseCapAlert,
+    capStatedFields,
+    capIncidentFields,
+    isAllClear
+};
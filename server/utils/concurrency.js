@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+
+/**
+ * OPTIMISTIC CONCURRENCY FOR INCIDENTS
+ * Every save bumps the incident's version (`__v`). Clients send the version they
+ * last saw as `If-Match: "<version>"`; if the incident has moved on since, the
+ * write is refused with 409 and the current state, so the client can show the
+ * user both sides instead of silently overwriting the newer change.
+ * Requests without If-Match are still protected against read/write races by
+ * Mongoose's VersionError (see `handleVersionError`).
+ */
+
+const parseVersion = (header) => Number(String(header).replace(/^W\//, '').replace(/"/g, ''));
+
+/**
+ * True when the request carries an If-Match that no longer matches the incident.
+ */
+const isStale = (req, incident) => {
+    const header = req.get('If-Match');
+    if (!header || header === '*') return false;
+    return parseVersion(header) !== incident.__v;
+};
+
+const sendConflict = (res, incident) => res.status(409).json({
+    status: 'fail',
+    code: 'conflict',
+    message: 'This incident was changed by someone else. Review the latest version and try again.',
+    data: { incident }
+});
+
+/**
+ * For catch blocks around `incident.save()`: a concurrent save won the race between
+ * our read and our write. Answers with the conflict and returns true if that was the error.
+ */
+const handleVersionError = async (err, req, res) => {
+    if (!(err instanceof mongoose.Error.VersionError)) return false;
+    try {
+        const current = await Incident.findById(req.params.id);
+        if (!current) {
+            res.status(404).json({ status: 'fail', message: 'Incident not found' });
+        } else {
+            sendConflict(res, current);
+        }
+    } catch (lookupErr) {
+        res.status(400).json({ status: 'fail', message: lookupErr.message });
+    }
+    return true;
+};
+
+module.exports = { isStale, sendConflict, handleVersionError };
@@ -0,0 +1,85 @@
+const { distanceMetres, EARTH_RADIUS_METRES } = require('./geo');
+
+/**
+ * DUPLICATE DETECTION
+ * A big event produces many reports of the same thing. A new report is linked
+ * to an open incident of the same type within DUPLICATE_RADIUS metres reported
+ * during the last DUPLICATE_WINDOW_MS; linked incidents share a `cluster` id
+ * (the id of the first report), which admins use to merge them.
+ * Only GPS-located reports are compared: free-text addresses are too ambiguous.
+ */
+const DUPLICATE_RADIUS = 300;
+const DUPLICATE_WINDOW_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * The nearest open, unmerged incident the report likely duplicates, or null.
+ */
+const findLikelyDuplicate = (Incident, { type, location }) => {
+    if (!location) return null;
+    return Incident.findOne({
+        type,
+        status: { $ne: 'Resolved' },
+        mergedInto: { $exists: false },
+        spam: { $ne: true },
+        createdAt: { $gte: new Date(Date.now() - DUPLICATE_WINDOW_MS) },
+        location: { $nearSphere: { $geometry: location, $maxDistance: DUPLICATE_RADIUS } }
+    });
+};
+
+const reportedTime = (record) => (record.createdAt ? new Date(record.createdAt).getTime() : Date.now());
+
+/**
+ * Whether two records most likely describe the same event: same type, within
+ * DUPLICATE_RADIUS and DUPLICATE_WINDOW_MS of each other.
+ */
+const isSameEvent = (a, b) =>
+    Boolean(a.location && b.location) &&
+    a.type === b.type &&
+    Math.abs(reportedTime(a) - reportedTime(b)) <= DUPLICATE_WINDOW_MS &&
+    distanceMetres(a.location, b.location) <= DUPLICATE_RADIUS;
+
+// Records matched per query; each adds one $geoWithin clause
+const MATCH_BATCH_SIZE = 500;
+
+/**
+ * For records from another system (see utils/incidentImport): the existing incident
+ * each one most likely describes (isSameEvent, whatever its status now), nearest
+ * first. Looked up a batch of records per query. Returns Map record -> incident id.
+ */
+const findMatchingRecords = async (Incident, records) => {
+    const located = records.filter(record => record.location);
+    const matches = new Map();
+
+    for (let start = 0; start < located.length; start += MATCH_BATCH_SIZE) {
+        const batch = located.slice(start, start + MATCH_BATCH_SIZE);
+        const candidates = await Incident.find({
+            mergedInto: { $exists: false },
+            spam: { $ne: true },
+            $or: batch.map(record => ({
+                type: record.type,
+                createdAt: { $gte: new Date(reportedTime(record) - DUPLICATE_WINDOW_MS), $lte: new Date(reportedTime(record) + DUPLICATE_WINDOW_MS) },
+                location: { $geoWithin: { $centerSphere: [record.location.coordinates, DUPLICATE_RADIUS / EARTH_RADIUS_METRES] } }
+            }))
+        }).select('type location createdAt').lean();
+
+        batch.forEach((record) => {
+            const nearest = candidates
+                .filter(candidate => isSameEvent(candidate, record))
+                .sort((a, b) => distanceMetres(a.location, record.location) - distanceMetres(b.location, record.location))[0];
+            if (nearest) matches.set(record, nearest._id);
+        });
+    }
+    return matches;
+};
+
+/**
+ * The cluster id a new duplicate of `incident` joins; the first report of a
+ * cluster is labelled with its own id when the cluster forms.
+ */
+const joinCluster = async (Incident, incident) => {
+    if (incident.cluster) return incident.cluster;
+    await Incident.updateOne({ _id: incident._id }, { cluster: incident._id });
+    return incident._id;
+};
+
+module.exports = { findLikelyDuplicate, findMatchingRecords, isSameEvent, joinCluster };
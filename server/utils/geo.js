@@ -0,0 +1,92 @@
+/**
+ * GEO UTILITIES
+ * Normalizes the many shapes a location can arrive in (GeoJSON, {lat, lng},
+ * or the legacy "lat, lng" text written by older clients) into a GeoJSON Point.
+ */
+
+const COORD_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+const isValidLatLng = (lat, lng) =>
+    Number.isFinite(lat) && Number.isFinite(lng) &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+
+/**
+ * Builds a GeoJSON Point. Note GeoJSON order is [longitude, latitude].
+ */
+const toPoint = (lat, lng) => ({ type: 'Point', coordinates: [lng, lat] });
+
+/**
+ * Attempts to turn any supported location input into a GeoJSON Point.
+ * Returns null when the input cannot be interpreted as coordinates.
+ */
+const parsePoint = (input) => {
+    if (!input) return null;
+
+    // Multipart form fields carry GeoJSON as a JSON string
+    if (typeof input === 'string' && input.trim().startsWith('{')) {
+        try {
+            return parsePoint(JSON.parse(input));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    if (typeof input === 'string') {
+        const match = input.match(COORD_PATTERN);
+        if (!match) return null;
+        const lat = parseFloat(match[1]);
+        const lng = parseFloat(match[2]);
+        return isValidLatLng(lat, lng) ? toPoint(lat, lng) : null;
+    }
+
+    if (input.type === 'Point' && Array.isArray(input.coordinates)) {
+        const [lng, lat] = input.coordinates.map(Number);
+        return isValidLatLng(lat, lng) ? toPoint(lat, lng) : null;
+    }
+
+    if (input.lat !== undefined && (input.lng !== undefined || input.lon !== undefined)) {
+        const lat = Number(input.lat);
+        const lng = Number(input.lng !== undefined ? input.lng : input.lon);
+        return isValidLatLng(lat, lng) ? toPoint(lat, lng) : null;
+    }
+
+    return null;
+};
+
+/**
+ * Splits a request payload into the { location, address } pair stored on Incident.
+ * A free-text location that is not a coordinate pair is kept as the address.
+ */
+const resolveLocation = (body = {}) => {
+    const location = parsePoint(body.location);
+    let address = typeof body.address === 'string' ? body.address.trim() : '';
+
+    if (!location && typeof body.location === 'string' && !body.location.trim().startsWith('{') && !address) {
+        address = body.location.trim();
+    }
+
+    return { location: location || undefined, address: address || undefined };
+};
+
+/**
+ * Validates a GeoJSON Polygon (or MultiPolygon) supplied by a client for $geoWithin queries.
+ */
+const isPolygon = (geometry) =>
+    !!geometry &&
+    ['Polygon', 'MultiPolygon'].includes(geometry.type) &&
+    Array.isArray(geometry.coordinates) &&
+    geometry.coordinates.length > 0;
+
+const EARTH_RADIUS_METRES = 6378100;
+
+/**
+ * Great-circle (haversine) distance in metres between two GeoJSON points.
+ */
+const distanceMetres = (a, b) => {
+    const [lng1, lat1] = a.coordinates.map(deg => deg * Math.PI / 180);
+    const [lng2, lat2] = b.coordinates.map(deg => deg * Math.PI / 180);
+    const h = Math.sin((lat2 - lat1) / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2;
+    return 2 * EARTH_RADIUS_METRES * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+module.exports = { parsePoint, resolveLocation, isPolygon, isValidLatLng, toPoint, distanceMetres, EARTH_RADIUS_METRES };
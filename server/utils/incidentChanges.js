@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const Tombstone = require('../models/Tombstone');
+
+/**
+ * INCIDENT DELTA SYNC
+ * Serves GET /api/incidents/changes?since=<cursor>: the incidents created or
+ * updated after the cursor, plus tombstones (ids to drop) for incidents that were
+ * deleted or left the caller's view. Clients keep the returned cursor and ask again.
+ *
+ * Changes are walked in (updatedAt, _id) order, page by page. Tombstones have their
+ * own watermark that always runs up to the present: clients apply them before the
+ * changes, and an incident that comes back into view has a newer updatedAt than its
+ * tombstone, so it is re-sent afterwards. Writes from the last SETTLE_MS are left for
+ * the next call, so a save that commits late cannot slip behind the cursor.
+ */
+
+const DEFAULT_CHANGES_LIMIT = 200;
+const MAX_CHANGES_LIMIT = 500;
+const SETTLE_MS = 2000;
+
+const cursorError = () => Object.assign(new Error('Invalid sync cursor'), { status: 400 });
+
+// Opaque to clients: base64 of "<updatedAt ISO>|<_id>|<tombstones ISO>"
+const encodeChangesCursor = ({ updatedAt, _id, tombstonesUntil }) =>
+    Buffer.from(`${updatedAt.toISOString()}|${_id}|${tombstonesUntil.toISOString()}`).toString('base64url');
+
+const decodeChangesCursor = (cursor) => {
+    const [iso, id, tombstonesIso] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+    const updatedAt = new Date(iso);
+    const tombstonesUntil = new Date(tombstonesIso);
+    if (Number.isNaN(updatedAt.getTime()) || Number.isNaN(tombstonesUntil.getTime()) || !mongoose.isValidObjectId(id)) {
+        throw cursorError();
+    }
+    return { updatedAt, _id: new mongoose.Types.ObjectId(id), tombstonesUntil };
+};
+
+// The lowest possible id, for cursors that only carry a time
+const ZERO_ID = new mongoose.Types.ObjectId('000000000000000000000000');
+
+/**
+ * The incidents a user may sync: admins everything, responders their live
+ * assignments and their own reports, citizens their own reports.
+ */
+const visibleTo = (user) => {
+    if (user.role === 'admin') return {};
+    if (user.role === 'responder') {
+        return {
+            $or: [
+                { reporterId: user._id },
+                { assignments: { $elemMatch: { responder: user._id, status: { $ne: 'Declined' } } } }
+            ]
+        };
+    }
+    return { reporterId: user._id };
+};
+
+/**
+ * One page of changes for `user` after `since` (absent = from the beginning).
+ * Returns { incidents, deleted, cursor, hasMore, reset }; clients drop `deleted` before
+ * storing `incidents`. `reset` means the cursor predates tombstone retention, so the
+ * client must clear its cache first (the page starts from the beginning).
+ */
+const collectIncidentChanges = async (Incident, user, { since, limit } = {}) => {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_CHANGES_LIMIT, 1), MAX_CHANGES_LIMIT);
+    const settledBefore = new Date(Date.now() - SETTLE_MS);
+
+    let after = since ? decodeChangesCursor(since) : null;
+    const retentionStart = new Date(Date.now() - Tombstone.RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const reset = !!after && after.tombstonesUntil < retentionStart;
+    if (reset) after = null;
+
+    const query = { $and: [visibleTo(user), { updatedAt: { $lte: settledBefore } }] };
+    if (after) {
+        query.$and.push({
+            $or: [
+                { updatedAt: { $gt: after.updatedAt } },
+                { updatedAt: after.updatedAt, _id: { $gt: after._id } }
+            ]
+        });
+    }
+
+    // Fetch one extra row to learn whether another page exists
+    const rows = await Incident.find(query).sort({ updatedAt: 1, _id: 1 }).limit(pageSize + 1);
+    const hasMore = rows.length > pageSize;
+    const incidents = hasMore ? rows.slice(0, pageSize) : rows;
+
+    // The cursor covers everything served; with nothing new it still advances to the settled time
+    const next = hasMore ? incidents[incidents.length - 1] : { updatedAt: settledBefore, _id: ZERO_ID };
+
+    // A first sync has nothing to drop
+    let deleted = [];
+    if (after) {
+        deleted = await Tombstone.distinct('incident', {
+            deletedAt: { $gt: after.tombstonesUntil, $lte: settledBefore },
+            ...(user.role === 'admin' ? { reason: 'deleted' } : { users: user._id })
+        });
+    }
+
+    return {
+        incidents,
+        deleted: deleted.map(String),
+        cursor: encodeChangesCursor({ updatedAt: next.updatedAt, _id: next._id, tombstonesUntil: settledBefore }),
+        hasMore,
+        reset
+    };
+};
+
+/**
+ * Records that an incident left the view of `users` (see models/Tombstone).
+ * Failures are logged: the change itself has already been committed.
+ */
+const recordTombstone = async (incidentId, reason, users = []) => {
+    try {
+        await Tombstone.create({ incident: incidentId, reason, users });
+    } catch (err) {
+        console.error(`SYNC: Failed to record ${reason} tombstone for ${incidentId}:`, err.message);
+    }
+};
+
+module.exports = { collectIncidentChanges, recordTombstone };
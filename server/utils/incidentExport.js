@@ -0,0 +1,236 @@
+const { Readable, pipeline } = require('stream');
+const { promisify } = require('util');
+const PDFDocument = require('pdfkit');
+const { STATUSES, TYPES } = require('./incidentQuery');
+const { SEVERITIES } = require('./triage');
+
+/**
+ * INCIDENT EXPORT
+ * Streams the incidents matching a listing filter (see utils/incidentQuery) as
+ * CSV, GeoJSON or a PDF situation report. Rows are read from a database cursor
+ * and written as the client takes them, so large exports never sit in memory.
+ */
+
+const pipe = promisify(pipeline);
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const incidentCursor = (Incident, filter) =>
+    Incident.find(filter).sort({ createdAt: -1, _id: -1 }).lean().cursor();
+
+const coordinatesOf = (incident) =>
+    (Array.isArray(incident.location?.coordinates) ? incident.location.coordinates : [null, null]);
+
+const latLngText = (incident) => {
+    const [lng, lat] = coordinatesOf(incident);
+    return lat === null ? '' : `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
+};
+
+const respondersOf = (incident) => (incident.assignments || [])
+    .filter(a => a.status !== 'Declined')
+    .map(a => a.responderName);
+
+// --- CSV ---
+
+const CSV_COLUMNS = [
+    ['id', i => i._id],
+    ['createdAt', i => i.createdAt?.toISOString()],
+    ['updatedAt', i => i.updatedAt?.toISOString()],
+    ['title', i => i.title],
+    ['type', i => i.type],
+    ['severity', i => i.severity],
+    ['status', i => i.status],
+    ['reporter', i => i.reporter],
+    ['latitude', i => coordinatesOf(i)[1]],
+    ['longitude', i => coordinatesOf(i)[0]],
+    ['address', i => i.address],
+    ['description', i => i.description],
+    ['responders', i => respondersOf(i).join('; ')],
+    ['repeatReports', i => i.duplicateReports || 0],
+    ['mergedInto', i => i.mergedInto],
+    ['spam', i => Boolean(i.spam)]
+];
+
+/**
+ * Quotes a value for CSV. Text that a spreadsheet would run as a formula
+ * (leading =, +, -, @) is prefixed with an apostrophe.
+ */
+const csvCell = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+async function* csvChunks(cursor) {
+    // The byte-order mark makes spreadsheet apps read the file as UTF-8
+    yield `\uFEFF${CSV_COLUMNS.map(([name]) => name).join(',')}\r\n`;
+    for await (const incident of cursor) {
+        yield `${CSV_COLUMNS.map(([, read]) => csvCell(read(incident))).join(',')}\r\n`;
+    }
+}
+
+// --- GEOJSON ---
+
+const toFeature = (incident) => ({
+    type: 'Feature',
+    id: String(incident._id),
+    // Reports with only an address have no geometry (allowed by RFC 7946)
+    geometry: incident.location ? { type: 'Point', coordinates: incident.location.coordinates } : null,
+    properties: {
+        title: incident.title,
+        type: incident.type,
+        severity: incident.severity,
+        status: incident.status,
+        reporter: incident.reporter,
+        address: incident.address || null,
+        description: incident.description,
+        responders: respondersOf(incident),
+        repeatReports: incident.duplicateReports || 0,
+        mergedInto: incident.mergedInto ? String(incident.mergedInto) : null,
+        spam: Boolean(incident.spam),
+        createdAt: incident.createdAt,
+        updatedAt: incident.updatedAt
+    }
+});
+
+async function* geojsonChunks(cursor) {
+    yield '{"type":"FeatureCollection","features":[';
+    let first = true;
+    for await (const incident of cursor) {
+        yield `${first ? '' : ','}\n${JSON.stringify(toFeature(incident))}`;
+        first = false;
+    }
+    yield '\n]}\n';
+}
+
+// --- PDF SITUATION REPORT ---
+
+const PAGE_MARGIN = 40;
+const TABLE_COLUMNS = [
+    { label: 'Reported', width: 80, value: i => i.createdAt.toISOString().slice(0, 16).replace('T', ' ') },
+    { label: 'Sev', width: 28, value: i => i.severity },
+    { label: 'Type', width: 55, value: i => i.type },
+    { label: 'Status', width: 62, value: i => i.status },
+    { label: 'Title', width: 130, value: i => i.title },
+    { label: 'Location', width: 100, value: i => i.address || latLngText(i) },
+    { label: 'Responders', width: 60, value: i => respondersOf(i).join(', ') || '-' }
+];
+
+const countBy = async (Incident, filter, field, values) => {
+    const rows = await Incident.aggregate([{ $match: filter }, { $group: { _id: `$${field}`, count: { $sum: 1 } } }]);
+    const counts = Object.fromEntries(values.map(value => [value, 0]));
+    rows.forEach(({ _id, count }) => { counts[_id] = count; });
+    return counts;
+};
+
+const drawTableHeader = (doc) => {
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+    doc.font('Helvetica-Bold').fontSize(8);
+    TABLE_COLUMNS.forEach(column => {
+        doc.text(column.label, x, y, { width: column.width - 4 });
+        x += column.width;
+    });
+    doc.moveTo(PAGE_MARGIN, y + 12).lineTo(doc.page.width - PAGE_MARGIN, y + 12).stroke();
+    doc.y = y + 16;
+    doc.font('Helvetica').fontSize(8);
+};
+
+const drawTableRow = (doc, incident) => {
+    const cells = TABLE_COLUMNS.map(column => String(column.value(incident) ?? ''));
+    const height = Math.max(...cells.map((text, index) => doc.heightOfString(text, { width: TABLE_COLUMNS[index].width - 4 }))) + 4;
+    if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+        doc.addPage();
+        drawTableHeader(doc);
+    }
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+    cells.forEach((text, index) => {
+        doc.text(text, x, y, { width: TABLE_COLUMNS[index].width - 4 });
+        x += TABLE_COLUMNS[index].width;
+    });
+    doc.y = y + height;
+};
+
+/**
+ * pdfkit pushes each finished page without checking backpressure, so the report
+ * waits here until the reader has taken what is buffered (it asks via _read), or
+ * has gone away. Otherwise a slow download would hold the whole document in memory.
+ */
+const readerCaughtUp = (doc) => new Promise((resolve) => {
+    if (doc.destroyed || doc.readableLength < doc.readableHighWaterMark) return resolve();
+    const done = () => {
+        doc._read = () => {};
+        doc.off('close', done);
+        resolve();
+    };
+    doc._read = done;
+    doc.once('close', done);
+});
+
+/**
+ * A PDF situation report: generation time, counts by status, type and severity
+ * for the filtered incidents, then a table of those still open, most urgent first.
+ * The document is returned straight away and filled in as the reader takes it.
+ */
+const situationReport = (Incident, filter, { generatedBy, filters }) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, bufferPages: false });
+
+    (async () => {
+        const [byStatus, byType, bySeverity] = await Promise.all([
+            countBy(Incident, filter, 'status', STATUSES),
+            countBy(Incident, filter, 'type', TYPES),
+            countBy(Incident, filter, 'severity', SEVERITIES)
+        ]);
+        const total = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+
+        doc.font('Helvetica-Bold').fontSize(18).text('ResqueNet Situation Report');
+        doc.font('Helvetica').fontSize(9).fillColor('#555555')
+            .text(`Generated ${new Date().toUTCString()}${generatedBy ? ` by ${generatedBy}` : ''}`)
+            .text(filters ? `Filters: ${filters}` : 'Filters: none (all incidents)')
+            .fillColor('#000000')
+            .moveDown();
+
+        doc.font('Helvetica-Bold').fontSize(12).text(`Incidents: ${total}`);
+        doc.font('Helvetica').fontSize(10)
+            .text(`By status: ${STATUSES.map(s => `${s} ${byStatus[s]}`).join('   ')}`)
+            .text(`By type: ${TYPES.map(t => `${t} ${byType[t]}`).join('   ')}`)
+            .text(`By severity: ${SEVERITIES.map(s => `${s} ${bySeverity[s]}`).join('   ')}`)
+            .moveDown();
+
+        const openCount = total - byStatus.Resolved;
+        doc.font('Helvetica-Bold').fontSize(12).text(`Open incidents (${openCount})`).moveDown(0.5);
+        if (openCount === 0) {
+            doc.font('Helvetica').fontSize(10).text('No open incidents.');
+        } else {
+            drawTableHeader(doc);
+            const open = Incident.find({ $and: [filter, { status: { $ne: 'Resolved' } }] })
+                .sort({ severity: 1, createdAt: 1 }).lean().cursor();
+            for await (const incident of open) {
+                drawTableRow(doc, incident);
+                await readerCaughtUp(doc);
+                if (doc.destroyed) break; // Leaving the loop closes the cursor
+            }
+        }
+        if (!doc.destroyed) doc.end();
+    })().catch(err => doc.destroy(err));
+
+    return doc;
+};
+
+/**
+ * Streams the export in `format` to the response. Rejects if the client goes
+ * away or the database fails part-way; the caller decides what is still sendable.
+ */
+const streamIncidentExport = (Incident, filter, format, res, options = {}) => {
+    if (format === 'pdf') return pipe(situationReport(Incident, filter, options), res);
+    const chunks = format === 'geojson' ? geojsonChunks : csvChunks;
+    return pipe(Readable.from(chunks(incidentCursor(Incident, filter))), res);
+};
+
+module.exports = { EXPORT_FORMATS, streamIncidentExport };
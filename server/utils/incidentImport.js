@@ -0,0 +1,334 @@
+const mongoose = require('mongoose');
+const { parse } = require('csv-parse/sync');
+const IncidentEvent = require('../models/IncidentEvent');
+const { parsePoint, isValidLatLng, toPoint } = require('./geo');
+const { SEVERITIES } = require('./triage');
+const { STATUSES, TYPES } = require('./incidentQuery');
+const { findMatchingRecords, isSameEvent } = require('./dedup');
+const { fetchPublic } = require('./publicFetch');
+
+/**
+ * BULK INCIDENT IMPORT
+ * Loads partner lists (CSV or GeoJSON) into Incident in three steps:
+ *   1. parse the file into rows of named columns (GeoJSON: feature properties);
+ *   2. map columns onto incident fields, suggesting a mapping from the headers;
+ *   3. validate every row against the Incident schema and skip records we already
+ *      hold: the same source and external id, or the same type reported within
+ *      300 m and 2 hours (see utils/dedup).
+ * A dry run stops after step 3 and only reports; a real run inserts the rest, tags
+ * each with `importSource` and records an 'imported' timeline event.
+ */
+
+const MAX_IMPORT_ROWS = 5000;
+const MAX_FEED_BYTES = 10 * 1024 * 1024;
+const FEED_TIMEOUT_MS = 15000;
+const PREVIEW_ROWS = 5;
+
+// Incident fields a column can be mapped to
+const IMPORT_FIELDS = ['externalId', 'title', 'description', 'type', 'severity', 'status', 'latitude', 'longitude', 'location', 'address', 'reportedAt', 'reporter'];
+
+// Header spellings recognised when suggesting a mapping (compared lower-case, letters and digits only)
+const FIELD_ALIASES = {
+    externalId: ['externalid', 'id', 'incidentid', 'eventid', 'ref', 'reference'],
+    title: ['title', 'name', 'headline', 'subject', 'summary'],
+    description: ['description', 'details', 'desc', 'notes', 'body', 'text'],
+    type: ['type', 'category', 'incidenttype', 'kind'],
+    severity: ['severity', 'priority', 'urgency'],
+    status: ['status', 'state'],
+    latitude: ['latitude', 'lat'],
+    longitude: ['longitude', 'lng', 'lon', 'long'],
+    location: ['location', 'coordinates', 'position', 'latlng'],
+    address: ['address', 'place', 'locality', 'street'],
+    reportedAt: ['reportedat', 'createdat', 'datetime', 'timestamp', 'date', 'time', 'reported'],
+    reporter: ['reporter', 'reportedby', 'author', 'caller']
+};
+
+// A GeoJSON row's geometry, kept apart from its columns; used when no coordinate columns are mapped
+const GEOMETRY = Symbol('geometry');
+
+const importError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const normalizeKey = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Picks the file format from an explicit choice, the file name or the content.
+ */
+const detectFormat = (text, name = '') => {
+    if (/\.csv$/i.test(name)) return 'csv';
+    if (/\.(geo)?json$/i.test(name)) return 'geojson';
+    return text.trimStart().startsWith('{') ? 'geojson' : 'csv';
+};
+
+const parseCsv = (text) => {
+    let records;
+    try {
+        records = parse(text, { bom: true, skip_empty_lines: true, trim: true, relax_column_count: true });
+    } catch (err) {
+        throw importError(`The CSV file could not be read: ${err.message}`);
+    }
+    const [header = [], ...data] = records;
+    const columns = header.filter(Boolean);
+    if (columns.length === 0) throw importError('The CSV file needs a header row');
+    const rows = data.map(values => Object.fromEntries(header.map((column, i) => [column, values[i] ?? ''])));
+    return { columns, rows };
+};
+
+const parseGeojson = (text) => {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (err) {
+        throw importError(`The GeoJSON file could not be read: ${err.message}`);
+    }
+    const features = json.type === 'FeatureCollection' ? json.features : json.type === 'Feature' ? [json] : null;
+    if (!Array.isArray(features)) throw importError('GeoJSON must be a Feature or a FeatureCollection');
+
+    const columns = new Set();
+    const rows = features.map((feature) => {
+        const row = { ...(feature?.properties || {}) };
+        if (feature?.id !== undefined && row.id === undefined) row.id = feature.id;
+        Object.keys(row).forEach(key => columns.add(key));
+        row[GEOMETRY] = feature?.geometry;
+        return row;
+    });
+    return { columns: [...columns], rows };
+};
+
+/**
+ * Parses an import file. Returns { format, columns, rows }; rows map column -> raw value.
+ */
+const parseImport = (buffer, { format, name } = {}) => {
+    const text = buffer.toString('utf8');
+    const resolved = format || detectFormat(text, name);
+    const parsed = resolved === 'geojson' ? parseGeojson(text) : parseCsv(text);
+    if (parsed.rows.length === 0) throw importError('The file has no records');
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+        throw importError(`Import at most ${MAX_IMPORT_ROWS} records at a time (the file has ${parsed.rows.length})`);
+    }
+    return { format: resolved, ...parsed };
+};
+
+/**
+ * Downloads a partner feed (an https URL serving CSV or GeoJSON) for import.
+ * Only public addresses are fetched (see utils/publicFetch).
+ * Returns { buffer, format } where the format is read from the content type, if given.
+ */
+const fetchImportFeed = async (url) => {
+    let res;
+    try {
+        res = await fetchPublic(url, { maxBytes: MAX_FEED_BYTES, timeoutMs: FEED_TIMEOUT_MS });
+    } catch (err) {
+        if (err.code === 'ETOOLARGE') throw importError('The feed is larger than 10 MB');
+        throw importError(`The feed could not be reached: ${err.message}`);
+    }
+    if (res.status < 200 || res.status >= 300) throw importError(`The feed answered ${res.status} ${res.statusText}`);
+
+    const contentType = res.headers['content-type'] || '';
+    const format = /csv/i.test(contentType) ? 'csv' : /json/i.test(contentType) ? 'geojson' : undefined;
+    return { buffer: res.buffer, format };
+};
+
+/**
+ * Suggests field -> column from the headers, e.g. { title: 'Headline', latitude: 'lat' }.
+ */
+const suggestMapping = (columns) => {
+    const byKey = new Map(columns.map(column => [normalizeKey(column), column]));
+    const mapping = {};
+    IMPORT_FIELDS.forEach((field) => {
+        const alias = FIELD_ALIASES[field].find(key => byKey.has(key));
+        if (alias) mapping[field] = byKey.get(alias);
+    });
+    return mapping;
+};
+
+// Case- and punctuation-insensitive match against an enum, e.g. "in_progress" -> "In Progress"
+const matchValue = (value, allowed) => allowed.find(option => normalizeKey(option) === normalizeKey(value));
+
+const readText = (value) => {
+    if (value === undefined || value === null) return undefined;
+    const text = String(value).trim();
+    return text === '' ? undefined : text;
+};
+
+/**
+ * Turns one row into Incident fields using `mapping`. Values that cannot be
+ * converted are reported in `problems`; the rest is left to the schema.
+ */
+const mapRow = (row, mapping, source) => {
+    const read = (field) => (mapping[field] ? readText(row[mapping[field]]) : undefined);
+    const problems = [];
+    const doc = {
+        title: read('title'),
+        description: read('description'),
+        address: read('address'),
+        reporter: read('reporter') || source,
+        importSource: { name: source, externalId: read('externalId') }
+    };
+
+    const type = read('type');
+    doc.type = type === undefined ? 'Other' : matchValue(type, TYPES) || type;
+
+    const severity = read('severity');
+    if (severity !== undefined) {
+        // Plain numbers 1-4 are read as P1-P4
+        const matched = matchValue(severity, SEVERITIES) || matchValue(`P${severity}`, SEVERITIES);
+        doc.severity = matched || severity;
+        if (matched) doc.reportedSeverity = matched;
+    }
+
+    const status = read('status');
+    if (status !== undefined) doc.status = matchValue(status, STATUSES) || status;
+
+    const reportedAt = read('reportedAt');
+    if (reportedAt !== undefined) {
+        const date = new Date(/^\d+$/.test(reportedAt) ? Number(reportedAt) : reportedAt);
+        if (Number.isNaN(date.getTime())) problems.push(`reportedAt: "${reportedAt}" is not a date`);
+        else doc.createdAt = date;
+    }
+
+    const lat = read('latitude');
+    const lng = read('longitude');
+    if (lat !== undefined || lng !== undefined) {
+        if (isValidLatLng(Number(lat), Number(lng))) doc.location = toPoint(Number(lat), Number(lng));
+        else problems.push(`latitude/longitude: "${lat}, ${lng}" are not valid coordinates`);
+    } else if (read('location') !== undefined) {
+        doc.location = parsePoint(read('location')) || undefined;
+        if (!doc.location && !doc.address) doc.address = read('location');
+    } else if (row[GEOMETRY]) {
+        doc.location = parsePoint(row[GEOMETRY]) || undefined;
+    }
+
+    return { doc, problems };
+};
+
+// Full validation (not validateSync) so schema hooks such as "location or address" run too
+const schemaProblems = async (Incident, doc) => {
+    try {
+        await new Incident(doc).validate();
+        return [];
+    } catch (err) {
+        if (!err.errors) throw err;
+        return Object.values(err.errors).map(e => `${e.path}: ${e.message}`);
+    }
+};
+
+/**
+ * Checks every row and, unless `dryRun`, inserts the valid new ones.
+ * Returns the import report: { format, columns, mapping, counts, rows, preview, batch }.
+ */
+const runImport = async ({ Incident, ImportBatch }, parsed, { source, mapping, dryRun, origin, user }) => {
+    const unknown = Object.entries(mapping).filter(([field, column]) => !IMPORT_FIELDS.includes(field) || !parsed.columns.includes(column));
+    if (unknown.length) {
+        throw importError(`Unknown mapping: ${unknown.map(([field, column]) => `${field} -> ${column}`).join(', ')}`);
+    }
+
+    const mapped = parsed.rows.map(row => mapRow(row, mapping, source));
+
+    // Records this source sent before, by their id in the source system
+    const externalIds = [...new Set(mapped.map(({ doc }) => doc.importSource.externalId).filter(Boolean))];
+    const existing = externalIds.length === 0 ? [] : await Incident.find(
+        { 'importSource.name': source, 'importSource.externalId': { $in: externalIds } },
+        { 'importSource.externalId': 1 }
+    ).lean();
+    const knownIds = new Map(existing.map(incident => [incident.importSource.externalId, incident._id]));
+    const seenInFile = new Map();
+
+    // Checked without the database first, so only rows that could be new are looked up
+    const report = [];
+    const candidates = [];
+    for (const [index, { doc, problems }] of mapped.entries()) {
+        const entry = { row: index + 1, externalId: doc.importSource.externalId };
+        const invalid = [...problems, ...await schemaProblems(Incident, doc)];
+        const externalId = doc.importSource.externalId;
+
+        if (invalid.length) {
+            Object.assign(entry, { outcome: 'invalid', problems: invalid });
+        } else if (externalId && seenInFile.has(externalId)) {
+            Object.assign(entry, { outcome: 'duplicate', problems: [`Same id as row ${seenInFile.get(externalId)}`] });
+        } else if (externalId && knownIds.has(externalId)) {
+            Object.assign(entry, { outcome: 'duplicate', incident: knownIds.get(externalId), problems: ['Already imported from this source'] });
+        } else {
+            if (externalId) seenInFile.set(externalId, entry.row);
+            candidates.push({ entry, doc });
+        }
+        report.push(entry);
+    }
+
+    // Same type, place and time as a stored incident, or as an earlier row of this file
+    const matches = await findMatchingRecords(Incident, candidates.map(({ doc }) => doc));
+    const toInsert = [];
+    for (const candidate of candidates) {
+        const { entry, doc } = candidate;
+        const earlierRow = toInsert.find(other => isSameEvent(other.doc, doc));
+        if (matches.has(doc)) {
+            Object.assign(entry, { outcome: 'duplicate', incident: matches.get(doc), problems: ['Matches an existing incident (same type, place and time)'] });
+        } else if (earlierRow) {
+            Object.assign(entry, { outcome: 'duplicate', problems: [`Same type, place and time as row ${earlierRow.entry.row}`] });
+        } else {
+            entry.outcome = dryRun ? 'ready' : 'imported';
+            toInsert.push(candidate);
+        }
+    }
+
+    const counts = { total: report.length, imported: 0, duplicate: 0, invalid: 0 };
+    report.forEach(({ outcome }) => {
+        if (outcome === 'ready' || outcome === 'imported') counts.imported += 1;
+        else counts[outcome] += 1;
+    });
+
+    const result = {
+        format: parsed.format,
+        columns: parsed.columns,
+        mapping,
+        dryRun,
+        counts,
+        rows: report,
+        preview: mapped.slice(0, PREVIEW_ROWS).map(({ doc }) => doc)
+    };
+    if (dryRun) return result;
+
+    const batch = await ImportBatch.create({
+        source,
+        format: parsed.format,
+        origin,
+        mapping,
+        importedBy: user._id,
+        importedByName: user.name
+    });
+
+    if (toInsert.length) {
+        // Ids are assigned up front so each report row knows its incident even if others fail
+        const docs = toInsert.map(({ entry, doc }) => {
+            entry.incident = new mongoose.Types.ObjectId();
+            return { ...doc, _id: entry.incident, importSource: { ...doc.importSource, batch: batch._id } };
+        });
+        try {
+            await Incident.insertMany(docs, { ordered: false });
+        } catch (err) {
+            if (!err.writeErrors) throw err;
+            err.writeErrors.forEach(({ index, errmsg }) => {
+                delete toInsert[index].entry.incident;
+                Object.assign(toInsert[index].entry, { outcome: 'invalid', problems: [errmsg] });
+                counts.imported -= 1;
+                counts.invalid += 1;
+            });
+        }
+        const inserted = toInsert.filter(({ entry }) => entry.outcome === 'imported');
+
+        await IncidentEvent.insertMany(inserted.map(({ entry, doc }) => ({
+            incident: entry.incident,
+            type: 'imported',
+            actor: user._id,
+            actorName: user.name,
+            data: { source, batch: batch._id, externalId: doc.importSource.externalId }
+        })));
+    }
+
+    batch.counts = counts;
+    batch.rows = report;
+    await batch.save();
+
+    return { ...result, batch: batch._id };
+};
+
+module.exports = { IMPORT_FIELDS, MAX_IMPORT_ROWS, parseImport, fetchImportFeed, suggestMapping, runImport };
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const { SEVERITIES } = require('./triage');
+
+/**
+ * INCIDENT LISTING QUERIES
+ * Shared by every endpoint that lists incidents so filters behave identically.
+ *
+ * Supported query parameters:
+ *   status, type, severity   comma-separated values (e.g. status=Pending,In Progress)
+ *   from, to                 ISO dates bounding createdAt (inclusive)
+ *   reporter                 reporter user id
+ *   q                        full-text search over title and description
+ *   cursor, limit            keyset pagination (newest first)
+ */
+
+const STATUSES = ['Pending', 'In Progress', 'Resolved'];
+const TYPES = ['Fire', 'Medical', 'Flood', 'Accident', 'Other'];
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Invalid filter input is reported to the client rather than silently ignored
+const queryError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const parseList = (value, allowed, name) => {
+    if (value === undefined || value === '') return undefined;
+    const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+    const invalid = values.filter(v => !allowed.includes(v));
+    if (invalid.length) throw queryError(`Invalid ${name}: ${invalid.join(', ')}`);
+    return values;
+};
+
+const parseDate = (value, name) => {
+    if (!value) return undefined;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw queryError(`Invalid ${name} date`);
+    return date;
+};
+
+/**
+ * Turns request query parameters into a MongoDB filter.
+ */
+const buildIncidentFilter = (query = {}) => {
+    const filter = {};
+
+    const statuses = parseList(query.status, STATUSES, 'status');
+    if (statuses) filter.status = { $in: statuses };
+
+    const types = parseList(query.type, TYPES, 'type');
+    if (types) filter.type = { $in: types };
+
+    const severities = parseList(query.severity, SEVERITIES, 'severity');
+    if (severities) filter.severity = { $in: severities };
+
+    const from = parseDate(query.from, 'from');
+    const to = parseDate(query.to, 'to');
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+    }
+
+    if (query.reporter) {
+        if (!mongoose.isValidObjectId(query.reporter)) throw queryError('Invalid reporter id');
+        filter.reporterId = new mongoose.Types.ObjectId(String(query.reporter));
+    }
+
+    if (query.q && String(query.q).trim()) {
+        filter.$text = { $search: String(query.q).trim().slice(0, 200) };
+    }
+
+    return filter;
+};
+
+/**
+ * Cursors are opaque to clients: base64 of "<createdAt ISO>|<_id>" of the last item served.
+ */
+const encodeCursor = (incident) =>
+    Buffer.from(`${incident.createdAt.toISOString()}|${incident._id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    const [iso, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+    const createdAt = new Date(iso);
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id)) {
+        throw queryError('Invalid cursor');
+    }
+    return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+};
+
+/**
+ * Fetches one page of incidents matching `filter`, newest first.
+ * Ties on createdAt are broken by _id so no incident is skipped or repeated.
+ */
+const paginateIncidents = async (Incident, filter, { cursor, limit } = {}) => {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const query = { ...filter };
+    if (cursor) {
+        const after = decodeCursor(cursor);
+        query.$and = [...(query.$and || []), {
+            $or: [
+                { createdAt: { $lt: after.createdAt } },
+                { createdAt: after.createdAt, _id: { $lt: after._id } }
+            ]
+        }];
+    }
+
+    // Fetch one extra row to learn whether another page exists
+    const rows = await Incident.find(query).sort({ createdAt: -1, _id: -1 }).limit(pageSize + 1);
+    const hasMore = rows.length > pageSize;
+    const incidents = hasMore ? rows.slice(0, pageSize) : rows;
+
+    return {
+        incidents,
+        nextCursor: hasMore ? encodeCursor(incidents[incidents.length - 1]) : null
+    };
+};
+
+module.exports = { buildIncidentFilter, paginateIncidents, STATUSES, TYPES };
@@ -0,0 +1,202 @@
+const IncidentEvent = require('../models/IncidentEvent');
+
+/**
+ * INCIDENT STATISTICS
+ * Aggregations behind /api/stats. Every report counts once: spam and reports
+ * merged into another incident are left out, and the date range bounds
+ * `createdAt` (inclusive). Without a range the last DEFAULT_RANGE_DAYS are used.
+ */
+
+const DEFAULT_RANGE_DAYS = 30;
+const DEFAULT_HOTSPOT_CELL_KM = 1;
+const DEFAULT_HOTSPOT_LIMIT = 10;
+const KM_PER_DEGREE = 111.32;
+
+/**
+ * Resolves the query's from/to/tz into the range the statistics cover.
+ */
+const statsRange = (query = {}) => {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+    return { from, to, timezone: query.tz || 'UTC' };
+};
+
+const baseMatch = ({ from, to }) => ({
+    createdAt: { $gte: from, $lte: to },
+    spam: { $ne: true },
+    mergedInto: { $exists: false }
+});
+
+/**
+ * Reports per period (day, week or month) broken down by type and by status,
+ * plus the totals for the whole range.
+ */
+const countsOverTime = async (Incident, range, interval = 'day') => {
+    const period = { $dateTrunc: { date: '$createdAt', unit: interval, timezone: range.timezone } };
+    const [result] = await Incident.aggregate([
+        { $match: baseMatch(range) },
+        {
+            $facet: {
+                byType: [{ $group: { _id: { period, key: '$type' }, count: { $sum: 1 } } }],
+                byStatus: [{ $group: { _id: { period, key: '$status' }, count: { $sum: 1 } } }],
+                totals: [{ $group: { _id: null, total: { $sum: 1 } } }]
+            }
+        }
+    ]);
+
+    // { period, counts: { <type or status>: n } }, oldest first
+    const toSeries = (rows) => {
+        const periods = new Map();
+        rows.forEach(({ _id, count }) => {
+            const key = _id.period.toISOString();
+            if (!periods.has(key)) periods.set(key, { period: _id.period, counts: {} });
+            periods.get(key).counts[_id.key] = count;
+        });
+        return [...periods.values()].sort((a, b) => a.period - b.period);
+    };
+    const totalsOf = (rows) => rows.reduce((acc, { _id, count }) => {
+        acc[_id.key] = (acc[_id.key] || 0) + count;
+        return acc;
+    }, {});
+
+    return {
+        interval,
+        total: result.totals[0]?.total || 0,
+        byType: { totals: totalsOf(result.byType), series: toSeries(result.byType) },
+        byStatus: { totals: totalsOf(result.byStatus), series: toSeries(result.byStatus) }
+    };
+};
+
+/**
+ * Mean time between the stages of a report, from its timeline: reported (Pending)
+ * to first taken In Progress, In Progress to Resolved, and reported to Resolved.
+ * A report that was reopened counts its latest resolution.
+ */
+const responseTimes = async (Incident, range) => {
+    // Earliest ($min) or latest ($max) move to `status`
+    const changeTo = (status, pick) => ({
+        [pick]: {
+            $map: {
+                input: { $filter: { input: '$changes', cond: { $eq: ['$$this.to', status] } } },
+                in: '$$this.createdAt'
+            }
+        }
+    });
+    const span = (start, end) => ({
+        $cond: [{ $and: [start, end, { $gte: [end, start] }] }, { $subtract: [end, start] }, null]
+    });
+    const counted = (field) => ({ $sum: { $cond: [{ $ne: [`$${field}`, null] }, 1, 0] } });
+
+    const [result] = await Incident.aggregate([
+        { $match: baseMatch(range) },
+        {
+            $lookup: {
+                from: IncidentEvent.collection.name,
+                let: { id: '$_id' },
+                pipeline: [
+                    { $match: { $expr: { $eq: ['$incident', '$$id'] }, type: 'status_changed' } },
+                    { $project: { _id: 0, to: '$data.to', createdAt: 1 } }
+                ],
+                as: 'changes'
+            }
+        },
+        {
+            $project: {
+                createdAt: 1,
+                startedAt: changeTo('In Progress', '$min'),
+                resolvedAt: { $cond: [{ $eq: ['$status', 'Resolved'] }, changeTo('Resolved', '$max'), null] }
+            }
+        },
+        {
+            $project: {
+                pendingToInProgress: span('$createdAt', '$startedAt'),
+                inProgressToResolved: span('$startedAt', '$resolvedAt'),
+                pendingToResolved: span('$createdAt', '$resolvedAt')
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                reports: { $sum: 1 },
+                pendingToInProgress: { $avg: '$pendingToInProgress' },
+                pendingToInProgressCount: counted('pendingToInProgress'),
+                inProgressToResolved: { $avg: '$inProgressToResolved' },
+                inProgressToResolvedCount: counted('inProgressToResolved'),
+                pendingToResolved: { $avg: '$pendingToResolved' },
+                pendingToResolvedCount: counted('pendingToResolved')
+            }
+        }
+    ]);
+
+    const read = (field) => ({
+        meanMs: result?.[field] != null ? Math.round(result[field]) : null,
+        count: result?.[`${field}Count`] || 0
+    });
+    return {
+        reports: result?.reports || 0,
+        pendingToInProgress: read('pendingToInProgress'),
+        inProgressToResolved: read('inProgressToResolved'),
+        pendingToResolved: read('pendingToResolved')
+    };
+};
+
+/**
+ * Reports per hour of the day (0-23, in the requested timezone) and per weekday (0 = Sunday).
+ */
+const busiestHours = async (Incident, range) => {
+    const [result] = await Incident.aggregate([
+        { $match: baseMatch(range) },
+        {
+            $facet: {
+                hours: [{ $group: { _id: { $hour: { date: '$createdAt', timezone: range.timezone } }, count: { $sum: 1 } } }],
+                weekdays: [{ $group: { _id: { $dayOfWeek: { date: '$createdAt', timezone: range.timezone } }, count: { $sum: 1 } } }]
+            }
+        }
+    ]);
+
+    const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, count: 0 }));
+    result.hours.forEach(({ _id, count }) => { hours[_id].count = count; });
+    // $dayOfWeek is 1 (Sunday) to 7 (Saturday)
+    const weekdays = Array.from({ length: 7 }, (_, day) => ({ day, count: 0 }));
+    result.weekdays.forEach(({ _id, count }) => { weekdays[_id - 1].count = count; });
+
+    return { timezone: range.timezone, hours, weekdays };
+};
+
+/**
+ * The busiest grid cells (about `cellKm` on a side) among reports with GPS,
+ * with the cell centre, how many are still open and the mix of types.
+ */
+const hotspots = async (Incident, range, { cellKm = DEFAULT_HOTSPOT_CELL_KM, limit = DEFAULT_HOTSPOT_LIMIT } = {}) => {
+    const cell = cellKm / KM_PER_DEGREE;
+    const rows = await Incident.aggregate([
+        { $match: { ...baseMatch(range), 'location.coordinates': { $exists: true } } },
+        {
+            $group: {
+                _id: {
+                    lat: { $floor: { $divide: [{ $arrayElemAt: ['$location.coordinates', 1] }, cell] } },
+                    lng: { $floor: { $divide: [{ $arrayElemAt: ['$location.coordinates', 0] }, cell] } }
+                },
+                count: { $sum: 1 },
+                open: { $sum: { $cond: [{ $ne: ['$status', 'Resolved'] }, 1, 0] } },
+                types: { $push: '$type' },
+                address: { $max: '$address' }
+            }
+        },
+        { $sort: { count: -1, open: -1 } },
+        { $limit: limit }
+    ]);
+
+    return {
+        cellKm,
+        hotspots: rows.map(({ _id, count, open, types, address }) => ({
+            location: { type: 'Point', coordinates: [(_id.lng + 0.5) * cell, (_id.lat + 0.5) * cell] },
+            count,
+            open,
+            types: types.reduce((acc, type) => ({ ...acc, [type]: (acc[type] || 0) + 1 }), {}),
+            address: address || undefined
+        }))
+    };
+};
+
+module.exports = { statsRange, countsOverTime, responseTimes, busiestHours, hotspots };
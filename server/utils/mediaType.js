@@ -0,0 +1,52 @@
+/**
+ * MEDIA TYPE DETECTION
+ * Uploads are identified by their leading bytes, never by the type or name the
+ * client declared. Only raster photos and common phone video formats are
+ * accepted; SVG (which can carry script) and anything unrecognised are not.
+ */
+
+const MEDIA_TYPES = {
+    'image/jpeg': { kind: 'image', extension: '.jpg' },
+    'image/png': { kind: 'image', extension: '.png' },
+    'image/gif': { kind: 'image', extension: '.gif' },
+    'image/webp': { kind: 'image', extension: '.webp' },
+    'video/mp4': { kind: 'video', extension: '.mp4' },
+    'video/quicktime': { kind: 'video', extension: '.mov' },
+    'video/3gpp': { kind: 'video', extension: '.3gp' },
+    'video/webm': { kind: 'video', extension: '.webm' }
+};
+
+// ISO base media ("ftyp") brands that are video; HEIF/AVIF images share the container
+const VIDEO_BRANDS = [
+    [/^qt {2}$/, 'video/quicktime'],
+    [/^3g[p2]/, 'video/3gpp'],
+    [/^(isom|iso\d|mp4[12v]|avc1|M4V |M4VH|M4VP|dash|MSNV|f4v )$/, 'video/mp4']
+];
+
+const startsWith = (buffer, bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (buffer, start, end) => buffer.subarray(start, end).toString('latin1');
+
+/**
+ * The MIME type of an uploaded file from its content, or null when it is not
+ * one of MEDIA_TYPES.
+ */
+const detectMediaType = (buffer) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+    if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+    if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+    if (/^GIF8[79]a$/.test(ascii(buffer, 0, 6))) return 'image/gif';
+    if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') return 'image/webp';
+    if (startsWith(buffer, [0x1A, 0x45, 0xDF, 0xA3])) return 'video/webm';
+
+    if (ascii(buffer, 4, 8) === 'ftyp') {
+        const brand = ascii(buffer, 8, 12);
+        const match = VIDEO_BRANDS.find(([pattern]) => pattern.test(brand));
+        return match ? match[1] : null;
+    }
+    return null;
+};
+
+module.exports = { MEDIA_TYPES, detectMediaType };
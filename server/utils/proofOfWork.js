@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+/**
+ * SOS PROOF OF WORK
+ * A hashcash-style stamp that makes every anonymous SOS cost the sender a moment
+ * of CPU, so flooding the public endpoint is expensive while one real call is not.
+ * The stamp is stateless, so the Login page can solve it offline and queue the SOS:
+ *
+ *   SHA-256("resq-sos:<clientId>:<issuedAt>:<nonce>") starts with SOS_POW_BITS zero bits
+ *
+ * It is bound to the SOS's clientId, which is single-use (replays return the same
+ * incident), and expires after a day. The client solves at the same difficulty
+ * (client/src/utils/proofOfWork.js); SOS_POW_BITS=0 turns the check off.
+ */
+const DEFAULT_POW_BITS = 16;
+const MAX_PROOF_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const getProofDifficulty = () => {
+    const bits = parseInt(process.env.SOS_POW_BITS, 10);
+    return Number.isInteger(bits) && bits >= 0 ? bits : DEFAULT_POW_BITS;
+};
+
+const leadingZeroBits = (digest) => {
+    let bits = 0;
+    for (const byte of digest) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+};
+
+/**
+ * Checks the stamp of an SOS. Returns null when it is acceptable, else the reason.
+ */
+const checkProof = (clientId, proof, now = Date.now()) => {
+    const bits = getProofDifficulty();
+    if (bits === 0) return null;
+    if (!clientId || !proof) return 'Proof of work is required';
+
+    const issuedAt = Number(proof.issuedAt);
+    if (issuedAt > now + MAX_CLOCK_SKEW_MS || issuedAt < now - MAX_PROOF_AGE_MS) return 'Proof of work has expired';
+
+    const digest = crypto.createHash('sha256').update(`resq-sos:${clientId}:${proof.issuedAt}:${proof.nonce}`).digest();
+    return leadingZeroBits(digest) >= bits ? null : 'Proof of work is invalid';
+};
+
+module.exports = { getProofDifficulty, checkProof };
@@ -0,0 +1,104 @@
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * OUTBOUND REQUESTS TO ADDRESSES CHOSEN BY USERS
+ * A URL typed by an admin (a partner feed) must not become a way to reach the
+ * server's own network: loopback, private and link-local ranges (including the
+ * cloud metadata endpoint at 169.254.169.254) are refused. Every connection,
+ * redirects included, is checked after DNS resolution, so a public name that
+ * resolves to a private address is refused too. Bodies are streamed and cut off
+ * at a byte limit instead of being buffered whole first.
+ */
+
+const NON_PUBLIC = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address, prefix, 'ipv4'));
+// IPv4-mapped addresses (::ffff:10.0.0.1) are checked against the IPv4 ranges above
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+    const family = net.isIP(address);
+    return family !== 0 && !NON_PUBLIC.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const fetchError = (message, code) => Object.assign(new Error(message), { code });
+
+// dns.lookup for outbound sockets, failing when any address the name resolves to is not public
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+            return callback(fetchError(`${hostname} is not a public address`, 'ENOTPUBLIC'));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// One request, without following redirects; resolves { status, statusText, headers, buffer } or { location }
+const requestOnce = (url, { maxBytes, signal }) => new Promise((resolve, reject) => {
+    // Sockets skip the lookup for literal addresses, so those are checked here
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isPublicAddress(host)) {
+        return reject(fetchError(`${host} is not a public address`, 'ENOTPUBLIC'));
+    }
+
+    const req = https.get(url, { lookup: publicLookup, signal }, (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+            res.resume();
+            return resolve({ location: res.headers.location });
+        }
+        if (Number(res.headers['content-length']) > maxBytes) {
+            res.destroy();
+            return reject(fetchError(`The response is larger than ${maxBytes} bytes`, 'ETOOLARGE'));
+        }
+
+        const chunks = [];
+        let received = 0;
+        res.on('data', (chunk) => {
+            received += chunk.length;
+            if (received > maxBytes) {
+                res.destroy();
+                return reject(fetchError(`The response is larger than ${maxBytes} bytes`, 'ETOOLARGE'));
+            }
+            chunks.push(chunk);
+        });
+        res.on('end', () => resolve({
+            status: res.statusCode,
+            statusText: res.statusMessage,
+            headers: res.headers,
+            buffer: Buffer.concat(chunks)
+        }));
+        res.on('error', reject);
+    });
+    req.on('error', reject);
+});
+
+/**
+ * GETs an https URL on the public internet. Redirects are followed (up to
+ * maxRedirects) only to other public https URLs; timeoutMs covers the whole
+ * exchange. Throws with code ENOTPUBLIC or ETOOLARGE when a guard trips.
+ */
+const fetchPublic = async (address, { maxBytes, timeoutMs, maxRedirects = 3 }) => {
+    const signal = AbortSignal.timeout(timeoutMs);
+    let url = new URL(address);
+
+    for (let redirects = 0; ; redirects++) {
+        if (url.protocol !== 'https:') throw fetchError(`Only https URLs are fetched (got ${url.protocol})`, 'ENOTPUBLIC');
+
+        const res = await requestOnce(url, { maxBytes, signal });
+        if (!res.location) return res;
+        if (redirects === maxRedirects) throw fetchError(`More than ${maxRedirects} redirects`, 'EREDIRECTS');
+        url = new URL(res.location, url);
+    }
+};
+
+module.exports = { fetchPublic, isPublicAddress };
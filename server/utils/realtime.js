@@ -0,0 +1,76 @@
+/**
+ * REAL-TIME HELPERS
+ * Room naming shared by the socket handshake (see authMiddleware.socketAuth)
+ * and the controllers that push targeted events.
+ *
+ *   user:<id>      every socket of one user
+ *   role:<role>    every socket of a role (e.g. all admins)
+ *   incident:<id>  the reporter and assigned responders of one incident
+ *   session:<id>   the sockets opened by one signed-in device (session)
+ */
+
+const userRoom = (userId) => `user:${userId}`;
+const roleRoom = (role) => `role:${role}`;
+const incidentRoom = (incidentId) => `incident:${incidentId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+/**
+ * Emits an event only to the given users (one private room each).
+ */
+const emitToUsers = (io, userIds, event, payload) => {
+    if (!io || !userIds || userIds.length === 0) return;
+    const rooms = [...new Set(userIds.map(id => userRoom(id.toString())))];
+    io.to(rooms).emit(event, payload);
+};
+
+/**
+ * Emits an event to every connected user holding one of the given roles.
+ */
+const emitToRoles = (io, roles, event, payload) => {
+    if (!io || !roles || roles.length === 0) return;
+    io.to(roles.map(roleRoom)).emit(event, payload);
+};
+
+/**
+ * Emits an incident event to its audience: admins plus everyone in the incident room.
+ * socket.io de-duplicates, so an admin who is also the reporter receives it once.
+ */
+const emitToIncident = (io, incidentId, event, payload) => {
+    if (!io) return;
+    io.to([roleRoom('admin'), incidentRoom(incidentId.toString())]).emit(event, payload);
+};
+
+/**
+ * Adds (or removes) all live sockets of the given users to an incident room,
+ * e.g. the reporter on creation or a responder on assignment.
+ */
+const joinIncidentRoom = (io, userIds, incidentId) => {
+    if (!io || !userIds || userIds.length === 0) return;
+    io.in(userIds.map(id => userRoom(id.toString()))).socketsJoin(incidentRoom(incidentId.toString()));
+};
+
+const leaveIncidentRoom = (io, userIds, incidentId) => {
+    if (!io || !userIds || userIds.length === 0) return;
+    io.in(userIds.map(id => userRoom(id.toString()))).socketsLeave(incidentRoom(incidentId.toString()));
+};
+
+/**
+ * Drops the live sockets of revoked sessions; they cannot reconnect with a revoked token.
+ */
+const disconnectSessions = (io, sessionIds) => {
+    if (!io || !sessionIds || sessionIds.length === 0) return;
+    io.in(sessionIds.map(id => sessionRoom(id.toString()))).disconnectSockets(true);
+};
+
+module.exports = {
+    userRoom,
+    roleRoom,
+    incidentRoom,
+    sessionRoom,
+    emitToUsers,
+    emitToRoles,
+    emitToIncident,
+    joinIncidentRoom,
+    leaveIncidentRoom,
+    disconnectSessions
+};
@@ -0,0 +1,34 @@
+const User = require('../models/User');
+const RoleChange = require('../models/RoleChange');
+
+const ROLES = User.schema.path('role').enumValues;
+
+/**
+ * Sets a user's role and writes the change to the role change log.
+ * `actor` is the admin making the change, or null when run from the CLI.
+ * Unlike incident timeline events, the log entry is written before the role is
+ * saved, so a change is never applied without its record.
+ * @returns {Promise<string|undefined>} the previous role (undefined for a new account)
+ */
+const changeRole = async (user, role, actor, source = 'api') => {
+    if (!ROLES.includes(role)) {
+        throw Object.assign(new Error(`Invalid role. Use one of: ${ROLES.join(', ')}`), { status: 400 });
+    }
+    const previous = user.isNew ? undefined : user.role;
+    await RoleChange.create({
+        user: user._id,
+        userEmail: user.email,
+        from: previous,
+        to: role,
+        actor: actor ? actor._id : undefined,
+        actorName: actor ? actor.name : 'Server CLI',
+        source
+    });
+
+    user.role = role;
+    await user.save();
+    console.log(`🔑 ROLE: ${user.email} ${previous || '(new)'} -> ${role} by ${actor ? actor.email : 'CLI'}`);
+    return previous;
+};
+
+module.exports = { ROLES, changeRole };
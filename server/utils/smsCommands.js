@@ -0,0 +1,32 @@
+const { TYPES } = require('./incidentQuery');
+
+/**
+ * SMS COMMANDS
+ * Inbound texts are free-form; the only command is an SOS:
+ *
+ *   SOS [TYPE] [location]     e.g. "SOS FIRE 12 Harbour Road" or "sos medical 6.52,3.37"
+ *
+ * TYPE is one of the incident types (case-insensitive) and defaults to Other, in
+ * which case the whole remainder is the location. The location may be free text or
+ * a "lat,lng" pair (see utils/geo.resolveLocation).
+ */
+
+const SOS_PATTERN = /^\s*SOS\b[\s:,.-]*(.*)$/is;
+const MAX_LOCATION_LENGTH = 300;
+
+/**
+ * Returns { type, location } for an SOS text, or null for anything else.
+ */
+const parseSosMessage = (text) => {
+    const match = String(text || '').match(SOS_PATTERN);
+    if (!match) return null;
+
+    const rest = match[1].trim();
+    const [firstWord] = rest.split(/\s+/);
+    const type = TYPES.find(t => t.toLowerCase() === (firstWord || '').toLowerCase());
+    const location = (type ? rest.slice(firstWord.length) : rest).trim().slice(0, MAX_LOCATION_LENGTH);
+
+    return { type: type || 'Other', location };
+};
+
+module.exports = { parseSosMessage };
@@ -0,0 +1,23 @@
+const IncidentEvent = require('../models/IncidentEvent');
+
+/**
+ * Appends an event to an incident's timeline.
+ * The audited change has already been committed by the caller, so a failure
+ * here is logged rather than turned into an error response.
+ */
+const recordEvent = async (incidentId, type, actor, data) => {
+    try {
+        return await IncidentEvent.create({
+            incident: incidentId,
+            type,
+            actor: actor ? actor._id : undefined,
+            actorName: actor ? actor.name : 'Anonymous/Unknown',
+            data
+        });
+    } catch (err) {
+        console.error(`TIMELINE: Failed to record ${type} for ${incidentId}:`, err.message);
+        return null;
+    }
+};
+
+module.exports = { recordEvent };
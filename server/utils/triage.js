@@ -0,0 +1,59 @@
+/**
+ * TRIAGE SCORING
+ * Ranks the dispatcher backlog so a cardiac arrest is never buried under a fallen tree.
+ * Score = severity weight + type weight + waiting-time bonus. Higher means "handle first".
+ */
+
+const SEVERITIES = ['P1', 'P2', 'P3', 'P4']; // P1 = life-threatening, P4 = minor
+const DEFAULT_SEVERITY = 'P3';
+
+const SEVERITY_WEIGHTS = { P1: 100, P2: 60, P3: 30, P4: 10 };
+
+const TYPE_WEIGHTS = { Medical: 20, Fire: 20, Flood: 15, Accident: 15, Other: 5 };
+
+// Every 10 minutes spent waiting adds a point, capped so age never outranks a full severity level
+const AGE_POINTS_PER_MINUTE = 0.1;
+const MAX_AGE_POINTS = 30;
+
+/**
+ * Computes the triage score for an incident at a given moment.
+ * Resolved incidents score 0 so they always sink to the bottom of the queue.
+ */
+const computeTriageScore = (incident, now = Date.now()) => {
+    if (!incident || incident.status === 'Resolved') return 0;
+
+    const severityPoints = SEVERITY_WEIGHTS[incident.severity] || SEVERITY_WEIGHTS[DEFAULT_SEVERITY];
+    const typePoints = TYPE_WEIGHTS[incident.type] || TYPE_WEIGHTS.Other;
+
+    const createdAt = incident.createdAt ? new Date(incident.createdAt).getTime() : now;
+    const waitingMinutes = Math.max(0, (now - createdAt) / 60000);
+    const agePoints = Math.min(waitingMinutes * AGE_POINTS_PER_MINUTE, MAX_AGE_POINTS);
+
+    return Math.round((severityPoints + typePoints + agePoints) * 10) / 10;
+};
+
+const weightOf = (field, weights, fallback) => ({
+    $switch: {
+        branches: Object.entries(weights).map(([value, points]) => ({ case: { $eq: [field, value] }, then: points })),
+        default: fallback
+    }
+});
+
+/**
+ * computeTriageScore as an aggregation expression for open incidents, so the
+ * database can rank the backlog and only one page is loaded.
+ */
+const triageScoreExpression = (now = Date.now()) => ({
+    $add: [
+        weightOf('$severity', SEVERITY_WEIGHTS, SEVERITY_WEIGHTS[DEFAULT_SEVERITY]),
+        weightOf('$type', TYPE_WEIGHTS, TYPE_WEIGHTS.Other),
+        {
+            $min: [
+                { $multiply: [{ $max: [0, { $divide: [{ $subtract: [new Date(now), { $ifNull: ['$createdAt', new Date(now)] }] }, 60000] }] }, AGE_POINTS_PER_MINUTE] },
+                MAX_AGE_POINTS
+            ]
+        }
+    ]
+});
+
+module.exports = { SEVERITIES, DEFAULT_SEVERITY, computeTriageScore, triageScoreExpression };
@@ -0,0 +1,64 @@
+const { ROLES } = require('../utils/roles');
+const { mongoIdParam, email, newPassword, requiredText, oneOf, phone } = require('./common');
+
+/**
+ * Request schemas for /api/auth (see middleware/validate).
+ */
+
+const token = requiredText('Token', 200);
+
+exports.registerSchema = {
+    name: requiredText('Name', 80),
+    email,
+    password: newPassword
+};
+
+exports.loginSchema = {
+    email,
+    password: {
+        in: ['body'],
+        isString: { errorMessage: 'Password is required' },
+        notEmpty: { errorMessage: 'Password is required' },
+        isLength: { options: { max: 128 }, errorMessage: 'Password is too long' }
+    }
+};
+
+exports.changePasswordSchema = {
+    currentPassword: {
+        in: ['body'],
+        isString: { errorMessage: 'Current password is required' },
+        notEmpty: { errorMessage: 'Current password is required' }
+    },
+    newPassword: {
+        ...newPassword,
+        custom: {
+            options: (value, { req }) => value !== req.body.currentPassword,
+            errorMessage: 'New password must be different from the current one'
+        }
+    }
+};
+
+exports.forgotPasswordSchema = { email };
+
+exports.resetPasswordSchema = { token, password: newPassword };
+
+exports.verifyEmailSchema = { token };
+
+// An empty phone removes the number
+exports.updateProfileSchema = {
+    phone: {
+        ...phone,
+        optional: true,
+        matches: { options: /^(\+[1-9]\d{6,14})?$/, errorMessage: 'Phone number must be in international format, e.g. +15551234567' }
+    },
+    onDuty: { in: ['body'], optional: true, isBoolean: { options: { strict: true }, errorMessage: 'onDuty must be true or false' } }
+};
+
+exports.sessionIdSchema = { id: mongoIdParam('session id') };
+
+exports.userIdSchema = { id: mongoIdParam('user id') };
+
+exports.updateRoleSchema = {
+    id: mongoIdParam('user id'),
+    role: oneOf('Role', ROLES)
+};
@@ -0,0 +1,66 @@
+/**
+ * Building blocks shared by the request schemas.
+ */
+
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 128;
+
+const mongoIdParam = (label = 'id') => ({
+    in: ['params'],
+    isMongoId: { errorMessage: `Invalid ${label}` }
+});
+
+const email = {
+    in: ['body'],
+    isString: { errorMessage: 'Email is required' },
+    trim: true,
+    toLowerCase: true,
+    isEmail: { errorMessage: 'Please enter a valid email address' },
+    isLength: { options: { max: 254 }, errorMessage: 'Email is too long' }
+};
+
+// Rules for choosing a password (register / reset / change), not for logging in
+const newPassword = {
+    in: ['body'],
+    isString: { errorMessage: 'Password is required' },
+    isLength: {
+        options: { min: PASSWORD_MIN_LENGTH, max: PASSWORD_MAX_LENGTH },
+        errorMessage: `Password must be ${PASSWORD_MIN_LENGTH}-${PASSWORD_MAX_LENGTH} characters`
+    },
+    matches: {
+        options: /^(?=.*[A-Za-z])(?=.*\d)/,
+        errorMessage: 'Password must contain at least one letter and one number'
+    }
+};
+
+const requiredText = (label, max, min = 1) => ({
+    in: ['body'],
+    isString: { errorMessage: `${label} is required` },
+    trim: true,
+    isLength: {
+        options: { min, max },
+        errorMessage: min > 1 ? `${label} must be ${min}-${max} characters` : `${label} is required (max ${max} characters)`
+    }
+});
+
+const oneOf = (label, values, location = 'body') => ({
+    in: [location],
+    isIn: { options: [values], errorMessage: `${label} must be one of: ${values.join(', ')}` }
+});
+
+// Optimistic concurrency precondition: the version of the record the client last saw
+const ifMatch = {
+    in: ['headers'],
+    optional: true,
+    matches: { options: /^(\*|(W\/)?"?\d+"?)$/, errorMessage: 'If-Match must be a record version' }
+};
+
+// Mobile number in international (E.164) format, as SMS gateways expect it
+const phone = {
+    in: ['body'],
+    isString: { errorMessage: 'Phone number must be text' },
+    customSanitizer: { options: (value) => (typeof value === 'string' ? value.replace(/[\s().-]/g, '') : value) },
+    matches: { options: /^\+[1-9]\d{6,14}$/, errorMessage: 'Phone number must be in international format, e.g. +15551234567' }
+};
+
+module.exports = { mongoIdParam, email, newPassword, requiredText, oneOf, ifMatch, phone };
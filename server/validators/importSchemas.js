@@ -0,0 +1,49 @@
+const { IMPORT_FIELDS } = require('../utils/incidentImport');
+const { mongoIdParam, requiredText, oneOf } = require('./common');
+
+/**
+ * Request schemas for /api/imports (see middleware/validate).
+ * Imports arrive as multipart forms, so booleans and the mapping come in as text.
+ */
+
+// { <incident field>: <column> }; multipart forms send it as a JSON string
+const mapping = {
+    in: ['body'],
+    optional: true,
+    customSanitizer: {
+        options: (value) => {
+            if (typeof value !== 'string') return value;
+            try {
+                return JSON.parse(value);
+            } catch {
+                return value;
+            }
+        }
+    },
+    custom: {
+        options: (value) => {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error('mapping must be an object of field: column');
+            const entries = Object.entries(value);
+            if (entries.some(([field, column]) => !IMPORT_FIELDS.includes(field) || typeof column !== 'string')) {
+                throw new Error(`mapping fields must be among: ${IMPORT_FIELDS.join(', ')}`);
+            }
+            return true;
+        }
+    }
+};
+
+exports.importSchema = {
+    source: requiredText('Source', 120, 2),
+    format: { ...oneOf('format', ['csv', 'geojson']), optional: true },
+    url: {
+        in: ['body'],
+        optional: true,
+        isURL: { options: { protocols: ['https'], require_protocol: true }, errorMessage: 'url must be an https URL' },
+        isLength: { options: { max: 2048 }, errorMessage: 'url is too long' }
+    },
+    mapping,
+    // Imports are previews unless the caller confirms with dryRun=false
+    dryRun: { in: ['body'], optional: true, isBoolean: { errorMessage: 'dryRun must be true or false' }, toBoolean: true }
+};
+
+exports.importIdSchema = { id: mongoIdParam('import id') };
@@ -0,0 +1,181 @@
+const { SEVERITIES } = require('../utils/triage');
+const { STATUSES, TYPES } = require('../utils/incidentQuery');
+const { parsePoint, isPolygon } = require('../utils/geo');
+const { mongoIdParam, requiredText, oneOf, ifMatch, phone } = require('./common');
+
+/**
+ * Request schemas for /api/incidents (see middleware/validate).
+ */
+
+const MAX_ADDRESS_LENGTH = 300;
+const MAX_RESPONDERS_PER_DISPATCH = 20;
+const MAX_INCIDENTS_PER_MERGE = 50;
+
+const incidentId = mongoIdParam('incident id');
+
+/**
+ * `location` may be GeoJSON, {lat, lng}, "lat, lng" or free text; when it is
+ * missing an `address` must be given instead.
+ */
+const location = {
+    in: ['body'],
+    custom: {
+        options: (value, { req }) => {
+            if (value === undefined || value === null || value === '') {
+                if (typeof req.body.address === 'string' && req.body.address.trim()) return true;
+                throw new Error('Provide a location (GPS) or an address');
+            }
+            const looksStructured = typeof value === 'object' || String(value).trim().startsWith('{');
+            if (looksStructured && !parsePoint(value)) throw new Error('Location coordinates are invalid');
+            if (typeof value === 'string' && value.length > MAX_ADDRESS_LENGTH) throw new Error('Location is too long');
+            return true;
+        }
+    }
+};
+
+const address = {
+    in: ['body'],
+    optional: true,
+    isString: { errorMessage: 'Address must be text' },
+    trim: true,
+    isLength: { options: { max: MAX_ADDRESS_LENGTH }, errorMessage: `Address must be at most ${MAX_ADDRESS_LENGTH} characters` }
+};
+
+// UUID generated by the reporting device (see Incident.clientId)
+const clientId = {
+    in: ['body'],
+    optional: true,
+    isUUID: { errorMessage: 'clientId must be a UUID' }
+};
+
+// Comma-separated filter values, e.g. status=Pending,In Progress
+const listOf = (label, values) => ({
+    in: ['query'],
+    optional: true,
+    custom: {
+        options: (value) => String(value).split(',').map(v => v.trim()).filter(Boolean).every(v => values.includes(v)),
+        errorMessage: `${label} must be one or more of: ${values.join(', ')}`
+    }
+});
+
+exports.createIncidentSchema = {
+    title: requiredText('Title', 120, 3),
+    type: oneOf('Type', TYPES),
+    severity: { ...oneOf('Severity', SEVERITIES), optional: true },
+    description: requiredText('Description', 2000),
+    location,
+    address,
+    clientId,
+    phone: { ...phone, optional: true },
+    stripGps: { in: ['body'], optional: true, isBoolean: { errorMessage: 'stripGps must be true or false' }, toBoolean: true }
+};
+
+exports.publicSOSSchema = {
+    location,
+    address,
+    clientId,
+    phone: { ...phone, optional: true },
+    // Anonymous callers are told apart by a random id their browser keeps
+    deviceId: { in: ['body'], optional: true, isUUID: { errorMessage: 'deviceId must be a UUID' } },
+    // Proof-of-work stamp (see utils/proofOfWork); whether it is required is checked afterwards
+    'proof.issuedAt': { in: ['body'], optional: true, isInt: { options: { min: 0 }, errorMessage: 'proof.issuedAt must be a timestamp' }, toInt: true },
+    'proof.nonce': { in: ['body'], optional: true, isString: { errorMessage: 'proof.nonce must be text' }, isLength: { options: { max: 32 }, errorMessage: 'proof.nonce is too long' } }
+};
+
+exports.listIncidentsSchema = {
+    status: listOf('Status', STATUSES),
+    type: listOf('Type', TYPES),
+    severity: listOf('Severity', SEVERITIES),
+    from: { in: ['query'], optional: true, isISO8601: { errorMessage: 'from must be an ISO date' } },
+    to: { in: ['query'], optional: true, isISO8601: { errorMessage: 'to must be an ISO date' } },
+    reporter: { in: ['query'], optional: true, isMongoId: { errorMessage: 'Invalid reporter id' } },
+    q: { in: ['query'], optional: true, isLength: { options: { max: 200 }, errorMessage: 'Search text is too long' } },
+    cursor: { in: ['query'], optional: true, isLength: { options: { max: 200 }, errorMessage: 'Invalid cursor' } },
+    limit: { in: ['query'], optional: true, isInt: { options: { min: 1, max: 100 }, errorMessage: 'limit must be between 1 and 100' } }
+};
+
+// The listing filters without paging: exports cover every match
+exports.exportIncidentsSchema = {
+    status: exports.listIncidentsSchema.status,
+    type: exports.listIncidentsSchema.type,
+    severity: exports.listIncidentsSchema.severity,
+    from: exports.listIncidentsSchema.from,
+    to: exports.listIncidentsSchema.to,
+    reporter: exports.listIncidentsSchema.reporter,
+    q: exports.listIncidentsSchema.q,
+    format: { ...oneOf('format', ['csv', 'geojson', 'pdf'], 'query'), optional: true }
+};
+
+// The queue is ranked by a score that grows with age, so its cursor is a position, not a key
+exports.queueSchema = {
+    cursor: { in: ['query'], optional: true, isInt: { options: { min: 0, max: 100000 }, errorMessage: 'Invalid cursor' } },
+    limit: { in: ['query'], optional: true, isInt: { options: { min: 1, max: 100 }, errorMessage: 'limit must be between 1 and 100' } }
+};
+
+exports.changesSchema = {
+    since: { in: ['query'], optional: true, isLength: { options: { max: 200 }, errorMessage: 'Invalid sync cursor' } },
+    limit: { in: ['query'], optional: true, isInt: { options: { min: 1, max: 500 }, errorMessage: 'limit must be between 1 and 500' } }
+};
+
+exports.nearbySchema = {
+    lat: { in: ['query'], isFloat: { options: { min: -90, max: 90 }, errorMessage: 'lat must be between -90 and 90' } },
+    lng: { in: ['query'], isFloat: { options: { min: -180, max: 180 }, errorMessage: 'lng must be between -180 and 180' } },
+    radius: { in: ['query'], optional: true, isFloat: { options: { gt: 0 }, errorMessage: 'radius must be a positive number of metres' } }
+};
+
+exports.withinSchema = {
+    geometry: {
+        in: ['body'],
+        custom: { options: isPolygon, errorMessage: 'geometry must be a GeoJSON Polygon or MultiPolygon' }
+    }
+};
+
+exports.incidentIdSchema = { id: incidentId };
+
+// Edits that may conflict accept an If-Match version (see utils/concurrency)
+exports.incidentMutationSchema = { id: incidentId, 'if-match': ifMatch };
+
+exports.updateStatusSchema = { id: incidentId, status: oneOf('Status', STATUSES), 'if-match': ifMatch };
+
+exports.updateSeveritySchema = { id: incidentId, severity: oneOf('Severity', SEVERITIES), 'if-match': ifMatch };
+
+exports.addNoteSchema = { id: incidentId, text: requiredText('Note', 1000) };
+
+exports.addAttachmentsSchema = {
+    id: incidentId,
+    stripGps: { in: ['body'], optional: true, isBoolean: { errorMessage: 'stripGps must be true or false' }, toBoolean: true }
+};
+
+exports.attachmentSchema = {
+    id: incidentId,
+    attachmentId: mongoIdParam('attachment id'),
+    variant: { ...oneOf('variant', ['thumbnail'], 'query'), optional: true }
+};
+
+exports.assignRespondersSchema = {
+    id: incidentId,
+    responderIds: {
+        in: ['body'],
+        isArray: {
+            options: { min: 1, max: MAX_RESPONDERS_PER_DISPATCH },
+            errorMessage: `responderIds must list 1-${MAX_RESPONDERS_PER_DISPATCH} responders`
+        }
+    },
+    'responderIds.*': { in: ['body'], isMongoId: { errorMessage: 'Invalid responder id' } },
+    'if-match': ifMatch
+};
+
+exports.mergeIncidentsSchema = {
+    id: incidentId,
+    incidentIds: {
+        in: ['body'],
+        isArray: {
+            options: { min: 1, max: MAX_INCIDENTS_PER_MERGE },
+            errorMessage: `incidentIds must list 1-${MAX_INCIDENTS_PER_MERGE} incidents`
+        }
+    },
+    'incidentIds.*': { in: ['body'], isMongoId: { errorMessage: 'Invalid incident id' } },
+    'if-match': ifMatch
+};
+
+exports.unassignResponderSchema = { id: incidentId, responderId: mongoIdParam('responder id'), 'if-match': ifMatch };
@@ -0,0 +1,37 @@
+/**
+ * Request schemas for /api/notifications (see middleware/validate).
+ */
+
+const endpoint = {
+    in: ['body'],
+    isString: { errorMessage: 'Subscription endpoint is required' },
+    isURL: { options: { protocols: ['https'], require_protocol: true, require_tld: false }, errorMessage: 'Subscription endpoint must be an https URL' },
+    isLength: { options: { max: 2048 }, errorMessage: 'Subscription endpoint is too long' }
+};
+
+// Subscription keys are base64url strings generated by the browser
+const subscriptionKey = (label) => ({
+    in: ['body'],
+    isString: { errorMessage: `Subscription key ${label} is required` },
+    isLength: { options: { min: 1, max: 256 }, errorMessage: `Subscription key ${label} is invalid` },
+    matches: { options: /^[A-Za-z0-9_-]+=*$/, errorMessage: `Subscription key ${label} is invalid` }
+});
+
+const preference = (label) => ({
+    in: ['body'],
+    optional: true,
+    isBoolean: { options: { strict: true }, errorMessage: `${label} must be true or false` }
+});
+
+exports.subscribeSchema = {
+    endpoint,
+    'keys.p256dh': subscriptionKey('p256dh'),
+    'keys.auth': subscriptionKey('auth')
+};
+
+exports.unsubscribeSchema = { endpoint };
+
+exports.updatePreferencesSchema = {
+    statusUpdates: preference('Status updates'),
+    assignments: preference('Assignments')
+};
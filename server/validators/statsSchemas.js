@@ -0,0 +1,60 @@
+const { oneOf } = require('./common');
+
+/**
+ * Request schemas for /api/stats (see middleware/validate).
+ */
+
+const MAX_RANGE_DAYS = 366;
+
+const date = (name) => ({
+    in: ['query'],
+    optional: true,
+    isISO8601: { errorMessage: `${name} must be an ISO date` }
+});
+
+// Bucketing by hour or day needs a zone the database knows, e.g. Europe/Berlin
+const tz = {
+    in: ['query'],
+    optional: true,
+    custom: {
+        options: (value) => {
+            try {
+                new Intl.DateTimeFormat('en', { timeZone: value });
+                return true;
+            } catch {
+                throw new Error('tz must be an IANA time zone, e.g. Europe/Berlin');
+            }
+        }
+    }
+};
+
+// Checked on `from`: without a `to` the range runs until now, and must be bounded too
+const range = {
+    from: {
+        ...date('from'),
+        custom: {
+            options: (value, { req }) => {
+                const to = req.query.to ? new Date(req.query.to) : new Date();
+                const span = to - new Date(value);
+                if (span < 0) throw new Error(req.query.to ? 'to must not be before from' : 'from must not be in the future');
+                if (span > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) throw new Error(`The range may span at most ${MAX_RANGE_DAYS} days`);
+                return true;
+            }
+        }
+    },
+    to: date('to'),
+    tz
+};
+
+exports.statsRangeSchema = range;
+
+exports.countsSchema = {
+    ...range,
+    interval: { ...oneOf('interval', ['day', 'week', 'month'], 'query'), optional: true }
+};
+
+exports.hotspotsSchema = {
+    ...range,
+    cellKm: { in: ['query'], optional: true, isFloat: { options: { min: 0.1, max: 50 }, errorMessage: 'cellKm must be between 0.1 and 50' }, toFloat: true },
+    limit: { in: ['query'], optional: true, isInt: { options: { min: 1, max: 50 }, errorMessage: 'limit must be between 1 and 50' }, toInt: true }
+};